@@ -19,6 +19,7 @@ import * as Location from 'expo-location';
 import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons';
 import { useNavigation } from '@react-navigation/native';
 import { trailtrades_addLocation } from '../../functions/trailtrades_addLocation';
+import { trailtrades_suggestTradePrice } from '../../functions/trailtrades_suggestTradePrice';
 
 const AddLocationScreen = () => {
   const navigation = useNavigation();
@@ -66,6 +67,13 @@ const AddLocationScreen = () => {
   const [showRvOptions, setShowRvOptions] = useState(false);
   const [showCategoryModal, setShowCategoryModal] = useState(false);
   const [tradeCredits, setTradeCredits] = useState(10);
+  const [priceSuggestion, setPriceSuggestion] = useState(null);
+  const [loadingSuggestion, setLoadingSuggestion] = useState(false);
+
+  // Ignore price suggestions for superseded inputs
+  const suggestionRequestIdRef = useRef(0);
+  // Whether the user has picked their own price (read when a suggestion arrives)
+  const tradeCreditsEditedRef = useRef(false);
 
   // Available categories
   const categories = [
@@ -201,6 +209,49 @@ const AddLocationScreen = () => {
     }
   };
 
+  // Suggest a price when the location is offered for trade
+  useEffect(() => {
+    if (locationData.privacyLevel !== 'trade' || locationData.categories.length === 0) {
+      setPriceSuggestion(null);
+      return;
+    }
+
+    const requestId = ++suggestionRequestIdRef.current;
+    setLoadingSuggestion(true);
+
+    trailtrades_suggestTradePrice({
+      categories: locationData.categories,
+      coordinates: addMethod === 'address' ? null : locationData.coordinates
+    })
+      .then(suggestion => {
+        if (requestId !== suggestionRequestIdRef.current) return;
+
+        setPriceSuggestion(suggestion);
+
+        // Follow the suggestion until the user picks their own price
+        if (!tradeCreditsEditedRef.current) {
+          setTradeCredits(suggestion.recommended);
+        }
+      })
+      .catch(err => {
+        if (requestId !== suggestionRequestIdRef.current) return;
+
+        console.error('Error suggesting trade price:', err);
+        setPriceSuggestion(null);
+      })
+      .finally(() => {
+        if (requestId === suggestionRequestIdRef.current) {
+          setLoadingSuggestion(false);
+        }
+      });
+  }, [locationData.privacyLevel, locationData.categories, locationData.coordinates, addMethod]);
+
+  // Update trade credits chosen by the user
+  const updateTradeCredits = (value) => {
+    tradeCreditsEditedRef.current = true;
+    setTradeCredits(value);
+  };
+
   // Validate form before submission
   const validateForm = () => {
     // Check name
@@ -286,6 +337,7 @@ const AddLocationScreen = () => {
         categories: locationData.categories,
         description: locationData.description,
         tags: locationData.tags.length > 0 ? locationData.tags.split(',').map(tag => tag.trim()) : [],
+        ...(locationData.privacyLevel === 'trade' ? { tradeCredits } : {}),
         vehicleRequirements: {
           fourWDRequired: locationData.vehicleRequirements.fourWDRequired,
           highClearanceRequired: locationData.vehicleRequirements.highClearanceRequired,
@@ -312,10 +364,12 @@ const AddLocationScreen = () => {
         locationData.privacyLevel
       );
 
-      // Handle success
+      // Handle success (offline, the location is queued until connectivity returns)
       Alert.alert(
-        'Success',
-        'Location added successfully! Would you like to add photos or trails?',
+        result.pendingSync ? 'Saved Offline' : 'Success',
+        result.pendingSync
+          ? "You're offline, so the location is saved on this device and will be added when you're back online. Would you like to add photos or trails?"
+          : 'Location added successfully! Would you like to add photos or trails?',
         [
           {
             text: 'Later',
@@ -976,7 +1030,7 @@ const AddLocationScreen = () => {
               <View style={styles.tradeCreditsInputContainer}>
                 <TouchableOpacity
                   style={styles.tradeCreditsButton}
-                  onPress={() => setTradeCredits(prev => Math.max(5, prev - 5))}
+                  onPress={() => updateTradeCredits(prev => Math.max(5, prev - 5))}
                 >
                   <Ionicons name="remove" size={20} color="#3C6E47" />
                 </TouchableOpacity>
@@ -987,7 +1041,7 @@ const AddLocationScreen = () => {
                   onChangeText={(text) => {
                     const value = parseInt(text);
                     if (!isNaN(value) && value >= 5) {
-                      setTradeCredits(value);
+                      updateTradeCredits(value);
                     }
                   }}
                   keyboardType="number-pad"
@@ -995,13 +1049,43 @@ const AddLocationScreen = () => {
                 
                 <TouchableOpacity
                   style={styles.tradeCreditsButton}
-                  onPress={() => setTradeCredits(prev => prev + 5)}
+                  onPress={() => updateTradeCredits(prev => prev + 5)}
                 >
                   <Ionicons name="add" size={20} color="#3C6E47" />
                 </TouchableOpacity>
               </View>
             </View>
           )}
+          
+          {locationData.privacyLevel === 'trade' && (loadingSuggestion || priceSuggestion) && (
+            <View style={styles.priceSuggestionContainer}>
+              {loadingSuggestion && !priceSuggestion ? (
+                <ActivityIndicator size="small" color="#3C6E47" />
+              ) : (
+                <>
+                  <View style={styles.priceSuggestionHeader}>
+                    <Ionicons name="pricetag-outline" size={16} color="#3C6E47" />
+                    <Text style={styles.priceSuggestionTitle}>
+                      Recommended: {priceSuggestion.min}–{priceSuggestion.max} credits
+                    </Text>
+                    {tradeCredits !== priceSuggestion.recommended && (
+                      <TouchableOpacity onPress={() => updateTradeCredits(priceSuggestion.recommended)}>
+                        <Text style={styles.priceSuggestionAction}>Use {priceSuggestion.recommended}</Text>
+                      </TouchableOpacity>
+                    )}
+                  </View>
+                  <Text style={styles.priceSuggestionDetail}>
+                    {priceSuggestion.comparableCount > 0
+                      ? `Based on ${priceSuggestion.comparableCount} similar ${priceSuggestion.comparableCount === 1 ? 'location' : 'locations'} nearby`
+                      : 'Based on typical prices for these categories'}
+                    {priceSuggestion.factors.length > 0
+                      ? ` · ${priceSuggestion.factors.map(factor => factor.label).join(' · ')}`
+                      : ''}
+                  </Text>
+                </>
+              )}
+            </View>
+          )}
         </View>
         
         {/* Error message */}
@@ -1291,6 +1375,34 @@ const styles = StyleSheet.create({
     marginHorizontal: 8,
     borderRadius: 4,
   },
+  priceSuggestionContainer: {
+    marginTop: 8,
+    padding: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#d4e6d9',
+  },
+  priceSuggestionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  priceSuggestionTitle: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#3C6E47',
+    marginLeft: 6,
+  },
+  priceSuggestionAction: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#3C6E47',
+  },
+  priceSuggestionDetail: {
+    fontSize: 12,
+    color: '#888',
+    marginTop: 4,
+  },
   errorContainer: {
     backgroundColor: '#FFEBEE',
     borderRadius: 8,
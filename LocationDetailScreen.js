@@ -10,13 +10,27 @@ import {
   ActivityIndicator,
   Dimensions,
   Share,
-  Alert
+  Alert,
+  Platform
 } from 'react-native';
 import MapView, { Marker, Polyline, PROVIDER_GOOGLE } from 'react-native-maps';
 import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons';
 import * as Location from 'expo-location';
 import { useNavigation, useRoute } from '@react-navigation/native';
 import { trailtrades_performTrade } from '../../functions/trailtrades_performTrade';
+import {
+  getIssuedGrants,
+  getRevocationQuote,
+  revokeAccess,
+  getLocationAccess,
+  describeAccess,
+  GRANT_STATUS
+} from '../../functions/trailtrades_accessGrants';
+import { reportLocationAccuracy } from '../../functions/trailtrades_reputation';
+import { DISPUTE_OUTCOME } from '../../functions/trailtrades_disputes';
+import DisputePanel from '../../components/DisputePanel';
+import { getStoredLocation, removeStoredLocation } from '../../functions/trailtrades_locationVault';
+import tilePackManager, { TILE_PACK_STATUS } from '../../functions/trailtrades_tilePacks';
 
 const { width, height } = Dimensions.get('window');
 
@@ -35,6 +49,14 @@ const LocationDetailScreen = () => {
   const [activeTab, setActiveTab] = useState('info'); // 'info', 'trails', 'photos'
   const [tradeLoading, setTradeLoading] = useState(false);
   const [tradeError, setTradeError] = useState(null);
+  const [selectedAccessOption, setSelectedAccessOption] = useState(null);
+  const [issuedGrants, setIssuedGrants] = useState([]); // grants on the user's own location
+  const [loadingGrants, setLoadingGrants] = useState(false);
+  const [revokingGrantId, setRevokingGrantId] = useState(null);
+  const [accuracyReport, setAccuracyReport] = useState(null); // true/false once reported
+  const [reportingAccuracy, setReportingAccuracy] = useState(false);
+  const [showDisputeForm, setShowDisputeForm] = useState(false);
+  const [mapPack, setMapPack] = useState(null); // offline map around the location
 
   // Fetch location details on mount
   useEffect(() => {
@@ -60,6 +82,39 @@ const LocationDetailScreen = () => {
       }
     })();
   }, [id]);
+  
+  // Load who has access once the location is known to be the user's own
+  useEffect(() => {
+    if (location && location.isOwner && location.privacyLevel === 'trade') {
+      fetchIssuedGrants();
+    }
+  }, [location?.id, location?.isOwner]);
+  
+  // Drop the offline copy once the server says access has ended (revoked or expired)
+  useEffect(() => {
+    if (location && !location.offline && !getLocationAccess(location).canDownload) {
+      removeStoredLocation(location.id).catch(err => {
+        console.error('Error removing saved location:', err);
+      });
+      
+      if (Platform.OS !== 'web') {
+        tilePackManager.findTilePack({ locationId: location.id })
+          .then(pack => pack && tilePackManager.deleteTilePack(pack.id))
+          .catch(err => {
+            console.error('Error removing offline map:', err);
+          });
+      }
+    }
+  }, [location]);
+  
+  // Follow the location's offline map download
+  useEffect(() => {
+    if (!location || Platform.OS === 'web') return undefined;
+    
+    return tilePackManager.subscribe(packs => {
+      setMapPack(packs.find(pack => pack.locationId === location.id) || null);
+    });
+  }, [location?.id]);
 
   // Fetch location details from API
   const fetchLocationDetails = async () => {
@@ -136,7 +191,14 @@ const LocationDetailScreen = () => {
           },
           privacyLevel: 'trade',
           userHasAccess: false,
+          accessGrant: null,
+          isOwner: false,
           tradeCredits: 15,
+          accessOptions: [
+            { id: 'view_30', level: 'view', durationDays: 30, creditAmount: 6 },
+            { id: 'navigate_30', level: 'navigate', durationDays: 30, creditAmount: 9 },
+            { id: 'navigate_permanent', level: 'navigate', durationDays: null, creditAmount: 15 }
+          ],
           rating: 4.8,
           reviewCount: 24,
           createdAt: '2023-05-15T12:00:00Z',
@@ -144,14 +206,41 @@ const LocationDetailScreen = () => {
         };
         
         setLocation(locationData);
+        setSelectedAccessOption(locationData.accessOptions[locationData.accessOptions.length - 1] || null);
         setLoading(false);
       }, 1500); // Simulate network delay
     } catch (err) {
       console.error('Error fetching location details:', err);
-      setError('Failed to load location details. Please try again.');
+      
+      // Without connectivity, show the copy saved for offline use
+      const storedLocation = err.isNetworkError ? await loadStoredLocation() : null;
+      
+      if (!storedLocation) {
+        setError(err.isNetworkError
+          ? "You're offline and this location isn't saved on this device."
+          : 'Failed to load location details. Please try again.');
+      }
+      
       setLoading(false);
     }
   };
+  
+  // Load the location from the offline vault
+  const loadStoredLocation = async () => {
+    try {
+      const storedLocation = await getStoredLocation(id);
+      
+      if (storedLocation) {
+        setLocation(storedLocation);
+        setSelectedAccessOption(null);
+      }
+      
+      return storedLocation;
+    } catch (vaultError) {
+      console.error('Error loading saved location:', vaultError);
+      return null;
+    }
+  };
 
   // Fetch user credits
   const fetchUserCredits = async () => {
@@ -164,15 +253,111 @@ const LocationDetailScreen = () => {
     }
   };
 
+  // Fetch access grants issued for the user's own location
+  const fetchIssuedGrants = async () => {
+    setLoadingGrants(true);
+    
+    try {
+      setIssuedGrants(await getIssuedGrants(location.id));
+    } catch (err) {
+      console.error('Error fetching access grants:', err);
+    } finally {
+      setLoadingGrants(false);
+    }
+  };
+  
+  // Revoke a user's access to the user's own location
+  const handleRevokeAccess = async (grant) => {
+    setRevokingGrantId(grant.id);
+    
+    let quote;
+    
+    try {
+      quote = await getRevocationQuote(grant.id);
+    } catch (err) {
+      console.error('Revocation quote error:', err);
+      Alert.alert('Error', err.message || 'Failed to calculate the refund. Please try again.');
+      setRevokingGrantId(null);
+      return;
+    }
+    
+    Alert.alert(
+      'Revoke Access',
+      `${grant.holder.username} will lose access to "${location.name}" and be refunded ${quote.refundCredits} credits from your balance for the unused part of their access.`,
+      [
+        { text: 'Cancel', style: 'cancel', onPress: () => setRevokingGrantId(null) },
+        {
+          text: 'Revoke',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              const result = await revokeAccess(grant.id);
+              
+              setIssuedGrants(prevGrants => prevGrants.map(item =>
+                item.id === grant.id ? { ...item, ...result.grant, holder: item.holder } : item
+              ));
+              setUserCredits(prevCredits => prevCredits - result.refundCredits);
+            } catch (err) {
+              console.error('Revoke access error:', err);
+              Alert.alert('Revoke Failed', err.message || 'Failed to revoke access. Please try again.');
+            } finally {
+              setRevokingGrantId(null);
+            }
+          }
+        }
+      ]
+    );
+  };
+  
+  // Apply an accepted dispute offer: credit the refund; a full refund ends access
+  const handleDisputeResolved = (result) => {
+    setUserCredits(prevCredits => prevCredits + result.refundCredits);
+    
+    if (result.dispute.resolution && result.dispute.resolution.outcome === DISPUTE_OUTCOME.FULL_REFUND) {
+      setLocation(prevLocation => ({
+        ...prevLocation,
+        accessGrant: prevLocation.accessGrant
+          ? { ...prevLocation.accessGrant, status: GRANT_STATUS.REVOKED, revokedAt: new Date().toISOString() }
+          : null,
+        userHasAccess: false
+      }));
+    }
+    
+    Alert.alert(
+      'Dispute Resolved',
+      result.refundCredits > 0
+        ? `${result.refundCredits} credits have been refunded to your balance.`
+        : 'The dispute has been closed.'
+    );
+  };
+  
+  // Report whether a traded location matched its description
+  const handleAccuracyReport = async (accurate) => {
+    setReportingAccuracy(true);
+    
+    try {
+      await reportLocationAccuracy(location.id, { accurate });
+      setAccuracyReport(accurate);
+    } catch (err) {
+      console.error('Accuracy report error:', err);
+      Alert.alert('Report Failed', err.message || 'Failed to send your report. Please try again.');
+    } finally {
+      setReportingAccuracy(false);
+    }
+  };
+
   // Perform trade for location
   const handleTradeForLocation = async () => {
     if (!location) return;
     
+    const price = selectedAccessOption ? selectedAccessOption.creditAmount : location.tradeCredits;
+    const accessDescription = selectedAccessOption ? ` (${describeAccess(selectedAccessOption).toLowerCase()})` : '';
+    
     // Check if user has enough credits
-    if (userCredits < location.tradeCredits) {
+    if (userCredits < price) {
       Alert.alert(
         'Insufficient Credits',
-        `You need ${location.tradeCredits} credits to trade for this location. You currently have ${userCredits} credits.`,
+        `You need ${price} credits to trade for this location. You currently have ${userCredits} credits.`,
         [{ text: 'OK' }]
       );
       return;
@@ -181,7 +366,7 @@ const LocationDetailScreen = () => {
     // Confirm trade
     Alert.alert(
       'Confirm Trade',
-      `Are you sure you want to trade ${location.tradeCredits} credits for access to "${location.name}"?`,
+      `Are you sure you want to trade ${price} credits for access to "${location.name}"${accessDescription}?`,
       [
         { text: 'Cancel', style: 'cancel' },
         { 
@@ -194,23 +379,32 @@ const LocationDetailScreen = () => {
               // Call trade function
               const tradeResult = await trailtrades_performTrade(
                 'credit',
-                { locationId: location.id, creditAmount: location.tradeCredits },
+                {
+                  locationId: location.id,
+                  creditAmount: price,
+                  ...(selectedAccessOption ? { accessOptionId: selectedAccessOption.id } : {})
+                },
                 { autoDownload: true }
               );
               
               // Update state
               setLocation({
                 ...location,
-                userHasAccess: true
+                userHasAccess: true,
+                accessGrant: tradeResult.accessGrant
               });
               
               // Update user credits
               setUserCredits(tradeResult.remainingCredits);
               
+              const grantAccess = getLocationAccess({ ...location, accessGrant: tradeResult.accessGrant });
+              
               // Show success message
               Alert.alert(
                 'Trade Successful',
-                'You now have access to this location. The location details have been saved for offline use.',
+                grantAccess.canDownload
+                  ? 'You now have access to this location. The location details have been saved for offline use.'
+                  : 'You now have view-only access to this location.',
                 [{ text: 'Great!' }]
               );
             } catch (err) {
@@ -224,6 +418,97 @@ const LocationDetailScreen = () => {
       ]
     );
   };
+  
+  // Download map tiles around the location for offline use; the map expires with access
+  const handleDownloadMap = () => {
+    const region = {
+      center: location.coordinates,
+      radiusMeters: 5000
+    };
+    const estimate = tilePackManager.estimateTilePack(region, 10, 16);
+    
+    if (estimate.tooLarge) {
+      Alert.alert('Area Too Large', 'The map around this location is too large to download.');
+      return;
+    }
+    
+    Alert.alert(
+      'Download Offline Map',
+      `Save the map around ${location.name} for use without signal? About ${(estimate.estimatedBytes / (1024 * 1024)).toFixed(1)} MB.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Download',
+          onPress: async () => {
+            try {
+              await tilePackManager.createTilePack({
+                name: location.name,
+                region,
+                minZoom: 10,
+                maxZoom: 16,
+                locationId: location.id,
+                expiresAt: getLocationAccess(location).expiresAt
+              });
+            } catch (err) {
+              console.error('Map download error:', err);
+              Alert.alert('Error', err.message || 'Failed to download the map. Please try again.');
+            }
+          }
+        }
+      ]
+    );
+  };
+  
+  // Pause or resume the location's offline map download
+  const handleToggleMapDownload = () => {
+    if (mapPack.status === TILE_PACK_STATUS.DOWNLOADING) {
+      tilePackManager.pauseTilePack(mapPack.id);
+      return;
+    }
+    
+    tilePackManager.downloadTilePack(mapPack.id).catch(err => {
+      console.error('Map download error:', err);
+      Alert.alert('Error', err.message || 'Failed to download the map. Please try again.');
+    });
+  };
+  
+  // Render the offline map download state
+  const renderOfflineMap = () => {
+    if (!mapPack) {
+      return (
+        <TouchableOpacity style={styles.offlineMapButton} onPress={handleDownloadMap}>
+          <Ionicons name="cloud-download-outline" size={18} color="#3C6E47" />
+          <Text style={styles.offlineMapButtonText}>Download Map for Offline Use</Text>
+        </TouchableOpacity>
+      );
+    }
+    
+    if (mapPack.status === TILE_PACK_STATUS.READY) {
+      return (
+        <View style={styles.detailRow}>
+          <Ionicons name="cloud-done-outline" size={18} color="#555" style={styles.detailIcon} />
+          <Text style={styles.detailText}>
+            Map available offline • {(mapPack.sizeBytes / (1024 * 1024)).toFixed(1)} MB
+          </Text>
+        </View>
+      );
+    }
+    
+    const downloading = mapPack.status === TILE_PACK_STATUS.DOWNLOADING;
+    const progress = mapPack.tileCount > 0 ? mapPack.completedTiles / mapPack.tileCount : 0;
+    
+    return (
+      <View style={styles.detailRow}>
+        <Ionicons name="cloud-download-outline" size={18} color="#555" style={styles.detailIcon} />
+        <Text style={styles.detailText}>
+          {downloading ? 'Downloading map' : mapPack.status === TILE_PACK_STATUS.FAILED ? 'Download failed' : 'Download paused'} • {Math.floor(progress * 100)}%
+        </Text>
+        <TouchableOpacity onPress={handleToggleMapDownload}>
+          <Text style={styles.offlineMapAction}>{downloading ? 'Pause' : 'Resume'}</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  };
 
   // Share location
   const handleShareLocation = async () => {
@@ -281,7 +566,21 @@ const LocationDetailScreen = () => {
   }
 
   // Determine if access to full details is allowed
-  const hasAccess = location.privacyLevel === 'public' || location.userHasAccess;
+  const access = getLocationAccess(location);
+  const hasAccess = access.hasAccess;
+  // Buyers can dispute a trade location they hold (or held) a grant for
+  const canDispute = location.privacyLevel === 'trade' && !location.isOwner && Boolean(access.grant || hasAccess);
+  const accessPrice = selectedAccessOption ? selectedAccessOption.creditAmount : location.tradeCredits;
+  
+  // Describe when a grant expires, e.g. 'Expires in 12 days'
+  const formatGrantExpiry = (expiresAt) => {
+    if (!expiresAt) return 'Never expires';
+    
+    const days = Math.ceil((expiresAt.getTime() - Date.now()) / (24 * 60 * 60 * 1000));
+    
+    if (days <= 0) return `Expired ${expiresAt.toLocaleDateString()}`;
+    return days === 1 ? 'Expires tomorrow' : `Expires in ${days} days`;
+  };
   
   // Get display coordinates (exact or approximate)
   const displayCoordinates = {
@@ -336,6 +635,15 @@ const LocationDetailScreen = () => {
 
   return (
     <ScrollView style={styles.container}>
+      {location.offline && (
+        <View style={styles.offlineBanner}>
+          <Ionicons name="cloud-offline-outline" size={16} color="#888" />
+          <Text style={styles.offlineText}>
+            Offline. Showing the copy saved on this device on {location.offline.storedAt.toLocaleDateString()}.
+          </Text>
+        </View>
+      )}
+      
       {/* Map View */}
       <View style={styles.mapContainer}>
         <MapView
@@ -414,19 +722,71 @@ const LocationDetailScreen = () => {
         )}
       </View>
       
+      {/* Access Banner (access through a grant) */}
+      {access.grant && hasAccess && (
+        <View style={styles.accessBanner}>
+          <Ionicons
+            name={access.canNavigate ? 'navigate-circle' : 'eye'}
+            size={20}
+            color="#3C6E47"
+          />
+          <View style={styles.accessBannerInfo}>
+            <Text style={styles.accessBannerTitle}>{describeAccess(access.grant)}</Text>
+            <Text style={styles.accessBannerText}>{formatGrantExpiry(access.expiresAt)}</Text>
+          </View>
+        </View>
+      )}
+      
       {/* Trade Panel (if applicable) */}
-      {location.privacyLevel === 'trade' && !location.userHasAccess && (
+      {location.privacyLevel === 'trade' && !hasAccess && !location.isOwner && (
         <View style={styles.tradePanel}>
           <View style={styles.tradePanelHeader}>
             <Ionicons name="swap-horizontal" size={24} color="#3C6E47" />
             <Text style={styles.tradePanelTitle}>Available for Trade</Text>
           </View>
           
+          {access.grant && access.grant.status === GRANT_STATUS.REVOKED && (
+            <Text style={styles.accessEndedText}>
+              The creator revoked your access{access.grant.revokedAt ? ` on ${access.grant.revokedAt.toLocaleDateString()}` : ''}.
+              {access.grant.refundCredits > 0 ? ` ${access.grant.refundCredits} credits were refunded.` : ''}
+            </Text>
+          )}
+          
+          {access.grant && access.grant.status === GRANT_STATUS.EXPIRED && (
+            <Text style={styles.accessEndedText}>
+              Your access expired on {access.grant.expiresAt.toLocaleDateString()}. Trade again to renew it.
+            </Text>
+          )}
+          
           <Text style={styles.tradePanelDescription}>
-            Trade {location.tradeCredits} credits to unlock the exact location, 
-            trails, and all photos. Location will be available offline.
+            Trade {accessPrice} credits to unlock the exact location,
+            trails, and all photos.{(!selectedAccessOption || selectedAccessOption.level === 'navigate') ? ' Location will be available offline.' : ''}
           </Text>
           
+          {location.accessOptions && location.accessOptions.length > 1 && (
+            <View style={styles.accessOptions}>
+              {location.accessOptions.map(option => (
+                <TouchableOpacity
+                  key={option.id}
+                  style={[
+                    styles.accessOption,
+                    selectedAccessOption?.id === option.id ? styles.selectedAccessOption : {}
+                  ]}
+                  onPress={() => setSelectedAccessOption(option)}
+                  disabled={tradeLoading}
+                >
+                  <Ionicons
+                    name={selectedAccessOption?.id === option.id ? 'radio-button-on' : 'radio-button-off'}
+                    size={18}
+                    color="#3C6E47"
+                  />
+                  <Text style={styles.accessOptionText}>{describeAccess(option)}</Text>
+                  <Text style={styles.accessOptionCredits}>{option.creditAmount} credits</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+          
           <View style={styles.tradePanelCredits}>
             <Text style={styles.tradePanelCreditsText}>
               You have: <Text style={styles.tradePanelCreditsValue}>{userCredits} credits</Text>
@@ -440,10 +800,10 @@ const LocationDetailScreen = () => {
           <TouchableOpacity
             style={[
               styles.tradeButton,
-              (tradeLoading || userCredits < location.tradeCredits) ? styles.tradeButtonDisabled : {}
+              (tradeLoading || userCredits < accessPrice) ? styles.tradeButtonDisabled : {}
             ]}
             onPress={handleTradeForLocation}
-            disabled={tradeLoading || userCredits < location.tradeCredits}
+            disabled={tradeLoading || userCredits < accessPrice}
           >
             {tradeLoading ? (
               <ActivityIndicator size="small" color="#fff" />
@@ -554,14 +914,52 @@ const LocationDetailScreen = () => {
                     <Text style={styles.detailText}>
                       20.5 miles from your location
                     </Text>
-                    <TouchableOpacity 
-                      style={styles.directionsButton}
-                      onPress={() => {
-                        Alert.alert('Get Directions', 'This would open directions in maps app');
-                      }}
-                    >
-                      <Text style={styles.directionsButtonText}>Directions</Text>
-                    </TouchableOpacity>
+                    {access.canNavigate && (
+                      <TouchableOpacity
+                        style={styles.directionsButton}
+                        onPress={() => {
+                          Alert.alert('Get Directions', 'This would open directions in maps app');
+                        }}
+                      >
+                        <Text style={styles.directionsButtonText}>Directions</Text>
+                      </TouchableOpacity>
+                    )}
+                  </View>
+                )}
+                
+                {access.canDownload && Platform.OS !== 'web' && renderOfflineMap()}
+                
+                {!access.canNavigate && (
+                  <Text style={styles.viewOnlyText}>
+                    View-only access doesn't include directions or offline download.
+                  </Text>
+                )}
+                
+                {location.privacyLevel === 'trade' && !location.isOwner && (
+                  <View style={styles.accuracyRow}>
+                    <Text style={styles.accuracyText}>
+                      {accuracyReport === null
+                        ? 'Was this location as described?'
+                        : 'Thanks! Your report counts towards the creator\'s reputation.'}
+                    </Text>
+                    {accuracyReport === null && (reportingAccuracy ? (
+                      <ActivityIndicator size="small" color="#3C6E47" />
+                    ) : (
+                      <>
+                        <TouchableOpacity
+                          style={styles.accuracyButton}
+                          onPress={() => handleAccuracyReport(true)}
+                        >
+                          <Ionicons name="thumbs-up-outline" size={18} color="#3C6E47" />
+                        </TouchableOpacity>
+                        <TouchableOpacity
+                          style={styles.accuracyButton}
+                          onPress={() => handleAccuracyReport(false)}
+                        >
+                          <Ionicons name="thumbs-down-outline" size={18} color="#e74c3c" />
+                        </TouchableOpacity>
+                      </>
+                    ))}
                   </View>
                 )}
               </>
@@ -574,6 +972,61 @@ const LocationDetailScreen = () => {
               </View>
             )}
             
+            {location.isOwner && location.privacyLevel === 'trade' && (
+              <>
+                <View style={styles.divider} />
+                
+                <Text style={styles.sectionTitle}>Who Has Access</Text>
+                {loadingGrants ? (
+                  <ActivityIndicator size="small" color="#3C6E47" />
+                ) : issuedGrants.length === 0 ? (
+                  <Text style={styles.noGrantsText}>Nobody has traded for this location yet.</Text>
+                ) : (
+                  issuedGrants.map(grant => (
+                    <View key={grant.id} style={styles.grantRow}>
+                      <Image
+                        source={{ uri: grant.holder.avatarUrl }}
+                        style={styles.creatorAvatar}
+                      />
+                      <View style={styles.grantInfo}>
+                        <Text style={styles.grantHolder}>{grant.holder.username}</Text>
+                        <Text style={styles.grantDetails}>
+                          {describeAccess(grant)} • {
+                            grant.status === GRANT_STATUS.REVOKED ? 'Revoked' :
+                            grant.status === GRANT_STATUS.EXPIRED ? 'Expired' :
+                            formatGrantExpiry(grant.expiresAt)
+                          }
+                        </Text>
+                      </View>
+                      {grant.status === GRANT_STATUS.ACTIVE && (
+                        <TouchableOpacity
+                          style={styles.revokeButton}
+                          onPress={() => handleRevokeAccess(grant)}
+                          disabled={revokingGrantId !== null}
+                        >
+                          {revokingGrantId === grant.id ? (
+                            <ActivityIndicator size="small" color="#e74c3c" />
+                          ) : (
+                            <Text style={styles.revokeButtonText}>Revoke</Text>
+                          )}
+                        </TouchableOpacity>
+                      )}
+                    </View>
+                  ))
+                )}
+              </>
+            )}
+            
+            {(canDispute || (location.isOwner && location.privacyLevel === 'trade')) && (
+              <DisputePanel
+                location={location}
+                grant={access.grant}
+                showFileForm={showDisputeForm}
+                onCloseFileForm={() => setShowDisputeForm(false)}
+                onResolved={handleDisputeResolved}
+              />
+            )}
+            
             <View style={styles.divider} />
             
             <View style={styles.actionsContainer}>
@@ -598,7 +1051,11 @@ const LocationDetailScreen = () => {
               <TouchableOpacity
                 style={styles.actionButton}
                 onPress={() => {
-                  Alert.alert('Report', 'This would open the report location dialog');
+                  if (canDispute) {
+                    setShowDisputeForm(true);
+                  } else {
+                    Alert.alert('Report', 'This would open the report location dialog');
+                  }
                 }}
               >
                 <Ionicons name="flag-outline" size={24} color="#3C6E47" />
@@ -766,6 +1223,19 @@ const styles = StyleSheet.create({
     fontSize: 16,
     color: '#555',
   },
+  offlineBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    backgroundColor: '#f0f0f0',
+  },
+  offlineText: {
+    flex: 1,
+    fontSize: 12,
+    color: '#888',
+    marginLeft: 6,
+  },
   errorContainer: {
     flex: 1,
     justifyContent: 'center',
@@ -947,6 +1417,59 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '600',
   },
+  accessBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#f0f7f2',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  accessBannerInfo: {
+    marginLeft: 10,
+  },
+  accessBannerTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#3C6E47',
+  },
+  accessBannerText: {
+    fontSize: 12,
+    color: '#888',
+  },
+  accessEndedText: {
+    fontSize: 14,
+    color: '#e74c3c',
+    marginBottom: 8,
+  },
+  accessOptions: {
+    marginBottom: 12,
+  },
+  accessOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+    borderWidth: 1,
+    borderColor: '#fff',
+  },
+  selectedAccessOption: {
+    borderColor: '#3C6E47',
+  },
+  accessOptionText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#333',
+    marginLeft: 8,
+  },
+  accessOptionCredits: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#3C6E47',
+  },
   tabBar: {
     flexDirection: 'row',
     backgroundColor: '#fff',
@@ -1036,6 +1559,79 @@ const styles = StyleSheet.create({
     fontSize: 12,
     fontWeight: '600',
   },
+  accuracyRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  accuracyText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#555',
+  },
+  accuracyButton: {
+    padding: 6,
+    marginLeft: 4,
+  },
+  viewOnlyText: {
+    fontSize: 12,
+    color: '#888',
+    marginTop: 4,
+  },
+  offlineMapButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 8,
+    marginTop: 4,
+    borderWidth: 1,
+    borderColor: '#3C6E47',
+    borderRadius: 8,
+  },
+  offlineMapButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#3C6E47',
+    marginLeft: 8,
+  },
+  offlineMapAction: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#3C6E47',
+  },
+  noGrantsText: {
+    fontSize: 14,
+    color: '#888',
+  },
+  grantRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+  },
+  grantInfo: {
+    flex: 1,
+  },
+  grantHolder: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+  },
+  grantDetails: {
+    fontSize: 12,
+    color: '#888',
+  },
+  revokeButton: {
+    borderWidth: 1,
+    borderColor: '#e74c3c',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 4,
+  },
+  revokeButtonText: {
+    color: '#e74c3c',
+    fontSize: 12,
+    fontWeight: '600',
+  },
   lockedDetailsContainer: {
     flexDirection: 'row',
     alignItems: 'center',
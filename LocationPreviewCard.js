@@ -9,6 +9,7 @@ import {
   Dimensions
 } from 'react-native';
 import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons';
+import { getTierDisplay } from '../../functions/trailtrades_reputation';
 
 const { width } = Dimensions.get('window');
 
@@ -18,6 +19,10 @@ const LocationPreviewCard = ({ location, onClose, onViewDetails }) => {
   // Determine if location is a trade-only location
   const isTradeLocation = location.privacyLevel === 'trade' && !location.userHasAccess;
   
+  // Creator reputation matters when deciding whether to trade
+  const creatorReputation = location.creator && location.creator.reputation;
+  const tierDisplay = creatorReputation ? getTierDisplay(creatorReputation.tier) : null;
+  
   // Format categories for display
   const formatCategories = () => {
     const categoryNames = {
@@ -148,6 +153,16 @@ const LocationPreviewCard = ({ location, onClose, onViewDetails }) => {
               <Text style={styles.tradeInfoText}>
                 Available for trade ({location.tradeCredits || 5} credits)
               </Text>
+              
+              {tierDisplay && (
+                <View style={styles.reputationRow}>
+                  <Ionicons name={tierDisplay.icon} size={14} color={tierDisplay.color} />
+                  <Text style={styles.reputationText}>
+                    {location.creator.username} · <Text style={[styles.reputationTier, { color: tierDisplay.color }]}>{tierDisplay.label}</Text>
+                    {creatorReputation.score !== null ? ` (${creatorReputation.score})` : ''}
+                  </Text>
+                </View>
+              )}
             </View>
           )}
           
@@ -303,6 +318,19 @@ const styles = StyleSheet.create({
     color: '#3C6E47',
     fontWeight: '600',
   },
+  reputationRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  reputationText: {
+    fontSize: 12,
+    color: '#555',
+    marginLeft: 4,
+  },
+  reputationTier: {
+    fontWeight: '600',
+  },
   viewDetailsButton: {
     backgroundColor: '#3C6E47',
     borderRadius: 8,
@@ -10,7 +10,8 @@ import {
   Modal,
   ActivityIndicator,
   Dimensions,
-  Image
+  Image,
+  Alert
 } from 'react-native';
 import MapView, { Marker, Polyline, Callout, PROVIDER_GOOGLE } from 'react-native-maps';
 import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons';
@@ -20,12 +21,15 @@ import { useNavigation } from '@react-navigation/native';
 import FilterBar from '../components/FilterBar';
 import LocationPreviewCard from '../components/LocationPreviewCard';
 import { trailtrades_searchLocations } from '../../functions/trailtrades_searchLocations';
+import tilePackManager, { TILE_PACK_STATUS } from '../../functions/trailtrades_tilePacks';
+import OfflineTileLayer from '../../components/OfflineTileLayer';
 
 const { width, height } = Dimensions.get('window');
 
 const MapHomeScreen = () => {
   const navigation = useNavigation();
   const mapRef = useRef(null);
+  const visibleRegionRef = useRef(null);
 
   // State variables
   const [userLocation, setUserLocation] = useState(null);
@@ -45,6 +49,16 @@ const MapHomeScreen = () => {
     radius: 50 // miles
   });
   const [showLocationPreview, setShowLocationPreview] = useState(false);
+  const [mapDownload, setMapDownload] = useState(null); // pack being downloaded
+  
+  // Follow offline map downloads
+  useEffect(() => {
+    if (Platform.OS === 'web') return undefined;
+    
+    return tilePackManager.subscribe(packs => {
+      setMapDownload(packs.find(pack => pack.status === TILE_PACK_STATUS.DOWNLOADING) || null);
+    });
+  }, []);
 
   // Get user's location and load nearby locations on component mount
   useEffect(() => {
@@ -123,6 +137,8 @@ const MapHomeScreen = () => {
 
   // Handle map region change
   const handleRegionChange = async (region) => {
+    visibleRegionRef.current = region;
+    
     // Get center point of new region
     const centerLocation = {
       latitude: region.latitude,
@@ -136,7 +152,57 @@ const MapHomeScreen = () => {
       await loadNearbyLocations(centerLocation);
     }
   };
-
+  
+  // Download the visible map area for offline use
+  const handleDownloadArea = () => {
+    const region = visibleRegionRef.current || (userLocation && {
+      ...userLocation,
+      latitudeDelta: 0.05,
+      longitudeDelta: 0.05
+    });
+    
+    if (!region) return;
+    
+    const packRegion = {
+      bbox: {
+        north: region.latitude + region.latitudeDelta / 2,
+        south: region.latitude - region.latitudeDelta / 2,
+        east: region.longitude + region.longitudeDelta / 2,
+        west: region.longitude - region.longitudeDelta / 2
+      }
+    };
+    const estimate = tilePackManager.estimateTilePack(packRegion, 10, 16);
+    
+    if (estimate.tooLarge) {
+      Alert.alert('Area Too Large', 'Zoom in to download a smaller area.');
+      return;
+    }
+    
+    Alert.alert(
+      'Download Map Area',
+      `Save this area for use without signal? About ${(estimate.estimatedBytes / (1024 * 1024)).toFixed(1)} MB.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Download',
+          onPress: async () => {
+            try {
+              await tilePackManager.createTilePack({
+                name: `Map area ${new Date().toLocaleDateString()}`,
+                region: packRegion,
+                minZoom: 10,
+                maxZoom: 16
+              });
+            } catch (err) {
+              console.error('Map download error:', err);
+              Alert.alert('Error', err.message || 'Failed to download the map. Please try again.');
+            }
+          }
+        }
+      ]
+    );
+  };
+  
   // Handle marker press
   const handleMarkerPress = (location) => {
     setSelectedLocation(location);
@@ -229,6 +295,7 @@ const MapHomeScreen = () => {
             showsMyLocationButton
             onRegionChangeComplete={handleRegionChange}
           >
+            <OfflineTileLayer />
             {locations.map(location => renderMarker(location))}
           </MapView>
         ) : (
@@ -297,6 +364,21 @@ const MapHomeScreen = () => {
           >
             <Ionicons name="add-circle" size={24} color="#3C6E47" />
           </TouchableOpacity>
+          
+          {Platform.OS !== 'web' && (
+            <TouchableOpacity
+              style={styles.mapControlButton}
+              onPress={mapDownload ? () => tilePackManager.pauseTilePack(mapDownload.id) : handleDownloadArea}
+            >
+              {mapDownload ? (
+                <Text style={styles.downloadProgressText}>
+                  {Math.floor(mapDownload.completedTiles / mapDownload.tileCount * 100)}%
+                </Text>
+              ) : (
+                <Ionicons name="cloud-download-outline" size={24} color="#3C6E47" />
+              )}
+            </TouchableOpacity>
+          )}
         </View>
       </View>
       
@@ -420,6 +502,11 @@ const styles = StyleSheet.create({
     shadowRadius: 4,
     elevation: 2,
   },
+  downloadProgressText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#3C6E47',
+  },
 });
 
 export default MapHomeScreen;
\ No newline at end of file
@@ -15,6 +15,9 @@ import {
 import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons';
 import { useNavigation } from '@react-navigation/native';
 import { SafeAreaView } from 'react-native-safe-area-context';
+import { getCreatorEarnings } from '../../functions/trailtrades_creatorEarnings';
+import { getUserReputation, getTierDisplay } from '../../functions/trailtrades_reputation';
+import { subscribeOutbox, OUTBOX_STATUS } from '../../functions/trailtrades_outbox';
 
 const ProfileScreen = () => {
   const navigation = useNavigation();
@@ -23,17 +26,25 @@ const ProfileScreen = () => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
-  const [activeTab, setActiveTab] = useState('locations'); // 'locations', 'trails', 'activity'
+  const [activeTab, setActiveTab] = useState('locations'); // 'locations', 'trails', 'activity', 'earnings'
   const [userLocations, setUserLocations] = useState([]);
   const [userTrails, setUserTrails] = useState([]);
   const [userActivity, setUserActivity] = useState([]);
+  const [earnings, setEarnings] = useState(null);
+  const [reputation, setReputation] = useState(null);
   const [error, setError] = useState(null);
+  const [pendingChanges, setPendingChanges] = useState([]); // changes made offline, not yet synced
   
   // Fetch user data on component mount
   useEffect(() => {
     fetchUserData();
   }, []);
   
+  // Follow changes waiting in the outbox
+  useEffect(() => {
+    return subscribeOutbox(state => setPendingChanges(state.entries));
+  }, []);
+  
   // Fetch user data
   const fetchUserData = async () => {
     setLoading(true);
@@ -66,6 +77,7 @@ const ProfileScreen = () => {
         };
         
         setUser(mockUser);
+        fetchUserReputation(mockUser.id);
         fetchUserContent();
       }, 1000);
     } catch (err) {
@@ -76,6 +88,16 @@ const ProfileScreen = () => {
     }
   };
   
+  // Fetch the user's trader reputation
+  const fetchUserReputation = async (userId) => {
+    try {
+      setReputation(await getUserReputation(userId, { refresh: true }));
+    } catch (err) {
+      // The profile still renders without it
+      console.error('Error fetching reputation:', err);
+    }
+  };
+  
   // Fetch user content (locations, trails, activity)
   const fetchUserContent = () => {
     // Fetch content based on active tab
@@ -85,6 +107,8 @@ const ProfileScreen = () => {
       fetchUserTrails();
     } else if (activeTab === 'activity') {
       fetchUserActivity();
+    } else if (activeTab === 'earnings') {
+      fetchUserEarnings();
     }
   };
   
@@ -237,6 +261,20 @@ const ProfileScreen = () => {
     }, 1000);
   };
   
+  // Fetch credits earned from the user's 'trade' locations
+  const fetchUserEarnings = async () => {
+    try {
+      const result = await getCreatorEarnings();
+      setEarnings(result);
+    } catch (err) {
+      console.error('Error fetching earnings:', err);
+      Alert.alert('Error', err.message || 'Failed to load earnings. Please try again.');
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  };
+  
   // Refresh data
   const handleRefresh = () => {
     setRefreshing(true);
@@ -255,6 +293,8 @@ const ProfileScreen = () => {
         fetchUserTrails();
       } else if (tab === 'activity') {
         fetchUserActivity();
+      } else if (tab === 'earnings') {
+        fetchUserEarnings();
       }
     }
   };
@@ -520,6 +560,59 @@ const ProfileScreen = () => {
     );
   };
   
+  // Render earnings summary and per-location earnings
+  const renderEarnings = () => {
+    return (
+      <View>
+        <View style={styles.earningsSummary}>
+          <View style={styles.earningsSummaryItem}>
+            <Text style={styles.earningsValue}>{earnings.totalEarned}</Text>
+            <Text style={styles.earningsLabel}>Credits Earned</Text>
+          </View>
+          
+          <View style={styles.earningsSummaryItem}>
+            <Text style={styles.earningsValue}>{earnings.recentEarned}</Text>
+            <Text style={styles.earningsLabel}>Last 30 Days</Text>
+          </View>
+          
+          <View style={styles.earningsSummaryItem}>
+            <Text style={styles.earningsValue}>{earnings.tradeCount}</Text>
+            <Text style={styles.earningsLabel}>Trades</Text>
+          </View>
+        </View>
+        
+        {typeof earnings.platformFeePercent === 'number' && (
+          <Text style={styles.earningsFeeNote}>
+            You earn the trade price of your locations minus a {earnings.platformFeePercent}% platform fee
+            ({earnings.totalFees} credits in fees so far).
+          </Text>
+        )}
+        
+        {earnings.locations.map(location => (
+          <TouchableOpacity
+            key={location.locationId}
+            style={styles.activityItem}
+            onPress={() => navigation.navigate('LocationDetail', { id: location.locationId, name: location.locationName })}
+          >
+            <View style={styles.activityIconContainer}>
+              <Ionicons name="cash-outline" size={20} color="#3C6E47" />
+            </View>
+            
+            <View style={styles.activityContent}>
+              <Text style={styles.activityMessage}>{location.locationName}</Text>
+              <Text style={styles.activityDate}>
+                {location.tradeCount} {location.tradeCount === 1 ? 'trade' : 'trades'}
+                {location.lastSoldAt ? ` · last on ${formatDate(location.lastSoldAt)}` : ''}
+              </Text>
+            </View>
+            
+            <Text style={styles.earningsLocationAmount}>+{location.creditsEarned}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+    );
+  };
+  
   // Render empty state
   const renderEmptyState = () => {
     if (activeTab === 'locations') {
@@ -556,6 +649,23 @@ const ProfileScreen = () => {
           </TouchableOpacity>
         </View>
       );
+    } else if (activeTab === 'earnings') {
+      return (
+        <View style={styles.emptyState}>
+          <Ionicons name="cash-outline" size={48} color="#ccc" />
+          <Text style={styles.emptyStateTitle}>No Earnings Yet</Text>
+          <Text style={styles.emptyStateDescription}>
+            When someone trades credits for one of your locations, you earn credits.
+            Add locations with trade privacy to start earning.
+          </Text>
+          <TouchableOpacity
+            style={styles.emptyStateButton}
+            onPress={() => navigation.navigate('AddLocation')}
+          >
+            <Text style={styles.emptyStateButtonText}>Add Location</Text>
+          </TouchableOpacity>
+        </View>
+      );
     } else {
       return (
         <View style={styles.emptyState}>
@@ -648,6 +758,60 @@ const ProfileScreen = () => {
           </TouchableOpacity>
         </View>
         
+        {/* Changes Waiting to Sync */}
+        {pendingChanges.length > 0 && (
+          <TouchableOpacity
+            style={styles.pendingChangesCard}
+            onPress={() => navigation.navigate('PendingChanges')}
+          >
+            <Ionicons
+              name={pendingChanges.some(entry => entry.status === OUTBOX_STATUS.CONFLICT || entry.status === OUTBOX_STATUS.FAILED)
+                ? 'alert-circle-outline'
+                : 'cloud-upload-outline'}
+              size={22}
+              color="#3C6E47"
+            />
+            <Text style={styles.pendingChangesText}>
+              {pendingChanges.length === 1 ? '1 change' : `${pendingChanges.length} changes`} waiting to sync
+            </Text>
+            <Ionicons name="chevron-forward" size={18} color="#888" />
+          </TouchableOpacity>
+        )}
+        
+        {/* Trader Reputation */}
+        {reputation && (
+          <View style={styles.reputationCard}>
+            <View style={styles.reputationHeader}>
+              <Ionicons
+                name={getTierDisplay(reputation.tier).icon}
+                size={22}
+                color={getTierDisplay(reputation.tier).color}
+              />
+              <Text style={[styles.reputationTier, { color: getTierDisplay(reputation.tier).color }]}>
+                {getTierDisplay(reputation.tier).label}
+              </Text>
+              {reputation.score !== null && (
+                <Text style={styles.reputationScore}>{reputation.score}</Text>
+              )}
+            </View>
+            
+            {reputation.score === null && (
+              <Text style={styles.reputationNote}>
+                A reputation score appears after a few completed trades.
+              </Text>
+            )}
+            
+            {reputation.components.map(component => (
+              <View key={component.name} style={styles.reputationComponent}>
+                <View style={styles.reputationBarTrack}>
+                  <View style={[styles.reputationBarFill, { width: `${Math.round(component.value * 100)}%` }]} />
+                </View>
+                <Text style={styles.reputationComponentText}>{component.label}</Text>
+              </View>
+            ))}
+          </View>
+        )}
+        
         {/* Stats Bar */}
         <View style={styles.statsBar}>
           <View style={styles.statItem}>
@@ -743,6 +907,28 @@ const ProfileScreen = () => {
               Activity
             </Text>
           </TouchableOpacity>
+          
+          <TouchableOpacity
+            style={[
+              styles.tabButton,
+              activeTab === 'earnings' ? styles.activeTabButton : {}
+            ]}
+            onPress={() => handleTabChange('earnings')}
+          >
+            <Ionicons
+              name="cash"
+              size={20}
+              color={activeTab === 'earnings' ? "#3C6E47" : "#888"}
+            />
+            <Text
+              style={[
+                styles.tabButtonText,
+                activeTab === 'earnings' ? styles.activeTabButtonText : {}
+              ]}
+            >
+              Earnings
+            </Text>
+          </TouchableOpacity>
         </View>
         
         {/* Tab Content */}
@@ -785,6 +971,17 @@ const ProfileScreen = () => {
                   )}
                 </View>
               )}
+              
+              {/* Earnings Tab */}
+              {activeTab === 'earnings' && (
+                <View>
+                  {earnings && earnings.tradeCount > 0 ? (
+                    renderEarnings()
+                  ) : (
+                    renderEmptyState()
+                  )}
+                </View>
+              )}
             </>
           )}
         </View>
@@ -911,6 +1108,70 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontWeight: '600',
   },
+  pendingChangesCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  pendingChangesText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#333',
+    marginLeft: 8,
+  },
+  reputationCard: {
+    backgroundColor: '#fff',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  reputationHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  reputationTier: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+  reputationScore: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  reputationNote: {
+    fontSize: 12,
+    color: '#888',
+    marginBottom: 8,
+  },
+  reputationComponent: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  reputationBarTrack: {
+    width: 60,
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: '#eee',
+    marginRight: 8,
+    overflow: 'hidden',
+  },
+  reputationBarFill: {
+    height: 6,
+    backgroundColor: '#3C6E47',
+  },
+  reputationComponentText: {
+    fontSize: 13,
+    color: '#555',
+  },
   statsBar: {
     flexDirection: 'row',
     backgroundColor: '#fff',
@@ -1131,6 +1392,44 @@ const styles = StyleSheet.create({
     fontSize: 12,
     color: '#888',
   },
+  earningsSummary: {
+    flexDirection: 'row',
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    margin: 8,
+    paddingVertical: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 1,
+  },
+  earningsSummaryItem: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  earningsValue: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#3C6E47',
+  },
+  earningsLabel: {
+    fontSize: 12,
+    color: '#888',
+    marginTop: 4,
+  },
+  earningsFeeNote: {
+    fontSize: 12,
+    color: '#888',
+    marginHorizontal: 12,
+    marginBottom: 8,
+  },
+  earningsLocationAmount: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#27ae60',
+    alignSelf: 'center',
+  },
   emptyState: {
     alignItems: 'center',
     padding: 40,
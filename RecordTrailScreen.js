@@ -19,6 +19,7 @@ import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons';
 import { useNavigation, useRoute } from '@react-navigation/native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { trailtrades_recordTrail } from '../../functions/trailtrades_recordTrail';
+import OfflineTileLayer from '../../components/OfflineTileLayer';
 
 const { width, height } = Dimensions.get('window');
 
@@ -442,12 +443,18 @@ const RecordTrailScreen = () => {
       
       const result = await trailtrades_recordTrail('manual', trailData, options);
       
-      // Success
+      if (result.saveError) {
+        throw new Error(result.saveError);
+      }
+      
+      // Success (offline, the trail is queued until connectivity returns)
       setShowSaveModal(false);
       
       Alert.alert(
-        'Trail Saved',
-        'Your trail has been saved successfully. Would you like to add photos to this trail?',
+        result.pendingSync ? 'Trail Saved Offline' : 'Trail Saved',
+        result.pendingSync
+          ? "You're offline, so the trail is saved on this device and will be uploaded when you're back online. Would you like to add photos to this trail?"
+          : 'Your trail has been saved successfully. Would you like to add photos to this trail?',
         [
           {
             text: 'Later',
@@ -785,6 +792,8 @@ const RecordTrailScreen = () => {
             zoomEnabled={!isPaused}
             rotateEnabled={!isPaused}
           >
+            <OfflineTileLayer />
+            
             {waypoints.length > 0 && (
               <Polyline
                 coordinates={waypoints.map(wp => ({
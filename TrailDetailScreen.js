@@ -10,12 +10,15 @@ import {
   ActivityIndicator,
   Dimensions,
   Share,
-  Alert
+  Alert,
+  Platform
 } from 'react-native';
 import MapView, { Marker, Polyline, PROVIDER_GOOGLE } from 'react-native-maps';
 import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons';
 import { useNavigation, useRoute } from '@react-navigation/native';
 import { LineChart } from 'react-native-chart-kit';
+import tilePackManager, { TILE_PACK_STATUS } from '../../functions/trailtrades_tilePacks';
+import OfflineTileLayer from '../../components/OfflineTileLayer';
 
 const { width, height } = Dimensions.get('window');
 
@@ -31,12 +34,22 @@ const TrailDetailScreen = () => {
   const [error, setError] = useState(null);
   const [activeTab, setActiveTab] = useState('overview'); // 'overview', 'chart', 'photos'
   const [mapRegion, setMapRegion] = useState(null);
+  const [mapPack, setMapPack] = useState(null); // offline map downloaded for the trail
   
   // Fetch trail data
   useEffect(() => {
     fetchTrailData();
   }, [id]);
   
+  // Follow the trail's offline map download
+  useEffect(() => {
+    if (!trail || Platform.OS === 'web') return undefined;
+    
+    return tilePackManager.subscribe(packs => {
+      setMapPack(packs.find(pack => pack.trailId === trail.id) || null);
+    });
+  }, [trail?.id]);
+  
   // Fetch trail data
   const fetchTrailData = async () => {
     setLoading(true);
@@ -151,6 +164,124 @@ const TrailDetailScreen = () => {
     }
   };
   
+  // Download map tiles along the trail for offline use
+  const handleDownloadMap = () => {
+    const region = {
+      path: trail.waypoints.map(wp => wp.coordinates),
+      bufferMeters: 1000
+    };
+    const estimate = tilePackManager.estimateTilePack(region, 10, 16);
+    
+    if (estimate.tooLarge) {
+      Alert.alert('Trail Too Long', 'The map along this trail is too large to download.');
+      return;
+    }
+    
+    Alert.alert(
+      'Download Offline Map',
+      `Save the map along ${trail.name} for use without signal? About ${(estimate.estimatedBytes / (1024 * 1024)).toFixed(1)} MB.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Download',
+          onPress: async () => {
+            try {
+              await tilePackManager.createTilePack({
+                name: trail.name,
+                region,
+                minZoom: 10,
+                maxZoom: 16,
+                trailId: trail.id
+              });
+            } catch (err) {
+              console.error('Map download error:', err);
+              Alert.alert('Error', err.message || 'Failed to download the map. Please try again.');
+            }
+          }
+        }
+      ]
+    );
+  };
+  
+  // Remove the trail's offline map
+  const handleRemoveMap = () => {
+    Alert.alert(
+      'Remove Offline Map',
+      'The map along this trail will no longer be available without signal.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: () => tilePackManager.deleteTilePack(mapPack.id).catch(err => {
+            console.error('Map removal error:', err);
+          })
+        }
+      ]
+    );
+  };
+  
+  // Pause or resume the trail's offline map download
+  const handleToggleMapDownload = () => {
+    if (mapPack.status === TILE_PACK_STATUS.DOWNLOADING) {
+      tilePackManager.pauseTilePack(mapPack.id);
+      return;
+    }
+    
+    tilePackManager.downloadTilePack(mapPack.id).catch(err => {
+      console.error('Map download error:', err);
+      Alert.alert('Error', err.message || 'Failed to download the map. Please try again.');
+    });
+  };
+  
+  // Render the offline map download state
+  const renderOfflineMap = () => {
+    if (Platform.OS === 'web') return null;
+    
+    if (!mapPack) {
+      return (
+        <TouchableOpacity style={styles.offlineMapButton} onPress={handleDownloadMap}>
+          <Ionicons name="cloud-download-outline" size={20} color="#3C6E47" />
+          <Text style={styles.offlineMapButtonText}>Download Map for Offline Use</Text>
+        </TouchableOpacity>
+      );
+    }
+    
+    if (mapPack.status === TILE_PACK_STATUS.READY) {
+      return (
+        <View style={styles.offlineMapRow}>
+          <Ionicons name="cloud-done-outline" size={20} color="#3C6E47" />
+          <Text style={styles.offlineMapText}>
+            Map available offline • {(mapPack.sizeBytes / (1024 * 1024)).toFixed(1)} MB
+          </Text>
+          <TouchableOpacity onPress={handleRemoveMap}>
+            <Text style={styles.offlineMapAction}>Remove</Text>
+          </TouchableOpacity>
+        </View>
+      );
+    }
+    
+    const downloading = mapPack.status === TILE_PACK_STATUS.DOWNLOADING;
+    const progress = mapPack.tileCount > 0 ? mapPack.completedTiles / mapPack.tileCount : 0;
+    
+    return (
+      <View>
+        <View style={styles.offlineMapRow}>
+          <Ionicons name="cloud-download-outline" size={20} color="#3C6E47" />
+          <Text style={styles.offlineMapText}>
+            {downloading ? 'Downloading map' : mapPack.status === TILE_PACK_STATUS.FAILED ? 'Download failed' : 'Download paused'} • {Math.floor(progress * 100)}%
+          </Text>
+          <TouchableOpacity onPress={handleToggleMapDownload}>
+            <Text style={styles.offlineMapAction}>{downloading ? 'Pause' : 'Resume'}</Text>
+          </TouchableOpacity>
+        </View>
+        <View style={styles.progressTrack}>
+          <View style={[styles.progressFill, { width: `${progress * 100}%` }]} />
+        </View>
+      </View>
+    );
+  };
+  
   // Format distance for display
   const formatDistance = (meters) => {
     if (meters < 1000) {
@@ -336,6 +467,8 @@ const TrailDetailScreen = () => {
             zoomEnabled={true}
             pitchEnabled={false}
           >
+            <OfflineTileLayer />
+            
             {trail.waypoints.length > 0 && (
               <Polyline
                 coordinates={trail.waypoints.map(wp => ({
@@ -425,6 +558,13 @@ const TrailDetailScreen = () => {
         </View>
       </View>
       
+      {/* Offline Map */}
+      {Platform.OS !== 'web' && (
+        <View style={styles.offlineMapPanel}>
+          {renderOfflineMap()}
+        </View>
+      )}
+      
       {/* Trail Stats Panel */}
       <View style={styles.statsPanel}>
         <View style={styles.statItem}>
@@ -918,6 +1058,54 @@ const styles = StyleSheet.create({
     fontSize: 12,
     color: '#888',
   },
+  offlineMapPanel: {
+    backgroundColor: '#fff',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  offlineMapButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 8,
+    borderWidth: 1,
+    borderColor: '#3C6E47',
+    borderRadius: 8,
+  },
+  offlineMapButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#3C6E47',
+    marginLeft: 8,
+  },
+  offlineMapRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  offlineMapText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#555',
+    marginLeft: 8,
+  },
+  offlineMapAction: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#3C6E47',
+  },
+  progressTrack: {
+    height: 4,
+    backgroundColor: '#e0e0e0',
+    borderRadius: 2,
+    marginTop: 8,
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: 4,
+    backgroundColor: '#3C6E47',
+  },
   statsPanel: {
     flexDirection: 'row',
     backgroundColor: '#fff',
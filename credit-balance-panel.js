@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   View,
   Text,
@@ -6,9 +6,11 @@ import {
   TouchableOpacity,
   Modal,
   FlatList,
-  ActivityIndicator
+  ActivityIndicator,
+  Alert
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
+import { trailtrades_purchaseCredits, getCreditPackages } from '../../functions/trailtrades_purchaseCredits';
 
 /**
  * CreditBalancePanel Component
@@ -18,26 +20,60 @@ import { Ionicons } from '@expo/vector-icons';
  * interface with an expandable modal for credit purchases.
  * 
  * @param {Object} props
- * @param {number} props.userCredits - User's current credit balance
- * @param {Function} props.onPurchase - Function to call when purchasing credits
+ * @param {number} props.userCredits - User's available credit balance
+ * @param {number} [props.reservedCredits=0] - Credits held in escrow for pending trades
+ * @param {Function} [props.onPurchase] - Function to call when purchasing credits
+ *   (defaults to an in-app purchase through trailtrades_purchaseCredits)
+ * @param {Function} [props.onPurchaseComplete] - Called with the purchase result after a successful purchase
  * @param {Function} props.onHistoryPress - Function to navigate to history screen
- * @param {Array} [props.creditPackages] - Available credit packages for purchase
+ * @param {Array} [props.creditPackages] - Available credit packages for purchase (loaded from the server when omitted)
  * @returns {React.Component}
  */
 const CreditBalancePanel = ({
   userCredits = 0,
-  onPurchase,
+  reservedCredits = 0,
+  onPurchase = trailtrades_purchaseCredits,
+  onPurchaseComplete,
   onHistoryPress,
-  creditPackages = [
-    { id: 'pkg1', amount: 20, price: 1.99, featured: false },
-    { id: 'pkg2', amount: 50, price: 3.99, featured: true, savings: '20%' },
-    { id: 'pkg3', amount: 100, price: 6.99, featured: false, savings: '30%' },
-    { id: 'pkg4', amount: 200, price: 12.99, featured: false, savings: '35%' }
-  ]
+  creditPackages: providedPackages
 }) => {
   const [showPurchaseModal, setShowPurchaseModal] = useState(false);
   const [selectedPackage, setSelectedPackage] = useState(null);
   const [purchasing, setPurchasing] = useState(false);
+  const [loadedPackages, setLoadedPackages] = useState([]);
+  const [loadingPackages, setLoadingPackages] = useState(false);
+
+  const creditPackages = providedPackages || loadedPackages;
+
+  // Load packages from the server when the modal opens, unless provided
+  useEffect(() => {
+    if (!showPurchaseModal || providedPackages) return;
+    
+    let cancelled = false;
+    setLoadingPackages(true);
+    
+    getCreditPackages()
+      .then(packages => {
+        if (!cancelled) {
+          setLoadedPackages(packages.filter(pkg => pkg.available));
+        }
+      })
+      .catch(error => {
+        console.error('Error loading credit packages:', error);
+        if (!cancelled) {
+          Alert.alert('Error', error.message || 'Failed to load credit packages.');
+        }
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setLoadingPackages(false);
+        }
+      });
+      
+    return () => {
+      cancelled = true;
+    };
+  }, [showPurchaseModal, providedPackages]);
 
   // Handle package selection
   const handleSelectPackage = (pkg) => {
@@ -52,13 +88,23 @@ const CreditBalancePanel = ({
     
     try {
       // Call the provided purchase function
-      await onPurchase(selectedPackage);
+      const result = await onPurchase(selectedPackage);
+      
+      // Keep the modal open if the user dismissed the store sheet
+      if (result && result.status === 'cancelled') return;
       
       // Close modal on success
       setShowPurchaseModal(false);
+      
+      if (onPurchaseComplete) {
+        onPurchaseComplete(result);
+      }
     } catch (error) {
-      // Handle error (in a real app, you would show an error message)
       console.error('Purchase error:', error);
+      Alert.alert(
+        error.paymentPending ? 'Purchase Pending' : 'Purchase Failed',
+        error.message || 'Failed to complete purchase. Please try again.'
+      );
     } finally {
       setPurchasing(false);
       setSelectedPackage(null);
@@ -91,8 +137,14 @@ const CreditBalancePanel = ({
         </View>
         
         <View style={styles.packagePrice}>
-          <Text style={styles.priceCurrency}>$</Text>
-          <Text style={styles.priceAmount}>{item.price.toFixed(2)}</Text>
+          {item.displayPrice ? (
+            <Text style={styles.priceAmount}>{item.displayPrice}</Text>
+          ) : (
+            <>
+              <Text style={styles.priceCurrency}>$</Text>
+              <Text style={styles.priceAmount}>{item.price.toFixed(2)}</Text>
+            </>
+          )}
         </View>
         
         {item.savings && (
@@ -116,7 +168,12 @@ const CreditBalancePanel = ({
       <View style={styles.creditPanel}>
         <View style={styles.balanceContainer}>
           <Ionicons name="wallet-outline" size={24} color="#3C6E47" />
-          <Text style={styles.balanceText}>{userCredits} credits</Text>
+          <View>
+            <Text style={styles.balanceText}>{userCredits} credits</Text>
+            {reservedCredits > 0 && (
+              <Text style={styles.reservedText}>{reservedCredits} reserved for pending trades</Text>
+            )}
+          </View>
         </View>
         
         <View style={styles.actionButtons}>
@@ -169,17 +226,26 @@ const CreditBalancePanel = ({
                   {userCredits} <Text style={styles.currentBalanceUnit}>credits</Text>
                 </Text>
               </View>
+              {reservedCredits > 0 && (
+                <Text style={styles.currentReservedText}>
+                  {reservedCredits} credits reserved for pending trades
+                </Text>
+              )}
             </View>
             
             {/* Package List */}
             <Text style={styles.sectionTitle}>Select a Package</Text>
-            <FlatList
-              data={creditPackages}
-              renderItem={renderPackageItem}
-              keyExtractor={item => item.id}
-              numColumns={2}
-              contentContainerStyle={styles.packageList}
-            />
+            {loadingPackages && creditPackages.length === 0 ? (
+              <ActivityIndicator size="large" color="#3C6E47" style={styles.packagesLoading} />
+            ) : (
+              <FlatList
+                data={creditPackages}
+                renderItem={renderPackageItem}
+                keyExtractor={item => item.id}
+                numColumns={2}
+                contentContainerStyle={styles.packageList}
+              />
+            )}
             
             {/* Purchase Button */}
             <TouchableOpacity
@@ -195,7 +261,7 @@ const CreditBalancePanel = ({
               ) : (
                 <Text style={styles.purchaseButtonText}>
                   {selectedPackage 
-                    ? `Purchase for $${selectedPackage.price.toFixed(2)}` 
+                    ? `Purchase for ${selectedPackage.displayPrice || `$${selectedPackage.price.toFixed(2)}`}` 
                     : 'Select a Package'}
                 </Text>
               )}
@@ -239,6 +305,11 @@ const styles = StyleSheet.create({
     color: '#3C6E47',
     marginLeft: 8,
   },
+  reservedText: {
+    fontSize: 12,
+    color: '#888',
+    marginLeft: 8,
+  },
   actionButtons: {
     flexDirection: 'row',
   },
@@ -317,6 +388,11 @@ const styles = StyleSheet.create({
     fontWeight: 'normal',
     color: '#555',
   },
+  currentReservedText: {
+    fontSize: 13,
+    color: '#888',
+    marginTop: 4,
+  },
   sectionTitle: {
     fontSize: 16,
     fontWeight: 'bold',
@@ -326,6 +402,9 @@ const styles = StyleSheet.create({
   packageList: {
     paddingBottom: 16,
   },
+  packagesLoading: {
+    marginVertical: 32,
+  },
   packageCard: {
     flex: 1,
     backgroundColor: '#fff',
@@ -1,5 +1,5 @@
 // CreditsManagement.js
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -12,39 +12,128 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useNavigation } from '@react-navigation/native';
+import { trailtrades_exportTradeHistory } from '../../functions/trailtrades_exportTradeHistory';
+import { getLedgerEntries, affectsBalance, LEDGER_ENTRY_TYPE } from '../../functions/trailtrades_creditLedger';
+import { trailtrades_purchaseCredits, getCreditPackages } from '../../functions/trailtrades_purchaseCredits';
 
 const CreditsManagement = ({ visible, onClose, userCredits, onCreditUpdate }) => {
   const navigation = useNavigation();
   
-  // Credit packages
-  const creditPackages = [
-    { id: 'pkg1', amount: 20, price: 1.99, featured: false },
-    { id: 'pkg2', amount: 50, price: 3.99, featured: true, savings: '20%' },
-    { id: 'pkg3', amount: 100, price: 6.99, featured: false, savings: '30%' },
-    { id: 'pkg4', amount: 200, price: 12.99, featured: false, savings: '35%' }
-  ];
+  // Credit packages (loaded from the server with store prices)
+  const [creditPackages, setCreditPackages] = useState([]);
+  const [loadingPackages, setLoadingPackages] = useState(false);
+  const [packagesError, setPackagesError] = useState(null);
   
-  // Credit transactions history (would normally be loaded from API)
-  const [transactions, setTransactions] = useState([
-    { id: 'txn1', type: 'purchase', amount: 50, date: new Date(Date.now() - 14 * 24 * 60 * 60 * 1000) },
-    { id: 'txn2', type: 'trade', amount: -15, locationName: 'Mountain Overlook', date: new Date(Date.now() - 10 * 24 * 60 * 60 * 1000) },
-    { id: 'txn3', type: 'earned', amount: 25, locationName: 'Secret Waterfall', date: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) },
-    { id: 'txn4', type: 'trade', amount: -20, locationName: 'Hidden Hot Springs', date: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000) }
-  ]);
+  // Credit ledger entries, newest first
+  const [transactions, setTransactions] = useState([]);
+  const [ledgerCursor, setLedgerCursor] = useState(null);
+  const [hasMoreEntries, setHasMoreEntries] = useState(false);
+  const [ledgerLoaded, setLedgerLoaded] = useState(false);
+  const [loadingLedger, setLoadingLedger] = useState(false);
+  const [loadingMoreEntries, setLoadingMoreEntries] = useState(false);
+  const [ledgerError, setLedgerError] = useState(null);
+  
+  // Ignore responses from superseded ledger requests
+  const ledgerRequestIdRef = useRef(0);
   
   // State for purchase process
   const [selectedPackage, setSelectedPackage] = useState(null);
   const [processingPurchase, setProcessingPurchase] = useState(false);
   const [activeTab, setActiveTab] = useState('buy'); // 'buy' or 'history'
+  const [exporting, setExporting] = useState(false);
   
   // Reset selected package when modal closes
   useEffect(() => {
     if (!visible) {
       setSelectedPackage(null);
       setProcessingPurchase(false);
+      setLedgerLoaded(false);
     }
   }, [visible]);
   
+  // Load packages when the modal opens
+  useEffect(() => {
+    if (visible) {
+      loadPackages();
+    }
+  }, [visible]);
+  
+  // Load the ledger the first time the history tab is shown
+  useEffect(() => {
+    if (visible && activeTab === 'history' && !ledgerLoaded) {
+      loadLedger();
+    }
+  }, [visible, activeTab, ledgerLoaded]);
+  
+  // Load credit packages
+  const loadPackages = async () => {
+    setLoadingPackages(true);
+    setPackagesError(null);
+    
+    try {
+      const packages = await getCreditPackages();
+      setCreditPackages(packages.filter(pkg => pkg.available));
+    } catch (error) {
+      console.error('Error loading credit packages:', error);
+      setPackagesError(error.message || 'Failed to load credit packages');
+    } finally {
+      setLoadingPackages(false);
+    }
+  };
+  
+  // Load the first page of ledger entries
+  const loadLedger = async () => {
+    const requestId = ++ledgerRequestIdRef.current;
+    
+    setLoadingLedger(true);
+    setLedgerError(null);
+    
+    try {
+      const result = await getLedgerEntries();
+      
+      if (requestId !== ledgerRequestIdRef.current) return;
+      
+      setTransactions(result.entries);
+      setLedgerCursor(result.nextCursor);
+      setHasMoreEntries(result.hasMore);
+      setLedgerLoaded(true);
+    } catch (error) {
+      if (requestId !== ledgerRequestIdRef.current) return;
+      
+      console.error('Error loading credit ledger:', error);
+      setLedgerError(error.message || 'Failed to load credit history');
+    } finally {
+      if (requestId === ledgerRequestIdRef.current) {
+        setLoadingLedger(false);
+      }
+    }
+  };
+  
+  // Load the next page of ledger entries
+  const loadMoreEntries = async () => {
+    if (!hasMoreEntries || loadingLedger || loadingMoreEntries) return;
+    
+    const requestId = ledgerRequestIdRef.current;
+    setLoadingMoreEntries(true);
+    
+    try {
+      const result = await getLedgerEntries({}, { cursor: ledgerCursor });
+      
+      if (requestId !== ledgerRequestIdRef.current) return;
+      
+      setTransactions(prevEntries => {
+        const knownIds = new Set(prevEntries.map(entry => entry.id));
+        return [...prevEntries, ...result.entries.filter(entry => !knownIds.has(entry.id))];
+      });
+      setLedgerCursor(result.nextCursor);
+      setHasMoreEntries(result.hasMore);
+    } catch (error) {
+      console.error('Error loading more ledger entries:', error);
+    } finally {
+      setLoadingMoreEntries(false);
+    }
+  };
+  
   // Format date for display
   const formatDate = (date) => {
     return date.toLocaleDateString('en-US', {
@@ -60,7 +149,7 @@ const CreditsManagement = ({ visible, onClose, userCredits, onCreditUpdate }) =>
   };
   
   // Handle purchase
-  const handlePurchase = () => {
+  const handlePurchase = async () => {
     if (!selectedPackage) {
       Alert.alert('Selection Required', 'Please select a credit package to purchase.');
       return;
@@ -68,33 +157,63 @@ const CreditsManagement = ({ visible, onClose, userCredits, onCreditUpdate }) =>
     
     setProcessingPurchase(true);
     
-    // Simulate purchase process
-    setTimeout(() => {
-      // Add new transaction to history
-      const newTransaction = {
-        id: `txn${transactions.length + 1}`,
-        type: 'purchase',
-        amount: selectedPackage.amount,
-        date: new Date()
-      };
+    try {
+      const result = await trailtrades_purchaseCredits(selectedPackage);
       
-      setTransactions([newTransaction, ...transactions]);
+      if (result.status === 'cancelled') {
+        return;
+      }
+      
+      // The server recorded the purchase in the ledger; reload it when next shown
+      setLedgerLoaded(false);
+      setSelectedPackage(null);
       
       // Update user credits through callback
       if (onCreditUpdate) {
-        onCreditUpdate(userCredits + selectedPackage.amount);
+        onCreditUpdate(result.newBalance);
       }
       
-      // Reset state and show success
-      setProcessingPurchase(false);
-      setSelectedPackage(null);
-      
       Alert.alert(
         'Purchase Successful',
-        `You have purchased ${selectedPackage.amount} credits.`,
+        `You have purchased ${result.credits} credits.`,
         [{ text: 'OK', onPress: () => setActiveTab('history') }]
       );
-    }, 2000);
+    } catch (error) {
+      Alert.alert(
+        error.paymentPending ? 'Purchase Pending' : 'Purchase Failed',
+        error.message || 'Failed to complete purchase. Please try again.'
+      );
+    } finally {
+      setProcessingPurchase(false);
+    }
+  };
+  
+  // Export trades and credit transactions
+  const handleExport = () => {
+    if (exporting) return;
+    
+    const exportAs = async (format) => {
+      setExporting(true);
+      
+      try {
+        // The list only holds the pages loaded so far; export the whole ledger
+        await trailtrades_exportTradeHistory(format, { includeLedger: true });
+      } catch (error) {
+        Alert.alert('Export Failed', error.message || 'Failed to export history. Please try again.');
+      } finally {
+        setExporting(false);
+      }
+    };
+    
+    Alert.alert(
+      'Export History',
+      'Choose a file format for your trades and credit transactions.',
+      [
+        { text: 'CSV', onPress: () => exportAs('csv') },
+        { text: 'JSON', onPress: () => exportAs('json') },
+        { text: 'Cancel', style: 'cancel' }
+      ]
+    );
   };
   
   // Render credit package item
@@ -123,8 +242,14 @@ const CreditsManagement = ({ visible, onClose, userCredits, onCreditUpdate }) =>
         </View>
         
         <View style={styles.packagePrice}>
-          <Text style={styles.priceCurrency}>$</Text>
-          <Text style={styles.priceAmount}>{item.price.toFixed(2)}</Text>
+          {item.displayPrice ? (
+            <Text style={styles.priceAmount}>{item.displayPrice}</Text>
+          ) : (
+            <>
+              <Text style={styles.priceCurrency}>$</Text>
+              <Text style={styles.priceAmount}>{item.price.toFixed(2)}</Text>
+            </>
+          )}
         </View>
         
         {item.savings && (
@@ -142,37 +267,96 @@ const CreditsManagement = ({ visible, onClose, userCredits, onCreditUpdate }) =>
     );
   };
   
+  // Get icon for a ledger entry type
+  const getEntryIcon = (type) => {
+    switch (type) {
+      case LEDGER_ENTRY_TYPE.PURCHASE:
+        return { name: 'cart', color: '#3498db' };
+      case LEDGER_ENTRY_TYPE.SPEND:
+        return { name: 'swap-horizontal', color: '#e74c3c' };
+      case LEDGER_ENTRY_TYPE.EARN:
+        return { name: 'star', color: '#f39c12' };
+      case LEDGER_ENTRY_TYPE.REFUND:
+        return { name: 'arrow-undo', color: '#27ae60' };
+      case LEDGER_ENTRY_TYPE.HOLD:
+        return { name: 'lock-closed', color: '#888' };
+      case LEDGER_ENTRY_TYPE.HOLD_RELEASE:
+        return { name: 'lock-open', color: '#888' };
+      case LEDGER_ENTRY_TYPE.BONUS:
+        return { name: 'gift', color: '#9b59b6' };
+      default:
+        return { name: 'ellipse', color: '#888' };
+    }
+  };
+  
+  // Get title for a ledger entry
+  const getEntryTitle = (item) => {
+    const location = item.locationName;
+    
+    switch (item.type) {
+      case LEDGER_ENTRY_TYPE.PURCHASE:
+        return 'Credit Purchase';
+      case LEDGER_ENTRY_TYPE.SPEND:
+        return location ? `Trade for ${location}` : 'Credits Spent';
+      case LEDGER_ENTRY_TYPE.EARN:
+        return location ? `Earned from ${location}` : 'Credits Earned';
+      case LEDGER_ENTRY_TYPE.REFUND:
+        return location ? `Refund for ${location}` : 'Refund';
+      case LEDGER_ENTRY_TYPE.HOLD:
+        return location ? `Reserved for ${location}` : 'Credits Reserved';
+      case LEDGER_ENTRY_TYPE.HOLD_RELEASE:
+        return location ? `Reservation released for ${location}` : 'Reservation Released';
+      case LEDGER_ENTRY_TYPE.BONUS:
+        return item.description || 'Bonus Credits';
+      default:
+        return item.description || 'Credit Adjustment';
+    }
+  };
+  
   // Render transaction item
   const renderTransactionItem = ({ item }) => {
+    const icon = getEntryIcon(item.type);
+    const changesBalance = affectsBalance(item);
+    
     return (
       <View style={styles.transactionItem}>
         <View style={styles.transactionIconContainer}>
-          {item.type === 'purchase' && (
-            <Ionicons name="cart" size={20} color="#3498db" />
-          )}
-          {item.type === 'trade' && (
-            <Ionicons name="swap-horizontal" size={20} color="#e74c3c" />
-          )}
-          {item.type === 'earned' && (
-            <Ionicons name="star" size={20} color="#f39c12" />
-          )}
+          <Ionicons name={icon.name} size={20} color={icon.color} />
         </View>
         
         <View style={styles.transactionDetails}>
-          <Text style={styles.transactionTitle}>
-            {item.type === 'purchase' ? 'Credit Purchase' :
-             item.type === 'trade' ? `Trade for ${item.locationName}` :
-             `Earned from ${item.locationName}`}
-          </Text>
+          <Text style={styles.transactionTitle}>{getEntryTitle(item)}</Text>
+          {item.type === LEDGER_ENTRY_TYPE.EARN && item.platformFee !== null && (
+            <Text style={styles.transactionNote}>
+              Sold for {item.grossAmount} credits, {item.platformFee} platform fee
+            </Text>
+          )}
           <Text style={styles.transactionDate}>{formatDate(item.date)}</Text>
         </View>
         
-        <Text style={[
-          styles.transactionAmount,
-          item.amount > 0 ? styles.positiveAmount : styles.negativeAmount
-        ]}>
-          {item.amount > 0 ? '+' : ''}{item.amount}
-        </Text>
+        <View style={styles.transactionAmountContainer}>
+          <Text style={[
+            styles.transactionAmount,
+            !changesBalance ? styles.neutralAmount :
+            item.amount > 0 ? styles.positiveAmount : styles.negativeAmount
+          ]}>
+            {item.amount > 0 ? '+' : ''}{item.amount}
+          </Text>
+          {item.balanceAfter !== null && (
+            <Text style={styles.balanceAfterText}>Balance {item.balanceAfter}</Text>
+          )}
+        </View>
+      </View>
+    );
+  };
+  
+  // Render ledger list footer
+  const renderLedgerFooter = () => {
+    if (!loadingMoreEntries) return null;
+    
+    return (
+      <View style={styles.listFooter}>
+        <ActivityIndicator size="small" color="#3C6E47" />
       </View>
     );
   };
@@ -232,13 +416,27 @@ const CreditsManagement = ({ visible, onClose, userCredits, onCreditUpdate }) =>
         {activeTab === 'buy' ? (
           <View style={styles.buyContent}>
             <Text style={styles.sectionTitle}>Select a Package</Text>
-            <FlatList
-              data={creditPackages}
-              renderItem={renderPackageItem}
-              keyExtractor={item => item.id}
-              numColumns={2}
-              contentContainerStyle={styles.packagesContainer}
-            />
+            {loadingPackages ? (
+              <View style={styles.emptyListContainer}>
+                <ActivityIndicator size="large" color="#3C6E47" />
+              </View>
+            ) : packagesError ? (
+              <View style={styles.emptyListContainer}>
+                <Ionicons name="alert-circle-outline" size={48} color="#e74c3c" />
+                <Text style={styles.emptyListText}>{packagesError}</Text>
+                <TouchableOpacity style={styles.retryButton} onPress={loadPackages}>
+                  <Text style={styles.retryButtonText}>Try Again</Text>
+                </TouchableOpacity>
+              </View>
+            ) : (
+              <FlatList
+                data={creditPackages}
+                renderItem={renderPackageItem}
+                keyExtractor={item => item.id}
+                numColumns={2}
+                contentContainerStyle={styles.packagesContainer}
+              />
+            )}
             
             <TouchableOpacity
               style={[
@@ -253,7 +451,7 @@ const CreditsManagement = ({ visible, onClose, userCredits, onCreditUpdate }) =>
               ) : (
                 <Text style={styles.purchaseButtonText}>
                   {selectedPackage 
-                    ? `Purchase for $${selectedPackage.price.toFixed(2)}` 
+                    ? `Purchase for ${selectedPackage.displayPrice || `$${selectedPackage.price.toFixed(2)}`}`
                     : 'Select a Package'}
                 </Text>
               )}
@@ -268,19 +466,54 @@ const CreditsManagement = ({ visible, onClose, userCredits, onCreditUpdate }) =>
           </View>
         ) : (
           <View style={styles.historyContent}>
-            <Text style={styles.sectionTitle}>Transaction History</Text>
-            <FlatList
-              data={transactions}
-              renderItem={renderTransactionItem}
-              keyExtractor={item => item.id}
-              contentContainerStyle={styles.transactionsContainer}
-              ListEmptyComponent={
-                <View style={styles.emptyListContainer}>
-                  <Ionicons name="newspaper-outline" size={48} color="#ccc" />
-                  <Text style={styles.emptyListText}>No transactions yet</Text>
-                </View>
-              }
-            />
+            <View style={styles.historyHeader}>
+              <Text style={styles.sectionTitle}>Transaction History</Text>
+              <TouchableOpacity
+                style={styles.exportButton}
+                onPress={handleExport}
+                disabled={exporting}
+              >
+                {exporting ? (
+                  <ActivityIndicator size="small" color="#3C6E47" />
+                ) : (
+                  <>
+                    <Ionicons name="share-outline" size={16} color="#3C6E47" />
+                    <Text style={styles.exportButtonText}>Export</Text>
+                  </>
+                )}
+              </TouchableOpacity>
+            </View>
+            {loadingLedger && transactions.length === 0 ? (
+              <View style={styles.emptyListContainer}>
+                <ActivityIndicator size="large" color="#3C6E47" />
+              </View>
+            ) : ledgerError && transactions.length === 0 ? (
+              <View style={styles.emptyListContainer}>
+                <Ionicons name="alert-circle-outline" size={48} color="#e74c3c" />
+                <Text style={styles.emptyListText}>{ledgerError}</Text>
+                <TouchableOpacity style={styles.retryButton} onPress={loadLedger}>
+                  <Text style={styles.retryButtonText}>Try Again</Text>
+                </TouchableOpacity>
+              </View>
+            ) : (
+              <FlatList
+                data={transactions}
+                renderItem={renderTransactionItem}
+                keyExtractor={item => item.id}
+                contentContainerStyle={styles.transactionsContainer}
+                onEndReached={loadMoreEntries}
+                onEndReachedThreshold={0.5}
+                ListFooterComponent={renderLedgerFooter}
+                refreshing={loadingLedger}
+                onRefresh={loadLedger}
+                ListEmptyComponent={
+                  <View style={styles.emptyListContainer}>
+                    <Ionicons name="newspaper-outline" size={48} color="#ccc" />
+                    <Text style={styles.emptyListText}>No transactions yet</Text>
+                  </View>
+                }
+              />
+            )}
           </View>
         )}
       </View>
@@ -485,6 +718,26 @@ const styles = StyleSheet.create({
     flex: 1,
     padding: 16,
   },
+  historyHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'flex-start',
+  },
+  exportButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#f0f7f2',
+    paddingHorizontal: 12,
+    paddingVertical: 4,
+    borderRadius: 16,
+    minWidth: 80,
+  },
+  exportButtonText: {
+    fontSize: 14,
+    color: '#3C6E47',
+    marginLeft: 4,
+  },
   transactionsContainer: {
     paddingBottom: 16,
   },
@@ -519,20 +772,36 @@ const styles = StyleSheet.create({
     color: '#333',
     marginBottom: 4,
   },
+  transactionNote: {
+    fontSize: 12,
+    color: '#555',
+    marginBottom: 2,
+  },
   transactionDate: {
     fontSize: 12,
     color: '#888',
   },
+  transactionAmountContainer: {
+    alignItems: 'flex-end',
+  },
   transactionAmount: {
     fontSize: 16,
     fontWeight: 'bold',
   },
+  balanceAfterText: {
+    fontSize: 12,
+    color: '#888',
+    marginTop: 2,
+  },
   positiveAmount: {
     color: '#27ae60',
   },
   negativeAmount: {
     color: '#e74c3c',
   },
+  neutralAmount: {
+    color: '#888',
+  },
   emptyListContainer: {
     alignItems: 'center',
     paddingVertical: 32,
@@ -541,6 +810,22 @@ const styles = StyleSheet.create({
     fontSize: 16,
     color: '#888',
     marginTop: 16,
+    textAlign: 'center',
+  },
+  retryButton: {
+    marginTop: 16,
+    paddingHorizontal: 20,
+    paddingVertical: 8,
+    borderRadius: 20,
+    backgroundColor: '#3C6E47',
+  },
+  retryButtonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  listFooter: {
+    paddingVertical: 16,
+    alignItems: 'center',
   },
 });
 
@@ -19,7 +19,12 @@ import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons';
 import * as Location from 'expo-location';
 import { useNavigation } from '@react-navigation/native';
 import SegmentedControl from '@react-native-segmented-control/segmented-control';
-import { trailtrades_searchLocations } from '../../functions/trailtrades_searchLocations';
+import {
+  trailtrades_searchLocations,
+  suggestLocations,
+  SUGGESTION_TYPE
+} from '../../functions/trailtrades_searchLocations';
+import HighlightedText from '../../components/HighlightedText';
 
 // Get screen dimensions for responsive design
 const { width, height } = Dimensions.get('window');
@@ -56,6 +61,12 @@ const DiscoverScreen = () => {
     total: 0
   });
   const [showFilters, setShowFilters] = useState(false);
+  
+  // State for typeahead and place search
+  const [suggestions, setSuggestions] = useState([]);
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [searchPlace, setSearchPlace] = useState(null); // place the search is centered on
+  const suggestRequestRef = useRef(0);
 
   // Get user's location on component mount
   useEffect(() => {
@@ -97,7 +108,32 @@ const DiscoverScreen = () => {
     // Load available categories
     loadCategories();
   }, []);
-
+  
+  // Fetch typeahead suggestions while typing (debounced)
+  useEffect(() => {
+    const requestId = ++suggestRequestRef.current;
+    
+    if (!showSuggestions || searchQuery.trim().length < 2) {
+      setSuggestions([]);
+      return;
+    }
+    
+    const timer = setTimeout(async () => {
+      try {
+        const results = await suggestLocations(searchQuery, { near: userLocation });
+        
+        // Ignore responses for text that has since changed
+        if (requestId === suggestRequestRef.current) {
+          setSuggestions(results);
+        }
+      } catch (err) {
+        console.error('Error loading suggestions:', err);
+      }
+    }, 250);
+    
+    return () => clearTimeout(timer);
+  }, [searchQuery, showSuggestions]);
+  
   // Load available categories for filtering
   const loadCategories = () => {
     // In a real app, these might come from an API
@@ -118,11 +154,22 @@ const DiscoverScreen = () => {
     setLoading(true);
     setError(null);
     
+    const query = overrideParams.query !== undefined ? overrideParams.query : searchQuery;
+    const place = overrideParams.place !== undefined ? overrideParams.place : searchPlace;
+    
+    // A chosen place sets the area, unless the map has been moved since
+    const placeArea = place && !overrideParams.boundingBox
+      ? (place.boundingBox ? { boundingBox: place.boundingBox } : { location: place.center, radius })
+      : null;
+      
     try {
       // Build search parameters
       const searchParameters = {
+        // Text query
+        ...(query.trim() ? { query } : {}),
+        
         // Location-based parameters
-        ...(userLocation && !overrideParams.boundingBox ? { 
+        ...(userLocation && !overrideParams.boundingBox && !placeArea ? {
           location: overrideParams.location || userLocation,
           radius
         } : {}),
@@ -130,6 +177,9 @@ const DiscoverScreen = () => {
         // Bounding box if provided (for map region changes)
         ...(overrideParams.boundingBox ? { boundingBox: overrideParams.boundingBox } : {}),
         
+        // Place area if one was chosen
+        ...(placeArea || {}),
+        
         // Category filters
         ...(selectedCategories.length > 0 ? { categories: selectedCategories } : {}),
         
@@ -156,6 +206,12 @@ const DiscoverScreen = () => {
       // Call the search function we built previously
       const results = await trailtrades_searchLocations(searchParameters);
       
+      // "near <place>" was found: keep the rest of the query and move to the place
+      if (results.query.place) {
+        setSearchQuery(results.query.text);
+        applyPlace(results.query.place);
+      }
+      
       // Update state with results
       if (overrideParams.offset > 0) {
         // If paginating, append to existing results
@@ -195,9 +251,69 @@ const DiscoverScreen = () => {
 
   // Handle search button press
   const handleSearch = () => {
+    setShowSuggestions(false);
+    
     // Reset pagination and search
     loadLocations({ offset: 0 });
   };
+  
+  // Handle text changes in the search bar
+  const handleSearchQueryChange = (text) => {
+    setSearchQuery(text);
+    setShowSuggestions(true);
+  };
+  
+  // Handle choosing a typeahead suggestion
+  const handleSuggestionPress = (suggestion) => {
+    setShowSuggestions(false);
+    
+    if (suggestion.type === SUGGESTION_TYPE.LOCATION && suggestion.locationId) {
+      navigation.navigate('LocationDetail', { id: suggestion.locationId, name: suggestion.text });
+    } else if (suggestion.type === SUGGESTION_TYPE.PLACE && suggestion.place) {
+      setSearchQuery('');
+      applyPlace(suggestion.place);
+      loadLocations({ query: '', place: suggestion.place });
+    } else {
+      setSearchQuery(suggestion.text);
+      loadLocations({ query: suggestion.text });
+    }
+  };
+  
+  // Center the search on a place and move the map there
+  const applyPlace = (place) => {
+    setSearchPlace(place);
+    
+    if (!mapRef.current) {
+      return;
+    }
+    
+    const box = place.boundingBox;
+    
+    if (box) {
+      // Boxes with east < west cross the antimeridian
+      const longitudeDelta = box.east >= box.west ? box.east - box.west : box.east - box.west + 360;
+      const longitude = box.west + longitudeDelta / 2;
+      
+      mapRef.current.animateToRegion({
+        latitude: (box.north + box.south) / 2,
+        longitude: longitude > 180 ? longitude - 360 : longitude,
+        latitudeDelta: box.north - box.south,
+        longitudeDelta
+      });
+    } else {
+      mapRef.current.animateToRegion({
+        ...place.center,
+        latitudeDelta: 0.5,
+        longitudeDelta: 0.5
+      });
+    }
+  };
+  
+  // Stop searching around a place
+  const clearSearchPlace = () => {
+    setSearchPlace(null);
+    loadLocations({ place: null });
+  };
 
   // Toggle selected category
   const toggleCategory = (categoryId) => {
@@ -287,7 +403,12 @@ const DiscoverScreen = () => {
       >
         <View style={styles.listItemHeader}>
           <View style={styles.listItemTitleContainer}>
-            <Text style={styles.listItemTitle}>{location.name}</Text>
+            <HighlightedText
+              style={styles.listItemTitle}
+              segments={location.highlights && location.highlights.name}
+            >
+              {location.name}
+            </HighlightedText>
             {location.distance && (
               <Text style={styles.listItemDistance}>
                 {`${(location.distance / 1609.34).toFixed(1)} mi`}
@@ -315,9 +436,13 @@ const DiscoverScreen = () => {
           </View>
         )}
         
-        <Text style={styles.listItemDescription} numberOfLines={2}>
+        <HighlightedText
+          style={styles.listItemDescription}
+          numberOfLines={2}
+          segments={location.highlights && location.highlights.snippet}
+        >
           {location.description}
-        </Text>
+        </HighlightedText>
         
         <View style={styles.listItemFooter}>
           <View style={styles.listItemCategories}>
@@ -680,11 +805,12 @@ const DiscoverScreen = () => {
           <Ionicons name="search" size={20} color="#888" style={styles.searchIcon} />
           <TextInput
             style={styles.searchInput}
-            placeholder="Search locations..."
+            placeholder="Search locations, or try 'near Moab'..."
             value={searchQuery}
-            onChangeText={setSearchQuery}
+            onChangeText={handleSearchQueryChange}
             onSubmitEditing={handleSearch}
             returnKeyType="search"
+            maxLength={200}
           />
           {searchQuery.length > 0 && (
             <TouchableOpacity
@@ -696,6 +822,49 @@ const DiscoverScreen = () => {
           )}
         </View>
         
+        {/* Typeahead suggestions */}
+        {showSuggestions && suggestions.length > 0 && (
+          <View style={styles.suggestionsContainer}>
+            {suggestions.map((suggestion, index) => (
+              <TouchableOpacity
+                key={`${suggestion.type}-${suggestion.locationId || suggestion.text}-${index}`}
+                style={styles.suggestionItem}
+                onPress={() => handleSuggestionPress(suggestion)}
+              >
+                <Ionicons
+                  name={
+                    suggestion.type === SUGGESTION_TYPE.PLACE ? 'navigate-outline' :
+                    suggestion.type === SUGGESTION_TYPE.TAG ? 'pricetag-outline' :
+                    'location-outline'
+                  }
+                  size={18}
+                  color="#888"
+                />
+                <HighlightedText
+                  style={styles.suggestionText}
+                  numberOfLines={1}
+                  segments={suggestion.segments}
+                >
+                  {suggestion.text}
+                </HighlightedText>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+        
+        {/* Place the search is centered on */}
+        {searchPlace && (
+          <View style={styles.placeChip}>
+            <Ionicons name="navigate" size={14} color="#3C6E47" />
+            <Text style={styles.placeChipText} numberOfLines={1}>
+              {`Near ${searchPlace.name}${searchPlace.region ? `, ${searchPlace.region}` : ''}`}
+            </Text>
+            <TouchableOpacity onPress={clearSearchPlace} style={styles.placeChipClear}>
+              <Ionicons name="close" size={14} color="#3C6E47" />
+            </TouchableOpacity>
+          </View>
+        )}
+        
         <SegmentedControl
           values={['Map', 'List']}
           selectedIndex={viewType === 'map' ? 0 : 1}
@@ -842,6 +1011,54 @@ const styles = StyleSheet.create({
   clearButton: {
     padding: 6,
   },
+  suggestionsContainer: {
+    position: 'absolute',
+    top: 60,
+    left: 16,
+    right: 16,
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    paddingVertical: 4,
+    elevation: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.15,
+    shadowRadius: 4,
+    zIndex: 20,
+  },
+  suggestionItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+  },
+  suggestionText: {
+    flex: 1,
+    marginLeft: 10,
+    fontSize: 15,
+    color: '#333',
+  },
+  placeChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    backgroundColor: '#e8f5e9',
+    borderRadius: 16,
+    paddingLeft: 10,
+    paddingRight: 4,
+    paddingVertical: 4,
+    marginBottom: 8,
+  },
+  placeChipText: {
+    fontSize: 13,
+    color: '#3C6E47',
+    marginLeft: 4,
+    maxWidth: width * 0.6,
+  },
+  placeChipClear: {
+    padding: 4,
+    marginLeft: 2,
+  },
   viewToggle: {
     height: 36,
     marginBottom: 8,
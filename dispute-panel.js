@@ -0,0 +1,848 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  ScrollView,
+  TextInput,
+  Image,
+  ActivityIndicator,
+  Alert
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as ImagePicker from 'expo-image-picker';
+import {
+  fileDispute,
+  getDisputes,
+  respondToDispute,
+  acceptDisputeOffer,
+  escalateDispute,
+  withdrawDispute,
+  getVisitTrails,
+  DISPUTE_STATUS,
+  DISPUTE_REASON,
+  DISPUTE_OUTCOME
+} from '../../functions/trailtrades_disputes';
+
+/**
+ * DisputePanel Component
+ * 
+ * Shows disputes about a traded location and the actions open to the user. Buyers see
+ * their latest dispute (filed from the form opened with showFileForm) and can accept the
+ * creator's offer, escalate or withdraw it. Creators see open disputes about their
+ * location and respond with their side and a refund offer.
+ * 
+ * @param {Object} props
+ * @param {Object} props.location - Location { id, name, coordinates, isOwner, tradeCredits }
+ * @param {Object} [props.grant] - The buyer's access grant for the location
+ * @param {boolean} [props.showFileForm=false] - Whether the buyer's dispute form is open
+ * @param {Function} [props.onCloseFileForm] - Called when the dispute form closes
+ * @param {Function} [props.onResolved] - Called with { dispute, refundCredits } when a refund is accepted
+ * @returns {React.Component}
+ */
+const DisputePanel = ({
+  location,
+  grant = null,
+  showFileForm = false,
+  onCloseFileForm,
+  onResolved
+}) => {
+  const role = location.isOwner ? 'creator' : 'buyer';
+
+  const [disputes, setDisputes] = useState([]);
+  const [loadingDisputes, setLoadingDisputes] = useState(false);
+  const [actionInProgress, setActionInProgress] = useState(null); // dispute ID being updated
+
+  // Buyer's dispute form
+  const [reason, setReason] = useState(null);
+  const [description, setDescription] = useState('');
+  const [photos, setPhotos] = useState([]); // { uri, data }
+  const [visitTrails, setVisitTrails] = useState([]);
+  const [selectedTrailIds, setSelectedTrailIds] = useState([]);
+  const [loadingTrails, setLoadingTrails] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+
+  // Creator's response form
+  const [respondingTo, setRespondingTo] = useState(null);
+  const [responseMessage, setResponseMessage] = useState('');
+  const [responseOffer, setResponseOffer] = useState(DISPUTE_OUTCOME.FULL_REFUND);
+  const [partialRefund, setPartialRefund] = useState('');
+
+  // Load disputes about this location
+  useEffect(() => {
+    loadDisputes();
+  }, [location.id, role]);
+
+  // Load recorded trails as visit evidence when the form opens
+  useEffect(() => {
+    if (!showFileForm) return;
+    
+    setReason(null);
+    setDescription('');
+    setPhotos([]);
+    setSelectedTrailIds([]);
+    setLoadingTrails(true);
+    
+    getVisitTrails(location)
+      .then(setVisitTrails)
+      .catch(error => {
+        // Trails are optional evidence
+        console.error('Error loading recorded trails:', error);
+        setVisitTrails([]);
+      })
+      .finally(() => setLoadingTrails(false));
+  }, [showFileForm]);
+
+  // Load disputes for the user's role
+  const loadDisputes = async () => {
+    setLoadingDisputes(true);
+    
+    try {
+      setDisputes(await getDisputes({ role, locationId: location.id }));
+    } catch (error) {
+      console.error('Error loading disputes:', error);
+    } finally {
+      setLoadingDisputes(false);
+    }
+  };
+
+  // Replace a dispute in the list after an update
+  const updateDispute = (updated) => {
+    setDisputes(prev => prev.map(dispute => dispute.id === updated.id ? updated : dispute));
+  };
+
+  // Add photos from the library; their location is kept as evidence
+  const handleAddPhoto = async () => {
+    try {
+      const permission = await ImagePicker.requestMediaLibraryPermissionsAsync();
+      
+      if (!permission.granted) {
+        Alert.alert('Permission Needed', 'Allow photo library access to attach photos as evidence.');
+        return;
+      }
+      
+      const result = await ImagePicker.launchImageLibraryAsync({
+        mediaTypes: ImagePicker.MediaTypeOptions.Images,
+        base64: true,
+        exif: true,
+        quality: 0.8
+      });
+      
+      if (result.canceled || !result.assets) return;
+      
+      setPhotos(prev => [
+        ...prev,
+        ...result.assets.map(asset => ({
+          uri: asset.uri,
+          data: `data:image/jpeg;base64,${asset.base64}`
+        }))
+      ]);
+    } catch (error) {
+      console.error('Add photo error:', error);
+      Alert.alert('Error', 'Failed to add the photo. Please try again.');
+    }
+  };
+
+  // Select or unselect a recorded trail as evidence
+  const toggleTrail = (trailId) => {
+    setSelectedTrailIds(prev => prev.includes(trailId)
+      ? prev.filter(id => id !== trailId)
+      : [...prev, trailId]);
+  };
+
+  // File the buyer's dispute
+  const handleSubmitDispute = async () => {
+    if (submitting) return;
+    
+    setSubmitting(true);
+    
+    try {
+      const result = await fileDispute({
+        locationId: location.id,
+        grantId: grant ? grant.id : undefined,
+        reason,
+        description,
+        photos: photos.map(photo => photo.data),
+        trailIds: selectedTrailIds
+      });
+      
+      setDisputes(prev => [result.dispute, ...prev]);
+      onCloseFileForm && onCloseFileForm();
+      
+      Alert.alert(
+        'Dispute Filed',
+        result.failedUploads.length > 0
+          ? `Your dispute was filed, but ${result.failedUploads.length} photo(s) failed to upload. ${location.name}'s creator will be asked to respond.`
+          : `The creator of "${location.name}" will be asked to respond. You'll be notified when they do.`
+      );
+    } catch (error) {
+      console.error('File dispute error:', error);
+      Alert.alert('Dispute Failed', error.message || 'Failed to file dispute. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // Accept the creator's offer
+  const handleAcceptOffer = (dispute) => {
+    const refund = dispute.offer && dispute.offer.refundCredits;
+    
+    Alert.alert(
+      'Accept Offer',
+      refund
+        ? `Accept a refund of ${refund} credits and close this dispute?${dispute.offer.outcome === DISPUTE_OUTCOME.FULL_REFUND ? ' Your access to the location will end.' : ''}`
+        : 'Close this dispute without a refund?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Accept',
+          onPress: async () => {
+            setActionInProgress(dispute.id);
+            
+            try {
+              const result = await acceptDisputeOffer(dispute.id);
+              updateDispute(result.dispute);
+              
+              if (onResolved) {
+                onResolved(result);
+              }
+            } catch (error) {
+              console.error('Accept offer error:', error);
+              Alert.alert('Error', error.message || 'Failed to accept offer. Please try again.');
+            } finally {
+              setActionInProgress(null);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  // Escalate, withdraw: actions with a confirmation and no extra input
+  const handleDisputeAction = (dispute, action) => {
+    const actions = {
+      escalate: {
+        title: 'Ask TrailTrades to Review',
+        message: 'A TrailTrades reviewer will look at the evidence from both sides and decide the outcome.',
+        run: () => escalateDispute(dispute.id)
+      },
+      withdraw: {
+        title: 'Withdraw Dispute',
+        message: 'Withdraw this dispute? You won\'t receive a refund.',
+        run: () => withdrawDispute(dispute.id)
+      }
+    };
+    
+    Alert.alert(actions[action].title, actions[action].message, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Continue',
+        onPress: async () => {
+          setActionInProgress(dispute.id);
+          
+          try {
+            updateDispute(await actions[action].run());
+          } catch (error) {
+            console.error('Dispute action error:', error);
+            Alert.alert('Error', error.message || 'Failed to update dispute. Please try again.');
+          } finally {
+            setActionInProgress(null);
+          }
+        }
+      }
+    ]);
+  };
+
+  // Open the creator's response form
+  const handleStartResponse = (dispute) => {
+    setRespondingTo(dispute);
+    setResponseMessage('');
+    setResponseOffer(DISPUTE_OUTCOME.FULL_REFUND);
+    setPartialRefund('');
+    setPhotos([]);
+  };
+
+  // Send the creator's response
+  const handleSubmitResponse = async () => {
+    if (!respondingTo || actionInProgress) return;
+    
+    setActionInProgress(respondingTo.id);
+    
+    try {
+      const result = await respondToDispute(respondingTo.id, {
+        message: responseMessage,
+        offer: responseOffer,
+        refundCredits: responseOffer === DISPUTE_OUTCOME.PARTIAL_REFUND ? parseInt(partialRefund, 10) : undefined,
+        photos: photos.map(photo => photo.data)
+      });
+      
+      updateDispute(result.dispute);
+      setRespondingTo(null);
+      
+      if (result.failedUploads.length > 0) {
+        Alert.alert(
+          'Response Sent',
+          `Your response was sent, but ${result.failedUploads.length} photo(s) failed to upload.`
+        );
+      }
+    } catch (error) {
+      console.error('Dispute response error:', error);
+      Alert.alert('Error', error.message || 'Failed to send response. Please try again.');
+    } finally {
+      setActionInProgress(null);
+    }
+  };
+
+  // Get label for a dispute reason
+  const getReasonLabel = (value) => {
+    switch (value) {
+      case DISPUTE_REASON.WRONG_LOCATION:
+        return 'Wrong location';
+      case DISPUTE_REASON.INACCESSIBLE:
+        return 'Inaccessible';
+      case DISPUTE_REASON.NOT_AS_DESCRIBED:
+        return 'Not as described';
+      default:
+        return 'Other';
+    }
+  };
+
+  // Describe where a dispute stands for the user
+  const getStatusText = (dispute) => {
+    const offer = dispute.offer;
+    
+    switch (dispute.status) {
+      case DISPUTE_STATUS.OPEN:
+        return role === 'buyer' ? 'Waiting for the creator to respond' : 'Waiting for your response';
+      case DISPUTE_STATUS.RESPONDED:
+        if (!offer || offer.outcome === DISPUTE_OUTCOME.NO_REFUND) {
+          return 'The creator disputes the claim and offers no refund';
+        }
+        return `The creator offers a refund of ${offer.refundCredits} credits`;
+      case DISPUTE_STATUS.ESCALATED:
+        return 'Under review by TrailTrades';
+      case DISPUTE_STATUS.RESOLVED:
+        return dispute.resolution && dispute.resolution.refundCredits > 0
+          ? `Resolved with a refund of ${dispute.resolution.refundCredits} credits`
+          : 'Resolved without a refund';
+      case DISPUTE_STATUS.WITHDRAWN:
+        return 'Withdrawn';
+      default:
+        return dispute.status;
+    }
+  };
+
+  // Render one dispute with its actions
+  const renderDispute = (dispute) => {
+    const isUpdating = actionInProgress === dispute.id;
+    const actions = dispute.availableActions;
+    
+    return (
+      <View key={dispute.id} style={styles.disputeCard}>
+        <View style={styles.disputeHeader}>
+          <Ionicons name="flag" size={16} color="#e74c3c" />
+          <Text style={styles.disputeTitle}>
+            {getReasonLabel(dispute.reason)}
+            {role === 'creator' && dispute.buyer ? ` · ${dispute.buyer.username}` : ''}
+          </Text>
+          <Text style={styles.disputeDate}>{dispute.createdAt.toLocaleDateString()}</Text>
+        </View>
+        
+        <Text style={styles.disputeDescription} numberOfLines={3}>{dispute.description}</Text>
+        
+        <Text style={styles.disputeEvidence}>
+          {dispute.evidence.length} {dispute.evidence.length === 1 ? 'piece' : 'pieces'} of evidence
+        </Text>
+        
+        <Text style={styles.disputeStatus}>{getStatusText(dispute)}</Text>
+        
+        {isUpdating ? (
+          <ActivityIndicator size="small" color="#3C6E47" />
+        ) : (
+          <View style={styles.disputeActions}>
+            {actions.includes('withdraw') && (
+              <TouchableOpacity
+                style={styles.secondaryButton}
+                onPress={() => handleDisputeAction(dispute, 'withdraw')}
+              >
+                <Text style={styles.secondaryButtonText}>Withdraw</Text>
+              </TouchableOpacity>
+            )}
+            {actions.includes('escalate') && (
+              <TouchableOpacity
+                style={styles.secondaryButton}
+                onPress={() => handleDisputeAction(dispute, 'escalate')}
+              >
+                <Text style={styles.secondaryButtonText}>Request Review</Text>
+              </TouchableOpacity>
+            )}
+            {actions.includes('accept') && (
+              <TouchableOpacity
+                style={styles.primaryButton}
+                onPress={() => handleAcceptOffer(dispute)}
+              >
+                <Text style={styles.primaryButtonText}>Accept Offer</Text>
+              </TouchableOpacity>
+            )}
+            {actions.includes('respond') && (
+              <TouchableOpacity
+                style={styles.primaryButton}
+                onPress={() => handleStartResponse(dispute)}
+              >
+                <Text style={styles.primaryButtonText}>Respond</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  // Render the buyer's dispute form
+  const renderFileForm = () => {
+    const canSubmit = reason && description.trim().length >= 20 && !submitting;
+    
+    return (
+      <Modal
+        visible={showFileForm}
+        animationType="slide"
+        transparent={true}
+        onRequestClose={onCloseFileForm}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContainer}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>Report a Problem</Text>
+              <TouchableOpacity onPress={onCloseFileForm} disabled={submitting}>
+                <Ionicons name="close" size={24} color="#333" />
+              </TouchableOpacity>
+            </View>
+            
+            <ScrollView style={styles.modalContent}>
+              <Text style={styles.formLabel}>What was wrong with "{location.name}"?</Text>
+              <View style={styles.chipRow}>
+                {Object.values(DISPUTE_REASON).map(value => (
+                  <TouchableOpacity
+                    key={value}
+                    style={[styles.chip, reason === value ? styles.selectedChip : {}]}
+                    onPress={() => setReason(value)}
+                    disabled={submitting}
+                  >
+                    <Text style={[styles.chipText, reason === value ? styles.selectedChipText : {}]}>
+                      {getReasonLabel(value)}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              
+              <Text style={styles.formLabel}>Describe the problem</Text>
+              <TextInput
+                style={styles.textArea}
+                placeholder="E.g. the coordinates lead to a locked gate on private land..."
+                value={description}
+                onChangeText={setDescription}
+                multiline
+                numberOfLines={4}
+                maxLength={1000}
+                editable={!submitting}
+              />
+              
+              <Text style={styles.formLabel}>Photos</Text>
+              <View style={styles.photoRow}>
+                {photos.map((photo, index) => (
+                  <Image key={`${photo.uri}-${index}`} source={{ uri: photo.uri }} style={styles.photoThumb} />
+                ))}
+                <TouchableOpacity style={styles.addPhotoButton} onPress={handleAddPhoto} disabled={submitting}>
+                  <Ionicons name="camera-outline" size={24} color="#888" />
+                </TouchableOpacity>
+              </View>
+              
+              <Text style={styles.formLabel}>Recorded trails near the location</Text>
+              {loadingTrails ? (
+                <ActivityIndicator size="small" color="#3C6E47" />
+              ) : visitTrails.length === 0 ? (
+                <Text style={styles.hintText}>
+                  No recorded trails near this location. A trail recorded on your visit helps show you were there.
+                </Text>
+              ) : (
+                visitTrails.map(trail => (
+                  <TouchableOpacity
+                    key={trail.id}
+                    style={styles.trailRow}
+                    onPress={() => toggleTrail(trail.id)}
+                    disabled={submitting}
+                  >
+                    <Ionicons
+                      name={selectedTrailIds.includes(trail.id) ? 'checkbox' : 'square-outline'}
+                      size={20}
+                      color="#3C6E47"
+                    />
+                    <View style={styles.trailInfo}>
+                      <Text style={styles.trailName}>{trail.name}</Text>
+                      <Text style={styles.hintText}>
+                        {trail.recordedAt.toLocaleDateString()}
+                        {trail.visit.closestDistanceMeters !== null ? ` · came within ${trail.visit.closestDistanceMeters} m` : ''}
+                      </Text>
+                    </View>
+                    {trail.visit.visited && (
+                      <Ionicons name="location" size={18} color="#27ae60" />
+                    )}
+                  </TouchableOpacity>
+                ))
+              )}
+            </ScrollView>
+            
+            <View style={styles.modalFooter}>
+              <TouchableOpacity
+                style={[styles.primaryButton, styles.fullWidthButton, !canSubmit ? styles.disabledButton : {}]}
+                onPress={handleSubmitDispute}
+                disabled={!canSubmit}
+              >
+                {submitting ? (
+                  <ActivityIndicator size="small" color="#fff" />
+                ) : (
+                  <Text style={styles.primaryButtonText}>File Dispute</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    );
+  };
+
+  // Render the creator's response form
+  const renderResponseForm = () => {
+    if (!respondingTo) return null;
+    
+    const isSending = actionInProgress === respondingTo.id;
+    const partialCredits = parseInt(partialRefund, 10);
+    const canSubmit = responseMessage.trim().length > 0 && !isSending &&
+      (responseOffer !== DISPUTE_OUTCOME.PARTIAL_REFUND || partialCredits > 0);
+      
+    return (
+      <Modal
+        visible={true}
+        animationType="slide"
+        transparent={true}
+        onRequestClose={() => setRespondingTo(null)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContainer}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>Respond to Dispute</Text>
+              <TouchableOpacity onPress={() => setRespondingTo(null)} disabled={isSending}>
+                <Ionicons name="close" size={24} color="#333" />
+              </TouchableOpacity>
+            </View>
+            
+            <ScrollView style={styles.modalContent}>
+              <Text style={styles.disputeDescription}>{respondingTo.description}</Text>
+              
+              <Text style={styles.formLabel}>Your offer</Text>
+              <View style={styles.chipRow}>
+                {[
+                  { value: DISPUTE_OUTCOME.FULL_REFUND, label: 'Full refund' },
+                  { value: DISPUTE_OUTCOME.PARTIAL_REFUND, label: 'Partial refund' },
+                  { value: DISPUTE_OUTCOME.NO_REFUND, label: 'No refund' }
+                ].map(option => (
+                  <TouchableOpacity
+                    key={option.value}
+                    style={[styles.chip, responseOffer === option.value ? styles.selectedChip : {}]}
+                    onPress={() => setResponseOffer(option.value)}
+                    disabled={isSending}
+                  >
+                    <Text style={[styles.chipText, responseOffer === option.value ? styles.selectedChipText : {}]}>
+                      {option.label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              
+              {responseOffer === DISPUTE_OUTCOME.PARTIAL_REFUND && (
+                <TextInput
+                  style={styles.textInput}
+                  placeholder="Credits to refund"
+                  value={partialRefund}
+                  onChangeText={text => setPartialRefund(text.replace(/[^0-9]/g, ''))}
+                  keyboardType="number-pad"
+                  editable={!isSending}
+                />
+              )}
+              
+              <Text style={styles.hintText}>
+                Refunds are paid from your credit balance. A full refund also ends the buyer's access.
+              </Text>
+              
+              <Text style={styles.formLabel}>Your side</Text>
+              <TextInput
+                style={styles.textArea}
+                placeholder="Explain what the buyer may have missed, or what changed..."
+                value={responseMessage}
+                onChangeText={setResponseMessage}
+                multiline
+                numberOfLines={4}
+                maxLength={1000}
+                editable={!isSending}
+              />
+              
+              <Text style={styles.formLabel}>Photos</Text>
+              <View style={styles.photoRow}>
+                {photos.map((photo, index) => (
+                  <Image key={`${photo.uri}-${index}`} source={{ uri: photo.uri }} style={styles.photoThumb} />
+                ))}
+                <TouchableOpacity style={styles.addPhotoButton} onPress={handleAddPhoto} disabled={isSending}>
+                  <Ionicons name="camera-outline" size={24} color="#888" />
+                </TouchableOpacity>
+              </View>
+            </ScrollView>
+            
+            <View style={styles.modalFooter}>
+              <TouchableOpacity
+                style={[styles.primaryButton, styles.fullWidthButton, !canSubmit ? styles.disabledButton : {}]}
+                onPress={handleSubmitResponse}
+                disabled={!canSubmit}
+              >
+                {isSending ? (
+                  <ActivityIndicator size="small" color="#fff" />
+                ) : (
+                  <Text style={styles.primaryButtonText}>Send Response</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    );
+  };
+
+  // Buyers see their latest dispute, creators every dispute still in progress
+  const visibleDisputes = role === 'buyer'
+    ? disputes.slice(0, 1)
+    : disputes.filter(dispute => dispute.status !== DISPUTE_STATUS.RESOLVED && dispute.status !== DISPUTE_STATUS.WITHDRAWN);
+    
+  return (
+    <View>
+      {loadingDisputes ? (
+        <ActivityIndicator size="small" color="#3C6E47" />
+      ) : visibleDisputes.length > 0 && (
+        <View style={styles.container}>
+          <Text style={styles.sectionTitle}>{role === 'buyer' ? 'Your Dispute' : 'Disputes'}</Text>
+          {visibleDisputes.map(renderDispute)}
+        </View>
+      )}
+      
+      {role === 'buyer' && renderFileForm()}
+      {renderResponseForm()}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 8,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 8,
+  },
+  disputeCard: {
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#f5c6c0',
+    padding: 12,
+    marginBottom: 8,
+  },
+  disputeHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  disputeTitle: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+    marginLeft: 6,
+  },
+  disputeDate: {
+    fontSize: 12,
+    color: '#888',
+  },
+  disputeDescription: {
+    fontSize: 14,
+    color: '#555',
+    marginBottom: 6,
+  },
+  disputeEvidence: {
+    fontSize: 12,
+    color: '#888',
+    marginBottom: 6,
+  },
+  disputeStatus: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#3C6E47',
+    marginBottom: 8,
+  },
+  disputeActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
+  primaryButton: {
+    backgroundColor: '#3C6E47',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 4,
+    marginLeft: 8,
+    alignItems: 'center',
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  secondaryButton: {
+    borderWidth: 1,
+    borderColor: '#3C6E47',
+    paddingHorizontal: 12,
+    paddingVertical: 7,
+    borderRadius: 4,
+    marginLeft: 8,
+  },
+  secondaryButtonText: {
+    color: '#3C6E47',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  fullWidthButton: {
+    flex: 1,
+    marginLeft: 0,
+    paddingVertical: 12,
+  },
+  disabledButton: {
+    backgroundColor: '#a8d5ba',
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  modalContainer: {
+    backgroundColor: '#fff',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    maxHeight: '90%',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  modalContent: {
+    padding: 16,
+  },
+  modalFooter: {
+    flexDirection: 'row',
+    padding: 16,
+    borderTopWidth: 1,
+    borderTopColor: '#e0e0e0',
+  },
+  formLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  selectedChip: {
+    backgroundColor: '#3C6E47',
+    borderColor: '#3C6E47',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#555',
+  },
+  selectedChipText: {
+    color: '#fff',
+  },
+  textArea: {
+    backgroundColor: '#f5f5f5',
+    borderRadius: 8,
+    padding: 12,
+    minHeight: 90,
+    textAlignVertical: 'top',
+  },
+  textInput: {
+    backgroundColor: '#f5f5f5',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+  },
+  photoRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  photoThumb: {
+    width: 64,
+    height: 64,
+    borderRadius: 4,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  addPhotoButton: {
+    width: 64,
+    height: 64,
+    borderRadius: 4,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderStyle: 'dashed',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  trailRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+  },
+  trailInfo: {
+    flex: 1,
+    marginLeft: 8,
+  },
+  trailName: {
+    fontSize: 14,
+    color: '#333',
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#888',
+  },
+});
+
+export default DisputePanel;
\ No newline at end of file
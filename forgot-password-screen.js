@@ -0,0 +1,419 @@
+// ForgotPasswordScreen.js
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+  KeyboardAvoidingView,
+  Platform
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import {
+  requestPasswordReset,
+  verifyResetCode,
+  setNewPassword
+} from '../../functions/trailtrades_accountRecovery';
+import { PASSWORD_RULES } from '../../functions/trailtrades_registerUser';
+
+const ForgotPasswordScreen = ({ navigation }) => {
+  // State variables
+  const [step, setStep] = useState('request'); // 'request', 'verify', 'reset'
+  const [email, setEmail] = useState('');
+  const [code, setCode] = useState('');
+  const [resetToken, setResetToken] = useState(null);
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [secureTextEntry, setSecureTextEntry] = useState(true);
+  const [isLoading, setIsLoading] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+  
+  // Check if password meets each rule
+  const checkPasswordRule = (rule) => {
+    return rule.regex.test(password);
+  };
+  
+  // Step 1: send reset code to email
+  const handleRequestReset = async () => {
+    if (!email.trim()) {
+      setErrorMessage('Please enter your email address');
+      return;
+    }
+    
+    setIsLoading(true);
+    setErrorMessage('');
+    
+    try {
+      await requestPasswordReset(email);
+      setStep('verify');
+    } catch (error) {
+      console.error('Password reset request error:', error);
+      setErrorMessage(error.message || 'Failed to send reset code. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+  
+  // Step 2: verify code from email
+  const handleVerifyCode = async () => {
+    if (!code.trim()) {
+      setErrorMessage('Please enter the code from your email');
+      return;
+    }
+    
+    setIsLoading(true);
+    setErrorMessage('');
+    
+    try {
+      const token = await verifyResetCode(email, code);
+      setResetToken(token);
+      setStep('reset');
+    } catch (error) {
+      console.error('Reset code verification error:', error);
+      setErrorMessage(error.message || 'Invalid or expired code.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+  
+  // Step 3: set new password
+  const handleSetPassword = async () => {
+    if (!PASSWORD_RULES.every(rule => checkPasswordRule(rule))) {
+      setErrorMessage('Password does not meet all requirements');
+      return;
+    }
+    
+    if (password !== confirmPassword) {
+      setErrorMessage('Passwords do not match');
+      return;
+    }
+    
+    setIsLoading(true);
+    setErrorMessage('');
+    
+    try {
+      await setNewPassword(resetToken, password);
+      
+      Alert.alert(
+        'Password Updated',
+        'Your password has been reset. Please log in with your new password.',
+        [{ text: 'OK', onPress: () => navigation.navigate('Login') }]
+      );
+    } catch (error) {
+      console.error('Set new password error:', error);
+      setErrorMessage(error.message || 'Failed to reset password. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+  
+  // Resend code
+  const handleResendCode = async () => {
+    setCode('');
+    await handleRequestReset();
+  };
+  
+  // Render step content
+  const renderStep = () => {
+    if (step === 'request') {
+      return (
+        <>
+          <Text style={styles.introText}>
+            Enter the email address for your account and we'll send you a code to reset your password.
+          </Text>
+          
+          <View style={styles.inputContainer}>
+            <Ionicons name="mail-outline" size={20} color="#555" style={styles.inputIcon} />
+            <TextInput
+              style={styles.input}
+              placeholder="Email"
+              value={email}
+              onChangeText={setEmail}
+              autoCapitalize="none"
+              autoCorrect={false}
+              keyboardType="email-address"
+              returnKeyType="done"
+              editable={!isLoading}
+            />
+          </View>
+          
+          {renderSubmitButton('Send Reset Code', handleRequestReset)}
+        </>
+      );
+    }
+    
+    if (step === 'verify') {
+      return (
+        <>
+          <Text style={styles.introText}>
+            If an account exists for {email.trim()}, we've sent a reset code. Enter it below.
+          </Text>
+          
+          <View style={styles.inputContainer}>
+            <Ionicons name="keypad-outline" size={20} color="#555" style={styles.inputIcon} />
+            <TextInput
+              style={styles.input}
+              placeholder="Reset Code"
+              value={code}
+              onChangeText={setCode}
+              autoCapitalize="characters"
+              autoCorrect={false}
+              returnKeyType="done"
+              editable={!isLoading}
+            />
+          </View>
+          
+          {renderSubmitButton('Verify Code', handleVerifyCode)}
+          
+          <TouchableOpacity
+            style={styles.linkButton}
+            onPress={handleResendCode}
+            disabled={isLoading}
+          >
+            <Text style={styles.linkButtonText}>Didn't get a code? Send again</Text>
+          </TouchableOpacity>
+        </>
+      );
+    }
+    
+    return (
+      <>
+        <Text style={styles.introText}>Choose a new password for your account.</Text>
+        
+        <View style={styles.inputContainer}>
+          <Ionicons name="lock-closed-outline" size={20} color="#555" style={styles.inputIcon} />
+          <TextInput
+            style={styles.input}
+            placeholder="New Password"
+            value={password}
+            onChangeText={setPassword}
+            secureTextEntry={secureTextEntry}
+            autoCapitalize="none"
+            autoCorrect={false}
+            returnKeyType="next"
+            editable={!isLoading}
+          />
+          <TouchableOpacity
+            style={styles.eyeIcon}
+            onPress={() => setSecureTextEntry(!secureTextEntry)}
+          >
+            <Ionicons
+              name={secureTextEntry ? "eye-off-outline" : "eye-outline"}
+              size={20}
+              color="#555"
+            />
+          </TouchableOpacity>
+        </View>
+        
+        <View style={styles.inputContainer}>
+          <Ionicons name="lock-closed-outline" size={20} color="#555" style={styles.inputIcon} />
+          <TextInput
+            style={styles.input}
+            placeholder="Confirm New Password"
+            value={confirmPassword}
+            onChangeText={setConfirmPassword}
+            secureTextEntry={secureTextEntry}
+            autoCapitalize="none"
+            autoCorrect={false}
+            returnKeyType="done"
+            editable={!isLoading}
+          />
+        </View>
+        
+        <View style={styles.passwordRulesContainer}>
+          <Text style={styles.passwordRulesTitle}>Password must contain:</Text>
+          {PASSWORD_RULES.map((rule) => (
+            <View key={rule.id} style={styles.passwordRuleRow}>
+              <Ionicons
+                name={checkPasswordRule(rule) ? "checkmark-circle" : "ellipse-outline"}
+                size={16}
+                color={checkPasswordRule(rule) ? "#27AE60" : "#888"}
+              />
+              <Text
+                style={[
+                  styles.passwordRuleText,
+                  checkPasswordRule(rule) ? styles.passwordRuleValid : {}
+                ]}
+              >
+                {rule.label}
+              </Text>
+            </View>
+          ))}
+        </View>
+        
+        {renderSubmitButton('Reset Password', handleSetPassword)}
+      </>
+    );
+  };
+  
+  // Render primary button
+  const renderSubmitButton = (label, onPress) => (
+    <TouchableOpacity
+      style={[styles.submitButton, isLoading ? styles.submitButtonDisabled : {}]}
+      onPress={onPress}
+      disabled={isLoading}
+    >
+      {isLoading ? (
+        <ActivityIndicator size="small" color="#fff" />
+      ) : (
+        <Text style={styles.submitButtonText}>{label}</Text>
+      )}
+    </TouchableOpacity>
+  );
+  
+  return (
+    <SafeAreaView style={styles.container}>
+      <KeyboardAvoidingView
+        behavior={Platform.OS === 'ios' ? 'padding' : null}
+        style={styles.keyboardAvoidingView}
+      >
+        <ScrollView
+          contentContainerStyle={styles.scrollContent}
+          showsVerticalScrollIndicator={false}
+        >
+          {errorMessage ? (
+            <View style={styles.errorContainer}>
+              <Text style={styles.errorText}>{errorMessage}</Text>
+            </View>
+          ) : null}
+          
+          {renderStep()}
+          
+          <View style={styles.loginContainer}>
+            <Text style={styles.loginText}>Remembered your password?</Text>
+            <TouchableOpacity
+              onPress={() => navigation.navigate('Login')}
+              disabled={isLoading}
+            >
+              <Text style={styles.loginButtonText}>Log In</Text>
+            </TouchableOpacity>
+          </View>
+        </ScrollView>
+      </KeyboardAvoidingView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  keyboardAvoidingView: {
+    flex: 1,
+  },
+  scrollContent: {
+    flexGrow: 1,
+    padding: 24,
+  },
+  introText: {
+    fontSize: 16,
+    color: '#555',
+    marginBottom: 24,
+    lineHeight: 22,
+  },
+  errorContainer: {
+    backgroundColor: '#FFEBEE',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 16,
+  },
+  errorText: {
+    color: '#C62828',
+    fontSize: 14,
+  },
+  inputContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#f5f5f5',
+    borderRadius: 8,
+    marginBottom: 16,
+    paddingHorizontal: 12,
+    height: 50,
+  },
+  inputIcon: {
+    marginRight: 10,
+  },
+  input: {
+    flex: 1,
+    height: 50,
+    fontSize: 16,
+    color: '#333',
+  },
+  eyeIcon: {
+    padding: 8,
+  },
+  passwordRulesContainer: {
+    backgroundColor: '#f5f5f5',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 16,
+  },
+  passwordRulesTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#555',
+    marginBottom: 8,
+  },
+  passwordRuleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  passwordRuleText: {
+    fontSize: 14,
+    color: '#888',
+    marginLeft: 8,
+  },
+  passwordRuleValid: {
+    color: '#27AE60',
+  },
+  submitButton: {
+    backgroundColor: '#3C6E47',
+    borderRadius: 8,
+    height: 50,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  submitButtonDisabled: {
+    backgroundColor: '#A8D5BA',
+  },
+  submitButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  linkButton: {
+    alignSelf: 'center',
+    marginBottom: 16,
+  },
+  linkButtonText: {
+    color: '#3C6E47',
+    fontSize: 14,
+  },
+  loginContainer: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginTop: 'auto',
+    paddingTop: 24,
+  },
+  loginText: {
+    fontSize: 14,
+    color: '#555',
+    marginRight: 4,
+  },
+  loginButtonText: {
+    fontSize: 14,
+    color: '#3C6E47',
+    fontWeight: 'bold',
+  },
+});
+
+export default ForgotPasswordScreen;
\ No newline at end of file
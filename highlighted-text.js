@@ -0,0 +1,37 @@
+// HighlightedText.js
+import React from 'react';
+import { Text, StyleSheet } from 'react-native';
+
+// Renders search highlight segments ([{ text, highlighted }] from trailtrades_searchLocations)
+// with the matched parts in bold. Without segments it renders its children as plain text.
+const HighlightedText = ({ segments, style, highlightStyle, numberOfLines, children }) => {
+  if (!segments || segments.length === 0) {
+    return (
+      <Text style={style} numberOfLines={numberOfLines}>
+        {children}
+      </Text>
+    );
+  }
+  
+  return (
+    <Text style={style} numberOfLines={numberOfLines}>
+      {segments.map((segment, index) => (
+        <Text
+          key={index}
+          style={segment.highlighted ? [styles.highlight, highlightStyle] : null}
+        >
+          {segment.text}
+        </Text>
+      ))}
+    </Text>
+  );
+};
+
+const styles = StyleSheet.create({
+  highlight: {
+    fontWeight: 'bold',
+    color: '#3C6E47',
+  },
+});
+
+export default HighlightedText;
\ No newline at end of file
@@ -14,8 +14,17 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { SafeAreaView } from 'react-native-safe-area-context';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { trailtrades_authenticateUser } from '../../functions/trailtrades_authenticateUser';
+import { getSession } from '../../functions/trailtrades_sessionManager';
+import {
+  isEmailNotVerifiedError,
+  resendVerificationEmail
+} from '../../functions/trailtrades_accountRecovery';
+import {
+  signInWithProvider,
+  linkAccount,
+  isAppleSignInAvailable
+} from '../../functions/trailtrades_socialSignIn';
 
 const LoginScreen = ({ navigation }) => {
   // State variables
@@ -24,17 +33,21 @@ const LoginScreen = ({ navigation }) => {
   const [isLoading, setIsLoading] = useState(false);
   const [secureTextEntry, setSecureTextEntry] = useState(true);
   const [errorMessage, setErrorMessage] = useState('');
+  const [unverifiedEmail, setUnverifiedEmail] = useState(null);
+  const [isResending, setIsResending] = useState(false);
+  const [pendingLink, setPendingLink] = useState(null);
+  const [appleSignInAvailable] = useState(() => isAppleSignInAvailable());
   
   // Check for existing session on component mount
   useEffect(() => {
     checkExistingToken();
   }, []);
   
-  // Check for existing auth token
+  // Check for existing session
   const checkExistingToken = async () => {
     try {
-      const token = await AsyncStorage.getItem('trailtrades_auth_token');
-      if (token) {
+      const session = await getSession();
+      if (session) {
         // Navigate to main app if token exists
         navigation.replace('Main');
       }
@@ -58,59 +71,107 @@ const LoginScreen = ({ navigation }) => {
     
     setIsLoading(true);
     setErrorMessage('');
+    setUnverifiedEmail(null);
     
     try {
-      // Call authentication function
-      const result = await trailtrades_authenticateUser('email', {
-        email: email.trim(),
-        password: password
-      });
-      
-      // Store token in AsyncStorage
-      await AsyncStorage.setItem('trailtrades_auth_token', result.token);
+      if (pendingLink) {
+        // Link the SSO identity to the existing account (stores the session securely)
+        await linkAccount(pendingLink, email.trim(), password);
+        setPendingLink(null);
+      } else {
+        // Call authentication function (stores the session securely)
+        await trailtrades_authenticateUser('email', {
+          email: email.trim(),
+          password: password
+        });
+      }
       
       // Navigate to main app
       navigation.replace('Main');
     } catch (error) {
       console.error('Login error:', error);
+      
+      // Offer to resend the verification email for unverified accounts
+      if (isEmailNotVerifiedError(error)) {
+        setUnverifiedEmail(email.trim());
+        setErrorMessage('Please verify your email address before logging in.');
+        return;
+      }
+      
       setErrorMessage(error.message || 'Failed to log in. Please check your email and password.');
     } finally {
       setIsLoading(false);
     }
   };
   
-  // Handle Google sign-in
-  const handleGoogleSignIn = async () => {
-    setIsLoading(true);
-    setErrorMessage('');
+  // Handle resending the verification email
+  const handleResendVerification = async () => {
+    if (!unverifiedEmail || isResending) return;
+    
+    setIsResending(true);
     
     try {
-      // Implement Google OAuth authentication
-      Alert.alert('Coming Soon', 'Google Sign-In will be available in the next update.');
+      await resendVerificationEmail(unverifiedEmail);
+      Alert.alert('Email Sent', `We've sent a new verification link to ${unverifiedEmail}.`);
     } catch (error) {
-      console.error('Google sign-in error:', error);
-      setErrorMessage(error.message || 'Failed to sign in with Google.');
+      console.error('Resend verification error:', error);
+      Alert.alert('Error', error.message || 'Failed to resend verification email.');
     } finally {
-      setIsLoading(false);
+      setIsResending(false);
     }
   };
   
-  // Handle Apple sign-in
-  const handleAppleSignIn = async () => {
+  // Handle Google/Apple sign-in
+  const handleSocialSignIn = async (provider) => {
+    const providerName = provider === 'google' ? 'Google' : 'Apple';
+    
     setIsLoading(true);
     setErrorMessage('');
+    setUnverifiedEmail(null);
+    setPendingLink(null);
     
     try {
-      // Implement Apple OAuth authentication
-      Alert.alert('Coming Soon', 'Apple Sign-In will be available in the next update.');
+      const result = await signInWithProvider(provider);
+      
+      if (result.status === 'cancelled') {
+        return;
+      }
+      
+      // Provider email matches an existing account: ask for its password to link
+      if (result.status === 'link_required') {
+        setPendingLink(result);
+        setEmail(result.email || '');
+        setPassword('');
+        return;
+      }
+      
+      // Explain Apple "Hide My Email" relay addresses on new accounts
+      if (result.privateRelayEmail && result.userData.isNewUser) {
+        Alert.alert(
+          'Private Email',
+          'You chose to hide your email from TrailTrades. Trade notifications will be sent to your Apple relay address. If you already have a TrailTrades account, sign in with your email to keep using it.',
+          [{ text: 'OK', onPress: () => navigation.replace('Main') }]
+        );
+        return;
+      }
+      
+      // Navigate to main app
+      navigation.replace('Main');
     } catch (error) {
-      console.error('Apple sign-in error:', error);
-      setErrorMessage(error.message || 'Failed to sign in with Apple.');
+      console.error(`${providerName} sign-in error:`, error);
+      setErrorMessage(error.message || `Failed to sign in with ${providerName}.`);
     } finally {
       setIsLoading(false);
     }
   };
   
+  // Cancel a pending account link
+  const handleCancelLink = () => {
+    setPendingLink(null);
+    setPassword('');
+    setErrorMessage('');
+  };
+  
   return (
     <SafeAreaView style={styles.container}>
       <KeyboardAvoidingView
@@ -131,6 +192,32 @@ const LoginScreen = ({ navigation }) => {
           {errorMessage ? (
             <View style={styles.errorContainer}>
               <Text style={styles.errorText}>{errorMessage}</Text>
+              {unverifiedEmail && (
+                <TouchableOpacity
+                  style={styles.resendButton}
+                  onPress={handleResendVerification}
+                  disabled={isResending}
+                >
+                  {isResending ? (
+                    <ActivityIndicator size="small" color="#3C6E47" />
+                  ) : (
+                    <Text style={styles.resendButtonText}>Resend verification email</Text>
+                  )}
+                </TouchableOpacity>
+              )}
+            </View>
+          ) : null}
+          
+          {pendingLink ? (
+            <View style={styles.linkContainer}>
+              <Text style={styles.linkText}>
+                {pendingLink.email
+                  ? `An account with ${pendingLink.email} already exists. Enter its password to link your ${pendingLink.provider === 'google' ? 'Google' : 'Apple'} sign-in.`
+                  : `Enter the email and password of your existing account to link your ${pendingLink.provider === 'google' ? 'Google' : 'Apple'} sign-in.`}
+              </Text>
+              <TouchableOpacity onPress={handleCancelLink} disabled={isLoading}>
+                <Text style={styles.linkCancelText}>Cancel</Text>
+              </TouchableOpacity>
             </View>
           ) : null}
           
@@ -145,7 +232,7 @@ const LoginScreen = ({ navigation }) => {
               autoCorrect={false}
               keyboardType="email-address"
               returnKeyType="next"
-              editable={!isLoading}
+              editable={!isLoading && !(pendingLink && pendingLink.email)}
             />
           </View>
           
@@ -190,7 +277,7 @@ const LoginScreen = ({ navigation }) => {
             {isLoading ? (
               <ActivityIndicator size="small" color="#fff" />
             ) : (
-              <Text style={styles.loginButtonText}>Log In</Text>
+              <Text style={styles.loginButtonText}>{pendingLink ? 'Link Account' : 'Log In'}</Text>
             )}
           </TouchableOpacity>
           
@@ -203,21 +290,23 @@ const LoginScreen = ({ navigation }) => {
           <View style={styles.socialButtonsContainer}>
             <TouchableOpacity
               style={styles.socialButton}
-              onPress={handleGoogleSignIn}
+              onPress={() => handleSocialSignIn('google')}
               disabled={isLoading}
             >
               <Ionicons name="logo-google" size={20} color="#DB4437" />
               <Text style={styles.socialButtonText}>Google</Text>
             </TouchableOpacity>
             
-            <TouchableOpacity
-              style={styles.socialButton}
-              onPress={handleAppleSignIn}
-              disabled={isLoading}
-            >
-              <Ionicons name="logo-apple" size={20} color="#000" />
-              <Text style={styles.socialButtonText}>Apple</Text>
-            </TouchableOpacity>
+            {appleSignInAvailable && (
+              <TouchableOpacity
+                style={styles.socialButton}
+                onPress={() => handleSocialSignIn('apple')}
+                disabled={isLoading}
+              >
+                <Ionicons name="logo-apple" size={20} color="#000" />
+                <Text style={styles.socialButtonText}>Apple</Text>
+              </TouchableOpacity>
+            )}
           </View>
         </View>
         
@@ -278,6 +367,31 @@ const styles = StyleSheet.create({
     color: '#C62828',
     fontSize: 14,
   },
+  resendButton: {
+    marginTop: 8,
+    alignSelf: 'flex-start',
+  },
+  resendButtonText: {
+    color: '#3C6E47',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  linkContainer: {
+    backgroundColor: '#E8F5E9',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 16,
+  },
+  linkText: {
+    color: '#2E5A3A',
+    fontSize: 14,
+    marginBottom: 8,
+  },
+  linkCancelText: {
+    color: '#3C6E47',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
   inputContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -350,7 +464,8 @@ const styles = StyleSheet.create({
     borderRadius: 8,
     height: 50,
     paddingHorizontal: 16,
-    width: '48%',
+    flex: 1,
+    marginHorizontal: 4,
   },
   socialButtonText: {
     fontSize: 14,
@@ -0,0 +1,525 @@
+// NotificationInboxScreen.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  FlatList,
+  Image,
+  ActivityIndicator,
+  RefreshControl,
+  Alert
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useNavigation } from '@react-navigation/native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Swipeable } from 'react-native-gesture-handler';
+import notificationClient, {
+  getStoredInbox,
+  getNotificationTarget,
+  NOTIFICATION_TYPE
+} from '../../functions/trailtrades_notifications';
+
+const NotificationInboxScreen = () => {
+  const navigation = useNavigation();
+  
+  // State variables
+  const [notifications, setNotifications] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [error, setError] = useState(null);
+  const [offline, setOffline] = useState(false); // showing notifications stored on the device
+  const [unreadCount, setUnreadCount] = useState(0);
+  
+  // Load inbox on mount, showing stored notifications while the server responds
+  useEffect(() => {
+    getStoredInbox().then(stored => {
+      setNotifications(prev => prev.length === 0 ? stored : prev);
+      
+      if (stored.length > 0) {
+        setLoading(false);
+      }
+    });
+    
+    loadInbox();
+  }, []);
+  
+  // Follow the unread count; reload when new notifications arrive
+  useEffect(() => {
+    let previousCount = null;
+    
+    return notificationClient.subscribe(state => {
+      setUnreadCount(state.unreadCount);
+      
+      if (previousCount !== null && state.unreadCount > previousCount) {
+        loadInbox();
+      }
+      
+      previousCount = state.unreadCount;
+    });
+  }, []);
+  
+  // Header actions
+  useEffect(() => {
+    navigation.setOptions({
+      headerRight: () => (
+        <TouchableOpacity
+          style={styles.headerButton}
+          onPress={() => navigation.navigate('NotificationSettings')}
+        >
+          <Ionicons name="settings-outline" size={22} color="#fff" />
+        </TouchableOpacity>
+      )
+    });
+  }, [navigation]);
+  
+  // Load first page of the inbox
+  const loadInbox = async () => {
+    setError(null);
+    
+    try {
+      const page = await notificationClient.getInbox();
+      
+      setNotifications(page.notifications);
+      setNextCursor(page.nextCursor);
+      setOffline(false);
+    } catch (err) {
+      console.error('Error loading notifications:', err);
+      
+      if (err.isNetworkError) {
+        setOffline(true);
+      } else {
+        setError('Failed to load notifications. Please try again.');
+      }
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  };
+  
+  // Load next page when the list is scrolled to the end
+  const loadMoreNotifications = async () => {
+    if (!nextCursor || loadingMore || loading || offline) return;
+    
+    setLoadingMore(true);
+    
+    try {
+      const page = await notificationClient.getInbox({ cursor: nextCursor });
+      
+      // Skip notifications already shown (new ones shift the pages while scrolling)
+      setNotifications(prev => {
+        const seen = new Set(prev.map(notification => notification.id));
+        return [...prev, ...page.notifications.filter(notification => !seen.has(notification.id))];
+      });
+      setNextCursor(page.nextCursor);
+    } catch (err) {
+      console.error('Error loading more notifications:', err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+  
+  // Handle refresh
+  const handleRefresh = () => {
+    setRefreshing(true);
+    loadInbox();
+  };
+  
+  // Open what a notification is about, marking it read
+  const handleOpenNotification = (notification) => {
+    if (!notification.read) {
+      setNotifications(prev => prev.map(item => item.id === notification.id ? { ...item, read: true } : item));
+      notificationClient.markRead([notification.id]);
+    }
+    
+    const target = getNotificationTarget(notification);
+    
+    if (target) {
+      navigation.navigate(target.screen, target.params);
+    }
+  };
+  
+  // Clear a notification after it was swiped away
+  const handleClearNotification = async (notification) => {
+    const previous = notifications;
+    
+    setNotifications(prev => prev.filter(item => item.id !== notification.id));
+    
+    try {
+      await notificationClient.deleteNotification(notification.id);
+    } catch (err) {
+      console.error('Error clearing notification:', err);
+      setNotifications(previous);
+      Alert.alert('Error', err.message || 'Failed to clear notification. Please try again.');
+    }
+  };
+  
+  // Mark every notification read
+  const handleMarkAllRead = () => {
+    setNotifications(prev => prev.map(item => ({ ...item, read: true })));
+    notificationClient.markRead();
+  };
+  
+  // Clear the whole inbox
+  const handleClearAll = () => {
+    Alert.alert(
+      'Clear All Notifications',
+      'Remove every notification from your inbox?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Clear All',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await notificationClient.clearInbox();
+              setNotifications([]);
+              setNextCursor(null);
+            } catch (err) {
+              console.error('Error clearing notifications:', err);
+              Alert.alert('Error', err.message || 'Failed to clear notifications. Please try again.');
+            }
+          }
+        }
+      ]
+    );
+  };
+  
+  // Format date relative to now
+  const formatDate = (date) => {
+    const minutes = Math.floor((Date.now() - date.getTime()) / 60000);
+    
+    if (minutes < 1) return 'Just now';
+    if (minutes < 60) return `${minutes}m ago`;
+    if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ago`;
+    if (minutes < 7 * 24 * 60) return `${Math.floor(minutes / (24 * 60))}d ago`;
+    
+    return date.toLocaleDateString();
+  };
+  
+  // Get icon and message for a notification
+  const getNotificationDisplay = (notification) => {
+    const data = notification.data;
+    
+    switch (notification.type) {
+      case NOTIFICATION_TYPE.TRADE_REQUEST:
+        return { icon: 'notifications', message: `${data.username} wants to trade for ${data.locationName}` };
+      case NOTIFICATION_TYPE.TRADE_ACCEPTED:
+        return { icon: 'checkmark-circle', message: `${data.username} accepted your trade for ${data.locationName}` };
+      case NOTIFICATION_TYPE.TRADE_DECLINED:
+        return { icon: 'close-circle', message: `${data.username} declined your trade request` };
+      case NOTIFICATION_TYPE.CREDIT_TRADE:
+        return { icon: 'swap-horizontal', message: `You traded ${data.credits} credits for ${data.locationName}` };
+      case NOTIFICATION_TYPE.NEW_LOCATION_NEARBY:
+        return { icon: 'location', message: `${data.locationName} was added near ${data.areaName}` };
+      case NOTIFICATION_TYPE.COMMENT:
+        return { icon: 'chatbubble', message: `${data.username} commented on ${data.locationName}: ${data.commentText}` };
+      default:
+        return { icon: 'information-circle', message: data.message || 'New notification' };
+    }
+  };
+  
+  // Render the action revealed by swiping a row
+  const renderClearAction = () => (
+    <View style={styles.clearAction}>
+      <Ionicons name="trash-outline" size={22} color="#fff" />
+      <Text style={styles.clearActionText}>Clear</Text>
+    </View>
+  );
+  
+  // Render notification item
+  const renderNotificationItem = ({ item }) => {
+    const display = getNotificationDisplay(item);
+    
+    return (
+      <Swipeable
+        renderRightActions={renderClearAction}
+        onSwipeableOpen={() => handleClearNotification(item)}
+      >
+        <TouchableOpacity
+          style={[styles.notificationItem, !item.read ? styles.unreadItem : {}]}
+          onPress={() => handleOpenNotification(item)}
+        >
+          <View style={styles.notificationIconContainer}>
+            <Ionicons name={display.icon} size={20} color="#3C6E47" />
+          </View>
+          
+          <View style={styles.notificationContent}>
+            <Text
+              style={[styles.notificationMessage, !item.read ? styles.unreadMessage : {}]}
+              numberOfLines={2}
+            >
+              {display.message}
+            </Text>
+            <Text style={styles.notificationDate}>{formatDate(item.createdAt)}</Text>
+          </View>
+          
+          {item.data.locationImage ? (
+            <Image source={{ uri: item.data.locationImage }} style={styles.notificationImage} />
+          ) : item.data.userAvatar ? (
+            <Image source={{ uri: item.data.userAvatar }} style={styles.notificationAvatar} />
+          ) : null}
+          
+          {!item.read && <View style={styles.unreadDot} />}
+        </TouchableOpacity>
+      </Swipeable>
+    );
+  };
+  
+  // Render toolbar above the list
+  const renderListHeader = () => {
+    if (notifications.length === 0) return null;
+    
+    return (
+      <View>
+        {offline && (
+          <View style={styles.offlineBanner}>
+            <Ionicons name="cloud-offline-outline" size={16} color="#888" />
+            <Text style={styles.offlineText}>Offline. Showing notifications saved on this device.</Text>
+          </View>
+        )}
+        
+        <View style={styles.listToolbar}>
+          <TouchableOpacity
+            style={styles.toolbarButton}
+            onPress={handleMarkAllRead}
+            disabled={unreadCount === 0 || offline}
+          >
+            <Text style={[styles.toolbarButtonText, unreadCount === 0 || offline ? styles.disabledText : {}]}>
+              Mark all read
+            </Text>
+          </TouchableOpacity>
+          
+          <TouchableOpacity
+            style={styles.toolbarButton}
+            onPress={handleClearAll}
+            disabled={offline}
+          >
+            <Text style={[styles.toolbarButtonText, offline ? styles.disabledText : {}]}>Clear all</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  };
+  
+  return (
+    <SafeAreaView style={styles.container} edges={['bottom']}>
+      {loading && !refreshing ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#3C6E47" />
+          <Text style={styles.loadingText}>Loading notifications...</Text>
+        </View>
+      ) : error ? (
+        <View style={styles.errorContainer}>
+          <Ionicons name="alert-circle-outline" size={48} color="#e74c3c" />
+          <Text style={styles.errorText}>{error}</Text>
+          <TouchableOpacity
+            style={styles.retryButton}
+            onPress={loadInbox}
+          >
+            <Text style={styles.retryButtonText}>Retry</Text>
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <FlatList
+          data={notifications}
+          keyExtractor={item => item.id}
+          renderItem={renderNotificationItem}
+          contentContainerStyle={styles.listContainer}
+          ListHeaderComponent={renderListHeader}
+          onEndReached={loadMoreNotifications}
+          onEndReachedThreshold={0.5}
+          ListFooterComponent={
+            loadingMore ? (
+              <ActivityIndicator size="small" color="#3C6E47" style={styles.loadingMore} />
+            ) : null
+          }
+          refreshControl={
+            <RefreshControl
+              refreshing={refreshing}
+              onRefresh={handleRefresh}
+              colors={['#3C6E47']}
+              tintColor="#3C6E47"
+            />
+          }
+          ListEmptyComponent={
+            <View style={styles.emptyListContainer}>
+              <Ionicons name="notifications-off-outline" size={64} color="#ccc" />
+              <Text style={styles.emptyListTitle}>No notifications</Text>
+              <Text style={styles.emptyListText}>
+                Trade requests, responses and comments on your locations will appear here.
+              </Text>
+            </View>
+          }
+        />
+      )}
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f9f9f9',
+  },
+  headerButton: {
+    paddingHorizontal: 16,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  loadingText: {
+    marginTop: 12,
+    fontSize: 16,
+    color: '#555',
+  },
+  errorContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  errorText: {
+    fontSize: 16,
+    color: '#e74c3c',
+    textAlign: 'center',
+    marginVertical: 12,
+  },
+  retryButton: {
+    backgroundColor: '#3C6E47',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 8,
+  },
+  retryButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  listContainer: {
+    paddingVertical: 12,
+  },
+  offlineBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginHorizontal: 12,
+    marginBottom: 8,
+  },
+  offlineText: {
+    fontSize: 12,
+    color: '#888',
+    marginLeft: 6,
+  },
+  listToolbar: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginHorizontal: 12,
+    marginBottom: 8,
+  },
+  toolbarButton: {
+    marginLeft: 16,
+  },
+  toolbarButtonText: {
+    fontSize: 14,
+    color: '#3C6E47',
+    fontWeight: '600',
+  },
+  disabledText: {
+    color: '#ccc',
+  },
+  loadingMore: {
+    marginVertical: 16,
+  },
+  notificationItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    paddingHorizontal: 12,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  unreadItem: {
+    backgroundColor: '#f0f7f2',
+  },
+  notificationIconContainer: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: '#e8f5e9',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  notificationContent: {
+    flex: 1,
+  },
+  notificationMessage: {
+    fontSize: 14,
+    color: '#555',
+  },
+  unreadMessage: {
+    color: '#333',
+    fontWeight: '600',
+  },
+  notificationDate: {
+    fontSize: 12,
+    color: '#888',
+    marginTop: 4,
+  },
+  notificationImage: {
+    width: 40,
+    height: 40,
+    borderRadius: 6,
+    marginLeft: 12,
+  },
+  notificationAvatar: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    marginLeft: 12,
+  },
+  unreadDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#3C6E47',
+    marginLeft: 8,
+  },
+  clearAction: {
+    backgroundColor: '#e74c3c',
+    justifyContent: 'center',
+    alignItems: 'center',
+    width: 88,
+  },
+  clearActionText: {
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: '600',
+    marginTop: 2,
+  },
+  emptyListContainer: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 32,
+  },
+  emptyListTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#555',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  emptyListText: {
+    fontSize: 14,
+    color: '#888',
+    textAlign: 'center',
+  },
+});
+
+export default NotificationInboxScreen;
\ No newline at end of file
@@ -0,0 +1,225 @@
+// NotificationSettingsScreen.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Switch,
+  ScrollView,
+  ActivityIndicator,
+  TouchableOpacity,
+  Alert
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import {
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  NOTIFICATION_PREFERENCE
+} from '../../functions/trailtrades_notifications';
+
+// Preferences shown in settings, in display order
+const PREFERENCE_OPTIONS = [
+  {
+    id: NOTIFICATION_PREFERENCE.TRADE_REQUESTS,
+    icon: 'notifications-outline',
+    label: 'Trade Requests',
+    description: 'When someone wants to trade for one of your locations'
+  },
+  {
+    id: NOTIFICATION_PREFERENCE.TRADE_RESPONSES,
+    icon: 'checkmark-circle-outline',
+    label: 'Trade Responses',
+    description: 'When your trade requests are accepted or declined'
+  },
+  {
+    id: NOTIFICATION_PREFERENCE.NEARBY_LOCATIONS,
+    icon: 'location-outline',
+    label: 'New Locations Nearby',
+    description: 'When a location is added near one of your saved areas'
+  },
+  {
+    id: NOTIFICATION_PREFERENCE.COMMENTS,
+    icon: 'chatbubble-outline',
+    label: 'Comments',
+    description: 'When someone comments on one of your locations'
+  }
+];
+
+const NotificationSettingsScreen = () => {
+  // State variables
+  const [preferences, setPreferences] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(null); // preference being saved
+  
+  // Load preferences on mount
+  useEffect(() => {
+    loadPreferences();
+  }, []);
+  
+  // Load preferences from the server
+  const loadPreferences = async () => {
+    setLoading(true);
+    setError(null);
+    
+    try {
+      setPreferences(await getNotificationPreferences({ refresh: true }));
+    } catch (err) {
+      console.error('Error loading notification preferences:', err);
+      setError('Failed to load notification settings. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  // Turn a notification type on or off
+  const handleToggle = async (id, value) => {
+    const previous = preferences;
+    
+    setPreferences(prev => ({ ...prev, [id]: value }));
+    setSaving(id);
+    
+    try {
+      setPreferences(await updateNotificationPreferences({ [id]: value }));
+    } catch (err) {
+      console.error('Error saving notification preferences:', err);
+      setPreferences(previous);
+      Alert.alert('Error', err.message || 'Failed to save notification settings. Please try again.');
+    } finally {
+      setSaving(null);
+    }
+  };
+  
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#3C6E47" />
+      </View>
+    );
+  }
+  
+  if (error) {
+    return (
+      <View style={styles.errorContainer}>
+        <Ionicons name="alert-circle-outline" size={48} color="#e74c3c" />
+        <Text style={styles.errorText}>{error}</Text>
+        <TouchableOpacity
+          style={styles.retryButton}
+          onPress={loadPreferences}
+        >
+          <Text style={styles.retryButtonText}>Retry</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+  
+  return (
+    <SafeAreaView style={styles.container} edges={['bottom']}>
+      <ScrollView>
+        <Text style={styles.sectionTitle}>Notify me about</Text>
+        
+        <View style={styles.section}>
+          {PREFERENCE_OPTIONS.map(option => (
+            <View key={option.id} style={styles.switchRow}>
+              <Ionicons name={option.icon} size={24} color="#555" />
+              <View style={styles.switchLabelContainer}>
+                <Text style={styles.switchLabel}>{option.label}</Text>
+                <Text style={styles.switchDescription}>{option.description}</Text>
+              </View>
+              <Switch
+                value={preferences[option.id]}
+                onValueChange={(value) => handleToggle(option.id, value)}
+                disabled={saving !== null}
+                trackColor={{ false: "#e0e0e0", true: "#a8d5ba" }}
+                thumbColor={preferences[option.id] ? "#3C6E47" : "#f4f3f4"}
+              />
+            </View>
+          ))}
+        </View>
+        
+        <Text style={styles.footnote}>
+          Confirmations of your own trades are always sent. Turned-off notifications won't appear in your inbox.
+        </Text>
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f9f9f9',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  errorContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  errorText: {
+    fontSize: 16,
+    color: '#e74c3c',
+    textAlign: 'center',
+    marginVertical: 12,
+  },
+  retryButton: {
+    backgroundColor: '#3C6E47',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 8,
+  },
+  retryButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#888',
+    textTransform: 'uppercase',
+    marginTop: 24,
+    marginBottom: 8,
+    marginHorizontal: 16,
+  },
+  section: {
+    backgroundColor: '#fff',
+    borderTopWidth: 1,
+    borderBottomWidth: 1,
+    borderColor: '#e0e0e0',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  switchLabelContainer: {
+    flex: 1,
+    marginHorizontal: 12,
+  },
+  switchLabel: {
+    fontSize: 16,
+    color: '#333',
+  },
+  switchDescription: {
+    fontSize: 12,
+    color: '#888',
+    marginTop: 2,
+  },
+  footnote: {
+    fontSize: 12,
+    color: '#888',
+    margin: 16,
+  },
+});
+
+export default NotificationSettingsScreen;
\ No newline at end of file
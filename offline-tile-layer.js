@@ -0,0 +1,33 @@
+// OfflineTileLayer.js
+import React, { useState, useEffect } from 'react';
+import { LocalTile } from 'react-native-maps';
+import tilePackManager from '../../functions/trailtrades_tilePacks';
+
+// Draws downloaded map tiles over the base map, so a MapView still has a map without
+// signal. Render it as a child of the MapView; it renders nothing until a pack has tiles.
+const OfflineTileLayer = () => {
+  const [tileTemplate, setTileTemplate] = useState(tilePackManager.getTileTemplate());
+  
+  // Follow packs being downloaded and deleted
+  useEffect(() => {
+    const unsubscribe = tilePackManager.subscribe(() => {
+      setTileTemplate(tilePackManager.getTileTemplate());
+    });
+    
+    return unsubscribe;
+  }, []);
+  
+  if (!tileTemplate) {
+    return null;
+  }
+  
+  return (
+    <LocalTile
+      pathTemplate={tileTemplate}
+      tileSize={256}
+      zIndex={-1}
+    />
+  );
+};
+
+export default OfflineTileLayer;
\ No newline at end of file
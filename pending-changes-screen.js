@@ -0,0 +1,293 @@
+// PendingChangesScreen.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  FlatList,
+  ActivityIndicator,
+  RefreshControl,
+  Alert
+} from 'react-native';
+import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import {
+  subscribeOutbox,
+  syncOutbox,
+  resolveOutboxEntry,
+  OUTBOX_OPERATION,
+  OUTBOX_STATUS,
+  CONFLICT_RESOLUTION
+} from '../../functions/trailtrades_outbox';
+
+// Display details per queued operation
+const OPERATION_DISPLAY = {
+  [OUTBOX_OPERATION.CREATE_LOCATION]: { icon: 'map-marker-plus', label: 'New location' },
+  [OUTBOX_OPERATION.CREATE_TRAIL]: { icon: 'map-marker-path', label: 'New trail' },
+  [OUTBOX_OPERATION.UPLOAD_MEDIA]: { icon: 'image-plus', label: 'Photo or video' }
+};
+
+const PendingChangesScreen = () => {
+  // State variables
+  const [entries, setEntries] = useState([]);
+  const [syncing, setSyncing] = useState(false);
+  const [lastSyncedAt, setLastSyncedAt] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [resolvingId, setResolvingId] = useState(null);
+  
+  // Follow the outbox
+  useEffect(() => {
+    return subscribeOutbox(state => {
+      setEntries(state.entries);
+      setSyncing(state.syncing);
+      setLastSyncedAt(state.lastSyncedAt);
+      setLoading(false);
+    });
+  }, []);
+  
+  // Sync now
+  const handleSync = async () => {
+    try {
+      const result = await syncOutbox();
+      
+      if (result.remaining > 0 && result.synced === 0 && result.needsAttention === 0) {
+        Alert.alert('Still Offline', "Your changes will sync when you're back online.");
+      }
+    } catch (err) {
+      console.error('Outbox sync error:', err);
+      Alert.alert('Error', 'Failed to sync your changes. Please try again.');
+    }
+  };
+  
+  // Resolve a conflicting or failed change
+  const handleResolve = async (entry, resolution) => {
+    setResolvingId(entry.id);
+    
+    try {
+      await resolveOutboxEntry(entry.id, resolution);
+    } catch (err) {
+      console.error('Outbox resolution error:', err);
+      Alert.alert('Error', err.message || 'Failed to update this change. Please try again.');
+    } finally {
+      setResolvingId(null);
+    }
+  };
+  
+  // Confirm discarding a change (and what was added to it offline)
+  const confirmDiscard = (entry) => {
+    Alert.alert(
+      'Discard Change',
+      `"${entry.label}" will be removed from this device, along with anything added to it while offline.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Discard',
+          style: 'destructive',
+          onPress: () => handleResolve(entry, CONFLICT_RESOLUTION.DISCARD)
+        }
+      ]
+    );
+  };
+  
+  // Describe an entry's status
+  const getStatusText = (entry) => {
+    switch (entry.status) {
+      case OUTBOX_STATUS.SYNCING:
+        return 'Syncing...';
+      case OUTBOX_STATUS.CONFLICT:
+        return entry.error || 'Conflicts with a change on the server';
+      case OUTBOX_STATUS.FAILED:
+        return entry.error || "Couldn't be synced";
+      default:
+        return 'Waiting for connection';
+    }
+  };
+  
+  // Render a queued change
+  const renderEntry = ({ item }) => {
+    const display = OPERATION_DISPLAY[item.operation] || { icon: 'cloud-upload-outline', label: 'Change' };
+    const needsAttention = item.status === OUTBOX_STATUS.CONFLICT || item.status === OUTBOX_STATUS.FAILED;
+    const hasServerCopy = Boolean(item.conflict && item.conflict.details && item.conflict.details.existingId);
+    
+    return (
+      <View style={styles.entryCard}>
+        <View style={styles.entryHeader}>
+          <MaterialCommunityIcons name={display.icon} size={24} color="#3C6E47" />
+          <View style={styles.entryInfo}>
+            <Text style={styles.entryLabel} numberOfLines={1}>{item.label || display.label}</Text>
+            <Text style={styles.entryMeta}>
+              {display.label} • {new Date(item.createdAt).toLocaleDateString()}
+            </Text>
+          </View>
+          {item.status === OUTBOX_STATUS.SYNCING && (
+            <ActivityIndicator size="small" color="#3C6E47" />
+          )}
+        </View>
+        
+        <Text style={[styles.entryStatus, needsAttention ? styles.entryStatusError : {}]}>
+          {getStatusText(item)}
+        </Text>
+        
+        {needsAttention && (
+          <View style={styles.entryActions}>
+            {resolvingId === item.id ? (
+              <ActivityIndicator size="small" color="#3C6E47" />
+            ) : (
+              <>
+                <TouchableOpacity
+                  style={styles.actionButton}
+                  onPress={() => handleResolve(item, CONFLICT_RESOLUTION.RETRY)}
+                >
+                  <Text style={styles.actionButtonText}>Try Again</Text>
+                </TouchableOpacity>
+                
+                {hasServerCopy && (
+                  <TouchableOpacity
+                    style={styles.actionButton}
+                    onPress={() => handleResolve(item, CONFLICT_RESOLUTION.USE_SERVER)}
+                  >
+                    <Text style={styles.actionButtonText}>Keep Server Version</Text>
+                  </TouchableOpacity>
+                )}
+                
+                <TouchableOpacity
+                  style={styles.actionButton}
+                  onPress={() => confirmDiscard(item)}
+                >
+                  <Text style={[styles.actionButtonText, styles.discardText]}>Discard</Text>
+                </TouchableOpacity>
+              </>
+            )}
+          </View>
+        )}
+      </View>
+    );
+  };
+  
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#3C6E47" />
+      </View>
+    );
+  }
+  
+  return (
+    <SafeAreaView style={styles.container} edges={['bottom']}>
+      <FlatList
+        data={entries}
+        renderItem={renderEntry}
+        keyExtractor={item => item.id}
+        contentContainerStyle={styles.list}
+        refreshControl={
+          <RefreshControl
+            refreshing={syncing}
+            onRefresh={handleSync}
+            colors={['#3C6E47']}
+            tintColor="#3C6E47"
+          />
+        }
+        ListHeaderComponent={
+          entries.length > 0 ? (
+            <Text style={styles.listHeader}>
+              Changes made offline are synced in order when you're back online.
+              {lastSyncedAt ? ` Last checked ${lastSyncedAt.toLocaleTimeString()}.` : ''}
+            </Text>
+          ) : null
+        }
+        ListEmptyComponent={
+          <View style={styles.emptyContainer}>
+            <Ionicons name="cloud-done-outline" size={64} color="#ccc" />
+            <Text style={styles.emptyTitle}>All changes synced</Text>
+          </View>
+        }
+      />
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f9f9f9',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  list: {
+    padding: 12,
+    flexGrow: 1,
+  },
+  listHeader: {
+    fontSize: 12,
+    color: '#888',
+    marginBottom: 8,
+  },
+  entryCard: {
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+  },
+  entryHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  entryInfo: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  entryLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  entryMeta: {
+    fontSize: 12,
+    color: '#888',
+    marginTop: 2,
+  },
+  entryStatus: {
+    fontSize: 14,
+    color: '#555',
+    marginTop: 8,
+  },
+  entryStatusError: {
+    color: '#e74c3c',
+  },
+  entryActions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 8,
+  },
+  actionButton: {
+    paddingVertical: 6,
+    marginRight: 16,
+  },
+  actionButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#3C6E47',
+  },
+  discardText: {
+    color: '#e74c3c',
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  emptyTitle: {
+    fontSize: 16,
+    color: '#888',
+    marginTop: 12,
+  },
+});
+
+export default PendingChangesScreen;
\ No newline at end of file
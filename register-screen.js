@@ -1,5 +1,5 @@
 // RegisterScreen.js
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   View,
   Text,
@@ -14,7 +14,12 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { SafeAreaView } from 'react-native-safe-area-context';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  trailtrades_registerUser,
+  PASSWORD_RULES,
+  validatePassword,
+  checkUsernameAvailability
+} from '../../functions/trailtrades_registerUser';
 
 const RegisterScreen = ({ navigation }) => {
   // State variables
@@ -28,15 +33,47 @@ const RegisterScreen = ({ navigation }) => {
   const [isLoading, setIsLoading] = useState(false);
   const [errorMessage, setErrorMessage] = useState('');
   const [acceptedTerms, setAcceptedTerms] = useState(false);
+  const [usernameStatus, setUsernameStatus] = useState('idle'); // 'idle', 'checking', 'available', 'taken', 'error'
+  const [usernameSuggestions, setUsernameSuggestions] = useState([]);
   
-  // Password validation rules
-  const passwordRules = [
-    { label: 'At least 8 characters', regex: /.{8,}/ },
-    { label: 'At least one uppercase letter', regex: /[A-Z]/ },
-    { label: 'At least one lowercase letter', regex: /[a-z]/ },
-    { label: 'At least one number', regex: /[0-9]/ },
-    { label: 'At least one special character', regex: /[!@#$%^&*]/ }
-  ];
+  // Password validation rules (shared with the registration module)
+  const passwordRules = PASSWORD_RULES;
+  
+  // Check username availability on the server as the user types
+  useEffect(() => {
+    const trimmed = username.trim();
+    
+    if (!/^[a-zA-Z0-9_]{3,}$/.test(trimmed)) {
+      setUsernameStatus('idle');
+      setUsernameSuggestions([]);
+      return;
+    }
+    
+    let cancelled = false;
+    setUsernameStatus('checking');
+    
+    // Debounce requests while typing
+    const timer = setTimeout(async () => {
+      try {
+        const result = await checkUsernameAvailability(trimmed);
+        
+        if (!cancelled) {
+          setUsernameStatus(result.available ? 'available' : 'taken');
+          setUsernameSuggestions(result.suggestions);
+        }
+      } catch (error) {
+        if (!cancelled) {
+          console.error('Username check error:', error);
+          setUsernameStatus('error');
+        }
+      }
+    }, 500);
+    
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [username]);
   
   // Check if password meets each rule
   const checkPasswordRule = (rule) => {
@@ -65,8 +102,14 @@ const RegisterScreen = ({ navigation }) => {
       return false;
     }
     
+    // Check if username is still available
+    if (usernameStatus === 'taken') {
+      setErrorMessage('That username is already taken');
+      return false;
+    }
+    
     // Check if password meets all rules
-    const passwordValid = passwordRules.every(rule => checkPasswordRule(rule));
+    const passwordValid = validatePassword(password).valid;
     if (!passwordValid) {
       setErrorMessage('Password does not meet all requirements');
       return false;
@@ -98,17 +141,22 @@ const RegisterScreen = ({ navigation }) => {
     setErrorMessage('');
     
     try {
-      // In a real app, this would call an API to register the user
-      // For now, simulate a registration process
+      // Create account (stores the session securely)
+      const result = await trailtrades_registerUser('email', {
+        fullName: fullName.trim(),
+        username: username.trim(),
+        email: email.trim(),
+        password,
+        acceptedTerms
+      });
       
-      // Simulate API call with setTimeout
-      await new Promise(resolve => setTimeout(resolve, 1500));
-      
-      // Mock successful registration
-      const mockToken = 'mock_auth_token_' + Date.now();
-      
-      // Store mock token
-      await AsyncStorage.setItem('trailtrades_auth_token', mockToken);
+      // Let the user know a confirmation email is on its way
+      if (result.emailVerification.status === 'pending') {
+        Alert.alert(
+          'Verify Your Email',
+          `We've sent a confirmation link to ${result.emailVerification.email || email.trim()}. Please verify your email to start trading locations.`
+        );
+      }
       
       // Navigate to main app
       navigation.replace('Main');
@@ -178,8 +226,24 @@ const RegisterScreen = ({ navigation }) => {
                 returnKeyType="next"
                 editable={!isLoading}
               />
+              {usernameStatus === 'checking' && (
+                <ActivityIndicator size="small" color="#888" />
+              )}
+              {usernameStatus === 'available' && (
+                <Ionicons name="checkmark-circle" size={20} color="#27AE60" />
+              )}
+              {usernameStatus === 'taken' && (
+                <Ionicons name="close-circle" size={20} color="#C62828" />
+              )}
             </View>
             
+            {usernameStatus === 'taken' && (
+              <Text style={styles.usernameHint}>
+                Username is taken.
+                {usernameSuggestions.length > 0 ? ` Try: ${usernameSuggestions.slice(0, 3).join(', ')}` : ''}
+              </Text>
+            )}
+            
             <View style={styles.inputContainer}>
               <Ionicons name="mail-outline" size={20} color="#555" style={styles.inputIcon} />
               <TextInput
@@ -399,6 +463,12 @@ const styles = StyleSheet.create({
   eyeIcon: {
     padding: 8,
   },
+  usernameHint: {
+    color: '#C62828',
+    fontSize: 13,
+    marginTop: -8,
+    marginBottom: 16,
+  },
   passwordRulesContainer: {
     backgroundColor: '#f5f5f5',
     borderRadius: 8,
@@ -1,5 +1,5 @@
 // SavedLocationsScreen.js
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import {
   View,
   Text,
@@ -15,6 +15,9 @@ import {
 import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons';
 import { useNavigation, useFocusEffect } from '@react-navigation/native';
 import { SafeAreaView } from 'react-native-safe-area-context';
+import { queryStoredLocations } from '../../functions/trailtrades_locationVault';
+import { trailtrades_searchLocations } from '../../functions/trailtrades_searchLocations';
+import HighlightedText from '../../components/HighlightedText';
 
 const SavedLocationsScreen = () => {
   const navigation = useNavigation();
@@ -29,6 +32,10 @@ const SavedLocationsScreen = () => {
   const [activeCategory, setActiveCategory] = useState('all'); // 'all', 'hiking', 'camping', etc.
   const [userLocation, setUserLocation] = useState(null);
   const [error, setError] = useState(null);
+  const [offline, setOffline] = useState(false);
+  const [storedLocationIds, setStoredLocationIds] = useState([]); // locations available offline
+  const [textMatches, setTextMatches] = useState(null); // highlights by location ID from the server search
+  const textSearchRequestRef = useRef(0);
   
   // Get or refresh saved locations when screen comes into focus
   useFocusEffect(
@@ -44,15 +51,50 @@ const SavedLocationsScreen = () => {
     }, [])
   );
   
+  // Search saved locations on the server as the query changes (debounced); its matches are
+  // added to those found on the device (see filterLocations)
+  useEffect(() => {
+    const requestId = ++textSearchRequestRef.current;
+    setTextMatches(null);
+    
+    if (!searchQuery.trim() || offline) {
+      return;
+    }
+    
+    const timer = setTimeout(async () => {
+      try {
+        const results = await trailtrades_searchLocations({
+          query: searchQuery,
+          favorited: true,
+          viewType: 'list',
+          limit: 50
+        });
+        
+        // Ignore responses for a query that has since changed
+        if (requestId === textSearchRequestRef.current) {
+          setTextMatches(results.locations.reduce((matches, location) => ({
+            ...matches,
+            [location.id]: location.highlights || {}
+          }), {}));
+        }
+      } catch (err) {
+        console.error('Error searching saved locations:', err);
+      }
+    }, 300);
+    
+    return () => clearTimeout(timer);
+  }, [searchQuery, offline]);
+  
   // Filter locations when search query or category changes
   useEffect(() => {
     filterLocations();
-  }, [searchQuery, activeCategory, savedLocations, sortBy]);
+  }, [searchQuery, activeCategory, savedLocations, sortBy, textMatches]);
   
   // Fetch saved locations
   const loadSavedLocations = async () => {
     setLoading(true);
     setError(null);
+    loadStoredLocationIds();
     
     try {
       // In a real app, this would be an API call to fetch user's saved locations
@@ -139,17 +181,56 @@ const SavedLocationsScreen = () => {
         ];
         
         setSavedLocations(mockSavedLocations);
+        setOffline(false);
         setLoading(false);
         setRefreshing(false);
       }, 1000);
     } catch (err) {
       console.error('Error loading saved locations:', err);
-      setError('Failed to load saved locations. Please try again.');
+      
+      // Without connectivity, list the locations saved on this device
+      if (err.isNetworkError) {
+        await loadOfflineLocations();
+      } else {
+        setError('Failed to load saved locations. Please try again.');
+      }
+      
       setLoading(false);
       setRefreshing(false);
     }
   };
   
+  // Load which locations are saved in the offline vault
+  const loadStoredLocationIds = async () => {
+    try {
+      const storedLocations = await queryStoredLocations();
+      setStoredLocationIds(storedLocations.map(location => location.id));
+    } catch (err) {
+      console.error('Error loading offline locations:', err);
+    }
+  };
+  
+  // List the locations saved in the offline vault
+  const loadOfflineLocations = async () => {
+    try {
+      const storedLocations = await queryStoredLocations();
+      
+      setSavedLocations(storedLocations.map(location => ({
+        ...location,
+        description: location.description || '',
+        categories: location.categories || [],
+        photoUrl: location.photoUrl || null,
+        dateAdded: location.offline.storedAt,
+        tradeType: location.privacyLevel || 'trade'
+      })));
+      setStoredLocationIds(storedLocations.map(location => location.id));
+      setOffline(true);
+    } catch (err) {
+      console.error('Error loading offline locations:', err);
+      setError("You're offline and no locations are saved on this device.");
+    }
+  };
+  
   // Get user's current location
   const getUserLocation = async () => {
     try {
@@ -169,13 +250,19 @@ const SavedLocationsScreen = () => {
   const filterLocations = () => {
     let filtered = [...savedLocations];
     
-    // Apply search filter
+    // Apply search filter: server matches (fuzzy, tags) plus local matches, so the server's
+    // result limit can't drop saved locations
     if (searchQuery) {
       const query = searchQuery.toLowerCase();
-      filtered = filtered.filter(location => 
-        location.name.toLowerCase().includes(query) ||
-        location.description.toLowerCase().includes(query)
-      );
+      filtered = filtered
+        .filter(location =>
+          Boolean(textMatches && textMatches[location.id]) ||
+          location.name.toLowerCase().includes(query) ||
+          location.description.toLowerCase().includes(query)
+        )
+        .map(location => textMatches && textMatches[location.id]
+          ? { ...location, highlights: textMatches[location.id] }
+          : location);
     }
     
     // Apply category filter
@@ -309,13 +396,23 @@ const SavedLocationsScreen = () => {
           
           <View style={styles.locationInfo}>
             <View style={styles.locationHeader}>
-              <Text style={styles.locationName} numberOfLines={1}>{item.name}</Text>
+              <HighlightedText
+                style={styles.locationName}
+                numberOfLines={1}
+                segments={item.highlights && item.highlights.name}
+              >
+                {item.name}
+              </HighlightedText>
               <Ionicons name={getPrivacyIcon(item.tradeType)} size={16} color="#888" />
             </View>
             
-            <Text style={styles.locationDescription} numberOfLines={2}>
+            <HighlightedText
+              style={styles.locationDescription}
+              numberOfLines={2}
+              segments={item.highlights && item.highlights.snippet}
+            >
               {item.description}
-            </Text>
+            </HighlightedText>
             
             <View style={styles.locationCategories}>
               {item.categories.map(category => (
@@ -330,6 +427,13 @@ const SavedLocationsScreen = () => {
             <View style={styles.locationFooter}>
               <Text style={styles.dateAdded}>Saved {formatDate(item.dateAdded)}</Text>
               
+              {storedLocationIds.includes(item.id) && (
+                <View style={styles.offlineTag}>
+                  <Ionicons name="cloud-done-outline" size={14} color="#3C6E47" />
+                  <Text style={styles.offlineTagText}>Offline</Text>
+                </View>
+              )}
+              
               {userLocation && item.distance && (
                 <Text style={styles.distanceText}>
                   {item.distance.toFixed(1)} mi away
@@ -481,6 +585,13 @@ const SavedLocationsScreen = () => {
       {/* Sort Options */}
       {renderSortOptions()}
       
+      {offline && (
+        <View style={styles.offlineBanner}>
+          <Ionicons name="cloud-offline-outline" size={16} color="#888" />
+          <Text style={styles.offlineText}>Offline. Showing locations saved on this device.</Text>
+        </View>
+      )}
+      
       {/* Location List */}
       {loading && !refreshing ? (
         <View style={styles.loadingContainer}>
@@ -707,6 +818,26 @@ const styles = StyleSheet.create({
     color: '#3C6E47',
     fontWeight: '600',
   },
+  offlineTag: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  offlineTagText: {
+    fontSize: 12,
+    color: '#3C6E47',
+    marginLeft: 4,
+  },
+  offlineBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+  },
+  offlineText: {
+    fontSize: 12,
+    color: '#888',
+    marginLeft: 6,
+  },
   removeButton: {
     justifyContent: 'center',
     paddingLeft: 8,
@@ -1,5 +1,5 @@
 // TradeHistoryScreen.js
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -8,132 +8,165 @@ import {
   FlatList,
   Image,
   ActivityIndicator,
-  RefreshControl
+  RefreshControl,
+  ScrollView,
+  Alert
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { useNavigation } from '@react-navigation/native';
+import { useNavigation, useRoute } from '@react-navigation/native';
 import { SafeAreaView } from 'react-native-safe-area-context';
+import { trailtrades_getTradeHistory } from '../../functions/trailtrades_getTradeHistory';
+import { trailtrades_exportTradeHistory } from '../../functions/trailtrades_exportTradeHistory';
+
+// Status filter options
+const STATUS_FILTERS = [
+  { id: 'all', label: 'All Statuses' },
+  { id: 'completed', label: 'Completed' },
+  { id: 'cancelled', label: 'Cancelled' },
+  { id: 'declined', label: 'Declined' },
+  { id: 'expired', label: 'Expired' }
+];
+
+// Date range filter options (days back from today)
+const DATE_RANGE_FILTERS = [
+  { id: 'all', label: 'All Time', days: null },
+  { id: '30d', label: 'Last 30 Days', days: 30 },
+  { id: '90d', label: 'Last 90 Days', days: 90 },
+  { id: '365d', label: 'Last Year', days: 365 }
+];
 
 const TradeHistoryScreen = () => {
   const navigation = useNavigation();
+  const route = useRoute();
+  const routeParams = route.params || {};
   
   // State variables
   const [tradeHistory, setTradeHistory] = useState([]);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [totals, setTotals] = useState(null);
   const [activeTab, setActiveTab] = useState('all'); // 'all', 'credit', 'direct'
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [dateRangeFilter, setDateRangeFilter] = useState('all');
+  const [counterparty, setCounterparty] = useState(
+    routeParams.counterpartyId ? { id: routeParams.counterpartyId, username: routeParams.counterpartyName } : null
+  );
+  const [locationFilter, setLocationFilter] = useState(
+    routeParams.locationId ? { id: routeParams.locationId, name: routeParams.locationName } : null
+  );
   const [error, setError] = useState(null);
+  const [exporting, setExporting] = useState(false);
   
-  // Fetch trade history on component mount
+  // Ignore responses for filters that are no longer selected
+  const requestIdRef = useRef(0);
+  
+  // Fetch trade history on mount and whenever filters change
   useEffect(() => {
     loadTradeHistory();
-  }, []);
+  }, [activeTab, statusFilter, dateRangeFilter, counterparty, locationFilter]);
+  
+  // Build server-side filters from the current selection
+  const buildFilters = () => {
+    const dateRange = DATE_RANGE_FILTERS.find(range => range.id === dateRangeFilter);
+    
+    return {
+      type: activeTab === 'all' ? undefined : activeTab,
+      status: statusFilter === 'all' ? undefined : statusFilter,
+      counterpartyId: counterparty ? counterparty.id : undefined,
+      locationId: locationFilter ? locationFilter.id : undefined,
+      from: dateRange && dateRange.days ? new Date(Date.now() - dateRange.days * 24 * 60 * 60 * 1000) : undefined
+    };
+  };
   
-  // Load trade history
+  // Load first page of trade history
   const loadTradeHistory = async () => {
+    const requestId = ++requestIdRef.current;
+    
     setLoading(true);
     setError(null);
     
     try {
-      // For demo purposes, use mock data
-      // In a real app, this would be an API call
-      setTimeout(() => {
-        const mockTradeHistory = [
-          {
-            id: 'trade1',
-            type: 'credit',
-            status: 'completed',
-            creditAmount: 15,
-            location: {
-              id: 'loc1',
-              name: 'Mountain Overlook',
-              photoUrl: 'https://via.placeholder.com/100'
-            },
-            timestamp: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000) // 2 days ago
-          },
-          {
-            id: 'trade2',
-            type: 'direct',
-            status: 'completed',
-            offeredLocation: {
-              id: 'myloc1',
-              name: 'Desert Canyon Trail',
-              photoUrl: 'https://via.placeholder.com/100'
-            },
-            receivedLocation: {
-              id: 'loc3',
-              name: 'Hidden Hot Springs',
-              photoUrl: 'https://via.placeholder.com/100'
-            },
-            otherUser: {
-              id: 'user3',
-              username: 'adventureseeker',
-              avatarUrl: 'https://via.placeholder.com/50'
-            },
-            timestamp: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) // 7 days ago
-          },
-          {
-            id: 'trade3',
-            type: 'credit',
-            status: 'completed',
-            creditAmount: 20,
-            location: {
-              id: 'loc4',
-              name: 'Secret Waterfall',
-              photoUrl: 'https://via.placeholder.com/100'
-            },
-            timestamp: new Date(Date.now() - 14 * 24 * 60 * 60 * 1000) // 14 days ago
-          },
-          {
-            id: 'trade4',
-            type: 'direct',
-            status: 'cancelled',
-            offeredLocation: {
-              id: 'myloc2',
-              name: 'Forest Creek Campsite',
-              photoUrl: 'https://via.placeholder.com/100'
-            },
-            requestedLocation: {
-              id: 'loc5',
-              name: 'Alpine Lake',
-              photoUrl: 'https://via.placeholder.com/100'
-            },
-            otherUser: {
-              id: 'user5',
-              username: 'alpinist',
-              avatarUrl: 'https://via.placeholder.com/50'
-            },
-            timestamp: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) // 30 days ago
-          }
-        ];
-        
-        setTradeHistory(mockTradeHistory);
-        setLoading(false);
-        setRefreshing(false);
-      }, 1000);
+      const page = await trailtrades_getTradeHistory(buildFilters());
+      
+      if (requestId !== requestIdRef.current) return;
+      
+      setTradeHistory(page.trades);
+      setNextCursor(page.nextCursor);
+      setTotals(page.totals);
     } catch (err) {
+      if (requestId !== requestIdRef.current) return;
+      
       console.error('Error loading trade history:', err);
       setError('Failed to load trade history. Please try again.');
-      setLoading(false);
-      setRefreshing(false);
+    } finally {
+      if (requestId === requestIdRef.current) {
+        setLoading(false);
+        setRefreshing(false);
+      }
     }
   };
   
+  // Load next page when the list is scrolled to the end
+  const loadMoreTradeHistory = async () => {
+    if (!nextCursor || loadingMore || loading) return;
+    
+    const requestId = requestIdRef.current;
+    
+    setLoadingMore(true);
+    
+    try {
+      const page = await trailtrades_getTradeHistory(buildFilters(), { cursor: nextCursor });
+      
+      if (requestId !== requestIdRef.current) return;
+      
+      // Skip trades already shown (a trade can move between pages while scrolling)
+      setTradeHistory(prev => {
+        const seen = new Set(prev.map(trade => trade.id));
+        return [...prev, ...page.trades.filter(trade => !seen.has(trade.id))];
+      });
+      setNextCursor(page.nextCursor);
+    } catch (err) {
+      console.error('Error loading more trade history:', err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+  
+  // Export trades matching the current filters
+  const handleExport = () => {
+    if (exporting) return;
+    
+    const exportAs = async (format) => {
+      setExporting(true);
+      
+      try {
+        await trailtrades_exportTradeHistory(format, { filters: buildFilters() });
+      } catch (err) {
+        Alert.alert('Export Failed', err.message || 'Failed to export trade history. Please try again.');
+      } finally {
+        setExporting(false);
+      }
+    };
+    
+    Alert.alert(
+      'Export Trade History',
+      'Choose a file format. Trades matching the current filters will be exported.',
+      [
+        { text: 'CSV', onPress: () => exportAs('csv') },
+        { text: 'JSON', onPress: () => exportAs('json') },
+        { text: 'Cancel', style: 'cancel' }
+      ]
+    );
+  };
+  
   // Handle refresh
   const handleRefresh = () => {
     setRefreshing(true);
     loadTradeHistory();
   };
   
-  // Get filtered trade history
-  const getFilteredTradeHistory = () => {
-    if (activeTab === 'all') {
-      return tradeHistory;
-    } else {
-      return tradeHistory.filter(trade => trade.type === activeTab);
-    }
-  };
-  
   // Get formatted date string
   const formatDate = (date) => {
     return date.toLocaleDateString('en-US', {
@@ -143,6 +176,106 @@ const TradeHistoryScreen = () => {
     });
   };
   
+  // Get display label for a trade status
+  const formatStatus = (status) => {
+    const option = STATUS_FILTERS.find(filter => filter.id === status);
+    return option ? option.label : status;
+  };
+  
+  // Render filter chips and credit totals above the list
+  const renderListHeader = () => (
+    <View>
+      <View style={styles.listToolbar}>
+        <TouchableOpacity
+          style={styles.exportButton}
+          onPress={handleExport}
+          disabled={exporting}
+        >
+          {exporting ? (
+            <ActivityIndicator size="small" color="#3C6E47" />
+          ) : (
+            <>
+              <Ionicons name="share-outline" size={16} color="#3C6E47" />
+              <Text style={styles.exportButtonText}>Export</Text>
+            </>
+          )}
+        </TouchableOpacity>
+      </View>
+      
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        contentContainerStyle={styles.filterChips}
+      >
+        {STATUS_FILTERS.map(option => (
+          <TouchableOpacity
+            key={option.id}
+            style={[styles.filterChip, statusFilter === option.id ? styles.activeFilterChip : {}]}
+            onPress={() => setStatusFilter(option.id)}
+          >
+            <Text style={[styles.filterChipText, statusFilter === option.id ? styles.activeFilterChipText : {}]}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+      
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        contentContainerStyle={styles.filterChips}
+      >
+        {DATE_RANGE_FILTERS.map(option => (
+          <TouchableOpacity
+            key={option.id}
+            style={[styles.filterChip, dateRangeFilter === option.id ? styles.activeFilterChip : {}]}
+            onPress={() => setDateRangeFilter(option.id)}
+          >
+            <Text style={[styles.filterChipText, dateRangeFilter === option.id ? styles.activeFilterChipText : {}]}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+      
+      {(counterparty || locationFilter) && (
+        <View style={styles.activeFilters}>
+          {counterparty && (
+            <TouchableOpacity style={styles.removableFilter} onPress={() => setCounterparty(null)}>
+              <Ionicons name="person-outline" size={14} color="#3C6E47" />
+              <Text style={styles.removableFilterText}>{counterparty.username || 'User'}</Text>
+              <Ionicons name="close" size={14} color="#3C6E47" />
+            </TouchableOpacity>
+          )}
+          {locationFilter && (
+            <TouchableOpacity style={styles.removableFilter} onPress={() => setLocationFilter(null)}>
+              <Ionicons name="location-outline" size={14} color="#3C6E47" />
+              <Text style={styles.removableFilterText}>{locationFilter.name || 'Location'}</Text>
+              <Ionicons name="close" size={14} color="#3C6E47" />
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+      
+      {totals && (
+        <View style={styles.totalsCard}>
+          <View style={styles.totalItem}>
+            <Text style={styles.totalLabel}>Earned</Text>
+            <Text style={[styles.totalValue, styles.earnedValue]}>+{totals.creditsEarned}</Text>
+          </View>
+          <View style={styles.totalItem}>
+            <Text style={styles.totalLabel}>Spent</Text>
+            <Text style={[styles.totalValue, styles.spentValue]}>-{totals.creditsSpent}</Text>
+          </View>
+          <View style={styles.totalItem}>
+            <Text style={styles.totalLabel}>Net</Text>
+            <Text style={styles.totalValue}>{totals.net > 0 ? `+${totals.net}` : totals.net}</Text>
+          </View>
+        </View>
+      )}
+    </View>
+  );
+  
   // Render trade history item
   const renderTradeHistoryItem = ({ item }) => {
     // Credit trade
@@ -169,13 +302,23 @@ const TradeHistoryScreen = () => {
             <View style={styles.tradeDetails}>
               <Text style={styles.tradeName}>{item.location.name}</Text>
               <View style={styles.creditDetails}>
-                <Ionicons name="arrow-forward" size={14} color="#555" />
-                <Text style={styles.creditAmount}>{item.creditAmount} credits</Text>
+                <Ionicons name={item.role === 'seller' ? 'arrow-back' : 'arrow-forward'} size={14} color="#555" />
+                <Text style={styles.creditAmount}>
+                  {item.role === 'seller' ? `+${item.creditAmount}` : item.creditAmount} credits
+                </Text>
               </View>
               
               <View style={styles.statusContainer}>
-                <View style={[styles.statusIndicator, { backgroundColor: '#27AE60' }]} />
-                <Text style={styles.statusText}>Acquired</Text>
+                <View
+                  style={[
+                    styles.statusIndicator,
+                    { backgroundColor: item.status === 'completed' ? '#27AE60' : '#e74c3c' }
+                  ]}
+                />
+                <Text style={styles.statusText}>
+                  {item.status !== 'completed' ? formatStatus(item.status) :
+                   item.role === 'seller' ? 'Sold' : 'Acquired'}
+                </Text>
               </View>
             </View>
           </View>
@@ -237,13 +380,16 @@ const TradeHistoryScreen = () => {
           <View style={styles.directTradeFooter}>
             <View style={styles.userInfo}>
               <Text style={styles.tradedWithLabel}>Traded with:</Text>
-              <View style={styles.userContainer}>
+              <TouchableOpacity
+                style={styles.userContainer}
+                onPress={() => setCounterparty({ id: item.otherUser.id, username: item.otherUser.username })}
+              >
                 <Image 
                   source={{ uri: item.otherUser.avatarUrl }}
                   style={styles.userAvatar}
                 />
                 <Text style={styles.username}>{item.otherUser.username}</Text>
-              </View>
+              </TouchableOpacity>
             </View>
             
             <View style={styles.statusContainer}>
@@ -254,7 +400,7 @@ const TradeHistoryScreen = () => {
                 ]} 
               />
               <Text style={styles.statusText}>
-                {item.status === 'completed' ? 'Completed' : 'Cancelled'}
+                {formatStatus(item.status)}
               </Text>
             </View>
           </View>
@@ -320,10 +466,18 @@ const TradeHistoryScreen = () => {
         </View>
       ) : (
         <FlatList
-          data={getFilteredTradeHistory()}
+          data={tradeHistory}
           keyExtractor={item => item.id}
           renderItem={renderTradeHistoryItem}
           contentContainerStyle={styles.listContainer}
+          ListHeaderComponent={renderListHeader}
+          onEndReached={loadMoreTradeHistory}
+          onEndReachedThreshold={0.5}
+          ListFooterComponent={
+            loadingMore ? (
+              <ActivityIndicator size="small" color="#3C6E47" style={styles.loadingMore} />
+            ) : null
+          }
           refreshControl={
             <RefreshControl
               refreshing={refreshing}
@@ -411,6 +565,104 @@ const styles = StyleSheet.create({
   listContainer: {
     padding: 12,
   },
+  listToolbar: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginBottom: 8,
+  },
+  exportButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#f0f7f2',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    minWidth: 80,
+    justifyContent: 'center',
+  },
+  exportButtonText: {
+    fontSize: 14,
+    color: '#3C6E47',
+    marginLeft: 4,
+  },
+  filterChips: {
+    paddingBottom: 8,
+  },
+  filterChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+    marginRight: 8,
+  },
+  activeFilterChip: {
+    backgroundColor: '#3C6E47',
+    borderColor: '#3C6E47',
+  },
+  filterChipText: {
+    fontSize: 12,
+    color: '#555',
+  },
+  activeFilterChipText: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  activeFilters: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8,
+  },
+  removableFilter: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#f0f7f2',
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 16,
+    marginRight: 8,
+  },
+  removableFilterText: {
+    fontSize: 12,
+    color: '#3C6E47',
+    marginHorizontal: 4,
+  },
+  totalsCard: {
+    flexDirection: 'row',
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  totalItem: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  totalLabel: {
+    fontSize: 12,
+    color: '#888',
+    marginBottom: 4,
+  },
+  totalValue: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  earnedValue: {
+    color: '#27AE60',
+  },
+  spentValue: {
+    color: '#e74c3c',
+  },
+  loadingMore: {
+    marginVertical: 16,
+  },
   tradeCard: {
     backgroundColor: '#fff',
     borderRadius: 8,
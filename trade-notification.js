@@ -10,10 +10,11 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useNavigation } from '@react-navigation/native';
+import { getNotificationTarget } from '../../functions/trailtrades_notifications';
 
 const TradeNotification = ({ 
   visible, 
-  type, // 'trade_request', 'trade_accepted', 'trade_declined', 'credit_trade'
+  type, // 'trade_request', 'trade_accepted', 'trade_declined', 'credit_trade', 'new_location_nearby', 'comment'
   data,
   onDismiss
 }) => {
@@ -53,19 +54,10 @@ const TradeNotification = ({
   const handlePress = () => {
     dismiss();
     
-    switch (type) {
-      case 'trade_request':
-        navigation.navigate('TradeTab', { screen: 'Trade', params: { initialTab: 'pending' } });
-        break;
-      case 'trade_accepted':
-      case 'trade_declined':
-        navigation.navigate('TradeTab', { screen: 'TradeHistory' });
-        break;
-      case 'credit_trade':
-        if (data?.locationId) {
-          navigation.navigate('LocationDetail', { id: data.locationId, name: data.locationName });
-        }
-        break;
+    const target = getNotificationTarget({ type, data });
+    
+    if (target) {
+      navigation.navigate(target.screen, target.params);
     }
   };
   
@@ -135,6 +127,38 @@ const TradeNotification = ({
           </>
         );
       
+      case 'new_location_nearby':
+        return (
+          <>
+            <Ionicons name="location" size={20} color="#fff" style={styles.notificationIcon} />
+            <View style={styles.notificationContent}>
+              <Text style={styles.notificationTitle}>New Location Nearby</Text>
+              <Text style={styles.notificationText}>
+                <Text style={styles.highlightText}>{data.locationName}</Text> was added near <Text style={styles.highlightText}>{data.areaName}</Text>
+              </Text>
+            </View>
+            {data.locationImage && (
+              <Image source={{ uri: data.locationImage }} style={styles.locationImage} />
+            )}
+          </>
+        );
+        
+      case 'comment':
+        return (
+          <>
+            <Ionicons name="chatbubble" size={20} color="#fff" style={styles.notificationIcon} />
+            <View style={styles.notificationContent}>
+              <Text style={styles.notificationTitle}>New Comment</Text>
+              <Text style={styles.notificationText} numberOfLines={2}>
+                <Text style={styles.highlightText}>{data.username}</Text> commented on <Text style={styles.highlightText}>{data.locationName}</Text>: {data.commentText}
+              </Text>
+            </View>
+            {data.userAvatar && (
+              <Image source={{ uri: data.userAvatar }} style={styles.userAvatar} />
+            )}
+          </>
+        );
+        
       default:
         return null;
     }
@@ -151,6 +175,10 @@ const TradeNotification = ({
         return '#e74c3c'; // Red
       case 'credit_trade':
         return '#3C6E47'; // App's primary green
+      case 'new_location_nearby':
+        return '#F39C12'; // Orange
+      case 'comment':
+        return '#34495e'; // Slate
       default:
         return '#3C6E47';
     }
@@ -18,6 +18,17 @@ import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons';
 import { useNavigation } from '@react-navigation/native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { trailtrades_performTrade } from '../../functions/trailtrades_performTrade';
+import {
+  getPendingTrades,
+  respondToTrade,
+  counterOffer,
+  cancelTrade,
+  getBundleQuote
+} from '../../functions/trailtrades_manageTrade';
+import { getCreditBalance } from '../../functions/trailtrades_creditHolds';
+import { getRevenueShare, calculateCreatorShare } from '../../functions/trailtrades_creatorEarnings';
+import { getUserReputation, getTierDisplay, REPUTATION_TIER } from '../../functions/trailtrades_reputation';
+import notificationClient, { NOTIFICATION_TYPE } from '../../functions/trailtrades_notifications';
 
 const TradeScreen = () => {
   const navigation = useNavigation();
@@ -30,7 +41,8 @@ const TradeScreen = () => {
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
-  const [userCredits, setUserCredits] = useState(0);
+  const [userCredits, setUserCredits] = useState(0); // available (not reserved) credits
+  const [reservedCredits, setReservedCredits] = useState(0);
   const [showTradeModal, setShowTradeModal] = useState(false);
   const [selectedLocation, setSelectedLocation] = useState(null);
   const [tradeType, setTradeType] = useState('credit'); // 'credit' or 'direct'
@@ -38,12 +50,51 @@ const TradeScreen = () => {
   const [tradeMessage, setTradeMessage] = useState('');
   const [tradeInProgress, setTradeInProgress] = useState(false);
   const [error, setError] = useState(null);
+  const [counterTrade, setCounterTrade] = useState(null);
+  const [counterLocation, setCounterLocation] = useState(null);
+  const [counterMessage, setCounterMessage] = useState('');
+  const [tradeActionInProgress, setTradeActionInProgress] = useState(null); // trade ID being updated
+  const [revenueShare, setRevenueShare] = useState(null);
+  const [bundleLocations, setBundleLocations] = useState([]); // available locations selected for a bundle
+  const [showBundleModal, setShowBundleModal] = useState(false);
+  const [bundleTradeType, setBundleTradeType] = useState('credit'); // 'credit' or 'direct'
+  const [bundleQuote, setBundleQuote] = useState(null);
+  const [bundleQuoteLoading, setBundleQuoteLoading] = useState(false);
+  const [bundleOfferedLocations, setBundleOfferedLocations] = useState([]);
+  const [reviewTrade, setReviewTrade] = useState(null); // direct trade being reviewed before accepting
+  const [reviewReputation, setReviewReputation] = useState(null);
+  const [reputationLoading, setReputationLoading] = useState(false);
+  const [unreadNotifications, setUnreadNotifications] = useState(0);
   
   // Fetch data on component mount
   useEffect(() => {
     loadData();
+    getRevenueShare().then(setRevenueShare);
   }, []);
   
+  // Follow unread notifications, and pick up new trades as they arrive
+  useEffect(() => {
+    let lastNotificationId = null;
+    
+    return notificationClient.subscribe(state => {
+      setUnreadNotifications(state.unreadCount);
+      
+      if (!state.current || state.current.id === lastNotificationId) return;
+      
+      lastNotificationId = state.current.id;
+      
+      const tradeTypes = [
+        NOTIFICATION_TYPE.TRADE_REQUEST,
+        NOTIFICATION_TYPE.TRADE_ACCEPTED,
+        NOTIFICATION_TYPE.TRADE_DECLINED
+      ];
+      
+      if (navigation.isFocused() && tradeTypes.includes(state.current.type)) {
+        loadPendingTrades().catch(() => {});
+      }
+    });
+  }, [navigation]);
+  
   // Load all data based on active tab
   const loadData = async () => {
     setLoading(true);
@@ -73,9 +124,9 @@ const TradeScreen = () => {
   // Load user credits
   const loadUserCredits = async () => {
     try {
-      // For demo purposes, use a mock value
-      // In a real app, this would be an API call
-      setUserCredits(85);
+      const creditBalance = await getCreditBalance();
+      setUserCredits(creditBalance.available);
+      setReservedCredits(creditBalance.reserved);
     } catch (err) {
       console.error('Error loading user credits:', err);
       throw err;
@@ -216,58 +267,8 @@ const TradeScreen = () => {
   // Load pending trades
   const loadPendingTrades = async () => {
     try {
-      // In a real app, this would be an API call
-      // For now, use mock data
-      setTimeout(() => {
-        const mockPendingTrades = [
-          {
-            id: 'trade1',
-            type: 'direct',
-            status: 'pending',
-            timestamp: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000), // 2 days ago
-            offeredLocation: {
-              id: 'myloc1',
-              name: 'Desert Canyon Trail',
-              photoUrl: 'https://via.placeholder.com/150'
-            },
-            requestedLocation: {
-              id: 'loc3',
-              name: 'Hidden Hot Springs',
-              photoUrl: 'https://via.placeholder.com/150'
-            },
-            otherUser: {
-              id: 'user3',
-              username: 'adventureseeker',
-              avatarUrl: 'https://via.placeholder.com/50'
-            },
-            message: 'Interested in trading for your Hidden Hot Springs location. My Desert Canyon Trail is a great hike with amazing views.'
-          },
-          {
-            id: 'trade2',
-            type: 'direct',
-            status: 'requested',
-            timestamp: new Date(Date.now() - 5 * 24 * 60 * 60 * 1000), // 5 days ago
-            offeredLocation: {
-              id: 'loc2',
-              name: 'Mountain Overlook',
-              photoUrl: 'https://via.placeholder.com/150'
-            },
-            requestedLocation: {
-              id: 'myloc2',
-              name: 'Forest Creek Campsite',
-              photoUrl: 'https://via.placeholder.com/150'
-            },
-            otherUser: {
-              id: 'user2',
-              username: 'trailblazer',
-              avatarUrl: 'https://via.placeholder.com/50'
-            },
-            message: 'Would love to trade for your campsite. My Mountain Overlook has amazing sunset views.'
-          }
-        ];
-        
-        setPendingTrades(mockPendingTrades);
-      }, 1000);
+      const trades = await getPendingTrades();
+      setPendingTrades(trades);
     } catch (err) {
       console.error('Error loading pending trades:', err);
       throw err;
@@ -387,7 +388,7 @@ const TradeScreen = () => {
     if (tradeType === 'credit') {
       if (userCredits < selectedLocation.tradeCredits) {
         Alert.alert('Insufficient Credits', 
-          `You have ${userCredits} credits, but this trade requires ${selectedLocation.tradeCredits} credits.`);
+          `You have ${userCredits} credits available, but this trade requires ${selectedLocation.tradeCredits} credits.`);
         return;
       }
     } else if (tradeType === 'direct') {
@@ -428,9 +429,18 @@ const TradeScreen = () => {
       setShowTradeModal(false);
       
       // Handle successful trade
-      if (tradeType === 'credit') {
+      if (tradeType === 'credit' && result.status === 'pending') {
+        // Credits are held in escrow until the trade completes
+        loadUserCredits().catch(() => {});
+        
+        Alert.alert(
+          'Credits Reserved',
+          `${selectedLocation.tradeCredits} credits are reserved for "${selectedLocation.name}" until the trade completes. They'll be returned if the trade is declined or expires.`,
+          [{ text: 'OK' }]
+        );
+      } else if (tradeType === 'credit') {
         // Update user credits
-        setUserCredits(result.remainingCredits);
+        loadUserCredits().catch(() => {});
         
         // Show success message
         Alert.alert(
@@ -471,37 +481,292 @@ const TradeScreen = () => {
     }
   };
   
+  // Add or remove an available location from the bundle
+  const toggleBundleLocation = (location) => {
+    setBundleLocations(prev => prev.some(loc => loc.id === location.id)
+      ? prev.filter(loc => loc.id !== location.id)
+      : [...prev, location]);
+  };
+  
+  // Open bundle trade modal
+  const handleInitiateBundleTrade = async () => {
+    if (bundleLocations.length < 2) {
+      Alert.alert('Bundle Too Small', 'Select at least two locations to trade as a bundle.');
+      return;
+    }
+    
+    setBundleTradeType('credit');
+    setBundleOfferedLocations([]);
+    setTradeMessage('');
+    setBundleQuote(null);
+    setShowBundleModal(true);
+    
+    // Locations to offer come from the user's tradeable locations
+    if (myTradeableLocations.length === 0) {
+      loadMyTradeableLocations().catch(() => {});
+    }
+    
+    setBundleQuoteLoading(true);
+    
+    try {
+      setBundleQuote(await getBundleQuote(bundleLocations.map(loc => loc.id)));
+    } catch (err) {
+      console.error('Bundle quote error:', err);
+      setShowBundleModal(false);
+      Alert.alert('Bundle Unavailable', err.message || 'Failed to price this bundle. Please try again.');
+    } finally {
+      setBundleQuoteLoading(false);
+    }
+  };
+  
+  // Add or remove one of the user's locations from a direct bundle offer
+  const toggleBundleOfferedLocation = (location) => {
+    setBundleOfferedLocations(prev => prev.some(loc => loc.id === location.id)
+      ? prev.filter(loc => loc.id !== location.id)
+      : [...prev, location]);
+  };
+  
+  // Direct bundle trades need every location to come from the same user
+  const getBundleCreatorIds = () => [...new Set(bundleLocations.map(loc => loc.creator.id))];
+  
+  // Handle bundle trade execution
+  const executeBundleTrade = async () => {
+    if (tradeInProgress) return;
+    
+    if (bundleTradeType === 'credit') {
+      if (!bundleQuote || userCredits < bundleQuote.creditAmount) {
+        Alert.alert('Insufficient Credits',
+          `You have ${userCredits} credits available, but this bundle requires ${bundleQuote ? bundleQuote.creditAmount : '?'} credits.`);
+        return;
+      }
+    } else if (bundleOfferedLocations.length === 0) {
+      Alert.alert('Missing Selection', 'Please select at least one of your locations to offer in trade.');
+      return;
+    }
+    
+    setTradeInProgress(true);
+    
+    try {
+      const requestedLocationIds = bundleLocations.map(loc => loc.id);
+      const result = await trailtrades_performTrade(
+        bundleTradeType,
+        bundleTradeType === 'credit' ? {
+          locationIds: requestedLocationIds
+        } : {
+          offeredLocationIds: bundleOfferedLocations.map(loc => loc.id),
+          requestedLocationIds,
+          recipientUserId: bundleLocations[0].creator.id,
+          message: tradeMessage
+        },
+        { autoDownload: true }
+      );
+      
+      setShowBundleModal(false);
+      setBundleLocations([]);
+      
+      if (bundleTradeType === 'credit' && result.status === 'pending') {
+        loadUserCredits().catch(() => {});
+        
+        Alert.alert(
+          'Credits Reserved',
+          `${bundleQuote.creditAmount} credits are reserved for your ${requestedLocationIds.length}-location bundle until the trade completes. They'll be returned if the trade is declined or expires.`
+        );
+      } else if (bundleTradeType === 'credit') {
+        loadUserCredits().catch(() => {});
+        
+        Alert.alert(
+          'Bundle Acquired!',
+          `You've traded ${bundleQuote.creditAmount} credits for ${requestedLocationIds.length} locations. Their details are now available.`
+        );
+        
+        // Remove acquired locations from available list
+        setAvailableLocations(prevLocations =>
+          prevLocations.filter(loc => !requestedLocationIds.includes(loc.id))
+        );
+      } else {
+        Alert.alert(
+          'Bundle Request Sent!',
+          `Your request to trade ${bundleOfferedLocations.length} of your locations for ${requestedLocationIds.length} of ${bundleLocations[0].creator.username}'s has been sent. You'll be notified when they respond.`
+        );
+        
+        loadPendingTrades().catch(() => {});
+      }
+    } catch (err) {
+      console.error('Bundle trade error:', err);
+      Alert.alert('Trade Failed', err.message || 'Failed to complete bundle trade. Please try again.');
+    } finally {
+      setTradeInProgress(false);
+    }
+  };
+  
   // Handle responding to a trade request
+  // Accepting opens a review of the other trader's reputation first
   const handleTradeResponse = (trade, accept) => {
+    if (accept) {
+      handleReviewTrade(trade);
+      return;
+    }
+    
     Alert.alert(
-      accept ? 'Accept Trade' : 'Decline Trade',
-      `Are you sure you want to ${accept ? 'accept' : 'decline'} this trade?`,
+      'Decline Trade',
+      'Are you sure you want to decline this trade?',
       [
         {
           text: 'Cancel',
           style: 'cancel'
         },
         {
-          text: accept ? 'Accept' : 'Decline',
-          onPress: () => {
-            // In a real app, this would be an API call
-            Alert.alert(
-              accept ? 'Trade Accepted' : 'Trade Declined',
-              accept ? 
-                `You've accepted the trade. You now have access to "${trade.offeredLocation.name}".` :
-                `You've declined the trade request.`
-            );
+          text: 'Decline',
+          onPress: () => submitTradeResponse(trade, false)
+        }
+      ]
+    );
+  };
+  
+  // Open the accept review with the other trader's reputation
+  const handleReviewTrade = async (trade) => {
+    setReviewTrade(trade);
+    setReviewReputation(null);
+    setReputationLoading(true);
+    
+    try {
+      setReviewReputation(await getUserReputation(trade.otherUser.id));
+    } catch (err) {
+      // The review still works without the breakdown
+      console.error('Reputation error:', err);
+    } finally {
+      setReputationLoading(false);
+    }
+  };
+  
+  // Send an accept or decline
+  const submitTradeResponse = async (trade, accept) => {
+    setTradeActionInProgress(trade.id);
+    
+    try {
+      await respondToTrade(trade, accept ? 'accept' : 'decline');
+      
+      setReviewTrade(null);
+      
+      Alert.alert(
+        accept ? 'Trade Accepted' : 'Trade Declined',
+        accept ?
+          `You've accepted the trade. You now have access to ${formatLocationSet(trade.offeredLocations)}.` :
+          `You've declined the trade request.`
+      );
+      
+      // Remove from pending list
+      setPendingTrades(prev => prev.filter(t => t.id !== trade.id));
+    } catch (err) {
+      console.error('Trade response error:', err);
+      Alert.alert('Trade Update Failed', err.message || 'Failed to update trade. Please try again.');
+      loadPendingTrades().catch(() => {});
+    } finally {
+      setTradeActionInProgress(null);
+    }
+  };
+  
+  // Handle withdrawing a trade offer
+  const handleCancelTrade = (trade) => {
+    Alert.alert(
+      'Cancel Request',
+      'Are you sure you want to withdraw this trade offer?',
+      [
+        {
+          text: 'Keep Offer',
+          style: 'cancel'
+        },
+        {
+          text: 'Withdraw',
+          style: 'destructive',
+          onPress: async () => {
+            setTradeActionInProgress(trade.id);
             
-            // Remove from pending list
-            setPendingTrades(prev => prev.filter(t => t.id !== trade.id));
+            try {
+              await cancelTrade(trade);
+              setPendingTrades(prev => prev.filter(t => t.id !== trade.id));
+            } catch (err) {
+              console.error('Cancel trade error:', err);
+              Alert.alert('Cancel Failed', err.message || 'Failed to cancel trade. Please try again.');
+              loadPendingTrades().catch(() => {});
+            } finally {
+              setTradeActionInProgress(null);
+            }
           }
         }
       ]
     );
   };
   
+  // Open counter offer modal
+  const handleStartCounter = (trade) => {
+    setCounterTrade(trade);
+    setCounterLocation(null);
+    setCounterMessage('');
+    
+    // Locations to offer come from the user's tradeable locations
+    if (myTradeableLocations.length === 0) {
+      loadMyTradeableLocations().catch(() => {});
+    }
+  };
+  
+  // Send counter offer
+  const submitCounterOffer = async () => {
+    if (!counterTrade || !counterLocation || tradeActionInProgress) return;
+    
+    setTradeActionInProgress(counterTrade.id);
+    
+    try {
+      // Countering a bundle keeps asking for every location they offered
+      const updatedTrade = await counterOffer(counterTrade, {
+        offeredLocationIds: [counterLocation.id],
+        requestedLocationIds: counterTrade.offeredLocations.map(location => location.id),
+        message: counterMessage
+      });
+      
+      setCounterTrade(null);
+      setPendingTrades(prev => prev.map(t => t.id === updatedTrade.id ? updatedTrade : t));
+      
+      Alert.alert(
+        'Counter Offer Sent',
+        `You've offered "${counterLocation.name}" for ${formatLocationSet(counterTrade.offeredLocations)}. You'll be notified when ${counterTrade.otherUser.username} responds.`
+      );
+    } catch (err) {
+      console.error('Counter offer error:', err);
+      Alert.alert('Counter Offer Failed', err.message || 'Failed to send counter offer. Please try again.');
+    } finally {
+      setTradeActionInProgress(null);
+    }
+  };
+  
+  // Describe one side of a trade, e.g. '"Camp A"' or '"Camp A" and 2 more'
+  const formatLocationSet = (locations) => {
+    if (!locations || locations.length === 0) return 'no locations';
+    
+    const first = `"${locations[0].name}"`;
+    return locations.length === 1 ? first : `${first} and ${locations.length - 1} more`;
+  };
+  
+  // Format time left before a trade offer expires
+  const formatExpiry = (expiresAt) => {
+    if (!expiresAt) return null;
+    
+    const hours = Math.floor((expiresAt - new Date()) / (60 * 60 * 1000));
+    
+    if (hours <= 0) {
+      return 'Expires soon';
+    } else if (hours < 24) {
+      return `Expires in ${hours} hour${hours === 1 ? '' : 's'}`;
+    } else {
+      const days = Math.floor(hours / 24);
+      return `Expires in ${days} day${days === 1 ? '' : 's'}`;
+    }
+  };
+  
   // Render available location item
   const renderAvailableLocationItem = ({ item }) => {
+    const inBundle = bundleLocations.some(loc => loc.id === item.id);
+    
     return (
       <TouchableOpacity 
         style={styles.locationCard}
@@ -533,13 +798,22 @@ const TradeScreen = () => {
             
             <View style={styles.tradeButton}>
               <Text style={styles.tradeCredits}>{item.tradeCredits} credits</Text>
-              <TouchableOpacity
-                style={styles.tradeAction}
-                onPress={() => handleInitiateTrade(item)}
-              >
-                <Ionicons name="swap-horizontal" size={16} color="#fff" />
-                <Text style={styles.tradeActionText}>Trade</Text>
-              </TouchableOpacity>
+              <View style={styles.tradeActionRow}>
+                <TouchableOpacity
+                  style={[styles.bundleAction, inBundle ? styles.bundleActionSelected : {}]}
+                  onPress={() => toggleBundleLocation(item)}
+                >
+                  <Ionicons name={inBundle ? 'checkmark-circle' : 'albums-outline'} size={16} color={inBundle ? '#fff' : '#3C6E47'} />
+                  <Text style={[styles.bundleActionText, inBundle ? styles.bundleActionTextSelected : {}]}>Bundle</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.tradeAction}
+                  onPress={() => handleInitiateTrade(item)}
+                >
+                  <Ionicons name="swap-horizontal" size={16} color="#fff" />
+                  <Text style={styles.tradeActionText}>Trade</Text>
+                </TouchableOpacity>
+              </View>
             </View>
           </View>
         </View>
@@ -602,7 +876,8 @@ const TradeScreen = () => {
   
   // Render pending trade item
   const renderPendingTradeItem = ({ item }) => {
-    const isIncoming = item.status === 'requested';
+    const isIncoming = item.awaitingMyResponse;
+    const isUpdating = tradeActionInProgress === item.id;
     
     return (
       <View style={styles.tradeRequestCard}>
@@ -613,11 +888,37 @@ const TradeScreen = () => {
               style={styles.userAvatar}
             />
             <Text style={styles.username}>{item.otherUser.username}</Text>
+            {item.otherUser.reputation && (
+              <Ionicons
+                name={getTierDisplay(item.otherUser.reputation.tier).icon}
+                size={14}
+                color={getTierDisplay(item.otherUser.reputation.tier).color}
+                style={styles.usernameTierIcon}
+              />
+            )}
           </View>
           
           <Text style={styles.tradeDate}>{formatDate(item.timestamp)}</Text>
         </View>
         
+        <View style={styles.tradeStatusRow}>
+          {item.status === 'countered' && (
+            <View style={styles.counteredBadge}>
+              <Ionicons name="repeat" size={12} color="#fff" />
+              <Text style={styles.counteredBadgeText}>Counter Offer</Text>
+            </View>
+          )}
+          {item.isBundle && (
+            <View style={styles.bundleBadge}>
+              <Ionicons name="albums" size={12} color="#fff" />
+              <Text style={styles.counteredBadgeText}>Bundle</Text>
+            </View>
+          )}
+          {item.expiresAt && (
+            <Text style={styles.tradeExpiryText}>{formatExpiry(item.expiresAt)}</Text>
+          )}
+        </View>
+        
         <View style={styles.tradeLocations}>
           <View style={styles.tradeLocationItem}>
             <Image 
@@ -627,6 +928,11 @@ const TradeScreen = () => {
             <Text style={styles.tradeLocationName} numberOfLines={1}>
               {isIncoming ? item.offeredLocation.name : item.requestedLocation.name}
             </Text>
+            {item.isBundle && (isIncoming ? item.offeredLocations : item.requestedLocations).length > 1 && (
+              <Text style={styles.bundleMoreText}>
+                +{(isIncoming ? item.offeredLocations : item.requestedLocations).length - 1} more
+              </Text>
+            )}
             <Text style={styles.tradeDirectionLabel}>
               {isIncoming ? 'Their Offer' : 'You Requested'}
             </Text>
@@ -644,12 +950,31 @@ const TradeScreen = () => {
             <Text style={styles.tradeLocationName} numberOfLines={1}>
               {isIncoming ? item.requestedLocation.name : item.offeredLocation.name}
             </Text>
+            {item.isBundle && (isIncoming ? item.requestedLocations : item.offeredLocations).length > 1 && (
+              <Text style={styles.bundleMoreText}>
+                +{(isIncoming ? item.requestedLocations : item.offeredLocations).length - 1} more
+              </Text>
+            )}
             <Text style={styles.tradeDirectionLabel}>
               {isIncoming ? 'They Want' : 'Your Offer'}
             </Text>
           </View>
         </View>
         
+        {item.isBundle && (
+          <View style={styles.bundleDetails}>
+            <Text style={styles.bundleDetailsText}>
+              <Text style={styles.bundleDetailsLabel}>{isIncoming ? 'They offer: ' : 'You offer: '}</Text>
+              {item.offeredLocations.map(location => location.name).join(', ')}
+            </Text>
+            <Text style={styles.bundleDetailsText}>
+              <Text style={styles.bundleDetailsLabel}>{isIncoming ? 'They want: ' : 'You want: '}</Text>
+              {item.requestedLocations.map(location => location.name).join(', ')}
+            </Text>
+            <Text style={styles.bundleNoteText}>All locations change hands together, or none do.</Text>
+          </View>
+        )}
+        
         {item.message && (
           <View style={styles.messageContainer}>
             <Text style={styles.messageLabel}>Message:</Text>
@@ -658,32 +983,515 @@ const TradeScreen = () => {
         )}
         
         <View style={styles.tradeActions}>
-          {isIncoming ? (
+          {isUpdating ? (
+            <ActivityIndicator size="small" color="#3C6E47" style={styles.tradeActionLoading} />
+          ) : isIncoming ? (
             <>
               <TouchableOpacity 
                 style={[styles.tradeActionButton, styles.declineButton]}
                 onPress={() => handleTradeResponse(item, false)}
               >
-                <Text style={styles.declineButtonText}>Decline</Text>
+                <Text style={styles.declineButtonText}>Decline</Text>
+              </TouchableOpacity>
+              
+              {item.availableActions.includes('counter') && (
+                <TouchableOpacity
+                  style={[styles.tradeActionButton, styles.counterButton]}
+                  onPress={() => handleStartCounter(item)}
+                >
+                  <Text style={styles.counterButtonText}>Counter</Text>
+                </TouchableOpacity>
+              )}
+              
+              <TouchableOpacity 
+                style={[styles.tradeActionButton, styles.acceptButton]}
+                onPress={() => handleTradeResponse(item, true)}
+              >
+                <Text style={styles.acceptButtonText}>Accept</Text>
+              </TouchableOpacity>
+            </>
+          ) : (
+            <TouchableOpacity 
+              style={[styles.tradeActionButton, styles.cancelButton]}
+              onPress={() => handleCancelTrade(item)}
+            >
+              <Text style={styles.cancelButtonText}>Cancel Request</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+    );
+  };
+  
+  // Render accept review modal
+  const renderAcceptModal = () => {
+    if (!reviewTrade) return null;
+    
+    const isSending = tradeActionInProgress === reviewTrade.id;
+    const reputation = reviewReputation || reviewTrade.otherUser.reputation;
+    const tierDisplay = getTierDisplay(reputation ? reputation.tier : REPUTATION_TIER.NEW);
+    
+    return (
+      <Modal
+        visible={true}
+        animationType="slide"
+        transparent={true}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContainer}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>Accept Trade</Text>
+              <TouchableOpacity
+                style={styles.closeButton}
+                onPress={() => setReviewTrade(null)}
+                disabled={isSending}
+              >
+                <Ionicons name="close" size={24} color="#333" />
+              </TouchableOpacity>
+            </View>
+            
+            <ScrollView style={styles.modalContent}>
+              <View style={styles.bundleDetails}>
+                <Text style={styles.bundleDetailsText}>
+                  <Text style={styles.bundleDetailsLabel}>You get: </Text>
+                  {reviewTrade.offeredLocations.map(location => location.name).join(', ')}
+                </Text>
+                <Text style={styles.bundleDetailsText}>
+                  <Text style={styles.bundleDetailsLabel}>You give: </Text>
+                  {reviewTrade.requestedLocations.map(location => location.name).join(', ')}
+                </Text>
+              </View>
+              
+              <View style={styles.reputationCard}>
+                <View style={styles.reputationHeader}>
+                  <Image
+                    source={{ uri: reviewTrade.otherUser.avatarUrl }}
+                    style={styles.userAvatar}
+                  />
+                  <Text style={styles.username}>{reviewTrade.otherUser.username}</Text>
+                  <View style={[styles.reputationBadge, { backgroundColor: tierDisplay.color }]}>
+                    <Ionicons name={tierDisplay.icon} size={12} color="#fff" />
+                    <Text style={styles.counteredBadgeText}>{tierDisplay.label}</Text>
+                  </View>
+                </View>
+                
+                {reputation && reputation.score !== null && (
+                  <Text style={styles.reputationScore}>Reputation score {reputation.score} / 100</Text>
+                )}
+                
+                {reputationLoading ? (
+                  <ActivityIndicator size="small" color="#3C6E47" />
+                ) : reviewReputation ? (
+                  reviewReputation.components.map(component => (
+                    <View key={component.name} style={styles.reputationComponent}>
+                      <Ionicons
+                        name={component.value >= 0.7 ? 'checkmark-circle' : 'alert-circle'}
+                        size={16}
+                        color={component.value >= 0.7 ? '#27ae60' : '#F39C12'}
+                      />
+                      <Text style={styles.reputationComponentText}>{component.label}</Text>
+                    </View>
+                  ))
+                ) : (
+                  <Text style={styles.reputationUnavailable}>Reputation details are unavailable right now.</Text>
+                )}
+                
+                {reputation && reputation.tier === REPUTATION_TIER.LOW && (
+                  <View style={styles.insufficientWarning}>
+                    <Ionicons name="alert-circle" size={18} color="#e74c3c" />
+                    <Text style={styles.insufficientWarningText}>
+                      Other traders have reported problems with this user's trades or locations.
+                    </Text>
+                  </View>
+                )}
+              </View>
+            </ScrollView>
+            
+            <View style={styles.modalFooter}>
+              <TouchableOpacity
+                style={styles.cancelTradeButton}
+                onPress={() => setReviewTrade(null)}
+                disabled={isSending}
+              >
+                <Text style={styles.cancelTradeButtonText}>Cancel</Text>
+              </TouchableOpacity>
+              
+              <TouchableOpacity
+                style={[styles.confirmTradeButton, isSending ? styles.disabledButton : {}]}
+                onPress={() => submitTradeResponse(reviewTrade, true)}
+                disabled={isSending}
+              >
+                {isSending ? (
+                  <ActivityIndicator size="small" color="#fff" />
+                ) : (
+                  <Text style={styles.confirmTradeButtonText}>Accept Trade</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    );
+  };
+  
+  // Render counter offer modal
+  const renderCounterModal = () => {
+    if (!counterTrade) return null;
+    
+    const isSending = tradeActionInProgress === counterTrade.id;
+    
+    return (
+      <Modal
+        visible={true}
+        animationType="slide"
+        transparent={true}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContainer}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>Counter Offer</Text>
+              <TouchableOpacity
+                style={styles.closeButton}
+                onPress={() => setCounterTrade(null)}
+                disabled={isSending}
+              >
+                <Ionicons name="close" size={24} color="#333" />
+              </TouchableOpacity>
+            </View>
+            
+            <ScrollView style={styles.modalContent}>
+              <View style={styles.selectedLocationContainer}>
+                <Image
+                  source={{ uri: counterTrade.offeredLocation.photoUrl }}
+                  style={styles.selectedLocationImage}
+                />
+                <Text style={styles.selectedLocationName}>{counterTrade.offeredLocation.name}</Text>
+                <Text style={styles.selectedLocationDetails}>
+                  Offered by {counterTrade.otherUser.username}
+                </Text>
+              </View>
+              
+              <View style={styles.directTradeSection}>
+                <Text style={styles.sectionTitle}>Choose a location to offer instead:</Text>
+                
+                <FlatList
+                  data={myTradeableLocations}
+                  keyExtractor={item => item.id}
+                  renderItem={({ item }) => (
+                    <TouchableOpacity
+                      style={[
+                        styles.myLocationSelectItem,
+                        counterLocation?.id === item.id ? styles.selectedMyLocation : {}
+                      ]}
+                      onPress={() => setCounterLocation(item)}
+                      disabled={isSending}
+                    >
+                      <Image
+                        source={{ uri: item.photoUrl }}
+                        style={styles.myLocationSelectImage}
+                      />
+                      <View style={styles.myLocationSelectInfo}>
+                        <Text style={styles.myLocationSelectName}>{item.name}</Text>
+                        <Text style={styles.myLocationSelectDetails}>
+                          {formatCategories(item.categories)}
+                        </Text>
+                      </View>
+                      {counterLocation?.id === item.id && (
+                        <Ionicons name="checkmark-circle" size={24} color="#3C6E47" />
+                      )}
+                    </TouchableOpacity>
+                  )}
+                  horizontal={false}
+                  scrollEnabled={false}
+                  style={styles.myLocationsList}
+                />
+                
+                <Text style={styles.messageInputLabel}>Add a message (optional):</Text>
+                <TextInput
+                  style={styles.messageInput}
+                  placeholder="Explain your counter offer..."
+                  value={counterMessage}
+                  onChangeText={setCounterMessage}
+                  multiline
+                  numberOfLines={3}
+                  maxLength={200}
+                  editable={!isSending}
+                />
+              </View>
+            </ScrollView>
+            
+            <View style={styles.modalFooter}>
+              <TouchableOpacity
+                style={styles.cancelTradeButton}
+                onPress={() => setCounterTrade(null)}
+                disabled={isSending}
+              >
+                <Text style={styles.cancelTradeButtonText}>Cancel</Text>
+              </TouchableOpacity>
+              
+              <TouchableOpacity
+                style={[
+                  styles.confirmTradeButton,
+                  !counterLocation || isSending ? styles.disabledButton : {}
+                ]}
+                onPress={submitCounterOffer}
+                disabled={!counterLocation || isSending}
+              >
+                {isSending ? (
+                  <ActivityIndicator size="small" color="#fff" />
+                ) : (
+                  <Text style={styles.confirmTradeButtonText}>Send Counter Offer</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    );
+  };
+  
+  // Render bundle trade modal
+  const renderBundleModal = () => {
+    if (!showBundleModal) return null;
+    
+    const creatorIds = getBundleCreatorIds();
+    const bundlePrice = bundleQuote ? bundleQuote.creditAmount : null;
+    const insufficient = bundlePrice !== null && userCredits < bundlePrice;
+    const cannotConfirm = tradeInProgress || bundleQuoteLoading ||
+      (bundleTradeType === 'credit' && (bundlePrice === null || insufficient)) ||
+      (bundleTradeType === 'direct' && (creatorIds.length !== 1 || bundleOfferedLocations.length === 0));
+      
+    return (
+      <Modal
+        visible={showBundleModal}
+        animationType="slide"
+        transparent={true}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContainer}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>Trade {bundleLocations.length} Locations</Text>
+              <TouchableOpacity
+                style={styles.closeButton}
+                onPress={() => setShowBundleModal(false)}
+                disabled={tradeInProgress}
+              >
+                <Ionicons name="close" size={24} color="#333" />
+              </TouchableOpacity>
+            </View>
+            
+            <ScrollView style={styles.modalContent}>
+              <View style={styles.bundleList}>
+                {bundleLocations.map(location => (
+                  <View key={location.id} style={styles.bundleListItem}>
+                    <Image
+                      source={{ uri: location.photoUrl }}
+                      style={styles.myLocationSelectImage}
+                    />
+                    <View style={styles.myLocationSelectInfo}>
+                      <Text style={styles.myLocationSelectName}>{location.name}</Text>
+                      <Text style={styles.myLocationSelectDetails}>
+                        {location.creator.username} • {location.tradeCredits} credits
+                      </Text>
+                    </View>
+                  </View>
+                ))}
+              </View>
+              
+              <Text style={styles.bundleNoteText}>
+                All locations in a bundle change hands together. If any of them can't be traded, none are.
+              </Text>
+              
+              <View style={styles.tradeTypeTabs}>
+                <TouchableOpacity
+                  style={[
+                    styles.tradeTypeTab,
+                    bundleTradeType === 'credit' ? styles.activeTradeTypeTab : {}
+                  ]}
+                  onPress={() => setBundleTradeType('credit')}
+                  disabled={tradeInProgress}
+                >
+                  <Ionicons
+                    name="cash-outline"
+                    size={20}
+                    color={bundleTradeType === 'credit' ? '#fff' : '#555'}
+                  />
+                  <Text
+                    style={[
+                      styles.tradeTypeText,
+                      bundleTradeType === 'credit' ? styles.activeTradeTypeText : {}
+                    ]}
+                  >
+                    Use Credits
+                  </Text>
+                </TouchableOpacity>
+                
+                <TouchableOpacity
+                  style={[
+                    styles.tradeTypeTab,
+                    bundleTradeType === 'direct' ? styles.activeTradeTypeTab : {}
+                  ]}
+                  onPress={() => setBundleTradeType('direct')}
+                  disabled={tradeInProgress}
+                >
+                  <Ionicons
+                    name="swap-horizontal"
+                    size={20}
+                    color={bundleTradeType === 'direct' ? '#fff' : '#555'}
+                  />
+                  <Text
+                    style={[
+                      styles.tradeTypeText,
+                      bundleTradeType === 'direct' ? styles.activeTradeTypeText : {}
+                    ]}
+                  >
+                    Direct Trade
+                  </Text>
+                </TouchableOpacity>
+              </View>
+              
+              {bundleTradeType === 'credit' ? (
+                <View style={styles.creditTradeSection}>
+                  {bundleQuoteLoading || !bundleQuote ? (
+                    <ActivityIndicator size="small" color="#3C6E47" />
+                  ) : (
+                    <>
+                      {bundleQuote.listPrice > bundleQuote.creditAmount && (
+                        <View style={styles.creditInfoRow}>
+                          <Text style={styles.creditLabel}>Individual Prices:</Text>
+                          <Text style={[styles.creditValue, styles.bundleListPrice]}>{bundleQuote.listPrice} credits</Text>
+                        </View>
+                      )}
+                      
+                      <View style={styles.creditInfoRow}>
+                        <Text style={styles.creditLabel}>Bundle Cost:</Text>
+                        <Text style={styles.creditValue}>{bundleQuote.creditAmount} credits</Text>
+                      </View>
+                      
+                      <View style={styles.creditInfoRow}>
+                        <Text style={styles.creditLabel}>Available Balance:</Text>
+                        <Text style={styles.creditValue}>{userCredits} credits</Text>
+                      </View>
+                      
+                      <View style={styles.creditInfoRow}>
+                        <Text style={styles.creditLabel}>Remaining After Trade:</Text>
+                        <Text
+                          style={[
+                            styles.creditValue,
+                            insufficient ? styles.insufficientCredits : {}
+                          ]}
+                        >
+                          {userCredits - bundleQuote.creditAmount} credits
+                        </Text>
+                      </View>
+                      
+                      {insufficient && (
+                        <View style={styles.insufficientWarning}>
+                          <Ionicons name="alert-circle" size={18} color="#e74c3c" />
+                          <Text style={styles.insufficientWarningText}>
+                            You don't have enough credits for this bundle.
+                          </Text>
+                        </View>
+                      )}
+                    </>
+                  )}
+                </View>
+              ) : (
+                <View style={styles.directTradeSection}>
+                  {creatorIds.length !== 1 ? (
+                    <View style={styles.noLocationsWarning}>
+                      <Ionicons name="alert-circle" size={18} color="#e74c3c" />
+                      <Text style={styles.noLocationsWarningText}>
+                        A direct bundle trade is with one person. Only bundle locations from the same creator, or use credits instead.
+                      </Text>
+                    </View>
+                  ) : myTradeableLocations.length === 0 ? (
+                    <View style={styles.noLocationsWarning}>
+                      <Ionicons name="alert-circle" size={18} color="#e74c3c" />
+                      <Text style={styles.noLocationsWarningText}>
+                        You don't have any locations available for trade. Add a location with "Trade" privacy level.
+                      </Text>
+                    </View>
+                  ) : (
+                    <>
+                      <Text style={styles.sectionTitle}>Choose locations to offer:</Text>
+                      
+                      {myTradeableLocations.map(item => {
+                        const selected = bundleOfferedLocations.some(loc => loc.id === item.id);
+                        
+                        return (
+                          <TouchableOpacity
+                            key={item.id}
+                            style={[
+                              styles.myLocationSelectItem,
+                              selected ? styles.selectedMyLocation : {}
+                            ]}
+                            onPress={() => toggleBundleOfferedLocation(item)}
+                            disabled={tradeInProgress}
+                          >
+                            <Image
+                              source={{ uri: item.photoUrl }}
+                              style={styles.myLocationSelectImage}
+                            />
+                            <View style={styles.myLocationSelectInfo}>
+                              <Text style={styles.myLocationSelectName}>{item.name}</Text>
+                              <Text style={styles.myLocationSelectDetails}>
+                                {formatCategories(item.categories)}
+                              </Text>
+                            </View>
+                            {selected && (
+                              <Ionicons name="checkmark-circle" size={24} color="#3C6E47" />
+                            )}
+                          </TouchableOpacity>
+                        );
+                      })}
+                      
+                      <Text style={styles.messageInputLabel}>Add a message (optional):</Text>
+                      <TextInput
+                        style={styles.messageInput}
+                        placeholder="Let them know why they should trade with you..."
+                        value={tradeMessage}
+                        onChangeText={setTradeMessage}
+                        multiline
+                        numberOfLines={3}
+                        maxLength={200}
+                        editable={!tradeInProgress}
+                      />
+                    </>
+                  )}
+                </View>
+              )}
+            </ScrollView>
+            
+            <View style={styles.modalFooter}>
+              <TouchableOpacity
+                style={styles.cancelTradeButton}
+                onPress={() => setShowBundleModal(false)}
+                disabled={tradeInProgress}
+              >
+                <Text style={styles.cancelTradeButtonText}>Cancel</Text>
               </TouchableOpacity>
               
-              <TouchableOpacity 
-                style={[styles.tradeActionButton, styles.acceptButton]}
-                onPress={() => handleTradeResponse(item, true)}
+              <TouchableOpacity
+                style={[
+                  styles.confirmTradeButton,
+                  cannotConfirm ? styles.disabledButton : {}
+                ]}
+                onPress={executeBundleTrade}
+                disabled={cannotConfirm}
               >
-                <Text style={styles.acceptButtonText}>Accept</Text>
+                {tradeInProgress ? (
+                  <ActivityIndicator size="small" color="#fff" />
+                ) : (
+                  <Text style={styles.confirmTradeButtonText}>
+                    {bundleTradeType === 'credit' ? 'Trade Credits' : 'Send Trade Request'}
+                  </Text>
+                )}
               </TouchableOpacity>
-            </>
-          ) : (
-            <TouchableOpacity 
-              style={[styles.tradeActionButton, styles.cancelButton]}
-              onPress={() => handleTradeResponse(item, false)}
-            >
-              <Text style={styles.cancelButtonText}>Cancel Request</Text>
-            </TouchableOpacity>
-          )}
+            </View>
+          </View>
         </View>
-      </View>
+      </Modal>
     );
   };
   
@@ -778,7 +1586,7 @@ const TradeScreen = () => {
                   </View>
                   
                   <View style={styles.creditInfoRow}>
-                    <Text style={styles.creditLabel}>Your Balance:</Text>
+                    <Text style={styles.creditLabel}>Available Balance:</Text>
                     <Text style={styles.creditValue}>{userCredits} credits</Text>
                   </View>
                   
@@ -802,6 +1610,12 @@ const TradeScreen = () => {
                       </Text>
                     </View>
                   )}
+                  
+                  {revenueShare && (
+                    <Text style={styles.creatorShareText}>
+                      {calculateCreatorShare(selectedLocation.tradeCredits, revenueShare).creatorCredits} credits go to the creator of this location ({revenueShare.platformFeePercent}% platform fee).
+                    </Text>
+                  )}
                 </View>
               ) : (
                 <View style={styles.directTradeSection}>
@@ -910,15 +1724,34 @@ const TradeScreen = () => {
         <View style={styles.creditBalance}>
           <Ionicons name="wallet-outline" size={24} color="#3C6E47" />
           <Text style={styles.creditBalanceText}>{userCredits} credits</Text>
+          {reservedCredits > 0 && (
+            <Text style={styles.reservedCreditsText}>+{reservedCredits} reserved</Text>
+          )}
         </View>
         
-        <TouchableOpacity
-          style={styles.historyButton}
-          onPress={() => navigation.navigate('TradeHistory')}
-        >
-          <Ionicons name="time-outline" size={18} color="#3C6E47" />
-          <Text style={styles.historyButtonText}>History</Text>
-        </TouchableOpacity>
+        <View style={styles.headerActions}>
+          <TouchableOpacity
+            style={styles.inboxButton}
+            onPress={() => navigation.navigate('NotificationInbox')}
+          >
+            <Ionicons name="notifications-outline" size={22} color="#3C6E47" />
+            {unreadNotifications > 0 && (
+              <View style={styles.inboxBadge}>
+                <Text style={styles.inboxBadgeText}>
+                  {unreadNotifications > 99 ? '99+' : unreadNotifications}
+                </Text>
+              </View>
+            )}
+          </TouchableOpacity>
+          
+          <TouchableOpacity
+            style={styles.historyButton}
+            onPress={() => navigation.navigate('TradeHistory')}
+          >
+            <Ionicons name="time-outline" size={18} color="#3C6E47" />
+            <Text style={styles.historyButtonText}>History</Text>
+          </TouchableOpacity>
+        </View>
       </View>
       
       <View style={styles.searchContainer}>
@@ -1041,9 +1874,46 @@ const TradeScreen = () => {
         />
       )}
       
+      {/* Bundle Bar */}
+      {activeTab === 'available' && bundleLocations.length > 0 && (
+        <View style={styles.bundleBar}>
+          <View style={styles.bundleBarInfo}>
+            <Text style={styles.bundleBarTitle}>
+              {bundleLocations.length} {bundleLocations.length === 1 ? 'location' : 'locations'} in bundle
+            </Text>
+            <Text style={styles.bundleBarSubtitle}>
+              {bundleLocations.reduce((sum, loc) => sum + loc.tradeCredits, 0)} credits individually
+            </Text>
+          </View>
+          <TouchableOpacity
+            style={styles.bundleBarClear}
+            onPress={() => setBundleLocations([])}
+          >
+            <Text style={styles.bundleBarClearText}>Clear</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.tradeAction, bundleLocations.length < 2 ? styles.disabledButton : {}]}
+            onPress={handleInitiateBundleTrade}
+            disabled={bundleLocations.length < 2}
+          >
+            <Ionicons name="albums" size={16} color="#fff" />
+            <Text style={styles.tradeActionText}>Trade Bundle</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+      
       {/* Trade Modal */}
       {renderTradeModal()}
       
+      {/* Bundle Trade Modal */}
+      {renderBundleModal()}
+      
+      {/* Counter Offer Modal */}
+      {renderCounterModal()}
+      
+      {/* Accept Review Modal */}
+      {renderAcceptModal()}
+      
     </SafeAreaView>
   );
 };
@@ -1073,6 +1943,36 @@ const styles = StyleSheet.create({
     color: '#3C6E47',
     marginLeft: 8,
   },
+  reservedCreditsText: {
+    fontSize: 12,
+    color: '#888',
+    marginLeft: 8,
+  },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  inboxButton: {
+    padding: 6,
+    marginRight: 8,
+  },
+  inboxBadge: {
+    position: 'absolute',
+    top: 0,
+    right: 0,
+    minWidth: 16,
+    height: 16,
+    borderRadius: 8,
+    paddingHorizontal: 4,
+    backgroundColor: '#e74c3c',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  inboxBadgeText: {
+    color: '#fff',
+    fontSize: 10,
+    fontWeight: 'bold',
+  },
   historyButton: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -1315,6 +2215,31 @@ const styles = StyleSheet.create({
     fontSize: 12,
     color: '#888',
   },
+  tradeStatusRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: -8,
+    marginBottom: 12,
+  },
+  counteredBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#F39C12',
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 10,
+  },
+  counteredBadgeText: {
+    fontSize: 12,
+    color: '#fff',
+    marginLeft: 4,
+  },
+  tradeExpiryText: {
+    fontSize: 12,
+    color: '#e67e22',
+    marginLeft: 'auto',
+  },
   tradeLocations: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -1393,6 +2318,19 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontWeight: '600',
   },
+  counterButton: {
+    backgroundColor: '#f0f7f2',
+    flex: 1,
+  },
+  counterButtonText: {
+    color: '#3C6E47',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  tradeActionLoading: {
+    flex: 1,
+    paddingVertical: 10,
+  },
   cancelButton: {
     backgroundColor: '#f5f5f5',
     flex: 1,
@@ -1538,6 +2476,11 @@ const styles = StyleSheet.create({
     color: '#e74c3c',
     marginLeft: 6,
   },
+  creatorShareText: {
+    fontSize: 12,
+    color: '#888',
+    marginTop: 8,
+  },
   directTradeSection: {
     backgroundColor: '#f5f5f5',
     borderRadius: 8,
@@ -1645,6 +2588,153 @@ const styles = StyleSheet.create({
   disabledButton: {
     backgroundColor: '#a8d5ba',
   },
+  tradeActionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  bundleAction: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#3C6E47',
+    paddingHorizontal: 8,
+    paddingVertical: 5,
+    borderRadius: 4,
+    marginRight: 6,
+  },
+  bundleActionSelected: {
+    backgroundColor: '#3C6E47',
+  },
+  bundleActionText: {
+    fontSize: 14,
+    color: '#3C6E47',
+    fontWeight: '600',
+    marginLeft: 4,
+  },
+  bundleActionTextSelected: {
+    color: '#fff',
+  },
+  bundleBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#3C6E47',
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 10,
+  },
+  bundleMoreText: {
+    fontSize: 12,
+    color: '#3C6E47',
+    textAlign: 'center',
+    marginBottom: 4,
+  },
+  bundleDetails: {
+    backgroundColor: '#f5f5f5',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 16,
+  },
+  bundleDetailsText: {
+    fontSize: 14,
+    color: '#333',
+    marginBottom: 4,
+  },
+  bundleDetailsLabel: {
+    fontWeight: '600',
+    color: '#555',
+  },
+  bundleNoteText: {
+    fontSize: 12,
+    color: '#888',
+    marginBottom: 12,
+  },
+  bundleList: {
+    marginBottom: 8,
+  },
+  bundleListItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#f5f5f5',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+  },
+  bundleListPrice: {
+    color: '#888',
+    textDecorationLine: 'line-through',
+  },
+  bundleBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    backgroundColor: '#fff',
+    borderTopWidth: 1,
+    borderTopColor: '#e0e0e0',
+  },
+  bundleBarInfo: {
+    flex: 1,
+  },
+  bundleBarTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+  },
+  bundleBarSubtitle: {
+    fontSize: 12,
+    color: '#888',
+  },
+  bundleBarClear: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 4,
+  },
+  bundleBarClearText: {
+    fontSize: 14,
+    color: '#888',
+  },
+  usernameTierIcon: {
+    marginLeft: 4,
+  },
+  reputationCard: {
+    backgroundColor: '#f5f5f5',
+    borderRadius: 8,
+    padding: 16,
+    marginBottom: 16,
+  },
+  reputationHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  reputationBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 10,
+    marginLeft: 8,
+  },
+  reputationScore: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+  },
+  reputationComponent: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  reputationComponentText: {
+    fontSize: 14,
+    color: '#555',
+    marginLeft: 6,
+  },
+  reputationUnavailable: {
+    fontSize: 14,
+    color: '#888',
+  },
 });
 
 export default TradeScreen;
\ No newline at end of file
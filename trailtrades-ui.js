@@ -5,7 +5,6 @@ import { createStackNavigator } from '@react-navigation/stack';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
 import { StatusBar, Platform, SafeAreaView, StyleSheet } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { KeyboardAwareScrollView } from 'react-native-keyboard-aware-scroll-view';
 
 // Authentication Screens
@@ -24,9 +23,25 @@ import UploadMediaScreen from './screens/media/UploadMediaScreen';
 import MediaDetailScreen from './screens/media/MediaDetailScreen';
 import ProfileScreen from './screens/profile/ProfileScreen';
 import EditProfileScreen from './screens/profile/EditProfileScreen';
+import PendingChangesScreen from './screens/profile/PendingChangesScreen';
 import TradeScreen from './screens/trade/TradeScreen';
 import TradeHistoryScreen from './screens/trade/TradeHistoryScreen';
 import SettingsScreen from './screens/settings/SettingsScreen';
+import NotificationSettingsScreen from './screens/settings/NotificationSettingsScreen';
+import NotificationInboxScreen from './screens/notifications/NotificationInboxScreen';
+
+// Components
+import TradeNotification from './components/TradeNotification';
+
+// Session
+import { getSession, onSessionChange } from './functions/trailtrades_sessionManager';
+
+// Credits
+import { restorePendingPurchases } from './functions/trailtrades_purchaseCredits';
+
+// Notifications
+import notificationClient from './functions/trailtrades_notifications';
+import { startOutboxSync } from './functions/trailtrades_outbox';
 
 // Navigation Stacks
 const Stack = createStackNavigator();
@@ -198,6 +213,16 @@ const TradeStack = () => {
         component={TradeHistoryScreen} 
         options={{ title: 'Trade History' }}
       />
+      <Stack.Screen 
+        name="NotificationInbox" 
+        component={NotificationInboxScreen} 
+        options={{ title: 'Notifications' }}
+      />
+      <Stack.Screen 
+        name="NotificationSettings" 
+        component={NotificationSettingsScreen} 
+        options={{ title: 'Notification Settings' }}
+      />
       <Stack.Screen 
         name="LocationDetail" 
         component={LocationDetailScreen} 
@@ -231,11 +256,21 @@ const ProfileStack = () => {
         component={EditProfileScreen} 
         options={{ title: 'Edit Profile' }}
       />
+      <Stack.Screen 
+        name="PendingChanges" 
+        component={PendingChangesScreen} 
+        options={{ title: 'Waiting to Sync' }}
+      />
       <Stack.Screen 
         name="Settings" 
         component={SettingsScreen} 
         options={{ title: 'Settings' }}
       />
+      <Stack.Screen 
+        name="NotificationSettings" 
+        component={NotificationSettingsScreen} 
+        options={{ title: 'Notification Settings' }}
+      />
       <Stack.Screen 
         name="LocationDetail" 
         component={LocationDetailScreen} 
@@ -251,7 +286,7 @@ const ProfileStack = () => {
 };
 
 // Main Tab Navigator
-const TabNavigator = () => {
+const TabNavigator = ({ unreadCount }) => {
   return (
     <Tab.Navigator
       screenOptions={({ route }) => ({
@@ -300,7 +335,10 @@ const TabNavigator = () => {
       <Tab.Screen 
         name="TradeTab" 
         component={TradeStack} 
-        options={{ title: 'Trade' }}
+        options={{
+          title: 'Trade',
+          tabBarBadge: unreadCount > 0 ? (unreadCount > 99 ? '99+' : unreadCount) : undefined,
+        }}
       />
       <Tab.Screen 
         name="ProfileTab" 
@@ -315,27 +353,70 @@ const TabNavigator = () => {
 const App = () => {
   const [isLoading, setIsLoading] = useState(true);
   const [userToken, setUserToken] = useState(null);
+  const [notifications, setNotifications] = useState(notificationClient.getState());
+  const isSignedIn = Boolean(userToken);
 
-  // Check for existing auth token on startup
+  // Check for existing session on startup and follow login/logout afterwards
   useEffect(() => {
     const bootstrapAsync = async () => {
-      let token = null;
+      let session = null;
       try {
-        // Fetch token from storage
-        token = await AsyncStorage.getItem('trailtrades_auth_token');
+        // Load session from secure storage
+        session = await getSession();
       } catch (e) {
-        // Error fetching token
-        console.error('Failed to get auth token', e);
+        // Error loading session
+        console.error('Failed to load session', e);
       }
       
       // Update state with token
-      setUserToken(token);
+      setUserToken(session ? session.accessToken : null);
       setIsLoading(false);
     };
 
     bootstrapAsync();
+
+    // Switch between auth and main stacks when the session changes
+    const unsubscribe = onSessionChange((event, session) => {
+      setUserToken(session ? session.accessToken : null);
+    });
+
+    return unsubscribe;
   }, []);
 
+  // Credit purchases interrupted before the server confirmed them are finished on sign-in
+  // (not on every token refresh)
+  useEffect(() => {
+    if (!isSignedIn || Platform.OS === 'web') return;
+
+    restorePendingPurchases().catch(error => {
+      console.error('Failed to restore pending purchases', error);
+    });
+  }, [isSignedIn]);
+
+  // Receive trade notifications while signed in (the token changes on every refresh,
+  // so this follows isSignedIn rather than userToken)
+  useEffect(() => {
+    if (!isSignedIn) return;
+
+    const unsubscribe = notificationClient.subscribe(setNotifications);
+
+    notificationClient.connect().catch(error => {
+      console.error('Failed to connect notifications', error);
+    });
+
+    return () => {
+      unsubscribe();
+      notificationClient.disconnect();
+    };
+  }, [isSignedIn]);
+
+  // Replay changes made offline while signed in
+  useEffect(() => {
+    if (!isSignedIn) return;
+
+    return startOutboxSync();
+  }, [isSignedIn]);
+
   // Set loading screen if still loading
   if (isLoading) {
     return (
@@ -352,10 +433,20 @@ const App = () => {
         backgroundColor="#3C6E47"
       />
       {userToken ? (
-        <TabNavigator />
+        <TabNavigator unreadCount={notifications.unreadCount} />
       ) : (
         <AuthStack />
       )}
+      {userToken && notifications.current && (
+        // Keyed by ID so each queued notification slides in and times out on its own
+        <TradeNotification
+          key={notifications.current.id}
+          visible={true}
+          type={notifications.current.type}
+          data={notifications.current.data}
+          onDismiss={notificationClient.dismissCurrent}
+        />
+      )}
     </NavigationContainer>
   );
 };
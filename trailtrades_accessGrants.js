@@ -0,0 +1,318 @@
+import apiClient from './trailtrades_apiClient';
+
+/**
+ * TrailTrades Access Grants Module
+ * 
+ * Access to a 'trade' location is a grant held by the user who traded for it. A grant has
+ * a level (view-only, or navigate-and-download) and either an expiry or none (permanent).
+ * The creator offers the combinations they sell as access options, each with its own
+ * credit price; direct trades and bundles always grant permanent navigate access.
+ * 
+ * The creator can revoke a grant. The holder is refunded the unused part of the price:
+ * time-limited grants are prorated over their remaining days, permanent grants over
+ * config.PERMANENT_PRORATION_DAYS from when they were granted. The refund is written to
+ * the ledger as a 'refund' entry for the holder and debited from the creator. The server
+ * is authoritative for access and refunds; expiry is also checked on the client so that
+ * an expired grant in a cached response is not treated as access.
+ */
+
+// Access levels
+const ACCESS_LEVEL = {
+  VIEW: 'view',
+  NAVIGATE: 'navigate'
+};
+
+// Grant states
+const GRANT_STATUS = {
+  ACTIVE: 'active',
+  EXPIRED: 'expired',
+  REVOKED: 'revoked'
+};
+
+// Access grant configuration
+const config = {
+  PERMANENT_PRORATION_DAYS: 365
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the access options a creator offers for a location
+ * 
+ * @param {string} locationId - Location ID
+ * @returns {Promise<Array>} - Options { id, level, durationDays (null for permanent), creditAmount }, cheapest first
+ */
+async function getAccessOptions(locationId) {
+  if (!locationId) {
+    throw new Error('Location ID is required.');
+  }
+  
+  const result = await apiClient.get(`/locations/${locationId}/access-options`, {
+    auth: 'optional',
+    errorMessage: 'Failed to load access options'
+  });
+  
+  return (result.options || [])
+    .map(normalizeAccessOption)
+    .sort((a, b) => a.creditAmount - b.creditAmount);
+}
+
+/**
+ * Get the access grants held by the current user
+ * 
+ * @param {Object} [filters] - Grant filters
+ * @param {string} [filters.status] - Only grants with this status (from GRANT_STATUS)
+ * @returns {Promise<Array>} - Grants
+ */
+async function getMyAccessGrants(filters = {}) {
+  if (filters.status && !Object.values(GRANT_STATUS).includes(filters.status)) {
+    throw new Error(`Invalid grant status: ${filters.status}`);
+  }
+  
+  const result = await apiClient.get('/users/me/access-grants', {
+    query: { status: filters.status },
+    errorMessage: 'Failed to load location access'
+  });
+  
+  return (result.grants || []).map(normalizeGrant);
+}
+
+/**
+ * Get the access grants issued for one of the current user's locations
+ * 
+ * @param {string} locationId - Location ID (must be created by the current user)
+ * @returns {Promise<Array>} - Grants with holder { id, username, avatarUrl }, active first
+ */
+async function getIssuedGrants(locationId) {
+  if (!locationId) {
+    throw new Error('Location ID is required.');
+  }
+  
+  const result = await apiClient.get(`/locations/${locationId}/access-grants`, {
+    errorMessage: 'Failed to load who has access'
+  });
+  
+  return (result.grants || [])
+    .map(normalizeGrant)
+    .sort((a, b) => (a.status === GRANT_STATUS.ACTIVE ? 0 : 1) - (b.status === GRANT_STATUS.ACTIVE ? 0 : 1));
+}
+
+/**
+ * Get the refund a revocation would pay, as calculated by the server
+ * 
+ * @param {string} grantId - Grant ID
+ * @returns {Promise<Object>} - { refundCredits, remainingDays }
+ */
+async function getRevocationQuote(grantId) {
+  if (!grantId) {
+    throw new Error('Grant ID is required.');
+  }
+  
+  const result = await apiClient.get(`/access-grants/${grantId}/revocation-quote`, {
+    errorMessage: 'Failed to calculate refund'
+  });
+  
+  return {
+    refundCredits: result.refundCredits || 0,
+    remainingDays: typeof result.remainingDays === 'number' ? result.remainingDays : null
+  };
+}
+
+/**
+ * Revoke an access grant on one of the current user's locations
+ * 
+ * @param {string} grantId - Grant ID
+ * @param {Object} [options] - Revocation options
+ * @param {string} [options.reason] - Reason shown to the holder
+ * @returns {Promise<Object>} - { grant, refundCredits, ledgerEntryId }
+ * @throws {Error} - With code 'INSUFFICIENT_CREDITS' if the creator can't cover the refund
+ */
+async function revokeAccess(grantId, options = {}) {
+  if (!grantId) {
+    throw new Error('Grant ID is required.');
+  }
+  
+  try {
+    const result = await apiClient.post(`/access-grants/${grantId}/revoke`, {
+      reason: options.reason || ''
+    }, {
+      errorMessage: 'Failed to revoke access',
+      // A grant is only revoked (and refunded) once
+      idempotencyKey: `revoke:${grantId}`
+    });
+    
+    return {
+      grant: normalizeGrant(result.grant),
+      refundCredits: result.refundCredits || 0,
+      ledgerEntryId: result.ledgerEntryId || null
+    };
+  } catch (error) {
+    if (error.code === 'INSUFFICIENT_CREDITS') {
+      error.message = 'You need enough credits to refund the unused part of this access before revoking it.';
+    } else if (error.code === 'GRANT_NOT_ACTIVE') {
+      error.message = 'This access has already expired or been revoked.';
+    }
+    
+    throw error;
+  }
+}
+
+/**
+ * Estimate the refund for revoking a grant
+ * Mirrors the server's proration for previews; use getRevocationQuote before revoking.
+ * 
+ * @param {Object} grant - Normalized grant
+ * @param {Date} [now] - Time of revocation
+ * @returns {number} - Whole credits refunded
+ */
+function calculateProratedRefund(grant, now = new Date()) {
+  if (!grant || !isGrantActive(grant, now) || !grant.creditAmount) {
+    return 0;
+  }
+  
+  const start = grant.grantedAt.getTime();
+  const end = grant.expiresAt
+    ? grant.expiresAt.getTime()
+    : start + config.PERMANENT_PRORATION_DAYS * DAY_MS;
+  const remaining = Math.min(Math.max(end - now.getTime(), 0), end - start);
+  
+  return end > start ? Math.floor(grant.creditAmount * (remaining / (end - start))) : 0;
+}
+
+/**
+ * Whether a grant currently gives access
+ * 
+ * @param {Object} grant - Normalized grant
+ * @param {Date} [now] - Time to check at
+ * @returns {boolean}
+ */
+function isGrantActive(grant, now = new Date()) {
+  return Boolean(grant) &&
+    grant.status === GRANT_STATUS.ACTIVE &&
+    (!grant.expiresAt || grant.expiresAt.getTime() > now.getTime());
+}
+
+/**
+ * Get what the current user can do with a location
+ * Public locations and the user's own locations give full access. Otherwise access comes
+ * from the location's accessGrant; locations from older responses without one fall back
+ * to userHasAccess, which always meant permanent full access.
+ * 
+ * @param {Object} location - Location from the API
+ * @returns {Object} - { hasAccess, canNavigate, canDownload, level, expiresAt, grant }
+ */
+function getLocationAccess(location) {
+  if (!location) {
+    return { hasAccess: false, canNavigate: false, canDownload: false, level: null, expiresAt: null, grant: null };
+  }
+  
+  if (location.privacyLevel === 'public' || location.isOwner) {
+    return { hasAccess: true, canNavigate: true, canDownload: true, level: ACCESS_LEVEL.NAVIGATE, expiresAt: null, grant: null };
+  }
+  
+  const grant = location.accessGrant ? normalizeGrant(location.accessGrant) : null;
+  
+  if (!grant) {
+    const legacyAccess = location.userHasAccess === true;
+    
+    return {
+      hasAccess: legacyAccess,
+      canNavigate: legacyAccess,
+      canDownload: legacyAccess,
+      level: legacyAccess ? ACCESS_LEVEL.NAVIGATE : null,
+      expiresAt: null,
+      grant: null
+    };
+  }
+  
+  const active = isGrantActive(grant);
+  const canNavigate = active && grant.level === ACCESS_LEVEL.NAVIGATE;
+  
+  return {
+    hasAccess: active,
+    canNavigate,
+    canDownload: canNavigate,
+    level: active ? grant.level : null,
+    expiresAt: grant.expiresAt,
+    grant
+  };
+}
+
+/**
+ * Describe an access option or grant, e.g. '30 days · View only'
+ * 
+ * @param {Object} access - Access option or grant { level, durationDays }
+ * @returns {string}
+ */
+function describeAccess(access) {
+  const duration = access.durationDays ? `${access.durationDays} days` : 'Permanent';
+  const level = access.level === ACCESS_LEVEL.VIEW ? 'View only' : 'Navigate & download';
+  
+  return `${duration} · ${level}`;
+}
+
+/**
+ * Normalize an access grant from the API
+ * 
+ * @param {Object} grant - Grant from the API
+ * @returns {Object} - Grant with Date fields and a status that accounts for expiry
+ */
+function normalizeGrant(grant) {
+  const expiresAt = grant.expiresAt ? new Date(grant.expiresAt) : null;
+  const expired = grant.status === GRANT_STATUS.ACTIVE && expiresAt && expiresAt.getTime() <= Date.now();
+  
+  return {
+    ...grant,
+    level: grant.level || ACCESS_LEVEL.NAVIGATE,
+    status: expired ? GRANT_STATUS.EXPIRED : grant.status || GRANT_STATUS.ACTIVE,
+    grantedAt: new Date(grant.grantedAt),
+    expiresAt,
+    revokedAt: grant.revokedAt ? new Date(grant.revokedAt) : null,
+    durationDays: grant.durationDays || null,
+    creditAmount: grant.creditAmount || 0,
+    refundCredits: grant.refundCredits || 0
+  };
+}
+
+/**
+ * Normalize an access option from the API
+ * 
+ * @param {Object} option - Access option from the API
+ * @returns {Object} - Access option
+ */
+function normalizeAccessOption(option) {
+  return {
+    id: option.id,
+    level: option.level || ACCESS_LEVEL.NAVIGATE,
+    durationDays: option.durationDays || null,
+    creditAmount: option.creditAmount || 0
+  };
+}
+
+const trailtrades_accessGrants = {
+  getAccessOptions,
+  getMyAccessGrants,
+  getIssuedGrants,
+  getRevocationQuote,
+  revokeAccess,
+  calculateProratedRefund,
+  isGrantActive,
+  getLocationAccess,
+  describeAccess
+};
+
+export {
+  ACCESS_LEVEL,
+  GRANT_STATUS,
+  getAccessOptions,
+  getMyAccessGrants,
+  getIssuedGrants,
+  getRevocationQuote,
+  revokeAccess,
+  calculateProratedRefund,
+  isGrantActive,
+  getLocationAccess,
+  describeAccess,
+  normalizeGrant
+};
+export default trailtrades_accessGrants;
\ No newline at end of file
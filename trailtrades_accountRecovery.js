@@ -0,0 +1,186 @@
+import apiClient from './trailtrades_apiClient';
+import { validatePassword } from './trailtrades_registerUser';
+
+/**
+ * TrailTrades Account Recovery Module
+ * 
+ * Password reset and email verification flows. A password reset runs in three
+ * steps: request a reset code by email, verify the code (which yields a short-lived
+ * reset token), then set the new password with that token. Accounts whose email is
+ * not verified are rejected at login with the EMAIL_NOT_VERIFIED error code; the
+ * login screen can offer resendVerificationEmail in that case.
+ */
+
+// Server error code for logins on accounts with an unverified email
+const EMAIL_NOT_VERIFIED = 'EMAIL_NOT_VERIFIED';
+
+// Email format
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Request a password reset code
+ * The server responds the same way whether or not the email has an account.
+ * 
+ * @param {string} email - Account email
+ * @returns {Promise<Object>} - { sent, codeExpiresInSeconds }
+ */
+async function requestPasswordReset(email) {
+  const normalizedEmail = validateEmail(email);
+  
+  const result = await apiClient.post('/auth/password-reset', {
+    email: normalizedEmail
+  }, {
+    auth: false,
+    errorMessage: 'Failed to request password reset'
+  });
+  
+  return {
+    sent: true,
+    codeExpiresInSeconds: (result && result.codeExpiresInSeconds) || null
+  };
+}
+
+/**
+ * Verify a password reset code
+ * 
+ * @param {string} email - Account email
+ * @param {string} code - Code from the reset email
+ * @returns {Promise<string>} - Reset token for setNewPassword
+ */
+async function verifyResetCode(email, code) {
+  const normalizedEmail = validateEmail(email);
+  const normalizedCode = (code || '').trim();
+  
+  if (!/^[0-9A-Za-z]{4,10}$/.test(normalizedCode)) {
+    throw new Error('Please enter the code from your email.');
+  }
+  
+  const result = await apiClient.post('/auth/password-reset/verify', {
+    email: normalizedEmail,
+    code: normalizedCode
+  }, {
+    auth: false,
+    errorMessage: 'Invalid or expired code'
+  });
+  
+  if (!result || !result.resetToken) {
+    throw new Error('Invalid or expired code');
+  }
+  
+  return result.resetToken;
+}
+
+/**
+ * Set a new password using a verified reset token
+ * 
+ * @param {string} resetToken - Token from verifyResetCode
+ * @param {string} newPassword - New password (must satisfy the shared password rules)
+ * @returns {Promise<void>}
+ */
+async function setNewPassword(resetToken, newPassword) {
+  if (!resetToken) {
+    throw new Error('Reset token is required.');
+  }
+  
+  const passwordCheck = validatePassword(newPassword);
+  
+  if (!passwordCheck.valid) {
+    throw new Error(`Password does not meet all requirements: ${passwordCheck.failedRules.map(rule => rule.label.toLowerCase()).join(', ')}`);
+  }
+  
+  await apiClient.post('/auth/password-reset/complete', {
+    resetToken,
+    password: newPassword
+  }, {
+    auth: false,
+    errorMessage: 'Failed to reset password'
+  });
+}
+
+/**
+ * Resend the email verification link
+ * 
+ * @param {string} email - Account email
+ * @returns {Promise<void>}
+ */
+async function resendVerificationEmail(email) {
+  const normalizedEmail = validateEmail(email);
+  
+  await apiClient.post('/auth/email-verification/resend', {
+    email: normalizedEmail
+  }, {
+    auth: false,
+    errorMessage: 'Failed to resend verification email'
+  });
+}
+
+/**
+ * Confirm an email address with the token from the verification link
+ * 
+ * @param {string} verificationToken - Token from the verification link
+ * @returns {Promise<Object>} - { status: 'verified', email }
+ */
+async function verifyEmail(verificationToken) {
+  if (!verificationToken) {
+    throw new Error('Verification token is required.');
+  }
+  
+  const result = await apiClient.post('/auth/email-verification/verify', {
+    token: verificationToken
+  }, {
+    auth: false,
+    errorMessage: 'Failed to verify email'
+  });
+  
+  return {
+    status: 'verified',
+    email: (result && result.email) || null
+  };
+}
+
+/**
+ * Whether an authentication error means the account email is not verified yet
+ * 
+ * @param {Error} error - Error thrown by trailtrades_authenticateUser
+ * @returns {boolean}
+ */
+function isEmailNotVerifiedError(error) {
+  return Boolean(error) && error.code === EMAIL_NOT_VERIFIED;
+}
+
+/**
+ * Validate and normalize email address
+ * 
+ * @param {string} email - Email address
+ * @returns {string} - Trimmed email
+ * @throws {Error} - If email is invalid
+ */
+function validateEmail(email) {
+  const normalizedEmail = (email || '').trim();
+  
+  if (!EMAIL_REGEX.test(normalizedEmail)) {
+    throw new Error('Please enter a valid email address');
+  }
+  
+  return normalizedEmail;
+}
+
+const trailtrades_accountRecovery = {
+  requestPasswordReset,
+  verifyResetCode,
+  setNewPassword,
+  resendVerificationEmail,
+  verifyEmail,
+  isEmailNotVerifiedError
+};
+
+export {
+  EMAIL_NOT_VERIFIED,
+  requestPasswordReset,
+  verifyResetCode,
+  setNewPassword,
+  resendVerificationEmail,
+  verifyEmail,
+  isEmailNotVerifiedError
+};
+export default trailtrades_accountRecovery;
\ No newline at end of file
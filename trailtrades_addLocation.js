@@ -1,3 +1,6 @@
+import apiClient from './trailtrades_apiClient';
+import { createLocalId, enqueueMutation, registerOutboxHandler, OUTBOX_OPERATION } from './trailtrades_outbox';
+
 /**
  * TrailTrades Location Management Module
  * 
@@ -32,14 +35,20 @@
  * @param {boolean} [metadata.rvSpecs.hasDumping] - Whether location has dumping facilities
  * @param {string[]} [metadata.tags] - Array of custom tags
  * @param {string} [metadata.description] - Description of the location
+ * @param {number} [metadata.tradeCredits] - Credits required to trade for the location (required for 'trade'
+ *   privacy, min. 5; see trailtrades_suggestTradePrice for a suggested value)
  * @param {string} privacyLevel - Privacy level: 'public', 'followers', 'private', or 'trade'
- * @returns {Promise<Object>} - Promise resolving to created location object or error
+ * @returns {Promise<Object>} - Promise resolving to created location object or error. Without
+ *   connectivity the location is queued in the outbox (see trailtrades_outbox) and returned with
+ *   a local ID and pendingSync: true; 'coordinates' locations can be added fully offline, while
+ *   'import' and 'address' need the map services to resolve the place first.
  */
 async function trailtrades_addLocation(method, locationData, metadata, privacyLevel) {
-  // Import configuration for API keys
+  // Import configuration
   const config = {
     GOOGLE_MAPS_API_KEY: process.env.GOOGLE_MAPS_API_KEY || '',
-    APPLE_MAPS_TOKEN: process.env.APPLE_MAPS_TOKEN || ''
+    APPLE_MAPS_TOKEN: process.env.APPLE_MAPS_TOKEN || '',
+    MIN_TRADE_CREDITS: 5
   };
   
   // Validate inputs
@@ -59,6 +68,11 @@ async function trailtrades_addLocation(method, locationData, metadata, privacyLe
     throw new Error('Invalid privacy level. Use "public", "followers", "private", or "trade".');
   }
   
+  if (privacyLevel === 'trade' &&
+      (!Number.isInteger(metadata.tradeCredits) || metadata.tradeCredits < config.MIN_TRADE_CREDITS)) {
+    throw new Error(`Trade locations require a whole number of at least ${config.MIN_TRADE_CREDITS} trade credits.`);
+  }
+  
   // Verify API keys are available based on method
   if (method === 'import' && locationData.mapSource) {
     const provider = locationData.mapSource.provider;
@@ -96,30 +110,37 @@ async function trailtrades_addLocation(method, locationData, metadata, privacyLe
       ...(metadata.rvSpecs ? { rvSpecs: validateRVSpecs(metadata.rvSpecs) } : {})
     },
     privacyLevel,
+    ...(privacyLevel === 'trade' ? { tradeCredits: metadata.tradeCredits } : {}),
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString()
   };
   
+  // Sent with the first attempt too, so a replay of a request that did reach the server
+  // doesn't add the location twice
+  const { v4: uuidv4 } = require('uuid');
+  const idempotencyKey = uuidv4();
+  
   // Add location to database via API
   try {
-    const authToken = await getAuthToken();
-    
-    const response = await fetch('https://api.trailtrades.com/locations', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${authToken}`
-      },
-      body: JSON.stringify(locationObject)
+    return await apiClient.post('/locations', locationObject, {
+      errorMessage: 'Failed to add location',
+      idempotencyKey
     });
-    
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.message || 'Failed to add location');
+  } catch (error) {
+    if (error.isNetworkError) {
+      // Save offline; the outbox adds it once connectivity returns
+      const localId = createLocalId();
+      const entry = await enqueueMutation({
+        operation: OUTBOX_OPERATION.CREATE_LOCATION,
+        payload: locationObject,
+        localId,
+        idempotencyKey,
+        label: metadata.name
+      });
+      
+      return { ...locationObject, id: localId, pendingSync: true, outboxEntryId: entry.id };
     }
     
-    return await response.json();
-  } catch (error) {
     console.error('Location addition error:', error);
     throw error;
   }
@@ -325,38 +346,6 @@ function validateRVSpecs(rvSpecs) {
   };
 }
 
-/**
- * Helper function to retrieve authentication token
- * 
- * @returns {Promise<string>} - Authentication token
- */
-async function getAuthToken() {
-  try {
-    let token;
-    
-    if (Platform.OS === 'ios') {
-      // iOS secure storage implementation
-      const credentials = await Keychain.getGenericPassword();
-      token = credentials.password;
-    } else if (Platform.OS === 'android') {
-      // Android secure storage implementation
-      token = await EncryptedStorage.getItem('trailtrades_auth_token');
-    } else {
-      // Web fallback
-      token = localStorage.getItem('trailtrades_auth_token');
-    }
-    
-    if (!token) {
-      throw new Error('Authentication token not found. Please log in.');
-    }
-    
-    return token;
-  } catch (error) {
-    console.error('Failed to retrieve authentication token:', error);
-    throw new Error('Authentication required. Please log in.');
-  }
-}
-
 /**
  * Fetch place details from Google Places API
  * 
@@ -721,4 +710,12 @@ async function fetchElevationData(latitude, longitude) {
   }
 }
 
+// Replays locations added offline
+registerOutboxHandler(OUTBOX_OPERATION.CREATE_LOCATION, (locationObject, { idempotencyKey }) =>
+  apiClient.post('/locations', locationObject, {
+    errorMessage: 'Failed to add location',
+    idempotencyKey
+  })
+);
+
 export default trailtrades_addLocation;
\ No newline at end of file
@@ -0,0 +1,285 @@
+/**
+ * TrailTrades API Client Module
+ * 
+ * Shared HTTP client used by every TrailTrades function module. Resolves request
+ * paths against a configurable base URL, injects the bearer token, converts failed
+ * responses into TrailTradesApiError objects, and sends requests through a pluggable
+ * transport so the whole app can be pointed at a local mock server in tests.
+ * 
+ * @param {Object} [clientOptions] - Client options
+ * @param {string} [clientOptions.baseUrl] - API base URL (defaults to TRAILTRADES_API_URL or production)
+ * @param {Function} [clientOptions.getAuthToken] - Async function resolving to the bearer token
+ * @param {Function} [clientOptions.onUnauthorized] - Async function called with the rejected token on a 401; resolve true to retry once
+ * @param {Function} [clientOptions.transport] - fetch-compatible function: (url, init) => Promise<Response>
+ * @param {Object} [clientOptions.defaultHeaders] - Headers added to every request
+ * @returns {Object} - API client with request, get, post, put, patch, delete and configure methods
+ */
+function trailtrades_createApiClient(clientOptions = {}) {
+  // Current client settings (mutable through configure)
+  const settings = {
+    baseUrl: process.env.TRAILTRADES_API_URL || 'https://api.trailtrades.com',
+    getAuthToken: getStoredAuthToken,
+    onUnauthorized: null,
+    transport: (url, init) => fetch(url, init),
+    defaultHeaders: {},
+    ...clientOptions
+  };
+  
+  /**
+   * Send a request to the TrailTrades API
+   * 
+   * @param {string} method - HTTP method
+   * @param {string} path - Path relative to the base URL (e.g. '/trades'), or an absolute URL
+   * @param {Object} [requestOptions] - Request options
+   * @param {Object} [requestOptions.body] - JSON body
+   * @param {Blob|File|string} [requestOptions.rawBody] - Body sent as-is (e.g. a file to a signed storage URL);
+   *   set its Content-Type in headers
+   * @param {Object} [requestOptions.query] - Query string parameters (undefined/null values are skipped)
+   * @param {Object} [requestOptions.headers] - Additional headers
+   * @param {boolean|string} [requestOptions.auth=true] - true to require a token, 'optional' to send one if available, false to skip
+   * @param {boolean} [requestOptions.defaultHeaders=true] - Whether to send the client's default headers (false for
+   *   requests to other hosts, e.g. signed storage URLs)
+   * @param {string} [requestOptions.errorMessage='Request failed'] - Fallback error message when the server sends none
+   * @param {boolean} [requestOptions.retryOnUnauthorized=true] - Whether a 401 may trigger onUnauthorized and a single retry
+   * @param {string} [requestOptions.idempotencyKey] - Sent as Idempotency-Key so the server applies a retried request only once
+   * @returns {Promise<Object|null>} - Parsed JSON response, or null for empty responses
+   * @throws {TrailTradesApiError} - If the request fails or the server responds with an error status
+   */
+  async function request(method, path, requestOptions = {}) {
+    const {
+      body,
+      rawBody,
+      query,
+      headers = {},
+      auth = true,
+      defaultHeaders = true,
+      errorMessage = 'Request failed',
+      retryOnUnauthorized = true,
+      idempotencyKey
+    } = requestOptions;
+    
+    // Resolve authorization header
+    let authToken = null;
+    
+    if (auth === true) {
+      authToken = await settings.getAuthToken();
+    } else if (auth === 'optional') {
+      try {
+        authToken = await settings.getAuthToken();
+      } catch (authError) {
+        // Continue without auth
+        authToken = null;
+      }
+    }
+    
+    const init = {
+      method,
+      headers: {
+        ...(defaultHeaders ? settings.defaultHeaders : {}),
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(authToken ? { 'Authorization': `Bearer ${authToken}` } : {}),
+        ...(idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}),
+        ...headers
+      },
+      ...(body !== undefined ? { body: JSON.stringify(body) } : {}),
+      ...(body === undefined && rawBody !== undefined ? { body: rawBody } : {})
+    };
+    
+    let response;
+    
+    try {
+      response = await settings.transport(buildUrl(path, query), init);
+    } catch (networkError) {
+      throw new TrailTradesApiError(`Network request failed: ${networkError.message}`, {
+        status: 0,
+        code: 'NETWORK_ERROR',
+        cause: networkError
+      });
+    }
+    
+    // Give the session a chance to recover (e.g. refresh the token), then retry once
+    if (response.status === 401 && authToken && retryOnUnauthorized && settings.onUnauthorized) {
+      const shouldRetry = await settings.onUnauthorized(authToken);
+      
+      if (shouldRetry) {
+        return request(method, path, { ...requestOptions, retryOnUnauthorized: false });
+      }
+    }
+    
+    const data = await parseResponseBody(response);
+    
+    if (!response.ok) {
+      throw new TrailTradesApiError(
+        (data && data.message) || `${errorMessage}: ${response.status}`,
+        {
+          status: response.status,
+          code: (data && (data.code || data.error)) || null,
+          details: (data && data.details) || null
+        }
+      );
+    }
+    
+    return data;
+  }
+  
+  /**
+   * Build absolute request URL
+   * 
+   * @param {string} path - Request path
+   * @param {Object} [query] - Query string parameters
+   * @returns {string} - Absolute URL
+   */
+  function buildUrl(path, query) {
+    const base = settings.baseUrl.replace(/\/+$/, '');
+    const url = /^https?:\/\//.test(path) ? path : `${base}${path.startsWith('/') ? '' : '/'}${path}`;
+    
+    if (!query) {
+      return url;
+    }
+    
+    const queryString = Object.keys(query)
+      .filter(key => query[key] !== undefined && query[key] !== null)
+      .map(key => {
+        const value = Array.isArray(query[key]) ? query[key].join(',') : query[key];
+        return `${encodeURIComponent(key)}=${encodeURIComponent(value)}`;
+      })
+      .join('&');
+      
+    return queryString ? `${url}${url.includes('?') ? '&' : '?'}${queryString}` : url;
+  }
+  
+  /**
+   * Parse response body as JSON, tolerating empty or non-JSON bodies
+   * 
+   * @param {Response} response - Transport response
+   * @returns {Promise<Object|null>} - Parsed body or null
+   */
+  async function parseResponseBody(response) {
+    if (response.status === 204) {
+      return null;
+    }
+    
+    try {
+      return await response.json();
+    } catch (parseError) {
+      return null;
+    }
+  }
+  
+  return {
+    request,
+    get: (path, options) => request('GET', path, options),
+    post: (path, body, options = {}) => request('POST', path, { ...options, body }),
+    put: (path, body, options = {}) => request('PUT', path, { ...options, body }),
+    patch: (path, body, options = {}) => request('PATCH', path, { ...options, body }),
+    delete: (path, options) => request('DELETE', path, options),
+    
+    /**
+     * Update client settings (base URL, token provider, 401 handler, transport, default headers)
+     * 
+     * @param {Object} overrides - Settings to override
+     */
+    configure: (overrides = {}) => {
+      Object.assign(settings, overrides);
+    },
+    
+    /**
+     * Get the resolved base URL
+     * 
+     * @returns {string} - Base URL
+     */
+    getBaseUrl: () => settings.baseUrl
+  };
+}
+
+/**
+ * Error raised for failed TrailTrades API requests
+ * Modules adding context to a failure prefix the message of this same error and rethrow
+ * it, rather than wrapping it, so status, code and isDefinitive reach their callers.
+ * 
+ * @param {string} message - Error message (server message when available)
+ * @param {Object} [info] - Error information
+ * @param {number} [info.status] - HTTP status (0 for network failures)
+ * @param {string} [info.code] - Server error code
+ * @param {Object} [info.details] - Additional server-provided details
+ * @param {Error} [info.cause] - Underlying error
+ */
+class TrailTradesApiError extends Error {
+  constructor(message, info = {}) {
+    super(message);
+    this.name = 'TrailTradesApiError';
+    this.status = typeof info.status === 'number' ? info.status : null;
+    this.code = info.code || null;
+    this.details = info.details || null;
+    
+    if (info.cause) {
+      this.cause = info.cause;
+    }
+  }
+  
+  /**
+   * Whether the request never reached the server
+   * 
+   * @returns {boolean}
+   */
+  get isNetworkError() {
+    return this.status === 0;
+  }
+  
+  /**
+   * Whether the server definitely processed (and rejected) the request
+   * Network failures, timeouts, rate limits, server errors and requests whose
+   * idempotency key is still being processed may or may not have taken effect.
+   * 
+   * @returns {boolean}
+   */
+  get isDefinitive() {
+    if (this.status === null || this.status < 400 || this.status >= 500) {
+      return false;
+    }
+    
+    if (this.status === 408 || this.status === 425 || this.status === 429) {
+      return false;
+    }
+    
+    return !(this.status === 409 && this.code === 'IDEMPOTENCY_KEY_IN_USE');
+  }
+}
+
+/**
+ * Default token provider: read bearer token from secure storage
+ * 
+ * @returns {Promise<string>} - Authentication token
+ */
+async function getStoredAuthToken() {
+  try {
+    let token;
+    
+    if (Platform.OS === 'ios') {
+      // iOS secure storage implementation
+      const credentials = await Keychain.getGenericPassword();
+      token = credentials.password;
+    } else if (Platform.OS === 'android') {
+      // Android secure storage implementation
+      token = await EncryptedStorage.getItem('trailtrades_auth_token');
+    } else {
+      // Web fallback
+      token = localStorage.getItem('trailtrades_auth_token');
+    }
+    
+    if (!token) {
+      throw new Error('Authentication token not found. Please log in.');
+    }
+    
+    return token;
+  } catch (error) {
+    console.error('Failed to retrieve authentication token:', error);
+    throw new Error('Authentication required. Please log in.');
+  }
+}
+
+// Shared client instance used by the function modules
+const apiClient = trailtrades_createApiClient();
+
+export { trailtrades_createApiClient, TrailTradesApiError, getStoredAuthToken };
+export default apiClient;
\ No newline at end of file
@@ -1,14 +1,28 @@
+import apiClient from './trailtrades_apiClient';
+import { storeSession } from './trailtrades_sessionManager';
+
+// Server error code for SSO sign-ins whose email belongs to an existing email/password account
+const ACCOUNT_LINK_REQUIRED = 'ACCOUNT_LINK_REQUIRED';
+
 /**
  * TrailTrades Authentication Module
  * 
- * Handles user authentication via email/password or SSO (Google/Apple)
+ * Handles user authentication via email/password or SSO (Google/Apple).
+ * Access and refresh tokens are handed to the session manager, which keeps them
+ * in secure storage and refreshes them before they expire.
  * 
  * @param {string} method - Authentication method: 'email', 'google', or 'apple'
  * @param {Object} credentials - Authentication credentials
- * @param {string} [credentials.email] - User's email (required for email auth)
+ * @param {string} [credentials.email] - User's email (required for email auth; for SSO, the email shared
+ *   by the provider, possibly an Apple private relay address)
  * @param {string} [credentials.password] - User's password (required for email auth)
  * @param {string} [credentials.token] - OAuth token (required for SSO auth)
+ * @param {string} [credentials.nonce] - Raw nonce the provider token was issued for (Apple)
+ * @param {string} [credentials.fullName] - Name shared by the provider (Apple only shares it on first sign-in)
  * @returns {Promise<Object>} - Promise resolving to user data object or error
+ * @throws {TrailTradesApiError} - With code 'EMAIL_NOT_VERIFIED' if the account email has not been confirmed yet
+ * @throws {TrailTradesApiError} - With code 'ACCOUNT_LINK_REQUIRED' if the SSO email belongs to an existing
+ *   email/password account; details.linkToken is passed to linkSsoAccount
  */
 async function trailtrades_authenticateUser(method, credentials) {
   // Validate inputs
@@ -28,26 +42,16 @@ async function trailtrades_authenticateUser(method, credentials) {
     
     try {
       // Call API endpoint for email authentication
-      const response = await fetch('https://api.trailtrades.com/auth/email', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          email: credentials.email,
-          password: credentials.password,
-        }),
+      const userData = await apiClient.post('/auth/email', {
+        email: credentials.email,
+        password: credentials.password,
+      }, {
+        auth: false,
+        errorMessage: 'Authentication failed'
       });
       
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.message || 'Authentication failed');
-      }
-      
-      const userData = await response.json();
-      
-      // Store auth token in secure storage
-      await storeAuthToken(userData.token);
+      // Store session tokens in secure storage
+      await storeSession(userData);
       
       return userData;
     } catch (error) {
@@ -64,25 +68,21 @@ async function trailtrades_authenticateUser(method, credentials) {
     
     try {
       // Call API endpoint for SSO authentication
-      const response = await fetch(`https://api.trailtrades.com/auth/${method}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          token: credentials.token,
-        }),
+      const userData = await apiClient.post(`/auth/${method}`, {
+        token: credentials.token,
+        ...(credentials.nonce ? { nonce: credentials.nonce } : {}),
+        ...(credentials.fullName ? { fullName: credentials.fullName } : {}),
+        ...(credentials.email ? {
+          email: credentials.email,
+          emailIsPrivateRelay: isPrivateRelayEmail(credentials.email)
+        } : {})
+      }, {
+        auth: false,
+        errorMessage: 'Authentication failed'
       });
       
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.message || 'Authentication failed');
-      }
-      
-      const userData = await response.json();
-      
-      // Store auth token in secure storage
-      await storeAuthToken(userData.token);
+      // Store session tokens in secure storage
+      await storeSession(userData);
       
       return userData;
     } catch (error) {
@@ -93,28 +93,77 @@ async function trailtrades_authenticateUser(method, credentials) {
 }
 
 /**
- * Helper function to securely store authentication token
- * Implementation varies based on platform (iOS/Android)
+ * Link an SSO identity to an existing email/password account
+ * Called after trailtrades_authenticateUser fails with ACCOUNT_LINK_REQUIRED; the
+ * account password proves the user owns the existing account.
  * 
- * @param {string} token - Authentication token to store
- * @returns {Promise<void>}
+ * @param {string} method - SSO provider: 'google' or 'apple'
+ * @param {Object} linkData - Link data
+ * @param {string} linkData.linkToken - Token from the ACCOUNT_LINK_REQUIRED error details
+ * @param {string} linkData.email - Email of the existing account
+ * @param {string} linkData.password - Password of the existing account
+ * @returns {Promise<Object>} - Promise resolving to user data of the linked account
  */
-async function storeAuthToken(token) {
+async function linkSsoAccount(method, linkData) {
+  if (method !== 'google' && method !== 'apple') {
+    throw new Error('Invalid SSO provider. Use "google" or "apple".');
+  }
+  
+  if (!linkData || !linkData.linkToken) {
+    throw new Error('Account linking requires a link token.');
+  }
+  
+  if (!linkData.email || !linkData.password) {
+    throw new Error('Account linking requires email and password of the existing account.');
+  }
+  
   try {
-    if (Platform.OS === 'ios') {
-      // iOS secure storage implementation
-      await Keychain.setGenericPassword('trailtrades_user', token);
-    } else if (Platform.OS === 'android') {
-      // Android secure storage implementation
-      await EncryptedStorage.setItem('trailtrades_auth_token', token);
-    } else {
-      // Web fallback
-      localStorage.setItem('trailtrades_auth_token', token);
-    }
+    const userData = await apiClient.post(`/auth/${method}/link`, {
+      linkToken: linkData.linkToken,
+      email: linkData.email.trim(),
+      password: linkData.password
+    }, {
+      auth: false,
+      errorMessage: 'Failed to link account'
+    });
+    
+    // Store session tokens in secure storage
+    await storeSession(userData);
+    
+    return userData;
   } catch (error) {
-    console.error('Failed to store authentication token:', error);
-    throw new Error('Failed to securely store authentication data');
+    console.error(`${method} account linking error:`, error);
+    throw error;
   }
 }
 
+/**
+ * Whether an SSO authentication error asks the user to link an existing account
+ * 
+ * @param {Error} error - Error thrown by trailtrades_authenticateUser
+ * @returns {boolean}
+ */
+function isAccountLinkRequiredError(error) {
+  return Boolean(error) && error.code === ACCOUNT_LINK_REQUIRED &&
+    Boolean(error.details && error.details.linkToken);
+}
+
+/**
+ * Whether an email is an Apple "Hide My Email" relay address
+ * Relay addresses forward to the user's real inbox but never match an existing account.
+ * 
+ * @param {string} email - Email address
+ * @returns {boolean}
+ */
+function isPrivateRelayEmail(email) {
+  return typeof email === 'string' && /@privaterelay\.appleid\.com$/i.test(email.trim());
+}
+
+export {
+  trailtrades_authenticateUser,
+  ACCOUNT_LINK_REQUIRED,
+  linkSsoAccount,
+  isAccountLinkRequiredError,
+  isPrivateRelayEmail
+};
 export default trailtrades_authenticateUser;
\ No newline at end of file
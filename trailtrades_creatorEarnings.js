@@ -0,0 +1,137 @@
+import apiClient from './trailtrades_apiClient';
+import { getLedgerEntries, LEDGER_ENTRY_TYPE } from './trailtrades_creditLedger';
+
+/**
+ * TrailTrades Creator Earnings Module
+ * 
+ * When a 'trade' privacy location is bought with credits, its creator earns the price
+ * minus the platform fee. The split happens on the server when the buyer's hold is
+ * committed and is written to the ledger as an 'earn' entry for the creator (with the
+ * gross price and fee on the entry), so earnings show up in the credit history like any
+ * other movement. The fee percentage is configured on the server; the client only uses
+ * it to preview the split.
+ */
+
+// Earnings configuration
+const config = {
+  DEFAULT_PLATFORM_FEE_PERCENT: 20,
+  REVENUE_SHARE_CACHE_MS: 60 * 60 * 1000
+};
+
+// Cached revenue share settings ({ settings, fetchedAt })
+let revenueShareCache = null;
+
+/**
+ * Get the current revenue share settings
+ * 
+ * @returns {Promise<Object>} - { platformFeePercent, minimumFee }
+ */
+async function getRevenueShare() {
+  if (revenueShareCache && Date.now() - revenueShareCache.fetchedAt < config.REVENUE_SHARE_CACHE_MS) {
+    return revenueShareCache.settings;
+  }
+  
+  try {
+    const result = await apiClient.get('/credits/revenue-share', {
+      auth: 'optional',
+      errorMessage: 'Failed to load revenue share settings'
+    });
+    
+    const settings = {
+      platformFeePercent: typeof result.platformFeePercent === 'number'
+        ? result.platformFeePercent
+        : config.DEFAULT_PLATFORM_FEE_PERCENT,
+      minimumFee: result.minimumFee || 0
+    };
+    
+    revenueShareCache = { settings, fetchedAt: Date.now() };
+    return settings;
+  } catch (error) {
+    // Previews fall back to the default split; the server applies the real one
+    console.warn('Using default revenue share:', error.message);
+    return { platformFeePercent: config.DEFAULT_PLATFORM_FEE_PERCENT, minimumFee: 0 };
+  }
+}
+
+/**
+ * Split a credit price between the creator and the platform
+ * Mirrors the server: the fee is rounded up to whole credits, so the creator never
+ * receives a fraction.
+ * 
+ * @param {number} creditAmount - Price paid by the buyer
+ * @param {Object} revenueShare - Settings from getRevenueShare
+ * @returns {Object} - { creatorCredits, platformFee }
+ */
+function calculateCreatorShare(creditAmount, revenueShare) {
+  const amount = Math.max(Math.floor(creditAmount || 0), 0);
+  const percentFee = Math.ceil(amount * (revenueShare.platformFeePercent / 100));
+  const platformFee = Math.min(Math.max(percentFee, revenueShare.minimumFee || 0), amount);
+  
+  return {
+    creatorCredits: amount - platformFee,
+    platformFee
+  };
+}
+
+/**
+ * Get the current user's earnings summary
+ * 
+ * @param {Object} [options] - Summary options
+ * @param {Date|string} [options.since] - Start of the "recent" period (defaults to 30 days ago)
+ * @returns {Promise<Object>} - { totalEarned, recentEarned, totalFees, tradeCount,
+ *   platformFeePercent, locations: [{ locationId, locationName, tradeCount, creditsEarned, lastSoldAt }] }
+ */
+async function getCreatorEarnings(options = {}) {
+  const since = options.since
+    ? new Date(options.since)
+    : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    
+  if (isNaN(since.getTime())) {
+    throw new Error('Invalid earnings period.');
+  }
+  
+  const result = await apiClient.get('/users/me/earnings', {
+    query: { since: since.toISOString() },
+    errorMessage: 'Failed to load earnings'
+  });
+  
+  return {
+    totalEarned: result.totalEarned || 0,
+    recentEarned: result.recentEarned || 0,
+    totalFees: result.totalFees || 0,
+    tradeCount: result.tradeCount || 0,
+    platformFeePercent: result.platformFeePercent,
+    since,
+    locations: (result.locations || [])
+      .map(location => ({
+        ...location,
+        lastSoldAt: location.lastSoldAt ? new Date(location.lastSoldAt) : null
+      }))
+      .sort((a, b) => b.creditsEarned - a.creditsEarned)
+  };
+}
+
+/**
+ * Get earnings entries from the credit ledger, newest first
+ * 
+ * @param {Object} [pagination] - { cursor, limit }
+ * @returns {Promise<Object>} - Ledger page (see trailtrades_creditLedger.getLedgerEntries)
+ */
+async function getEarningsEntries(pagination = {}) {
+  return getLedgerEntries({ type: LEDGER_ENTRY_TYPE.EARN }, pagination);
+}
+
+const trailtrades_creatorEarnings = {
+  getRevenueShare,
+  calculateCreatorShare,
+  getCreatorEarnings,
+  getEarningsEntries
+};
+
+export {
+  getRevenueShare,
+  calculateCreatorShare,
+  getCreatorEarnings,
+  getEarningsEntries
+};
+export default trailtrades_creatorEarnings;
\ No newline at end of file
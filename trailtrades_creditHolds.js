@@ -0,0 +1,114 @@
+import apiClient from './trailtrades_apiClient';
+
+/**
+ * TrailTrades Credit Holds Module
+ * 
+ * Escrow for credit trades. Credits are reserved by a hold when a trade is proposed,
+ * so the same credits cannot be spent twice from two devices; the server refuses a
+ * hold larger than the available balance (balance minus active holds). A hold is
+ * committed by the server when its trade completes and released when the trade is
+ * declined, cancelled or expires. Holds also carry their own expiry, after which the
+ * server releases them even if the client never reports back.
+ */
+
+// Hold states
+const HOLD_STATUS = {
+  HELD: 'held',
+  COMMITTED: 'committed',
+  RELEASED: 'released'
+};
+
+/**
+ * Get the current user's credit balance including reserved credits
+ * 
+ * @returns {Promise<Object>} - { balance, reserved, available, holds }
+ */
+async function getCreditBalance() {
+  const result = await apiClient.get('/users/me/credits', {
+    errorMessage: 'Failed to load credit balance'
+  });
+  
+  const balance = result.balance || 0;
+  const reserved = result.reserved || 0;
+  
+  return {
+    balance,
+    reserved,
+    available: typeof result.available === 'number' ? result.available : Math.max(balance - reserved, 0),
+    holds: (result.holds || []).filter(hold => hold.status === HOLD_STATUS.HELD)
+  };
+}
+
+/**
+ * Reserve credits for a trade
+ * 
+ * @param {number} amount - Credits to reserve
+ * @param {Object} holdFor - What the credits are reserved for
+ * @param {string} [holdFor.locationId] - Location being traded for
+ * @param {string[]} [holdFor.locationIds] - Locations being traded for as a bundle
+ * @param {Object} [options] - Request options
+ * @param {string} [options.idempotencyKey] - Key that makes a retried hold return the original hold
+ * @returns {Promise<Object>} - Hold { id, amount, status, expiresAt }
+ * @throws {Error} - With code 'INSUFFICIENT_AVAILABLE_CREDITS' if the available balance is too low
+ */
+async function placeHold(amount, holdFor, options = {}) {
+  if (typeof amount !== 'number' || amount <= 0) {
+    throw new Error('Hold amount must be a positive number of credits.');
+  }
+  
+  if (!holdFor || (!holdFor.locationId && !(Array.isArray(holdFor.locationIds) && holdFor.locationIds.length > 0))) {
+    throw new Error('Location ID is required to reserve credits.');
+  }
+  
+  try {
+    return await apiClient.post('/credits/holds', {
+      amount,
+      ...(holdFor.locationIds ? { locationIds: holdFor.locationIds } : { locationId: holdFor.locationId })
+    }, {
+      errorMessage: 'Failed to reserve credits',
+      idempotencyKey: options.idempotencyKey
+    });
+  } catch (error) {
+    if (error.code === 'INSUFFICIENT_AVAILABLE_CREDITS') {
+      const available = error.details && typeof error.details.available === 'number'
+        ? error.details.available
+        : null;
+        
+      error.message = available !== null
+        ? `Insufficient credits. You have ${available} credits available (others are reserved for pending trades), but this trade requires ${amount} credits.`
+        : 'Insufficient credits. Some of your credits are reserved for pending trades.';
+    }
+    
+    throw error;
+  }
+}
+
+/**
+ * Release a hold that will not be used (e.g. the trade request failed)
+ * 
+ * @param {string} holdId - Hold ID
+ * @returns {Promise<Object>} - Released hold
+ */
+async function releaseHold(holdId) {
+  if (!holdId) {
+    throw new Error('Hold ID is required.');
+  }
+  
+  return await apiClient.post(`/credits/holds/${holdId}/release`, {}, {
+    errorMessage: 'Failed to release credit hold'
+  });
+}
+
+const trailtrades_creditHolds = {
+  getCreditBalance,
+  placeHold,
+  releaseHold
+};
+
+export {
+  HOLD_STATUS,
+  getCreditBalance,
+  placeHold,
+  releaseHold
+};
+export default trailtrades_creditHolds;
\ No newline at end of file
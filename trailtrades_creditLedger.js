@@ -0,0 +1,173 @@
+import apiClient from './trailtrades_apiClient';
+
+/**
+ * TrailTrades Credit Ledger Module
+ * 
+ * Read access to the credit ledger. The server records every credit movement as a
+ * double-entry transaction: each transaction has balanced postings (debits equal credits)
+ * between the user's accounts (available and reserved) and platform accounts, and is never
+ * edited once written; corrections are new entries such as refunds. The user's view of the
+ * ledger is one entry per transaction with the signed amount and the running balance after
+ * it, so any balance can be traced back line by line.
+ * 
+ * Hold and hold release entries move credits between the user's available and reserved
+ * accounts; they change the available balance but not the total balance. Earn entries
+ * carry the gross price and the platform fee taken from it (see trailtrades_creatorEarnings).
+ * Refunds for revoked access reference the grant (see trailtrades_accessGrants), refunds
+ * from resolved disputes the dispute (see trailtrades_disputes).
+ */
+
+// Ledger entry types
+const LEDGER_ENTRY_TYPE = {
+  EARN: 'earn',
+  SPEND: 'spend',
+  PURCHASE: 'purchase',
+  REFUND: 'refund',
+  HOLD: 'hold',
+  HOLD_RELEASE: 'hold_release',
+  BONUS: 'bonus'
+};
+
+// Ledger configuration
+const config = {
+  DEFAULT_PAGE_SIZE: 25,
+  MAX_PAGE_SIZE: 100
+};
+
+/**
+ * Get ledger entries for the current user, newest first
+ * 
+ * @param {Object} [filters] - Ledger filters
+ * @param {string|Array<string>} [filters.type] - Entry type(s) from LEDGER_ENTRY_TYPE
+ * @param {string} [filters.tradeId] - Only entries for this trade
+ * @param {Date|string} [filters.from] - Start of date range (inclusive)
+ * @param {Date|string} [filters.to] - End of date range (inclusive)
+ * @param {Object} [pagination] - Pagination options
+ * @param {string} [pagination.cursor] - Cursor from the previous page's nextCursor
+ * @param {number} [pagination.limit=25] - Page size (max 100)
+ * @returns {Promise<Object>} - { entries, nextCursor, hasMore, balance, available }
+ */
+async function getLedgerEntries(filters = {}, pagination = {}) {
+  const types = filters.type ? [].concat(filters.type) : [];
+  const invalidType = types.find(type => !Object.values(LEDGER_ENTRY_TYPE).includes(type));
+  
+  if (invalidType) {
+    throw new Error(`Invalid ledger entry type: ${invalidType}`);
+  }
+  
+  const limit = Math.min(Math.max(parseInt(pagination.limit, 10) || config.DEFAULT_PAGE_SIZE, 1), config.MAX_PAGE_SIZE);
+  
+  const result = await apiClient.get('/credits/ledger', {
+    query: {
+      type: types.length > 0 ? types : undefined,
+      tradeId: filters.tradeId,
+      from: toQueryDate(filters.from),
+      to: toQueryDate(filters.to),
+      cursor: pagination.cursor,
+      limit
+    },
+    errorMessage: 'Failed to load credit history'
+  });
+  
+  return {
+    entries: (result.entries || []).map(normalizeEntry),
+    nextCursor: result.nextCursor || null,
+    hasMore: Boolean(result.nextCursor),
+    balance: result.balance || 0,
+    available: typeof result.available === 'number' ? result.available : result.balance || 0
+  };
+}
+
+/**
+ * Get a single ledger entry with the postings of its transaction
+ * Used to trace a disputed balance change to the accounts it moved credits between.
+ * 
+ * @param {string} entryId - Ledger entry ID
+ * @returns {Promise<Object>} - Entry with postings [{ account, debit, credit }]
+ */
+async function getLedgerEntry(entryId) {
+  if (!entryId) {
+    throw new Error('Ledger entry ID is required.');
+  }
+  
+  const entry = await apiClient.get(`/credits/ledger/${entryId}`, {
+    errorMessage: 'Failed to load credit transaction'
+  });
+  
+  return {
+    ...normalizeEntry(entry),
+    postings: entry.postings || []
+  };
+}
+
+/**
+ * Whether a ledger entry changes the total balance
+ * Holds and releases only move credits between available and reserved.
+ * 
+ * @param {Object} entry - Ledger entry
+ * @returns {boolean}
+ */
+function affectsBalance(entry) {
+  return entry.type !== LEDGER_ENTRY_TYPE.HOLD && entry.type !== LEDGER_ENTRY_TYPE.HOLD_RELEASE;
+}
+
+/**
+ * Normalize a ledger entry from the API
+ * Keeps the field names used by the credit history list and the history export.
+ * 
+ * @param {Object} entry - Ledger entry from the API
+ * @returns {Object} - Entry with Date date, signed amount and trade reference
+ */
+function normalizeEntry(entry) {
+  const reference = entry.reference || {};
+  
+  return {
+    ...entry,
+    amount: entry.amount || 0,
+    balanceAfter: typeof entry.balanceAfter === 'number' ? entry.balanceAfter : null,
+    availableAfter: typeof entry.availableAfter === 'number' ? entry.availableAfter : null,
+    date: new Date(entry.createdAt),
+    tradeId: reference.tradeId || null,
+    holdId: reference.holdId || null,
+    grantId: reference.grantId || null,
+    disputeId: reference.disputeId || null,
+    locationName: reference.locationName || entry.locationName || null,
+    counterparty: reference.counterpartyUsername || null,
+    grossAmount: typeof reference.grossAmount === 'number' ? reference.grossAmount : null,
+    platformFee: typeof reference.platformFee === 'number' ? reference.platformFee : null
+  };
+}
+
+/**
+ * Convert a date filter to an ISO string for the query
+ * 
+ * @param {Date|string} [value] - Date filter value
+ * @returns {string|undefined} - ISO string
+ */
+function toQueryDate(value) {
+  if (!value) {
+    return undefined;
+  }
+  
+  const date = value instanceof Date ? value : new Date(value);
+  
+  if (isNaN(date.getTime())) {
+    throw new Error('Invalid date filter.');
+  }
+  
+  return date.toISOString();
+}
+
+const trailtrades_creditLedger = {
+  getLedgerEntries,
+  getLedgerEntry,
+  affectsBalance
+};
+
+export {
+  LEDGER_ENTRY_TYPE,
+  getLedgerEntries,
+  getLedgerEntry,
+  affectsBalance
+};
+export default trailtrades_creditLedger;
\ No newline at end of file
@@ -0,0 +1,480 @@
+import apiClient from './trailtrades_apiClient';
+import trailtrades_uploadMedia from './trailtrades_uploadMedia';
+import { withIdempotencyKey } from './trailtrades_idempotencyKeys';
+
+/**
+ * TrailTrades Disputes Module
+ * 
+ * Recourse when a traded location turns out to be wrong or inaccessible. The buyer files a
+ * dispute against their access to the location with a reason and evidence: photos (uploaded
+ * as private dispute media with their EXIF location kept) and GPS tracks they recorded near
+ * the location. The creator responds with their side and an offer (full refund, partial
+ * refund or no refund). The buyer can accept the offer, which resolves the dispute, or
+ * either party can escalate it to TrailTrades for review.
+ * 
+ * A resolution with a refund is written to the credit ledger as a 'refund' entry for the
+ * buyer, referencing the dispute, and debited from the creator. A full refund also revokes
+ * the buyer's access grant. Dispute outcomes count towards the creator's accuracy reputation
+ * (see trailtrades_reputation).
+ */
+
+// Dispute states
+const DISPUTE_STATUS = {
+  OPEN: 'open', // waiting for the creator
+  RESPONDED: 'responded', // creator answered; waiting for the buyer
+  ESCALATED: 'escalated', // waiting for TrailTrades review
+  RESOLVED: 'resolved',
+  WITHDRAWN: 'withdrawn'
+};
+
+// Reasons a buyer can dispute a location
+const DISPUTE_REASON = {
+  WRONG_LOCATION: 'wrong_location',
+  INACCESSIBLE: 'inaccessible',
+  NOT_AS_DESCRIBED: 'not_as_described'
+};
+
+// Creator offers and resolutions
+const DISPUTE_OUTCOME = {
+  FULL_REFUND: 'full_refund',
+  PARTIAL_REFUND: 'partial_refund',
+  NO_REFUND: 'no_refund'
+};
+
+// Dispute configuration
+const config = {
+  MIN_DESCRIPTION_LENGTH: 20,
+  MAX_EVIDENCE_PHOTOS: 6,
+  VISIT_DISTANCE_METERS: 200 // a track this close to the location counts as a visit
+};
+
+/**
+ * File a dispute about a traded location
+ * 
+ * @param {Object} claim - Dispute claim
+ * @param {string} claim.locationId - Location being disputed
+ * @param {string} [claim.grantId] - Access grant being disputed (defaults to the user's active grant)
+ * @param {string} claim.reason - Reason from DISPUTE_REASON
+ * @param {string} claim.description - What was wrong
+ * @param {Array} [claim.photos] - Photo files (File, Blob or base64 string) showing the problem
+ * @param {string[]} [claim.trailIds] - Trails the user recorded near the location (see getVisitTrails)
+ * @returns {Promise<Object>} - { dispute, failedUploads }; photos that failed to upload can be
+ *   added later with addEvidence
+ */
+async function fileDispute(claim) {
+  validateClaim(claim);
+  
+  try {
+    const params = {
+      locationId: claim.locationId,
+      grantId: claim.grantId || null,
+      reason: claim.reason,
+      description: claim.description.trim(),
+      trailIds: claim.trailIds || []
+    };
+    
+    // One dispute per claim even if the request is retried
+    const created = await withIdempotencyKey('dispute', params, (idempotencyKey) =>
+      apiClient.post('/disputes', params, {
+        errorMessage: 'Failed to file dispute',
+        idempotencyKey
+      })
+    );
+    
+    let dispute = normalizeDispute(created);
+    const { mediaIds, uploadedIndexes, failedUploads } = await uploadEvidencePhotos(dispute.id, claim.photos || []);
+    
+    if (mediaIds.length > 0) {
+      try {
+        dispute = normalizeDispute(await apiClient.post(`/disputes/${dispute.id}/evidence`, {
+          mediaIds
+        }, {
+          errorMessage: 'Failed to attach evidence'
+        }));
+      } catch (error) {
+        // The dispute is filed; the photos can be attached again with addEvidence
+        console.warn('Failed to attach evidence photos:', error.message);
+        uploadedIndexes.forEach(index => failedUploads.push({ index, error }));
+      }
+    }
+    
+    return { dispute, failedUploads };
+  } catch (error) {
+    console.error('Dispute error:', error);
+    
+    if (error.code === 'DISPUTE_EXISTS') {
+      error.message = 'You already have an open dispute for this location.';
+    } else if (error.code === 'DISPUTE_WINDOW_CLOSED') {
+      error.message = 'Disputes must be filed within the dispute window after the trade.';
+    }
+    
+    error.message = `Dispute failed: ${error.message}`;
+    throw error;
+  }
+}
+
+/**
+ * Get disputes the current user is part of, newest first
+ * 
+ * @param {Object} [filters] - Dispute filters
+ * @param {string} [filters.role] - 'buyer' or 'creator'
+ * @param {string} [filters.locationId] - Only disputes about this location
+ * @param {string|Array<string>} [filters.status] - Status(es) from DISPUTE_STATUS
+ * @returns {Promise<Array>} - Disputes
+ */
+async function getDisputes(filters = {}) {
+  if (filters.role && !['buyer', 'creator'].includes(filters.role)) {
+    throw new Error('Invalid dispute role. Use "buyer" or "creator".');
+  }
+  
+  const result = await apiClient.get('/disputes', {
+    query: {
+      role: filters.role,
+      locationId: filters.locationId,
+      status: filters.status ? [].concat(filters.status) : undefined
+    },
+    errorMessage: 'Failed to load disputes'
+  });
+  
+  return (result.disputes || []).map(normalizeDispute);
+}
+
+/**
+ * Get a dispute with its evidence and messages
+ * 
+ * @param {string} disputeId - Dispute ID
+ * @returns {Promise<Object>} - Dispute
+ */
+async function getDispute(disputeId) {
+  if (!disputeId) {
+    throw new Error('Dispute ID is required.');
+  }
+  
+  return normalizeDispute(await apiClient.get(`/disputes/${disputeId}`, {
+    errorMessage: 'Failed to load dispute'
+  }));
+}
+
+/**
+ * Add evidence to an open dispute (either party)
+ * 
+ * @param {string} disputeId - Dispute ID
+ * @param {Object} evidence - Evidence to add
+ * @param {Array} [evidence.photos] - Photo files
+ * @param {string[]} [evidence.trailIds] - Recorded trail IDs
+ * @param {string} [evidence.note] - Note explaining the evidence
+ * @returns {Promise<Object>} - { dispute, failedUploads }
+ */
+async function addEvidence(disputeId, evidence = {}) {
+  if (!disputeId) {
+    throw new Error('Dispute ID is required.');
+  }
+  
+  const { mediaIds, failedUploads } = await uploadEvidencePhotos(disputeId, evidence.photos || []);
+  
+  if (mediaIds.length === 0 && !(evidence.trailIds && evidence.trailIds.length) && !evidence.note) {
+    if (failedUploads.length > 0) {
+      throw failedUploads[0].error;
+    }
+    
+    throw new Error('Add a photo, a recorded trail or a note as evidence.');
+  }
+  
+  const dispute = await apiClient.post(`/disputes/${disputeId}/evidence`, {
+    mediaIds,
+    trailIds: evidence.trailIds || [],
+    note: evidence.note || ''
+  }, {
+    errorMessage: 'Failed to attach evidence'
+  });
+  
+  return { dispute: normalizeDispute(dispute), failedUploads };
+}
+
+/**
+ * Respond to a dispute about one of the current user's locations
+ * 
+ * @param {string} disputeId - Dispute ID
+ * @param {Object} response - Creator response
+ * @param {string} response.message - The creator's side
+ * @param {string} response.offer - Offer from DISPUTE_OUTCOME
+ * @param {number} [response.refundCredits] - Credits offered (required for a partial refund)
+ * @param {Array} [response.photos] - Photo files supporting the response
+ * @returns {Promise<Object>} - { dispute, failedUploads }
+ */
+async function respondToDispute(disputeId, response) {
+  if (!disputeId) {
+    throw new Error('Dispute ID is required.');
+  }
+  
+  if (!response || !response.message || !response.message.trim()) {
+    throw new Error('A response message is required.');
+  }
+  
+  if (!Object.values(DISPUTE_OUTCOME).includes(response.offer)) {
+    throw new Error('Invalid offer. Use a full refund, a partial refund or no refund.');
+  }
+  
+  if (response.offer === DISPUTE_OUTCOME.PARTIAL_REFUND &&
+      (!Number.isInteger(response.refundCredits) || response.refundCredits <= 0)) {
+    throw new Error('A partial refund must be a positive whole number of credits.');
+  }
+  
+  const { mediaIds, failedUploads } = await uploadEvidencePhotos(disputeId, response.photos || []);
+  
+  const dispute = await apiClient.post(`/disputes/${disputeId}/response`, {
+    message: response.message.trim(),
+    offer: response.offer,
+    refundCredits: response.offer === DISPUTE_OUTCOME.PARTIAL_REFUND ? response.refundCredits : undefined,
+    mediaIds
+  }, {
+    errorMessage: 'Failed to respond to dispute'
+  });
+  
+  return { dispute: normalizeDispute(dispute), failedUploads };
+}
+
+/**
+ * Accept the creator's offer, resolving the dispute
+ * 
+ * @param {string} disputeId - Dispute ID
+ * @returns {Promise<Object>} - { dispute, refundCredits, ledgerEntryId }
+ */
+async function acceptDisputeOffer(disputeId) {
+  if (!disputeId) {
+    throw new Error('Dispute ID is required.');
+  }
+  
+  const result = await apiClient.post(`/disputes/${disputeId}/accept`, {}, {
+    errorMessage: 'Failed to accept offer',
+    // A resolution is only refunded once
+    idempotencyKey: `dispute-accept:${disputeId}`
+  });
+  
+  return {
+    dispute: normalizeDispute(result.dispute),
+    refundCredits: result.refundCredits || 0,
+    ledgerEntryId: result.ledgerEntryId || null
+  };
+}
+
+/**
+ * Ask TrailTrades to review a dispute (either party)
+ * 
+ * @param {string} disputeId - Dispute ID
+ * @param {string} [note] - Why the dispute needs review
+ * @returns {Promise<Object>} - Updated dispute
+ */
+async function escalateDispute(disputeId, note) {
+  if (!disputeId) {
+    throw new Error('Dispute ID is required.');
+  }
+  
+  return normalizeDispute(await apiClient.post(`/disputes/${disputeId}/escalate`, {
+    note: note || ''
+  }, {
+    errorMessage: 'Failed to escalate dispute'
+  }));
+}
+
+/**
+ * Withdraw a dispute (buyer)
+ * 
+ * @param {string} disputeId - Dispute ID
+ * @returns {Promise<Object>} - Updated dispute
+ */
+async function withdrawDispute(disputeId) {
+  if (!disputeId) {
+    throw new Error('Dispute ID is required.');
+  }
+  
+  return normalizeDispute(await apiClient.post(`/disputes/${disputeId}/withdraw`, {}, {
+    errorMessage: 'Failed to withdraw dispute'
+  }));
+}
+
+/**
+ * Get trails the current user recorded near a location, as visit evidence
+ * 
+ * @param {Object} location - Location { id, coordinates }
+ * @returns {Promise<Array>} - Trails { id, name, recordedAt, visit } where visit is
+ *   { closestDistanceMeters, closestAt, visited }
+ */
+async function getVisitTrails(location) {
+  if (!location || !location.id) {
+    throw new Error('Location is required.');
+  }
+  
+  const result = await apiClient.get('/users/me/trails', {
+    query: {
+      nearLocationId: location.id,
+      includeWaypoints: true
+    },
+    errorMessage: 'Failed to load recorded trails'
+  });
+  
+  return (result.trails || []).map(trail => ({
+    id: trail.id,
+    name: trail.name,
+    recordedAt: new Date(trail.createdAt),
+    visit: summarizeVisit(trail.waypoints || [], location.coordinates)
+  }));
+}
+
+/**
+ * Summarize how close a recorded track came to a location
+ * 
+ * @param {Array} waypoints - Waypoints { coordinates: { latitude, longitude }, timestamp }
+ * @param {Object} coordinates - Location { latitude, longitude }
+ * @returns {Object} - { closestDistanceMeters, closestAt, visited }
+ */
+function summarizeVisit(waypoints, coordinates) {
+  const geolib = require('geolib');
+  
+  let closest = null;
+  
+  for (const waypoint of waypoints) {
+    const distance = geolib.getDistance(waypoint.coordinates, coordinates);
+    
+    if (!closest || distance < closest.distance) {
+      closest = { distance, timestamp: waypoint.timestamp };
+    }
+  }
+  
+  if (!closest) {
+    return { closestDistanceMeters: null, closestAt: null, visited: false };
+  }
+  
+  return {
+    closestDistanceMeters: closest.distance,
+    closestAt: closest.timestamp ? new Date(closest.timestamp) : null,
+    visited: closest.distance <= config.VISIT_DISTANCE_METERS
+  };
+}
+
+/**
+ * Validate a dispute claim
+ * 
+ * @param {Object} claim - Dispute claim
+ * @throws {Error} - If the claim is invalid
+ */
+function validateClaim(claim) {
+  if (!claim || !claim.locationId) {
+    throw new Error('Location ID is required to file a dispute.');
+  }
+  
+  if (!Object.values(DISPUTE_REASON).includes(claim.reason)) {
+    throw new Error('Choose why the location was wrong, inaccessible or not as described.');
+  }
+  
+  if (!claim.description || claim.description.trim().length < config.MIN_DESCRIPTION_LENGTH) {
+    throw new Error(`Please describe the problem in at least ${config.MIN_DESCRIPTION_LENGTH} characters.`);
+  }
+  
+  if (claim.photos && claim.photos.length > config.MAX_EVIDENCE_PHOTOS) {
+    throw new Error(`You can attach at most ${config.MAX_EVIDENCE_PHOTOS} photos.`);
+  }
+}
+
+/**
+ * Upload photos as private dispute evidence
+ * Uploads continue past failures so one bad photo doesn't lose the others.
+ * 
+ * @param {string} disputeId - Dispute ID
+ * @param {Array} photos - Photo files
+ * @returns {Promise<Object>} - { mediaIds, uploadedIndexes, failedUploads: [{ index, error }] }
+ */
+async function uploadEvidencePhotos(disputeId, photos) {
+  const mediaIds = [];
+  const uploadedIndexes = [];
+  const failedUploads = [];
+  
+  for (let index = 0; index < photos.length; index++) {
+    try {
+      const media = await trailtrades_uploadMedia(
+        { file: photos[index], type: 'photo', title: `Dispute evidence ${index + 1}` },
+        { type: 'dispute', id: disputeId },
+        // Where the photo was taken is part of the evidence; a queued upload would only
+        // return a local ID, which can't be attached to the dispute
+        { privacyLevel: 'private', stripExifLocation: false, queueOffline: false }
+      );
+      mediaIds.push(media.id);
+      uploadedIndexes.push(index);
+    } catch (error) {
+      console.warn(`Failed to upload evidence photo ${index + 1}:`, error.message);
+      failedUploads.push({ index, error });
+    }
+  }
+  
+  return { mediaIds, uploadedIndexes, failedUploads };
+}
+
+/**
+ * Normalize a dispute from the API
+ * 
+ * @param {Object} dispute - Dispute from the API
+ * @returns {Object} - Dispute with Date fields, offer { outcome, refundCredits },
+ *   resolution { outcome, refundCredits } and the actions open to the current user
+ */
+function normalizeDispute(dispute) {
+  const role = dispute.role || 'buyer';
+  const status = dispute.status || DISPUTE_STATUS.OPEN;
+  const active = status !== DISPUTE_STATUS.RESOLVED && status !== DISPUTE_STATUS.WITHDRAWN;
+  
+  let availableActions = [];
+  
+  if (active && role === 'buyer') {
+    availableActions = status === DISPUTE_STATUS.RESPONDED
+      ? ['accept', 'escalate', 'add_evidence', 'withdraw']
+      : ['add_evidence', 'withdraw'];
+  } else if (active && role === 'creator') {
+    availableActions = status === DISPUTE_STATUS.OPEN
+      ? ['respond', 'add_evidence']
+      : status === DISPUTE_STATUS.RESPONDED ? ['escalate', 'add_evidence'] : ['add_evidence'];
+  }
+  
+  return {
+    ...dispute,
+    role,
+    status,
+    evidence: dispute.evidence || [],
+    messages: (dispute.messages || []).map(message => ({
+      ...message,
+      createdAt: new Date(message.createdAt)
+    })),
+    offer: dispute.offer || null,
+    resolution: dispute.resolution || null,
+    createdAt: new Date(dispute.createdAt),
+    updatedAt: new Date(dispute.updatedAt || dispute.createdAt),
+    availableActions
+  };
+}
+
+const trailtrades_disputes = {
+  fileDispute,
+  getDisputes,
+  getDispute,
+  addEvidence,
+  respondToDispute,
+  acceptDisputeOffer,
+  escalateDispute,
+  withdrawDispute,
+  getVisitTrails
+};
+
+export {
+  DISPUTE_STATUS,
+  DISPUTE_REASON,
+  DISPUTE_OUTCOME,
+  fileDispute,
+  getDisputes,
+  getDispute,
+  addEvidence,
+  respondToDispute,
+  acceptDisputeOffer,
+  escalateDispute,
+  withdrawDispute,
+  getVisitTrails,
+  summarizeVisit
+};
+export default trailtrades_disputes;
\ No newline at end of file
@@ -0,0 +1,292 @@
+import { trailtrades_getTradeHistory } from './trailtrades_getTradeHistory';
+import { getLedgerEntries } from './trailtrades_creditLedger';
+
+/**
+ * TrailTrades Trade History Export Module
+ * 
+ * Exports trades (and optionally credit transactions) as CSV or JSON for monthly credit
+ * reconciliation and hands the file to the system share sheet. All pages of the trade
+ * history matching the filters are loaded first; credit transactions that belong to an
+ * exported trade are not repeated.
+ * 
+ * Columns: id, record_type, type, status, counterparty, location, credits, balance_after, timestamp
+ * 
+ * @param {string} format - 'csv' or 'json'
+ * @param {Object} [exportOptions] - Export options
+ * @param {Object} [exportOptions.filters] - Trade history filters (see trailtrades_getTradeHistory)
+ * @param {Array} [exportOptions.transactions] - Credit transactions to include
+ *   ({ id, type, amount, locationName, balanceAfter, date, tradeId })
+ * @param {boolean} [exportOptions.includeLedger=false] - Whether to load and include every credit
+ *   ledger entry (see trailtrades_creditLedger) instead of passing transactions
+ * @param {boolean} [exportOptions.share=true] - Whether to open the share sheet
+ * @returns {Promise<Object>} - { fileName, mimeType, content, rowCount }
+ */
+async function trailtrades_exportTradeHistory(format, exportOptions = {}) {
+  // Import configuration
+  const config = {
+    PAGE_SIZE: 100,
+    MAX_PAGES: 50
+  };
+  
+  const {
+    filters = {},
+    transactions = [],
+    includeLedger = false,
+    share = true
+  } = exportOptions;
+  
+  // Validate format
+  if (format !== 'csv' && format !== 'json') {
+    throw new Error('Invalid export format. Use "csv" or "json".');
+  }
+  
+  try {
+    const trades = await loadAllTrades();
+    const rows = buildExportRows(trades, includeLedger ? await loadAllLedgerEntries() : transactions);
+    
+    const content = format === 'csv' ? formatCsv(rows) : formatJson(rows);
+    const fileName = `trailtrades-history-${new Date().toISOString().slice(0, 10)}.${format}`;
+    const mimeType = format === 'csv' ? 'text/csv' : 'application/json';
+    
+    if (share) {
+      await shareFile(fileName, mimeType, content);
+    }
+    
+    return {
+      fileName,
+      mimeType,
+      content,
+      rowCount: rows.length
+    };
+  } catch (error) {
+    console.error('Trade history export error:', error);
+    error.message = `Export failed: ${error.message}`;
+    throw error;
+  }
+  
+  /**
+   * Load every page of trade history matching the filters
+   * 
+   * @returns {Promise<Array>} - Trades
+   */
+  async function loadAllTrades() {
+    const allTrades = [];
+    let cursor;
+    
+    for (let page = 0; page < config.MAX_PAGES; page++) {
+      const result = await trailtrades_getTradeHistory(filters, { cursor, limit: config.PAGE_SIZE });
+      allTrades.push(...result.trades);
+      
+      if (!result.hasMore) {
+        return allTrades;
+      }
+      
+      cursor = result.nextCursor;
+    }
+    
+    throw new Error('Too many trades to export at once. Narrow the date range and try again.');
+  }
+  
+  /**
+   * Load every page of the credit ledger
+   * 
+   * @returns {Promise<Array>} - Ledger entries
+   */
+  async function loadAllLedgerEntries() {
+    const allEntries = [];
+    let cursor;
+    
+    for (let page = 0; page < config.MAX_PAGES; page++) {
+      const result = await getLedgerEntries({}, { cursor, limit: config.PAGE_SIZE });
+      allEntries.push(...result.entries);
+      
+      if (!result.hasMore) {
+        return allEntries;
+      }
+      
+      cursor = result.nextCursor;
+    }
+    
+    throw new Error('Too many credit transactions to export at once.');
+  }
+  
+  /**
+   * Share exported content as a file
+   * 
+   * @param {string} fileName - File name
+   * @param {string} mimeType - MIME type
+   * @param {string} content - File content
+   * @returns {Promise<void>}
+   */
+  async function shareFile(fileName, mimeType, content) {
+    if (Platform.OS === 'ios' || Platform.OS === 'android') {
+      const FileSystem = require('expo-file-system');
+      const Sharing = require('expo-sharing');
+      
+      const fileUri = `${FileSystem.cacheDirectory}${fileName}`;
+      await FileSystem.writeAsStringAsync(fileUri, content, {
+        encoding: FileSystem.EncodingType.UTF8
+      });
+      
+      if (!(await Sharing.isAvailableAsync())) {
+        throw new Error('Sharing is not available on this device.');
+      }
+      
+      await Sharing.shareAsync(fileUri, {
+        mimeType,
+        UTI: mimeType === 'text/csv' ? 'public.comma-separated-values-text' : 'public.json',
+        dialogTitle: 'Export Trade History'
+      });
+    } else {
+      // Web: use the Web Share API when it can share files, otherwise download
+      const file = new File([content], fileName, { type: mimeType });
+      
+      if (navigator.canShare && navigator.canShare({ files: [file] })) {
+        await navigator.share({ files: [file], title: 'Export Trade History' });
+        return;
+      }
+      
+      const url = URL.createObjectURL(file);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    }
+  }
+}
+
+/**
+ * Build export rows from trades and credit transactions, newest first
+ * 
+ * @param {Array} trades - Trades from trailtrades_getTradeHistory
+ * @param {Array} [transactions] - Credit transactions
+ * @returns {Array<Object>} - Export rows
+ */
+function buildExportRows(trades, transactions = []) {
+  const tradeIds = new Set(trades.map(trade => trade.id));
+  
+  const tradeRows = trades.map(trade => ({
+    id: trade.id,
+    record_type: 'trade',
+    type: trade.type,
+    status: trade.status,
+    counterparty: trade.otherUser ? trade.otherUser.username : '',
+    location: getTradeLocationName(trade),
+    credits: trade.creditChange || 0,
+    balance_after: typeof trade.balanceAfter === 'number' ? trade.balanceAfter : '',
+    timestamp: toIsoString(trade.timestamp)
+  }));
+  
+  const transactionRows = transactions
+    .filter(transaction => !transaction.tradeId || !tradeIds.has(transaction.tradeId))
+    .map(transaction => ({
+      id: transaction.id,
+      record_type: 'credit_transaction',
+      type: transaction.type,
+      status: transaction.status || 'completed',
+      counterparty: transaction.counterparty || '',
+      location: transaction.locationName || '',
+      credits: transaction.amount,
+      balance_after: typeof transaction.balanceAfter === 'number' ? transaction.balanceAfter : '',
+      timestamp: toIsoString(transaction.date)
+    }));
+    
+  return [...tradeRows, ...transactionRows]
+    .sort((a, b) => (a.timestamp < b.timestamp ? 1 : a.timestamp > b.timestamp ? -1 : 0));
+}
+
+/**
+ * Format export rows as CSV
+ * 
+ * @param {Array<Object>} rows - Export rows
+ * @returns {string} - CSV content
+ */
+function formatCsv(rows) {
+  const columns = ['id', 'record_type', 'type', 'status', 'counterparty', 'location', 'credits', 'balance_after', 'timestamp'];
+  
+  const lines = [
+    columns.join(','),
+    ...rows.map(row => columns.map(column => escapeCsvValue(row[column])).join(','))
+  ];
+  
+  return lines.join('\r\n');
+}
+
+/**
+ * Format export rows as JSON
+ * 
+ * @param {Array<Object>} rows - Export rows
+ * @returns {string} - JSON content
+ */
+function formatJson(rows) {
+  return JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    records: rows
+  }, null, 2);
+}
+
+/**
+ * Escape a CSV value
+ * Text that a spreadsheet would treat as a formula is prefixed with a quote.
+ * 
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped cell
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  
+  if (typeof value === 'number') {
+    return String(value);
+  }
+  
+  let text = String(value);
+  
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  
+  return text;
+}
+
+/**
+ * Get the location name a trade row refers to
+ * 
+ * @param {Object} trade - Trade
+ * @returns {string} - Location name
+ */
+function getTradeLocationName(trade) {
+  if (trade.location) {
+    return trade.location.name;
+  }
+  
+  const received = trade.receivedLocation || trade.requestedLocation;
+  const offered = trade.offeredLocation;
+  
+  return [offered && offered.name, received && received.name].filter(Boolean).join(' -> ');
+}
+
+/**
+ * Convert a date value to an ISO string
+ * 
+ * @param {Date|string|number} value - Date value
+ * @returns {string} - ISO string, or empty string if invalid
+ */
+function toIsoString(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? '' : date.toISOString();
+}
+
+export {
+  trailtrades_exportTradeHistory,
+  buildExportRows,
+  formatCsv,
+  formatJson
+};
+export default trailtrades_exportTradeHistory;
\ No newline at end of file
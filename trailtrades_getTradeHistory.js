@@ -0,0 +1,120 @@
+import apiClient from './trailtrades_apiClient';
+
+/**
+ * TrailTrades Trade History Module
+ * 
+ * Loads the current user's trade history one page at a time. Filters are applied on
+ * the server so pages and totals always agree with each other; pass the nextCursor of
+ * the previous page to load the next one. Totals cover every trade matching the
+ * filters, not just the returned page.
+ * 
+ * @param {Object} [filters] - History filters
+ * @param {string} [filters.type] - 'credit' or 'direct' (all types when omitted)
+ * @param {string|Array<string>} [filters.status] - Trade status(es), e.g. 'completed', 'cancelled', 'declined', 'expired'
+ * @param {string} [filters.counterpartyId] - Only trades with this user
+ * @param {string} [filters.locationId] - Only trades involving this location
+ * @param {Date|string} [filters.from] - Start of date range (inclusive)
+ * @param {Date|string} [filters.to] - End of date range (inclusive)
+ * @param {Object} [pagination] - Pagination options
+ * @param {string} [pagination.cursor] - Cursor from the previous page's nextCursor
+ * @param {number} [pagination.limit=20] - Page size (max 100)
+ * @returns {Promise<Object>} - { trades, nextCursor, hasMore, totals: { creditsEarned, creditsSpent, net, tradeCount } }
+ */
+async function trailtrades_getTradeHistory(filters = {}, pagination = {}) {
+  // Import configuration
+  const config = {
+    DEFAULT_PAGE_SIZE: 20,
+    MAX_PAGE_SIZE: 100
+  };
+  
+  const limit = Math.min(Math.max(parseInt(pagination.limit, 10) || config.DEFAULT_PAGE_SIZE, 1), config.MAX_PAGE_SIZE);
+  
+  // Validate filters
+  if (filters.type && !['credit', 'direct'].includes(filters.type)) {
+    throw new Error('Invalid trade type filter. Use "credit" or "direct".');
+  }
+  
+  const from = parseDateFilter(filters.from, 'from');
+  const to = parseDateFilter(filters.to, 'to');
+  
+  if (from && to && from > to) {
+    throw new Error('Invalid date range: "from" must be before "to".');
+  }
+  
+  try {
+    const result = await apiClient.get('/trades/history', {
+      query: {
+        type: filters.type,
+        status: filters.status,
+        counterpartyId: filters.counterpartyId,
+        locationId: filters.locationId,
+        from: from ? from.toISOString() : undefined,
+        to: to ? to.toISOString() : undefined,
+        cursor: pagination.cursor,
+        limit
+      },
+      errorMessage: 'Failed to load trade history'
+    });
+    
+    const totals = result.totals || {};
+    
+    return {
+      trades: (result.trades || []).map(normalizeTrade),
+      nextCursor: result.nextCursor || null,
+      hasMore: Boolean(result.nextCursor),
+      totals: {
+        creditsEarned: totals.creditsEarned || 0,
+        creditsSpent: totals.creditsSpent || 0,
+        net: (totals.creditsEarned || 0) - (totals.creditsSpent || 0),
+        tradeCount: totals.tradeCount || 0
+      }
+    };
+  } catch (error) {
+    console.error('Trade history error:', error);
+    throw error;
+  }
+  
+  /**
+   * Parse a date filter
+   * 
+   * @param {Date|string} [value] - Date filter value
+   * @param {string} name - Filter name for error messages
+   * @returns {Date|null} - Parsed date or null
+   */
+  function parseDateFilter(value, name) {
+    if (!value) {
+      return null;
+    }
+    
+    const date = value instanceof Date ? value : new Date(value);
+    
+    if (isNaN(date.getTime())) {
+      throw new Error(`Invalid "${name}" date filter.`);
+    }
+    
+    return date;
+  }
+  
+  /**
+   * Normalize a trade from the API for display
+   * 
+   * @param {Object} trade - Trade from the API
+   * @returns {Object} - Trade with Date timestamp and signed credit change
+   */
+  function normalizeTrade(trade) {
+    let creditChange = 0;
+    
+    if (trade.type === 'credit' && trade.status === 'completed') {
+      creditChange = trade.role === 'seller' ? trade.creditAmount : -trade.creditAmount;
+    }
+    
+    return {
+      ...trade,
+      timestamp: new Date(trade.completedAt || trade.updatedAt || trade.createdAt),
+      creditChange
+    };
+  }
+}
+
+export { trailtrades_getTradeHistory };
+export default trailtrades_getTradeHistory;
\ No newline at end of file
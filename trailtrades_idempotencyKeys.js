@@ -0,0 +1,197 @@
+/**
+ * TrailTrades Idempotency Keys Module
+ * 
+ * Client-generated idempotency keys for requests that must not be applied twice, such as
+ * trades that spend credits. A key is derived once per distinct operation (operation name
+ * plus its parameters) and persisted, so retrying the same trade after a dropped
+ * connection, or replaying it after an app restart, sends the same key and the server
+ * returns the original result instead of charging again. The key is only discarded once
+ * the server has given a definitive answer (success or a definitive rejection).
+ */
+
+// Idempotency key configuration
+const config = {
+  STORAGE_KEY: 'trailtrades_idempotency_keys',
+  KEY_TTL_MS: 24 * 60 * 60 * 1000 // server keeps keys for 24 hours
+};
+
+// In-memory copy of stored keys ({ fingerprint: { key, createdAt } })
+let keyCache = null;
+
+/**
+ * Get the idempotency key for an operation, creating and persisting one if needed
+ * 
+ * @param {string} operation - Operation name (e.g. 'trade')
+ * @param {Object} params - Parameters that identify the operation
+ * @returns {Promise<string>} - Idempotency key
+ */
+async function getIdempotencyKey(operation, params) {
+  const keys = await loadKeys();
+  const fingerprint = createFingerprint(operation, params);
+  
+  if (keys[fingerprint]) {
+    return keys[fingerprint].key;
+  }
+  
+  const { v4: uuidv4 } = require('uuid');
+  const key = uuidv4();
+  
+  keys[fingerprint] = { key, createdAt: Date.now() };
+  await saveKeys(keys);
+  
+  return key;
+}
+
+/**
+ * Whether an operation has a persisted key, i.e. an earlier attempt's outcome is unknown
+ * 
+ * @param {string} operation - Operation name
+ * @param {Object} params - Parameters that identify the operation
+ * @returns {Promise<boolean>}
+ */
+async function hasIdempotencyKey(operation, params) {
+  const keys = await loadKeys();
+  return Boolean(keys[createFingerprint(operation, params)]);
+}
+
+/**
+ * Discard the idempotency key for an operation after a definitive server response
+ * 
+ * @param {string} operation - Operation name
+ * @param {Object} params - Parameters that identify the operation
+ * @returns {Promise<void>}
+ */
+async function clearIdempotencyKey(operation, params) {
+  const keys = await loadKeys();
+  const fingerprint = createFingerprint(operation, params);
+  
+  if (keys[fingerprint]) {
+    delete keys[fingerprint];
+    await saveKeys(keys);
+  }
+}
+
+/**
+ * Run a request with a persisted idempotency key
+ * The key is kept when the outcome is unknown (network error, timeout, server error)
+ * so the next attempt reuses it.
+ * 
+ * @param {string} operation - Operation name
+ * @param {Object} params - Parameters that identify the operation
+ * @param {Function} send - Async function called with the key
+ * @returns {Promise<*>} - Result of send
+ */
+async function withIdempotencyKey(operation, params, send) {
+  const key = await getIdempotencyKey(operation, params);
+  
+  let result;
+  
+  try {
+    result = await send(key);
+  } catch (error) {
+    if (error.isDefinitive) {
+      await clearIdempotencyKey(operation, params);
+    } else {
+      // Outcome unknown: expose the key so the caller can replay with it
+      error.idempotencyKey = key;
+    }
+    
+    throw error;
+  }
+  
+  await clearIdempotencyKey(operation, params);
+  
+  return result;
+}
+
+/**
+ * Build a stable fingerprint for an operation and its parameters
+ * 
+ * @param {string} operation - Operation name
+ * @param {Object} params - Parameters
+ * @returns {string} - Fingerprint
+ */
+function createFingerprint(operation, params) {
+  const sortedParams = Object.keys(params || {})
+    .filter(key => params[key] !== undefined && params[key] !== null)
+    .sort()
+    .map(key => `${key}=${JSON.stringify(params[key])}`)
+    .join('&');
+    
+  return `${operation}?${sortedParams}`;
+}
+
+/**
+ * Load stored keys, dropping keys the server no longer remembers
+ * 
+ * @returns {Promise<Object>} - Stored keys by fingerprint
+ */
+async function loadKeys() {
+  if (!keyCache) {
+    let stored = null;
+    
+    try {
+      if (Platform.OS === 'ios' || Platform.OS === 'android') {
+        const AsyncStorage = require('@react-native-async-storage/async-storage');
+        stored = await AsyncStorage.getItem(config.STORAGE_KEY);
+      } else {
+        stored = localStorage.getItem(config.STORAGE_KEY);
+      }
+    } catch (error) {
+      console.error('Failed to load idempotency keys:', error);
+    }
+    
+    try {
+      keyCache = stored ? JSON.parse(stored) : {};
+    } catch (parseError) {
+      keyCache = {};
+    }
+  }
+  
+  const cutoff = Date.now() - config.KEY_TTL_MS;
+  
+  Object.keys(keyCache).forEach(fingerprint => {
+    if (keyCache[fingerprint].createdAt < cutoff) {
+      delete keyCache[fingerprint];
+    }
+  });
+  
+  return keyCache;
+}
+
+/**
+ * Persist keys
+ * 
+ * @param {Object} keys - Keys by fingerprint
+ * @returns {Promise<void>}
+ */
+async function saveKeys(keys) {
+  keyCache = keys;
+  
+  try {
+    if (Platform.OS === 'ios' || Platform.OS === 'android') {
+      const AsyncStorage = require('@react-native-async-storage/async-storage');
+      await AsyncStorage.setItem(config.STORAGE_KEY, JSON.stringify(keys));
+    } else {
+      localStorage.setItem(config.STORAGE_KEY, JSON.stringify(keys));
+    }
+  } catch (error) {
+    // Key stays in memory for retries in this session
+    console.error('Failed to persist idempotency keys:', error);
+  }
+}
+
+const trailtrades_idempotencyKeys = {
+  getIdempotencyKey,
+  hasIdempotencyKey,
+  clearIdempotencyKey,
+  withIdempotencyKey
+};
+
+export {
+  getIdempotencyKey,
+  hasIdempotencyKey,
+  clearIdempotencyKey,
+  withIdempotencyKey
+};
+export default trailtrades_idempotencyKeys;
\ No newline at end of file
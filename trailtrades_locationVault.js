@@ -0,0 +1,1438 @@
+/**
+ * TrailTrades Location Vault Module
+ * 
+ * Offline store for locations the user has downloaded (traded-for locations with
+ * navigate access). Each location is kept with its trails and media files so it can be
+ * opened, searched and navigated to without connectivity. On device the vault is a
+ * SQLite database with media files in the app's document directory; on web it is an
+ * IndexedDB database with media kept as blobs.
+ * 
+ * The schema is versioned: each store runs the migrations newer than its stored version
+ * when opened. Locations saved by older app versions as AsyncStorage/localStorage blobs
+ * (location_{id} plus location_index) are moved into the vault on first open.
+ * 
+ * Total size is capped at config.QUOTA_BYTES. When a new location doesn't fit, the
+ * locations opened least recently are evicted first. Locations from time-limited access
+ * grants are stored with their expiry and purged once it passes.
+ * 
+ * Location data and trails are encrypted (AES-GCM) with a key for the signed-in user,
+ * kept in the Keychain on iOS and EncryptedStorage on Android; on web the key is a
+ * non-extractable CryptoKey in the vault's own database. Each location's ID and expiry
+ * are bound to its ciphertext, so editing the database can't extend access, and nothing
+ * is decrypted after the expiry (judged by the device clock, which can't be set back past
+ * the last unlock). The vault and its key are wiped on logout or when the session
+ * expires; locations whose grant was revoked are removed on the next unlock with
+ * connectivity (see syncVaultAccess). Media files are not encrypted, so photos are
+ * re-encoded before they are saved to drop EXIF metadata, including where they were taken.
+ */
+
+import { ensureSessionUserId, onSessionChange } from './trailtrades_sessionManager';
+import { getMyAccessGrants, isGrantActive } from './trailtrades_accessGrants';
+import tilePackManager from './trailtrades_tilePacks';
+
+// Vault configuration
+const config = {
+  DATABASE_NAME: 'trailtrades_vault',
+  SCHEMA_VERSION: 2,
+  QUOTA_BYTES: 250 * 1024 * 1024,
+  MAX_LOCATION_BYTES: 50 * 1024 * 1024, // media past this is left online-only
+  MEDIA_DIRECTORY: 'vault',
+  LEGACY_INDEX_KEY: 'location_index',
+  LEGACY_KEY_PREFIX: 'location_',
+  KEY_STORAGE_KEY: 'trailtrades_vault_key',
+  KEY_BYTES: 32,
+  IV_BYTES: 12
+};
+
+// Attachment kinds
+const ATTACHMENT_KIND = {
+  MEDIA: 'media',
+  TRAIL: 'trail'
+};
+
+// SQLite migrations; each brings the database from version - 1 to version
+const SQLITE_MIGRATIONS = [
+  {
+    version: 1,
+    sql: `
+      CREATE TABLE locations (
+        id TEXT PRIMARY KEY NOT NULL,
+        name TEXT,
+        latitude REAL,
+        longitude REAL,
+        data TEXT NOT NULL,
+        size_bytes INTEGER NOT NULL,
+        stored_at INTEGER NOT NULL,
+        opened_at INTEGER NOT NULL,
+        expires_at INTEGER
+      );
+      CREATE INDEX idx_locations_coordinates ON locations (latitude, longitude);
+      CREATE INDEX idx_locations_opened_at ON locations (opened_at);
+      CREATE TABLE location_categories (
+        location_id TEXT NOT NULL REFERENCES locations (id) ON DELETE CASCADE,
+        category TEXT NOT NULL,
+        PRIMARY KEY (location_id, category)
+      );
+      CREATE INDEX idx_location_categories_category ON location_categories (category);
+      CREATE TABLE attachments (
+        location_id TEXT NOT NULL REFERENCES locations (id) ON DELETE CASCADE,
+        kind TEXT NOT NULL,
+        id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        file_uri TEXT,
+        size_bytes INTEGER NOT NULL,
+        PRIMARY KEY (location_id, kind, id)
+      );
+    `
+  },
+  {
+    version: 2,
+    // Names and coordinates now live in the encrypted data; rows are re-sealed on unlock
+    sql: `
+      DROP INDEX IF EXISTS idx_locations_coordinates;
+      ALTER TABLE locations ADD COLUMN grant_id TEXT;
+    `
+  }
+];
+
+// Vault store, opened once (shared so concurrent callers wait for the same migration)
+let storePromise = null;
+
+// Key for the signed-in user, loaded once per user ({ userId, promise })
+let unlocked = null;
+
+// Latest time the vault has seen, so expiry can't be undone by setting the clock back
+let clockFloor = 0;
+
+/**
+ * Save a location with its trails and media for offline use
+ * Replaces a previously saved copy of the location.
+ * 
+ * @param {Object} locationData - Full location data ({ id, name, coordinates, categories, trails, media, ... })
+ * @param {Object} [options] - Save options
+ * @param {Date|string} [options.expiresAt] - When access to the location ends (time-limited grants)
+ * @param {string} [options.grantId] - Access grant the location was downloaded under; the location
+ *   is removed once the grant is no longer active
+ * @returns {Promise<Object>} - { sizeBytes, failedMedia } where failedMedia lists media left online-only
+ * @throws {Error} - With code 'VAULT_QUOTA_EXCEEDED' if the location doesn't fit even after eviction
+ */
+async function saveLocation(locationData, options = {}) {
+  if (!locationData || !locationData.id) {
+    throw new Error('Location data with an ID is required.');
+  }
+  
+  const { store, key } = await unlockVault();
+  const now = Date.now();
+  const { trails = [], media = [], ...location } = locationData;
+  
+  const trailAttachments = trails.map(trail => ({
+    locationId: location.id,
+    kind: ATTACHMENT_KIND.TRAIL,
+    id: String(trail.id),
+    data: trail,
+    fileUri: null,
+    blob: null,
+    sizeBytes: estimateSize(trail)
+  }));
+  
+  let sizeBytes = estimateSize(location) + trailAttachments.reduce((sum, attachment) => sum + attachment.sizeBytes, 0);
+  
+  const { attachments: mediaAttachments, failedMedia } = await downloadMedia(
+    location.id,
+    media,
+    config.MAX_LOCATION_BYTES - sizeBytes
+  );
+  
+  sizeBytes += mediaAttachments.reduce((sum, attachment) => sum + attachment.sizeBytes, 0);
+  
+  try {
+    await makeRoom(store, sizeBytes, location.id);
+  } catch (error) {
+    await deleteMediaFiles(location.id, mediaAttachments);
+    throw error;
+  }
+  
+  const existing = await store.getLocation(location.id);
+  const previousAttachments = existing ? await store.getAttachments(location.id) : [];
+  
+  const sealed = await sealRecord(key, {
+    id: location.id,
+    categories: location.categories || [],
+    // Media entries are kept so their order and descriptions survive; files are attachments
+    data: { ...location, media },
+    sizeBytes,
+    storedAt: now,
+    openedAt: existing ? existing.openedAt : now,
+    expiresAt: options.expiresAt ? new Date(options.expiresAt).getTime() : null,
+    grantId: options.grantId ? String(options.grantId) : null
+  }, [...trailAttachments, ...mediaAttachments]);
+  
+  await store.putLocation(sealed.record, sealed.attachments);
+  
+  // Files of media no longer part of the location
+  const keptUris = mediaAttachments.map(attachment => attachment.fileUri);
+  await deleteMediaFiles(location.id, previousAttachments.filter(attachment => !keptUris.includes(attachment.fileUri)));
+  
+  return { sizeBytes, failedMedia };
+}
+
+/**
+ * Get a saved location with its trails and media
+ * Media point at the local copies where they were downloaded.
+ * 
+ * @param {string} locationId - Location ID
+ * @returns {Promise<Object|null>} - Location in the API's shape with offline { storedAt, sizeBytes,
+ *   expiresAt }, or null if it isn't saved (or its access has expired)
+ */
+async function getStoredLocation(locationId) {
+  if (!locationId) {
+    throw new Error('Location ID is required.');
+  }
+  
+  const { store, key } = await unlockVault();
+  const record = await store.getLocation(locationId);
+  const opened = record ? await openRecord(store, key, record, true) : null;
+  
+  if (!opened) {
+    return null;
+  }
+  
+  await store.touchLocation(locationId, Date.now());
+  
+  const { data, attachments } = opened;
+  const trails = attachments
+    .filter(attachment => attachment.kind === ATTACHMENT_KIND.TRAIL)
+    .map(attachment => attachment.data);
+  const mediaFiles = attachments.filter(attachment => attachment.kind === ATTACHMENT_KIND.MEDIA);
+  
+  const media = (data.media || []).map(item => {
+    const file = mediaFiles.find(attachment => attachment.id === String(item.id));
+    const localUri = file ? getLocalUri(file) : null;
+    
+    return localUri
+      ? { ...item, url: localUri, thumbnail: localUri, remoteUrl: item.url, isOffline: true }
+      : { ...item, isOffline: false };
+  });
+  
+  return {
+    ...data,
+    trails,
+    media,
+    offline: createOfflineInfo(record)
+  };
+}
+
+/**
+ * Find saved locations
+ * 
+ * @param {Object} [query] - Query
+ * @param {Object} [query.bbox] - Bounding box { north, south, east, west }; east < west crosses the antimeridian
+ * @param {string} [query.category] - Category ID
+ * @param {number} [query.limit] - Maximum number of locations
+ * @returns {Promise<Array>} - Locations (without trails and media files) with offline info, newest first
+ */
+async function queryStoredLocations(query = {}) {
+  const { bbox, category, limit } = query;
+  
+  if (bbox && ['north', 'south', 'east', 'west'].some(edge => typeof bbox[edge] !== 'number')) {
+    throw new Error('Bounding box must have numeric north, south, east and west edges.');
+  }
+  
+  const { store, key } = await unlockVault();
+  const records = await store.queryLocations({ category, now: getTrustedNow() });
+  const locations = [];
+  
+  // Coordinates are encrypted, so the bounding box is applied after decrypting
+  for (const record of records.sort((a, b) => b.storedAt - a.storedAt)) {
+    if (limit && locations.length >= limit) break;
+    
+    const opened = await openRecord(store, key, record, false);
+    const coordinates = (opened && opened.data.coordinates) || {};
+    
+    if (!opened || (bbox && !isInBoundingBox(coordinates.latitude, coordinates.longitude, bbox))) {
+      continue;
+    }
+    
+    locations.push({
+      ...opened.data,
+      offline: createOfflineInfo(record)
+    });
+  }
+  
+  return locations;
+}
+
+/**
+ * Whether a location is saved for offline use
+ * 
+ * @param {string} locationId - Location ID
+ * @returns {Promise<boolean>}
+ */
+async function isLocationStored(locationId) {
+  const store = await openStore();
+  const record = await store.getLocation(locationId);
+  
+  return Boolean(record) && !isExpired(record);
+}
+
+/**
+ * Remove a saved location and its media files
+ * 
+ * @param {string} locationId - Location ID
+ * @returns {Promise<void>}
+ */
+async function removeStoredLocation(locationId) {
+  const store = await openStore();
+  const attachments = await store.getAttachments(locationId);
+  
+  await store.deleteLocation(locationId);
+  await deleteMediaFiles(locationId, attachments);
+}
+
+/**
+ * Get how much of the vault's quota is used
+ * 
+ * @returns {Promise<Object>} - { usedBytes, quotaBytes, locationCount }
+ */
+async function getVaultUsage() {
+  const store = await openStore();
+  const usage = await store.getUsage();
+  
+  return {
+    usedBytes: usage.usedBytes,
+    quotaBytes: config.QUOTA_BYTES,
+    locationCount: usage.locationCount
+  };
+}
+
+/**
+ * Remove every saved location
+ * 
+ * @returns {Promise<void>}
+ */
+async function clearVault() {
+  const store = await openStore();
+  
+  await store.clear();
+  
+  if (Platform.OS !== 'web') {
+    const FileSystem = require('expo-file-system');
+    await FileSystem.deleteAsync(`${FileSystem.documentDirectory}${config.MEDIA_DIRECTORY}`, { idempotent: true });
+  }
+}
+
+/**
+ * Remove saved locations, and offline maps around them, whose access grant is no longer
+ * active (revoked or expired)
+ * Locations are matched to grants by location ID, as those imported from older versions
+ * or saved without a grant have no grant ID: a location is removed when the user has held
+ * a grant for it and none is active now. Needs connectivity; saved locations are left as
+ * they are if grants can't be loaded.
+ * 
+ * @returns {Promise<number>} - Number of locations removed
+ */
+async function syncVaultAccess() {
+  const { store } = await unlockVault();
+  const grants = await getMyAccessGrants();
+  const activeGrants = grants.filter(grant => isGrantActive(grant));
+  const activeGrantIds = new Set(activeGrants.map(grant => String(grant.id)));
+  const activeLocationIds = new Set(activeGrants.map(grant => String(grant.locationId)));
+  const grantedLocationIds = new Set(grants.map(grant => String(grant.locationId)));
+  const candidates = await store.listByLeastRecentlyOpened();
+  // A location traded for again under a new grant is kept
+  const revoked = candidates.filter(candidate =>
+    !activeLocationIds.has(String(candidate.id)) &&
+    ((candidate.grantId && !activeGrantIds.has(candidate.grantId)) || grantedLocationIds.has(String(candidate.id)))
+  );
+  
+  for (const candidate of revoked) {
+    await removeStoredLocation(candidate.id);
+  }
+  
+  // Offline maps downloaded around those locations go too
+  if (Platform.OS !== 'web') {
+    try {
+      const packs = await tilePackManager.listTilePacks();
+      
+      for (const pack of packs) {
+        const locationId = pack.locationId ? String(pack.locationId) : null;
+        
+        if (locationId && grantedLocationIds.has(locationId) && !activeLocationIds.has(locationId)) {
+          await tilePackManager.deleteTilePack(pack.id);
+        }
+      }
+    } catch (error) {
+      console.warn('Failed to remove offline maps for revoked locations:', error.message);
+    }
+  }
+  
+  return revoked.length;
+}
+
+/**
+ * Open the vault store for the platform, migrating it if needed
+ * 
+ * @returns {Promise<Object>} - Store
+ */
+function openStore() {
+  if (!storePromise) {
+    storePromise = (async () => {
+      const store = Platform.OS === 'web' ? await openIndexedDbStore() : await openSqliteStore();
+      
+      await purgeExpiredLocations(store);
+      
+      return store;
+    })().catch(error => {
+      // Let the next call try again
+      storePromise = null;
+      throw new Error(`Offline storage unavailable: ${error.message}`);
+    });
+  }
+  
+  return storePromise;
+}
+
+/**
+ * Open the vault with the signed-in user's key
+ * The first unlock for a user also imports legacy locations and seals plaintext ones.
+ * 
+ * @returns {Promise<Object>} - { store, key }
+ * @throws {Error} - If no user is signed in, or the signed-in user can't be identified
+ */
+async function unlockVault() {
+  const session = await ensureSessionUserId();
+  
+  if (!session) {
+    throw new Error('Authentication required. Please log in.');
+  }
+  
+  // Session from an older app version whose user couldn't be looked up yet
+  if (!session.userId) {
+    throw new Error('Saved locations are unavailable until your account can be confirmed. Connect to the internet or log in again.');
+  }
+  
+  if (!unlocked || unlocked.userId !== session.userId) {
+    const current = {
+      userId: session.userId,
+      promise: (async () => {
+        const store = await openStore();
+        const { key, created } = await loadVaultKey(store, session.userId);
+        
+        await importLegacyLocations(store, key);
+        await sealPlaintextLocations(store, key, created);
+        
+        return { store, key };
+      })().catch(error => {
+        // Let the next call try again
+        if (unlocked === current) {
+          unlocked = null;
+        }
+        throw error;
+      })
+    };
+    
+    unlocked = current;
+    
+    // Catch up on grants revoked while the app was closed
+    current.promise
+      .then(() => syncVaultAccess())
+      .catch(error => console.warn('Failed to check access to saved locations:', error.message));
+  }
+  
+  return unlocked.promise;
+}
+
+/**
+ * Load the user's vault key, creating it on first use
+ * 
+ * @param {Object} store - Vault store
+ * @param {string} userId - Signed-in user ID
+ * @returns {Promise<Object>} - { key, created }
+ */
+async function loadVaultKey(store, userId) {
+  const webCrypto = getWebCrypto();
+  const slot = await readKeySlot(store);
+  
+  if (slot && slot.userId === userId) {
+    clockFloor = Math.max(slot.checkedAt || 0, Date.now());
+    await writeKeySlot(store, { ...slot, checkedAt: clockFloor });
+    
+    const key = Platform.OS === 'web'
+      ? slot.key
+      : await webCrypto.subtle.importKey('raw', base64ToBytes(slot.key), 'AES-GCM', false, ['encrypt', 'decrypt']);
+      
+    return { key, created: false };
+  }
+  
+  // A key left by another user: their locations can't be opened by this one
+  if (slot) {
+    await clearVault();
+  }
+  
+  let key;
+  let storedKey;
+  
+  if (Platform.OS === 'web') {
+    key = await webCrypto.subtle.generateKey({ name: 'AES-GCM', length: config.KEY_BYTES * 8 }, false, ['encrypt', 'decrypt']);
+    storedKey = key;
+  } else {
+    const raw = webCrypto.getRandomValues(new Uint8Array(config.KEY_BYTES));
+    key = await webCrypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']);
+    storedKey = bytesToBase64(raw);
+  }
+  
+  clockFloor = Date.now();
+  await writeKeySlot(store, { userId, key: storedKey, checkedAt: clockFloor });
+  
+  return { key, created: true };
+}
+
+/**
+ * Wipe every saved location and the vault key
+ * 
+ * @returns {Promise<void>}
+ */
+async function wipeVault() {
+  unlocked = null;
+  clockFloor = 0;
+  
+  const store = await openStore();
+  
+  await clearVault();
+  await deleteKeySlot(store);
+}
+
+/**
+ * Read the vault key slot { userId, key, checkedAt } from secure storage
+ * 
+ * @param {Object} store - Vault store (holds the key on web)
+ * @returns {Promise<Object|null>} - Key slot or null
+ */
+async function readKeySlot(store) {
+  if (Platform.OS === 'ios') {
+    const credentials = await Keychain.getGenericPassword({ service: config.KEY_STORAGE_KEY });
+    return credentials ? JSON.parse(credentials.password) : null;
+  } else if (Platform.OS === 'android') {
+    const stored = await EncryptedStorage.getItem(config.KEY_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : null;
+  }
+  
+  return store.getKeySlot();
+}
+
+/**
+ * Write the vault key slot to secure storage
+ * 
+ * @param {Object} store - Vault store (holds the key on web)
+ * @param {Object} slot - Key slot { userId, key, checkedAt }
+ * @returns {Promise<void>}
+ */
+async function writeKeySlot(store, slot) {
+  if (Platform.OS === 'ios') {
+    // Own service, so the session's Keychain entry is left alone
+    await Keychain.setGenericPassword(config.KEY_STORAGE_KEY, JSON.stringify(slot), { service: config.KEY_STORAGE_KEY });
+  } else if (Platform.OS === 'android') {
+    await EncryptedStorage.setItem(config.KEY_STORAGE_KEY, JSON.stringify(slot));
+  } else {
+    await store.putKeySlot(slot);
+  }
+}
+
+/**
+ * Delete the vault key slot from secure storage
+ * 
+ * @param {Object} store - Vault store (holds the key on web)
+ * @returns {Promise<void>}
+ */
+async function deleteKeySlot(store) {
+  if (Platform.OS === 'ios') {
+    await Keychain.resetGenericPassword({ service: config.KEY_STORAGE_KEY });
+  } else if (Platform.OS === 'android') {
+    await EncryptedStorage.removeItem(config.KEY_STORAGE_KEY);
+  } else {
+    await store.deleteKeySlot();
+  }
+}
+
+/**
+ * Open the SQLite store, running pending migrations
+ * 
+ * @returns {Promise<Object>} - Store
+ */
+async function openSqliteStore() {
+  const SQLite = require('expo-sqlite');
+  const db = await SQLite.openDatabaseAsync(`${config.DATABASE_NAME}.db`);
+  
+  await db.execAsync('PRAGMA foreign_keys = ON;');
+  // Overwrite deleted rows, so removed locations don't linger in free pages
+  await db.execAsync('PRAGMA secure_delete = ON;');
+  
+  const { user_version: currentVersion } = await db.getFirstAsync('PRAGMA user_version');
+  
+  if (currentVersion > config.SCHEMA_VERSION) {
+    throw new Error('Saved locations were created by a newer version of the app.');
+  }
+  
+  for (const migration of SQLITE_MIGRATIONS.filter(item => item.version > currentVersion)) {
+    await db.withTransactionAsync(async () => {
+      await db.execAsync(migration.sql);
+      await db.execAsync(`PRAGMA user_version = ${migration.version};`);
+    });
+  }
+  
+  const toRecord = (row) => ({
+    id: row.id,
+    data: JSON.parse(row.data),
+    sizeBytes: row.size_bytes,
+    storedAt: row.stored_at,
+    openedAt: row.opened_at,
+    expiresAt: row.expires_at,
+    grantId: row.grant_id
+  });
+  
+  return {
+    async putLocation(record, attachments) {
+      await db.withTransactionAsync(async () => {
+        // Cascades to categories and attachments
+        await db.runAsync('DELETE FROM locations WHERE id = ?', [record.id]);
+        await db.runAsync(
+          `INSERT INTO locations (id, data, size_bytes, stored_at, opened_at, expires_at, grant_id)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [record.id, JSON.stringify(record.data), record.sizeBytes, record.storedAt, record.openedAt,
+            record.expiresAt, record.grantId]
+        );
+        
+        for (const category of record.categories) {
+          await db.runAsync('INSERT OR IGNORE INTO location_categories (location_id, category) VALUES (?, ?)', [record.id, category]);
+        }
+        
+        for (const attachment of attachments) {
+          await db.runAsync(
+            'INSERT INTO attachments (location_id, kind, id, data, file_uri, size_bytes) VALUES (?, ?, ?, ?, ?, ?)',
+            [record.id, attachment.kind, attachment.id, JSON.stringify(attachment.data), attachment.fileUri, attachment.sizeBytes]
+          );
+        }
+      });
+    },
+    
+    async getLocation(id) {
+      const row = await db.getFirstAsync('SELECT * FROM locations WHERE id = ?', [id]);
+      return row ? toRecord(row) : null;
+    },
+    
+    async getAttachments(locationId) {
+      const rows = await db.getAllAsync('SELECT * FROM attachments WHERE location_id = ?', [locationId]);
+      
+      return rows.map(row => ({
+        locationId: row.location_id,
+        kind: row.kind,
+        id: row.id,
+        data: JSON.parse(row.data),
+        fileUri: row.file_uri,
+        sizeBytes: row.size_bytes
+      }));
+    },
+    
+    async queryLocations({ category, now }) {
+      const conditions = ['(expires_at IS NULL OR expires_at > ?)'];
+      const params = [now];
+      
+      if (category) {
+        conditions.push('id IN (SELECT location_id FROM location_categories WHERE category = ?)');
+        params.push(category);
+      }
+      
+      const rows = await db.getAllAsync(`SELECT * FROM locations WHERE ${conditions.join(' AND ')}`, params);
+      return rows.map(toRecord);
+    },
+    
+    async touchLocation(id, openedAt) {
+      await db.runAsync('UPDATE locations SET opened_at = ? WHERE id = ?', [openedAt, id]);
+    },
+    
+    async deleteLocation(id) {
+      await db.runAsync('DELETE FROM locations WHERE id = ?', [id]);
+    },
+    
+    async getUsage() {
+      const row = await db.getFirstAsync('SELECT COALESCE(SUM(size_bytes), 0) AS used_bytes, COUNT(*) AS location_count FROM locations');
+      return { usedBytes: row.used_bytes, locationCount: row.location_count };
+    },
+    
+    async listByLeastRecentlyOpened() {
+      const rows = await db.getAllAsync('SELECT id, size_bytes, expires_at, grant_id FROM locations ORDER BY opened_at ASC');
+      return rows.map(row => ({ id: row.id, sizeBytes: row.size_bytes, expiresAt: row.expires_at, grantId: row.grant_id }));
+    },
+    
+    async clear() {
+      await db.execAsync('DELETE FROM locations;');
+    }
+  };
+}
+
+/**
+ * Open the IndexedDB store, running pending migrations
+ * 
+ * @returns {Promise<Object>} - Store
+ */
+async function openIndexedDbStore() {
+  const db = await new Promise((resolve, reject) => {
+    const request = indexedDB.open(config.DATABASE_NAME, config.SCHEMA_VERSION);
+    
+    request.onupgradeneeded = (event) => {
+      const upgradeDb = request.result;
+      
+      // Migrations; each brings the database from version - 1 to version
+      if (event.oldVersion < 1) {
+        const locations = upgradeDb.createObjectStore('locations', { keyPath: 'id' });
+        locations.createIndex('categories', 'categories', { multiEntry: true });
+        locations.createIndex('openedAt', 'openedAt');
+        
+        const attachments = upgradeDb.createObjectStore('attachments', { keyPath: ['locationId', 'kind', 'id'] });
+        attachments.createIndex('locationId', 'locationId');
+      }
+      
+      // Records are re-sealed on unlock; the key slot holds the user's CryptoKey
+      if (event.oldVersion < 2) {
+        upgradeDb.createObjectStore('keys', { keyPath: 'id' });
+      }
+    };
+    
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  
+  const run = (storeNames, mode, work) => new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode);
+    let result;
+    
+    Promise.resolve(work(transaction)).then(value => {
+      result = value;
+    }, reject);
+    
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+  
+  const deleteAttachmentsOf = (transaction, locationId) => idbRequest(
+    transaction.objectStore('attachments').index('locationId').getAllKeys(locationId)
+  ).then(keys => Promise.all(keys.map(key => idbRequest(transaction.objectStore('attachments').delete(key)))));
+  
+  return {
+    putLocation(record, attachments) {
+      return run(['locations', 'attachments'], 'readwrite', async transaction => {
+        await deleteAttachmentsOf(transaction, record.id);
+        await idbRequest(transaction.objectStore('locations').put(record));
+        await Promise.all(attachments.map(attachment =>
+          idbRequest(transaction.objectStore('attachments').put({ ...attachment, locationId: record.id }))
+        ));
+      });
+    },
+    
+    async getLocation(id) {
+      const record = await run(['locations'], 'readonly', transaction =>
+        idbRequest(transaction.objectStore('locations').get(id))
+      );
+      return record || null;
+    },
+    
+    getAttachments(locationId) {
+      return run(['attachments'], 'readonly', transaction =>
+        idbRequest(transaction.objectStore('attachments').index('locationId').getAll(locationId))
+      );
+    },
+    
+    async queryLocations({ category, now }) {
+      const records = await run(['locations'], 'readonly', transaction => {
+        const locations = transaction.objectStore('locations');
+        return idbRequest(category ? locations.index('categories').getAll(category) : locations.getAll());
+      });
+      
+      return records.filter(record => !record.expiresAt || record.expiresAt > now);
+    },
+    
+    touchLocation(id, openedAt) {
+      return run(['locations'], 'readwrite', async transaction => {
+        const locations = transaction.objectStore('locations');
+        const record = await idbRequest(locations.get(id));
+        
+        if (record) {
+          await idbRequest(locations.put({ ...record, openedAt }));
+        }
+      });
+    },
+    
+    deleteLocation(id) {
+      return run(['locations', 'attachments'], 'readwrite', async transaction => {
+        await deleteAttachmentsOf(transaction, id);
+        await idbRequest(transaction.objectStore('locations').delete(id));
+      });
+    },
+    
+    async getUsage() {
+      const records = await run(['locations'], 'readonly', transaction =>
+        idbRequest(transaction.objectStore('locations').getAll())
+      );
+      
+      return {
+        usedBytes: records.reduce((sum, record) => sum + record.sizeBytes, 0),
+        locationCount: records.length
+      };
+    },
+    
+    async listByLeastRecentlyOpened() {
+      const records = await run(['locations'], 'readonly', transaction =>
+        idbRequest(transaction.objectStore('locations').index('openedAt').getAll())
+      );
+      
+      return records.map(record => ({
+        id: record.id,
+        sizeBytes: record.sizeBytes,
+        expiresAt: record.expiresAt,
+        grantId: record.grantId || null
+      }));
+    },
+    
+    clear() {
+      return run(['locations', 'attachments'], 'readwrite', async transaction => {
+        await idbRequest(transaction.objectStore('attachments').clear());
+        await idbRequest(transaction.objectStore('locations').clear());
+      });
+    },
+    
+    async getKeySlot() {
+      const slot = await run(['keys'], 'readonly', transaction =>
+        idbRequest(transaction.objectStore('keys').get('vault'))
+      );
+      return slot || null;
+    },
+    
+    putKeySlot(slot) {
+      return run(['keys'], 'readwrite', transaction =>
+        idbRequest(transaction.objectStore('keys').put({ ...slot, id: 'vault' }))
+      );
+    },
+    
+    deleteKeySlot() {
+      return run(['keys'], 'readwrite', transaction =>
+        idbRequest(transaction.objectStore('keys').delete('vault'))
+      );
+    }
+  };
+}
+
+/**
+ * Download a location's media for offline use, within a size budget
+ * 
+ * @param {string} locationId - Location ID
+ * @param {Array} media - Media { id, url, type }
+ * @param {number} budgetBytes - Bytes available for media
+ * @returns {Promise<Object>} - { attachments, failedMedia: [{ id, reason }] }
+ */
+async function downloadMedia(locationId, media, budgetBytes) {
+  const attachments = [];
+  const failedMedia = [];
+  let remaining = budgetBytes;
+  
+  for (const item of media) {
+    if (!item || !item.url) continue;
+    
+    const attachment = {
+      locationId,
+      kind: ATTACHMENT_KIND.MEDIA,
+      id: String(item.id),
+      data: { id: item.id, type: item.type },
+      fileUri: null,
+      blob: null,
+      sizeBytes: 0
+    };
+    
+    try {
+      if (Platform.OS === 'web') {
+        const response = await fetch(item.url);
+        
+        if (!response.ok) {
+          throw new Error(`Download failed: ${response.status}`);
+        }
+        
+        attachment.blob = await response.blob();
+        
+        if (item.type === 'photo') {
+          await stripPhotoMetadata(attachment);
+        }
+        
+        attachment.sizeBytes = attachment.blob.size;
+      } else {
+        const FileSystem = require('expo-file-system');
+        const directory = `${FileSystem.documentDirectory}${config.MEDIA_DIRECTORY}/${locationId}/`;
+        
+        await FileSystem.makeDirectoryAsync(directory, { intermediates: true });
+        
+        const download = await FileSystem.downloadAsync(item.url, `${directory}${encodeURIComponent(attachment.id)}`);
+        
+        if (download.status !== 200) {
+          await FileSystem.deleteAsync(download.uri, { idempotent: true });
+          throw new Error(`Download failed: ${download.status}`);
+        }
+        
+        attachment.fileUri = download.uri;
+        
+        if (item.type === 'photo') {
+          await stripPhotoMetadata(attachment);
+        }
+        
+        const info = await FileSystem.getInfoAsync(download.uri, { size: true });
+        attachment.sizeBytes = info.size || 0;
+      }
+    } catch (error) {
+      console.warn(`Failed to download media ${item.id} for offline use:`, error.message);
+      failedMedia.push({ id: item.id, reason: 'download_failed' });
+      continue;
+    }
+    
+    if (attachment.sizeBytes > remaining) {
+      await deleteMediaFiles(locationId, [attachment]);
+      failedMedia.push({ id: item.id, reason: 'too_large' });
+      continue;
+    }
+    
+    remaining -= attachment.sizeBytes;
+    attachments.push(attachment);
+  }
+  
+  return { attachments, failedMedia };
+}
+
+/**
+ * Re-encode a downloaded photo without its EXIF metadata (GPS position, camera, time)
+ * The photo is replaced in place: attachment.blob on web, the file at attachment.fileUri
+ * on device.
+ * 
+ * @param {Object} attachment - Media attachment
+ * @returns {Promise<void>}
+ */
+async function stripPhotoMetadata(attachment) {
+  if (Platform.OS === 'web') {
+    // Drawing to a canvas keeps only the pixels
+    const bitmap = await createImageBitmap(attachment.blob);
+    const canvas = document.createElement('canvas');
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+    bitmap.close();
+    
+    attachment.blob = await new Promise((resolve, reject) => {
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Failed to re-encode photo'))), 'image/jpeg', 0.9);
+    });
+    return;
+  }
+  
+  const FileSystem = require('expo-file-system');
+  const ImageManipulator = require('expo-image-manipulator');
+  
+  try {
+    // Saved images are written without the source's metadata
+    const result = await ImageManipulator.manipulateAsync(attachment.fileUri, [], {
+      compress: 0.9,
+      format: ImageManipulator.SaveFormat.JPEG
+    });
+    
+    await FileSystem.deleteAsync(attachment.fileUri, { idempotent: true });
+    await FileSystem.moveAsync({ from: result.uri, to: attachment.fileUri });
+  } catch (error) {
+    // Never keep the original when it couldn't be cleaned
+    await FileSystem.deleteAsync(attachment.fileUri, { idempotent: true });
+    throw error;
+  }
+}
+
+/**
+ * Evict least recently opened locations until a location of the given size fits
+ * 
+ * @param {Object} store - Vault store
+ * @param {number} sizeBytes - Size of the location being saved
+ * @param {string} locationId - ID of the location being saved (never evicted)
+ * @returns {Promise<void>}
+ * @throws {Error} - With code 'VAULT_QUOTA_EXCEEDED' if it can't fit
+ */
+async function makeRoom(store, sizeBytes, locationId) {
+  if (sizeBytes > config.QUOTA_BYTES) {
+    throw createQuotaError();
+  }
+  
+  const candidates = await store.listByLeastRecentlyOpened();
+  const replaced = candidates.find(candidate => candidate.id === locationId);
+  let usedBytes = (await store.getUsage()).usedBytes - (replaced ? replaced.sizeBytes : 0);
+  
+  // Expired locations go first, then the least recently opened
+  const evictionOrder = [
+    ...candidates.filter(candidate => isExpired(candidate)),
+    ...candidates.filter(candidate => !isExpired(candidate))
+  ].filter(candidate => candidate.id !== locationId);
+  
+  for (const candidate of evictionOrder) {
+    if (usedBytes + sizeBytes <= config.QUOTA_BYTES) break;
+    
+    await removeStoredLocation(candidate.id);
+    usedBytes -= candidate.sizeBytes;
+  }
+  
+  if (usedBytes + sizeBytes > config.QUOTA_BYTES) {
+    throw createQuotaError();
+  }
+}
+
+/**
+ * Move locations stored as blobs by older app versions into the vault
+ * 
+ * @param {Object} store - Vault store
+ * @param {CryptoKey} key - Vault key
+ * @returns {Promise<void>}
+ */
+async function importLegacyLocations(store, key) {
+  const storage = Platform.OS === 'web'
+    ? {
+      getItem: async key => localStorage.getItem(key),
+      removeItem: async key => localStorage.removeItem(key)
+    }
+    : require('@react-native-async-storage/async-storage');
+    
+  const storedIndex = await storage.getItem(config.LEGACY_INDEX_KEY);
+  
+  if (!storedIndex) {
+    return;
+  }
+  
+  let index = [];
+  
+  try {
+    index = JSON.parse(storedIndex);
+  } catch (parseError) {
+    index = [];
+  }
+  
+  for (const locationId of index) {
+    const storageKey = `${config.LEGACY_KEY_PREFIX}${locationId}`;
+    
+    try {
+      const stored = await storage.getItem(storageKey);
+      
+      if (stored) {
+        const { trails = [], ...location } = JSON.parse(stored);
+        const now = Date.now();
+        
+        // Media stay online-only; they were never downloaded
+        const sealed = await sealRecord(key, {
+          id: location.id,
+          categories: location.categories || [],
+          data: location,
+          sizeBytes: stored.length,
+          storedAt: now,
+          openedAt: now,
+          expiresAt: null,
+          grantId: null
+        }, trails.map(trail => ({
+          locationId: location.id,
+          kind: ATTACHMENT_KIND.TRAIL,
+          id: String(trail.id),
+          data: trail,
+          fileUri: null,
+          blob: null,
+          sizeBytes: estimateSize(trail)
+        })));
+        
+        await store.putLocation(sealed.record, sealed.attachments);
+      }
+      
+      await storage.removeItem(storageKey);
+    } catch (error) {
+      console.error(`Failed to import saved location ${locationId}:`, error);
+    }
+  }
+  
+  await storage.removeItem(config.LEGACY_INDEX_KEY);
+}
+
+/**
+ * Encrypt locations saved in plaintext by older app versions
+ * Locations already sealed are removed when the key is new, as nothing can open them.
+ * 
+ * @param {Object} store - Vault store
+ * @param {CryptoKey} key - Vault key
+ * @param {boolean} keyCreated - Whether the key was just created
+ * @returns {Promise<void>}
+ */
+async function sealPlaintextLocations(store, key, keyCreated) {
+  const records = await store.queryLocations({ now: getTrustedNow() });
+  
+  for (const record of records) {
+    if (isSealed(record.data)) {
+      if (keyCreated) {
+        await removeStoredLocation(record.id);
+      }
+      continue;
+    }
+    
+    const attachments = await store.getAttachments(record.id);
+    const sealed = await sealRecord(key, {
+      id: record.id,
+      categories: record.data.categories || [],
+      data: record.data,
+      sizeBytes: record.sizeBytes,
+      storedAt: record.storedAt,
+      openedAt: record.openedAt,
+      expiresAt: record.expiresAt,
+      grantId: null
+    }, attachments);
+    
+    await store.putLocation(sealed.record, sealed.attachments);
+  }
+}
+
+/**
+ * Remove locations whose access has expired
+ * 
+ * @param {Object} store - Vault store
+ * @returns {Promise<void>}
+ */
+async function purgeExpiredLocations(store) {
+  const candidates = await store.listByLeastRecentlyOpened();
+  
+  for (const candidate of candidates.filter(isExpired)) {
+    const attachments = await store.getAttachments(candidate.id);
+    
+    await store.deleteLocation(candidate.id);
+    await deleteMediaFiles(candidate.id, attachments);
+  }
+}
+
+/**
+ * Delete downloaded media files
+ * 
+ * @param {string} locationId - Location ID
+ * @param {Array} attachments - Attachments whose files to delete
+ * @returns {Promise<void>}
+ */
+async function deleteMediaFiles(locationId, attachments) {
+  if (Platform.OS === 'web') {
+    // Blobs are removed with their records
+    return;
+  }
+  
+  const FileSystem = require('expo-file-system');
+  
+  for (const attachment of attachments.filter(item => item.fileUri)) {
+    try {
+      await FileSystem.deleteAsync(attachment.fileUri, { idempotent: true });
+    } catch (error) {
+      console.warn(`Failed to delete media file for location ${locationId}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Decrypt a stored location, removing it if it has expired or can't be read
+ * 
+ * @param {Object} store - Vault store
+ * @param {CryptoKey} key - Vault key
+ * @param {Object} record - Location record
+ * @param {boolean} withAttachments - Whether to decrypt its attachments too
+ * @returns {Promise<Object|null>} - { data, attachments } or null
+ */
+async function openRecord(store, key, record, withAttachments) {
+  if (isExpired(record)) {
+    await removeStoredLocation(record.id);
+    return null;
+  }
+  
+  try {
+    const data = await unsealValue(key, record, record.data);
+    const attachments = [];
+    
+    for (const attachment of withAttachments ? await store.getAttachments(record.id) : []) {
+      attachments.push({ ...attachment, data: await unsealValue(key, record, attachment.data, attachment) });
+    }
+    
+    return { data, attachments };
+  } catch (error) {
+    // Sealed with another key, or altered on disk
+    console.warn(`Removing unreadable saved location ${record.id}:`, error.message);
+    await removeStoredLocation(record.id);
+    return null;
+  }
+}
+
+/**
+ * Encrypt a location record's data and its attachments' data
+ * 
+ * @param {CryptoKey} key - Vault key
+ * @param {Object} record - Location record with plaintext data
+ * @param {Array} attachments - Attachments with plaintext data
+ * @returns {Promise<Object>} - { record, attachments } ready for the store
+ */
+async function sealRecord(key, record, attachments) {
+  const sealedAttachments = [];
+  
+  for (const attachment of attachments) {
+    sealedAttachments.push({ ...attachment, data: await sealValue(key, record, attachment.data, attachment) });
+  }
+  
+  return {
+    record: { ...record, data: await sealValue(key, record, record.data) },
+    attachments: sealedAttachments
+  };
+}
+
+/**
+ * Encrypt a value belonging to a location record
+ * The record's ID and expiry (and the attachment's identity) are authenticated with it.
+ * 
+ * @param {CryptoKey} key - Vault key
+ * @param {Object} record - Location record
+ * @param {*} value - JSON value
+ * @param {Object} [attachment] - Attachment the value belongs to
+ * @returns {Promise<Object>} - Sealed value { sealed, iv, ciphertext }
+ */
+async function sealValue(key, record, value, attachment) {
+  const webCrypto = getWebCrypto();
+  const iv = webCrypto.getRandomValues(new Uint8Array(config.IV_BYTES));
+  const ciphertext = await webCrypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: getSealContext(record, attachment) },
+    key,
+    new TextEncoder().encode(JSON.stringify(value))
+  );
+  
+  return {
+    sealed: 1,
+    iv: bytesToBase64(iv),
+    ciphertext: bytesToBase64(new Uint8Array(ciphertext))
+  };
+}
+
+/**
+ * Decrypt a value belonging to a location record
+ * 
+ * @param {CryptoKey} key - Vault key
+ * @param {Object} record - Location record
+ * @param {Object} sealed - Sealed value
+ * @param {Object} [attachment] - Attachment the value belongs to
+ * @returns {Promise<*>} - JSON value
+ * @throws {Error} - With code 'VAULT_ACCESS_EXPIRED' once the record's expiry has passed
+ */
+async function unsealValue(key, record, sealed, attachment) {
+  if (isExpired(record)) {
+    const error = new Error('Access to this saved location has expired.');
+    error.code = 'VAULT_ACCESS_EXPIRED';
+    throw error;
+  }
+  
+  if (!isSealed(sealed)) {
+    throw new Error('Saved location is not encrypted.');
+  }
+  
+  const plaintext = await getWebCrypto().subtle.decrypt(
+    { name: 'AES-GCM', iv: base64ToBytes(sealed.iv), additionalData: getSealContext(record, attachment) },
+    key,
+    base64ToBytes(sealed.ciphertext)
+  );
+  
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+/**
+ * Get the data authenticated alongside a sealed value
+ * 
+ * @param {Object} record - Location record
+ * @param {Object} [attachment] - Attachment
+ * @returns {Uint8Array}
+ */
+function getSealContext(record, attachment) {
+  const parts = [record.id, record.expiresAt || ''];
+  
+  if (attachment) {
+    parts.push(attachment.kind, attachment.id);
+  }
+  
+  return new TextEncoder().encode(parts.join('|'));
+}
+
+/**
+ * Whether a stored value is sealed
+ * 
+ * @param {*} value - Stored value
+ * @returns {boolean}
+ */
+function isSealed(value) {
+  return Boolean(value) && value.sealed === 1 && typeof value.ciphertext === 'string';
+}
+
+/**
+ * Get the platform's Web Crypto implementation
+ * 
+ * @returns {Crypto}
+ */
+function getWebCrypto() {
+  return Platform.OS === 'web' ? window.crypto : require('react-native-quick-crypto').webcrypto;
+}
+
+/**
+ * Encode bytes as base64
+ * 
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string}
+ */
+function bytesToBase64(bytes) {
+  let binary = '';
+  
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 to bytes
+ * 
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * Get a URI for an attachment's local copy
+ * 
+ * @param {Object} attachment - Media attachment
+ * @returns {string|null} - File or object URL
+ */
+function getLocalUri(attachment) {
+  if (attachment.fileUri) {
+    return attachment.fileUri;
+  }
+  
+  return attachment.blob ? URL.createObjectURL(attachment.blob) : null;
+}
+
+/**
+ * Whether a coordinate is inside a bounding box
+ * 
+ * @param {number|null} latitude - Latitude
+ * @param {number|null} longitude - Longitude
+ * @param {Object} bbox - Bounding box { north, south, east, west }
+ * @returns {boolean}
+ */
+function isInBoundingBox(latitude, longitude, bbox) {
+  if (typeof latitude !== 'number' || typeof longitude !== 'number') {
+    return false;
+  }
+  
+  const inLatitude = latitude >= bbox.south && latitude <= bbox.north;
+  const inLongitude = bbox.west <= bbox.east
+    ? longitude >= bbox.west && longitude <= bbox.east
+    : longitude >= bbox.west || longitude <= bbox.east;
+    
+  return inLatitude && inLongitude;
+}
+
+/**
+ * Whether a stored location's access has expired
+ * 
+ * @param {Object} record - Record with expiresAt (epoch ms or null)
+ * @returns {boolean}
+ */
+function isExpired(record) {
+  return Boolean(record.expiresAt) && record.expiresAt <= getTrustedNow();
+}
+
+/**
+ * Get the current time, never earlier than the latest time the vault has seen
+ * 
+ * @returns {number} - Epoch ms
+ */
+function getTrustedNow() {
+  return Math.max(Date.now(), clockFloor);
+}
+
+/**
+ * Estimate the stored size of a JSON value
+ * 
+ * @param {*} value - Value
+ * @returns {number} - Bytes
+ */
+function estimateSize(value) {
+  return JSON.stringify(value).length;
+}
+
+/**
+ * Create offline info for a stored location
+ * 
+ * @param {Object} record - Location record
+ * @returns {Object} - { storedAt, sizeBytes, expiresAt }
+ */
+function createOfflineInfo(record) {
+  return {
+    storedAt: new Date(record.storedAt),
+    sizeBytes: record.sizeBytes,
+    expiresAt: record.expiresAt ? new Date(record.expiresAt) : null
+  };
+}
+
+/**
+ * Create the error raised when a location doesn't fit in the vault
+ * 
+ * @returns {Error} - Quota error
+ */
+function createQuotaError() {
+  const error = new Error('Not enough offline storage for this location. Remove some saved locations and try again.');
+  error.code = 'VAULT_QUOTA_EXCEEDED';
+  return error;
+}
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * 
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} - Request result
+ */
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Traded locations must not outlive the session they were downloaded in
+onSessionChange(event => {
+  if (event === 'logout' || event === 'expired') {
+    wipeVault().catch(error => {
+      console.error('Failed to wipe saved locations:', error);
+    });
+  }
+});
+
+const trailtrades_locationVault = {
+  saveLocation,
+  getStoredLocation,
+  queryStoredLocations,
+  isLocationStored,
+  removeStoredLocation,
+  getVaultUsage,
+  clearVault,
+  syncVaultAccess
+};
+
+export {
+  ATTACHMENT_KIND,
+  saveLocation,
+  getStoredLocation,
+  queryStoredLocations,
+  isLocationStored,
+  removeStoredLocation,
+  getVaultUsage,
+  clearVault,
+  syncVaultAccess
+};
+export default trailtrades_locationVault;
\ No newline at end of file
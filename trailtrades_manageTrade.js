@@ -0,0 +1,322 @@
+import apiClient from './trailtrades_apiClient';
+import { ensureSessionUserId } from './trailtrades_sessionManager';
+import { normalizeReputationSummary } from './trailtrades_reputation';
+
+/**
+ * TrailTrades Trade Lifecycle Module
+ * 
+ * Moves direct trades through their states after trailtrades_performTrade has proposed
+ * them. The server owns the state machine: it enforces expiry, rejects stale actions
+ * (every action carries the trade version the user saw) and swaps location access for
+ * both users in a single transaction when a trade is accepted. The transition table
+ * below mirrors the server so the UI only offers actions that can succeed.
+ * 
+ *   proposed  -> countered | accepted | declined | expired | cancelled
+ *   countered -> countered | accepted | declined | expired | cancelled
+ * 
+ * Bundle trades (several locations on either side) follow the same states; accepting one
+ * transfers access to every location in it or to none of them.
+ */
+
+// Trade states
+const TRADE_STATUS = {
+  PROPOSED: 'proposed',
+  COUNTERED: 'countered',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  EXPIRED: 'expired',
+  CANCELLED: 'cancelled'
+};
+
+// Allowed transitions per state (terminal states have none)
+const TRADE_TRANSITIONS = {
+  [TRADE_STATUS.PROPOSED]: [TRADE_STATUS.COUNTERED, TRADE_STATUS.ACCEPTED, TRADE_STATUS.DECLINED, TRADE_STATUS.EXPIRED, TRADE_STATUS.CANCELLED],
+  [TRADE_STATUS.COUNTERED]: [TRADE_STATUS.COUNTERED, TRADE_STATUS.ACCEPTED, TRADE_STATUS.DECLINED, TRADE_STATUS.EXPIRED, TRADE_STATUS.CANCELLED],
+  [TRADE_STATUS.ACCEPTED]: [],
+  [TRADE_STATUS.DECLINED]: [],
+  [TRADE_STATUS.EXPIRED]: [],
+  [TRADE_STATUS.CANCELLED]: []
+};
+
+/**
+ * Get open direct trades (proposed or countered) for the current user
+ * 
+ * @returns {Promise<Array>} - Trades with awaitingMyResponse and availableActions set
+ */
+async function getPendingTrades() {
+  const session = await ensureSessionUserId();
+  
+  const result = await apiClient.get('/trades', {
+    query: {
+      type: 'direct',
+      status: [TRADE_STATUS.PROPOSED, TRADE_STATUS.COUNTERED].join(',')
+    },
+    errorMessage: 'Failed to load pending trades'
+  });
+  
+  const userId = session ? session.userId : null;
+  
+  return ((result && result.trades) || [])
+    .map(trade => normalizeTrade(trade, userId))
+    .filter(trade => !isTerminalStatus(trade.status));
+}
+
+/**
+ * Accept or decline a trade offer addressed to the current user
+ * On acceptance the server grants both users access to the other's location atomically.
+ * 
+ * @param {Object} trade - Trade as returned by getPendingTrades
+ * @param {string} response - 'accept' or 'decline'
+ * @returns {Promise<Object>} - Updated trade
+ */
+async function respondToTrade(trade, response) {
+  if (response !== 'accept' && response !== 'decline') {
+    throw new Error('Invalid trade response. Use "accept" or "decline".');
+  }
+  
+  const nextStatus = response === 'accept' ? TRADE_STATUS.ACCEPTED : TRADE_STATUS.DECLINED;
+  assertTransition(trade, nextStatus);
+  
+  return performTradeAction(trade, 'respond', {
+    action: response
+  }, `Failed to ${response} trade`);
+}
+
+/**
+ * Counter a trade offer with different terms
+ * The countering user becomes the offering side; the other user must respond next.
+ * 
+ * @param {Object} trade - Trade as returned by getPendingTrades
+ * @param {Object} counterTerms - New terms from the countering user's perspective
+ * @param {string} [counterTerms.offeredLocationId] - Location the countering user gives
+ * @param {string} [counterTerms.requestedLocationId] - Location the countering user wants
+ * @param {string[]} [counterTerms.offeredLocationIds] - Locations the countering user gives (bundle)
+ * @param {string[]} [counterTerms.requestedLocationIds] - Locations the countering user wants (bundle)
+ * @param {string} [counterTerms.message] - Optional message to the other user
+ * @returns {Promise<Object>} - Updated trade
+ */
+async function counterOffer(trade, counterTerms) {
+  const offeredLocationIds = counterTerms && (counterTerms.offeredLocationIds ||
+    (counterTerms.offeredLocationId ? [counterTerms.offeredLocationId] : []));
+  const requestedLocationIds = counterTerms && (counterTerms.requestedLocationIds ||
+    (counterTerms.requestedLocationId ? [counterTerms.requestedLocationId] : []));
+    
+  if (!counterTerms || offeredLocationIds.length === 0 || requestedLocationIds.length === 0) {
+    throw new Error('Counter offer requires an offered and a requested location.');
+  }
+  
+  assertTransition(trade, TRADE_STATUS.COUNTERED);
+  
+  const isBundle = offeredLocationIds.length > 1 || requestedLocationIds.length > 1;
+  
+  return performTradeAction(trade, 'counter', {
+    ...(isBundle
+      ? { offeredLocationIds, requestedLocationIds }
+      : { offeredLocationId: offeredLocationIds[0], requestedLocationId: requestedLocationIds[0] }),
+    message: counterTerms.message || ''
+  }, 'Failed to send counter offer');
+}
+
+/**
+ * Get the credit price of a set of locations traded as one bundle
+ * 
+ * @param {string[]} locationIds - Locations in the bundle
+ * @returns {Promise<Object>} - { creditAmount, listPrice, locations }; listPrice is the sum
+ *   of the individual prices, creditAmount what the bundle costs
+ * @throws {Error} - With code 'BUNDLE_UNAVAILABLE' if a location can no longer be traded
+ */
+async function getBundleQuote(locationIds) {
+  if (!Array.isArray(locationIds) || locationIds.length < 2) {
+    throw new Error('A bundle needs at least two locations.');
+  }
+  
+  const quote = await apiClient.get('/trades/bundles/quote', {
+    query: { locationIds },
+    errorMessage: 'Failed to price bundle'
+  });
+  
+  const unavailable = quote.unavailableLocations || [];
+  
+  if (unavailable.length > 0) {
+    const error = new Error(`Some locations in this bundle can no longer be traded: ${unavailable.map(location => location.name).join(', ')}.`);
+    error.code = 'BUNDLE_UNAVAILABLE';
+    error.details = { unavailableLocations: unavailable };
+    throw error;
+  }
+  
+  return {
+    creditAmount: quote.creditAmount,
+    listPrice: quote.listPrice || quote.creditAmount,
+    locations: quote.locations || []
+  };
+}
+
+/**
+ * Withdraw a trade offer made by the current user
+ * 
+ * @param {Object} trade - Trade as returned by getPendingTrades
+ * @returns {Promise<Object>} - Updated trade
+ */
+async function cancelTrade(trade) {
+  assertTransition(trade, TRADE_STATUS.CANCELLED);
+  
+  return performTradeAction(trade, 'cancel', {}, 'Failed to cancel trade');
+}
+
+/**
+ * Whether a trade has passed its expiry time
+ * The server expires trades on its own; this only avoids offering stale actions.
+ * 
+ * @param {Object} trade - Trade
+ * @returns {boolean}
+ */
+function isTradeExpired(trade) {
+  if (!trade) {
+    return false;
+  }
+  
+  if (trade.status === TRADE_STATUS.EXPIRED) {
+    return true;
+  }
+  
+  return Boolean(trade.expiresAt) && new Date(trade.expiresAt).getTime() <= Date.now();
+}
+
+/**
+ * Whether a trade status is final
+ * 
+ * @param {string} status - Trade status
+ * @returns {boolean}
+ */
+function isTerminalStatus(status) {
+  return Array.isArray(TRADE_TRANSITIONS[status]) && TRADE_TRANSITIONS[status].length === 0;
+}
+
+/**
+ * Send a lifecycle action for a trade
+ * 
+ * @param {Object} trade - Trade the action applies to
+ * @param {string} action - Endpoint action: 'respond', 'counter' or 'cancel'
+ * @param {Object} body - Action payload
+ * @param {string} errorMessage - Fallback error message
+ * @returns {Promise<Object>} - Updated trade
+ */
+async function performTradeAction(trade, action, body, errorMessage) {
+  try {
+    const updatedTrade = await apiClient.post(`/trades/${trade.id}/${action}`, {
+      ...body,
+      // Server rejects the action if the trade changed since the user last saw it
+      version: trade.version
+    }, {
+      errorMessage
+    });
+    
+    const session = await ensureSessionUserId();
+    return normalizeTrade(updatedTrade, session ? session.userId : null);
+  } catch (error) {
+    if (error.code === 'TRADE_EXPIRED') {
+      error.message = 'This trade offer has expired.';
+    } else if (error.code === 'TRADE_STATE_CONFLICT') {
+      error.message = 'This trade was updated by the other user. Refresh to see the latest offer.';
+    }
+    
+    throw error;
+  }
+}
+
+/**
+ * Check a transition against the state table before calling the server
+ * 
+ * @param {Object} trade - Trade
+ * @param {string} nextStatus - Target status
+ * @throws {Error} - If the transition is not allowed
+ */
+function assertTransition(trade, nextStatus) {
+  if (!trade || !trade.id) {
+    throw new Error('Trade is required.');
+  }
+  
+  if (isTradeExpired(trade)) {
+    throw new Error('This trade offer has expired.');
+  }
+  
+  const allowed = TRADE_TRANSITIONS[trade.status] || [];
+  
+  if (!allowed.includes(nextStatus)) {
+    throw new Error(`Cannot change a ${trade.status} trade to ${nextStatus}.`);
+  }
+  
+  // Only the user the offer is addressed to can accept, decline or counter it;
+  // only the user who made the latest offer can withdraw it
+  if (nextStatus === TRADE_STATUS.CANCELLED ? trade.awaitingMyResponse : !trade.awaitingMyResponse) {
+    throw new Error(nextStatus === TRADE_STATUS.CANCELLED
+      ? 'Only the user who made this offer can cancel it.'
+      : 'This trade is waiting for the other user to respond.');
+  }
+}
+
+/**
+ * Normalize a trade from the API for the current user
+ * offeredLocation and requestedLocation are from the perspective of whoever made the
+ * latest offer.
+ * 
+ * @param {Object} trade - Trade from the API
+ * @param {string|null} userId - Current user ID
+ * @returns {Object} - Trade with timestamps as dates, awaitingMyResponse, availableActions and
+ *   offeredLocations/requestedLocations lists (one entry each unless the trade is a bundle);
+ *   otherUser.reputation is a reputation summary (see trailtrades_reputation)
+ */
+function normalizeTrade(trade, userId) {
+  const awaitingMyResponse = Boolean(userId) && trade.awaitingResponseFrom === userId;
+  const expired = isTradeExpired(trade);
+  const status = expired ? TRADE_STATUS.EXPIRED : trade.status;
+  
+  let availableActions = [];
+  
+  if (!isTerminalStatus(status)) {
+    availableActions = awaitingMyResponse ? ['accept', 'decline', 'counter'] : ['cancel'];
+  }
+  
+  // Single trades carry one location per side, bundles a list
+  const offeredLocations = trade.offeredLocations || (trade.offeredLocation ? [trade.offeredLocation] : []);
+  const requestedLocations = trade.requestedLocations || (trade.requestedLocation ? [trade.requestedLocation] : []);
+  
+  return {
+    ...trade,
+    offeredLocation: trade.offeredLocation || offeredLocations[0],
+    requestedLocation: trade.requestedLocation || requestedLocations[0],
+    offeredLocations,
+    requestedLocations,
+    isBundle: offeredLocations.length > 1 || requestedLocations.length > 1,
+    otherUser: trade.otherUser
+      ? { ...trade.otherUser, reputation: normalizeReputationSummary(trade.otherUser.reputation) }
+      : trade.otherUser,
+    status,
+    timestamp: new Date(trade.updatedAt || trade.createdAt),
+    expiresAt: trade.expiresAt ? new Date(trade.expiresAt) : null,
+    awaitingMyResponse,
+    availableActions
+  };
+}
+
+const trailtrades_manageTrade = {
+  getPendingTrades,
+  respondToTrade,
+  counterOffer,
+  cancelTrade,
+  getBundleQuote,
+  isTradeExpired
+};
+
+export {
+  TRADE_STATUS,
+  TRADE_TRANSITIONS,
+  getPendingTrades,
+  respondToTrade,
+  counterOffer,
+  cancelTrade,
+  getBundleQuote,
+  isTradeExpired,
+  isTerminalStatus
+};
+export default trailtrades_manageTrade;
\ No newline at end of file
@@ -0,0 +1,833 @@
+import apiClient from './trailtrades_apiClient';
+import { getSession, getAccessToken, refreshSession, onSessionChange } from './trailtrades_sessionManager';
+
+/**
+ * TrailTrades Notifications Module
+ * 
+ * Delivers trade notifications to the logged-in user. The client subscribes to the
+ * user's channel on the notification socket and, while the socket is down, polls the
+ * API instead; whenever the socket (re)connects it also fetches what it missed. Events
+ * from both sources are deduped by ID and queued for TradeNotification, which shows
+ * them one at a time. The unread count drives the badge on the Trade tab.
+ * 
+ * Notifications stay in the user's inbox on the server until cleared; the first page is
+ * also kept on the device so the inbox opens offline. Per-type preferences are saved on
+ * the server, which stops sending disabled types, and are applied on the client too so
+ * banners and the badge follow a change immediately. Stored notifications and
+ * preferences are wiped on logout.
+ * 
+ * The socket is created through a pluggable factory, like the API client's transport,
+ * so the client can be pointed at a local WebSocket stand-in: set socketUrl to a local
+ * server, or pass createSocket returning any object with the WebSocket interface
+ * (send, close, onopen, onmessage, onclose, onerror).
+ * 
+ * @param {Object} [clientOptions] - Client options
+ * @param {string} [clientOptions.socketUrl] - Socket URL (defaults to TRAILTRADES_SOCKET_URL or the API host)
+ * @param {Function} [clientOptions.createSocket] - (url) => WebSocket-compatible object
+ * @param {number} [clientOptions.pollIntervalMs] - Polling interval while the socket is down
+ * @returns {Object} - Notification client with connect, disconnect, subscribe, dismissCurrent,
+ *   markRead, getInbox, deleteNotification, clearInbox, getState and configure methods
+ */
+function trailtrades_createNotificationClient(clientOptions = {}) {
+  // Current client settings (mutable through configure)
+  const settings = {
+    socketUrl: process.env.TRAILTRADES_SOCKET_URL || null,
+    createSocket: url => new WebSocket(url),
+    pollIntervalMs: 30 * 1000,
+    reconnectBaseDelayMs: 1000,
+    reconnectMaxDelayMs: 60 * 1000,
+    maxQueueLength: 20,
+    maxSeenIds: 200,
+    ...clientOptions
+  };
+  
+  // State shared with subscribers
+  let state = createInitialState();
+  
+  // Connection internals
+  let socket = null;
+  let userId = null;
+  let connected = false; // connect() called and not yet disconnected
+  let reconnectAttempts = 0;
+  let reconnectTimer = null;
+  let pollTimer = null;
+  let lastReceivedAt = null; // ISO date of the newest notification received
+  let seenIds = [];
+  
+  const listeners = new Set();
+  
+  /**
+   * Start receiving notifications for the logged-in user
+   * 
+   * @returns {Promise<void>}
+   */
+  async function connect() {
+    if (connected) {
+      return;
+    }
+    
+    const session = await getSession();
+    
+    if (!session) {
+      throw new Error('Authentication required. Please log in.');
+    }
+    
+    connected = true;
+    userId = session.userId;
+    
+    // Stored preferences apply until the server's arrive
+    getNotificationPreferences().catch(error => {
+      console.warn('Failed to load notification preferences:', error.message);
+    });
+    
+    // Catch up before the socket is up; polling continues until it is
+    setState({ connectionState: 'polling' });
+    startPolling();
+    await poll();
+    
+    if (connected) {
+      openSocket();
+    }
+  }
+  
+  /**
+   * Stop receiving notifications and forget the user's notifications (e.g. on logout)
+   */
+  function disconnect() {
+    connected = false;
+    userId = null;
+    
+    clearTimeout(reconnectTimer);
+    stopPolling();
+    
+    if (socket) {
+      const closing = socket;
+      socket = null;
+      closing.onclose = null;
+      closing.close();
+    }
+    
+    reconnectAttempts = 0;
+    lastReceivedAt = null;
+    seenIds = [];
+    
+    setState(createInitialState());
+  }
+  
+  /**
+   * Subscribe to notification state
+   * 
+   * @param {Function} listener - Called with { current, queued, unreadCount, connectionState }
+   *   now and on every change
+   * @returns {Function} - Unsubscribe function
+   */
+  function subscribe(listener) {
+    listeners.add(listener);
+    listener(state);
+    
+    return () => {
+      listeners.delete(listener);
+    };
+  }
+  
+  /**
+   * Dismiss the notification being shown and move on to the next queued one
+   */
+  function dismissCurrent() {
+    const [, ...rest] = state.queue;
+    
+    setState({ queue: rest });
+  }
+  
+  /**
+   * Mark notifications as read, updating the Trade tab badge
+   * 
+   * @param {Array<string>} [notificationIds] - IDs of unread notifications (all if omitted)
+   * @returns {Promise<void>}
+   */
+  async function markRead(notificationIds) {
+    const ids = notificationIds && notificationIds.length > 0 ? notificationIds : null;
+    
+    if (!ids && state.unreadCount === 0) {
+      return;
+    }
+    
+    const previousCount = state.unreadCount;
+    const optimisticCount = ids ? Math.max(previousCount - ids.length, 0) : 0;
+    setState({ unreadCount: optimisticCount });
+    
+    try {
+      const result = await apiClient.post('/notifications/read', ids ? { ids } : {
+        before: lastReceivedAt
+      }, {
+        errorMessage: 'Failed to mark notifications as read'
+      });
+      
+      if (result && typeof result.unreadCount === 'number') {
+        setState({ unreadCount: result.unreadCount });
+      }
+      
+      await updateStoredInbox(notifications => notifications.map(notification =>
+        !ids || ids.includes(notification.id) ? { ...notification, read: true } : notification
+      ));
+    } catch (error) {
+      console.error('Failed to mark notifications as read:', error);
+      // Keep anything that arrived in the meantime
+      setState({ unreadCount: state.unreadCount + (previousCount - optimisticCount) });
+    }
+  }
+  
+  /**
+   * Get a page of the user's inbox, newest first
+   * The first page is stored on the device for getStoredInbox.
+   * 
+   * @param {Object} [options] - Page options
+   * @param {string} [options.cursor] - Cursor from the previous page
+   * @param {number} [options.limit] - Page size
+   * @returns {Promise<Object>} - { notifications, nextCursor }
+   */
+  async function getInbox(options = {}) {
+    const result = await apiClient.get('/notifications', {
+      query: {
+        cursor: options.cursor,
+        limit: options.limit || config.INBOX_PAGE_SIZE
+      },
+      errorMessage: 'Failed to load notifications'
+    });
+    
+    const notifications = result.notifications || [];
+    
+    if (!options.cursor) {
+      await writeStorage(config.INBOX_STORAGE_KEY, notifications.slice(0, config.STORED_INBOX_SIZE));
+    }
+    
+    if (typeof result.unreadCount === 'number') {
+      setState({ unreadCount: result.unreadCount });
+    }
+    
+    return {
+      notifications: notifications.map(normalizeNotification),
+      nextCursor: result.nextCursor || null
+    };
+  }
+  
+  /**
+   * Clear a notification from the inbox
+   * 
+   * @param {string} notificationId - Notification ID
+   * @returns {Promise<void>}
+   */
+  async function deleteNotification(notificationId) {
+    if (!notificationId) {
+      throw new Error('Notification ID is required.');
+    }
+    
+    const result = await apiClient.delete(`/notifications/${notificationId}`, {
+      errorMessage: 'Failed to clear notification'
+    });
+    
+    if (result && typeof result.unreadCount === 'number') {
+      setState({ unreadCount: result.unreadCount });
+    }
+    
+    await updateStoredInbox(notifications => notifications.filter(notification => notification.id !== notificationId));
+  }
+  
+  /**
+   * Clear every notification from the inbox
+   * 
+   * @returns {Promise<void>}
+   */
+  async function clearInbox() {
+    await apiClient.delete('/notifications', {
+      errorMessage: 'Failed to clear notifications'
+    });
+    
+    setState({ unreadCount: 0 });
+    await writeStorage(config.INBOX_STORAGE_KEY, []);
+  }
+  
+  /**
+   * Open the socket and subscribe to the user's channel
+   */
+  function openSocket() {
+    const url = resolveSocketUrl();
+    
+    try {
+      socket = settings.createSocket(url);
+    } catch (error) {
+      console.error('Failed to open notification socket:', error);
+      scheduleReconnect();
+      return;
+    }
+    
+    const current = socket;
+    
+    current.onopen = async () => {
+      try {
+        const token = await getAccessToken();
+        
+        if (socket !== current) return;
+        
+        current.send(JSON.stringify({
+          type: 'subscribe',
+          channel: `users/${userId || 'me'}/notifications`,
+          token
+        }));
+      } catch (error) {
+        console.error('Failed to authenticate notification socket:', error);
+        current.close();
+      }
+    };
+    
+    current.onmessage = (event) => {
+      if (socket !== current) return;
+      
+      let message;
+      
+      try {
+        message = JSON.parse(event.data);
+      } catch (parseError) {
+        console.warn('Ignoring malformed notification message');
+        return;
+      }
+      
+      handleSocketMessage(message);
+    };
+    
+    current.onerror = (error) => {
+      // onclose follows and handles the reconnect
+      console.warn('Notification socket error:', error && error.message);
+    };
+    
+    current.onclose = async (event) => {
+      if (socket !== current) return;
+      
+      socket = null;
+      
+      if (!connected) return;
+      
+      setState({ connectionState: 'polling' });
+      startPolling();
+      
+      // The server rejected the token; refresh it before reconnecting
+      if (event && event.code === 4001) {
+        try {
+          await refreshSession();
+        } catch (error) {
+          if (error.sessionExpired) {
+            // The session manager notifies the app, which disconnects
+            return;
+          }
+        }
+      }
+      
+      scheduleReconnect();
+    };
+  }
+  
+  /**
+   * Handle a message from the socket
+   * 
+   * @param {Object} message - Parsed message { type, ... }
+   */
+  function handleSocketMessage(message) {
+    switch (message.type) {
+      case 'subscribed':
+        reconnectAttempts = 0;
+        stopPolling();
+        setState({ connectionState: 'connected' });
+        
+        // Pick up anything sent while the socket was down
+        poll();
+        break;
+      case 'notification':
+        receive([message.notification], { countUnread: true });
+        break;
+      case 'unread_count':
+        setState({ unreadCount: message.unreadCount || 0 });
+        break;
+      case 'ping':
+        socket.send(JSON.stringify({ type: 'pong' }));
+        break;
+      default:
+        break;
+    }
+  }
+  
+  /**
+   * Fetch notifications since the newest one received
+   * 
+   * @returns {Promise<void>}
+   */
+  async function poll() {
+    if (!connected) return;
+    
+    try {
+      const result = await apiClient.get('/notifications', {
+        query: { since: lastReceivedAt },
+        errorMessage: 'Failed to load notifications'
+      });
+      
+      if (!connected) return;
+      
+      // The first fetch only establishes where to continue from; older
+      // notifications belong in the inbox, not in banners
+      const isCatchUp = lastReceivedAt !== null;
+      
+      receive(result.notifications || [], { countUnread: false, show: isCatchUp });
+      
+      if (!lastReceivedAt) {
+        lastReceivedAt = new Date(result.serverTime || Date.now()).toISOString();
+      }
+      
+      if (typeof result.unreadCount === 'number') {
+        setState({ unreadCount: result.unreadCount });
+      }
+    } catch (error) {
+      console.warn('Notification poll failed:', error.message);
+    }
+  }
+  
+  /**
+   * Queue new notifications, skipping ones already received
+   * 
+   * @param {Array} notifications - Notifications from the socket or API
+   * @param {Object} options - Receive options
+   * @param {boolean} options.countUnread - Whether to add unread ones to the badge count
+   *   (polled results carry the server's count instead)
+   * @param {boolean} [options.show=true] - Whether to queue them as banners
+   */
+  function receive(notifications, options) {
+    const { countUnread, show = true } = options;
+    
+    const fresh = notifications
+      .filter(notification => notification && notification.id && !seenIds.includes(notification.id))
+      .map(normalizeNotification)
+      .sort((a, b) => a.createdAt - b.createdAt);
+      
+    if (fresh.length === 0) {
+      return;
+    }
+    
+    seenIds = [...seenIds, ...fresh.map(notification => notification.id)].slice(-settings.maxSeenIds);
+    
+    const newest = fresh[fresh.length - 1].createdAt.toISOString();
+    
+    if (!lastReceivedAt || newest > lastReceivedAt) {
+      lastReceivedAt = newest;
+    }
+    
+    // Types the user turned off may still arrive until the server has their preferences
+    const enabled = fresh.filter(notification => isNotificationEnabled(notification.type));
+    const displayable = show
+      ? enabled.filter(notification => Object.values(NOTIFICATION_TYPE).includes(notification.type))
+      : [];
+      
+    setState({
+      // Drop the oldest banners rather than let a backlog play for minutes
+      queue: [...state.queue, ...displayable].slice(-settings.maxQueueLength),
+      unreadCount: countUnread
+        ? state.unreadCount + enabled.filter(notification => !notification.read).length
+        : state.unreadCount
+    });
+  }
+  
+  /**
+   * Poll until the socket subscribes again
+   */
+  function startPolling() {
+    if (pollTimer) return;
+    
+    pollTimer = setInterval(poll, settings.pollIntervalMs);
+  }
+  
+  /**
+   * Stop polling
+   */
+  function stopPolling() {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+  
+  /**
+   * Reconnect with exponential backoff and jitter
+   */
+  function scheduleReconnect() {
+    if (!connected) return;
+    
+    startPolling();
+    
+    const delay = Math.min(
+      settings.reconnectBaseDelayMs * Math.pow(2, reconnectAttempts),
+      settings.reconnectMaxDelayMs
+    );
+    reconnectAttempts += 1;
+    
+    clearTimeout(reconnectTimer);
+    reconnectTimer = setTimeout(() => {
+      if (connected && !socket) {
+        openSocket();
+      }
+    }, delay / 2 + Math.random() * (delay / 2));
+  }
+  
+  /**
+   * Resolve the socket URL, deriving it from the API base URL if not configured
+   * 
+   * @returns {string} - Socket URL
+   */
+  function resolveSocketUrl() {
+    if (settings.socketUrl) {
+      return settings.socketUrl;
+    }
+    
+    return `${apiClient.getBaseUrl().replace(/\/+$/, '').replace(/^http/, 'ws')}/notifications/socket`;
+  }
+  
+  /**
+   * Update state and notify subscribers
+   * 
+   * @param {Object} changes - State changes
+   */
+  function setState(changes) {
+    const next = { ...state, ...changes };
+    
+    state = {
+      ...next,
+      current: next.queue[0] || null,
+      queued: Math.max(next.queue.length - 1, 0)
+    };
+    
+    listeners.forEach(listener => {
+      try {
+        listener(state);
+      } catch (error) {
+        console.error('Notification listener error:', error);
+      }
+    });
+  }
+  
+  return {
+    connect,
+    disconnect,
+    subscribe,
+    dismissCurrent,
+    markRead,
+    getInbox,
+    deleteNotification,
+    clearInbox,
+    getState: () => state,
+    
+    /**
+     * Update client settings (socket URL, socket factory, polling interval)
+     * Takes effect on the next connection.
+     * 
+     * @param {Object} overrides - Settings to override
+     */
+    configure: (overrides = {}) => {
+      Object.assign(settings, overrides);
+    }
+  };
+}
+
+// Notification types shown as banners by TradeNotification
+const NOTIFICATION_TYPE = {
+  TRADE_REQUEST: 'trade_request',
+  TRADE_ACCEPTED: 'trade_accepted',
+  TRADE_DECLINED: 'trade_declined',
+  CREDIT_TRADE: 'credit_trade',
+  NEW_LOCATION_NEARBY: 'new_location_nearby', // new location near one of the user's saved areas
+  COMMENT: 'comment' // comment on one of the user's locations
+};
+
+// Notification preferences the user can turn off
+const NOTIFICATION_PREFERENCE = {
+  TRADE_REQUESTS: 'tradeRequests',
+  TRADE_RESPONSES: 'tradeResponses',
+  NEARBY_LOCATIONS: 'nearbyLocations',
+  COMMENTS: 'comments'
+};
+
+// Notifications configuration
+const config = {
+  INBOX_STORAGE_KEY: 'trailtrades_notification_inbox',
+  PREFERENCES_STORAGE_KEY: 'trailtrades_notification_preferences',
+  INBOX_PAGE_SIZE: 30,
+  STORED_INBOX_SIZE: 100,
+  // Preference controlling each type; types not listed (e.g. confirmations of the
+  // user's own trades) can't be turned off
+  TYPE_PREFERENCES: {
+    [NOTIFICATION_TYPE.TRADE_REQUEST]: NOTIFICATION_PREFERENCE.TRADE_REQUESTS,
+    [NOTIFICATION_TYPE.TRADE_ACCEPTED]: NOTIFICATION_PREFERENCE.TRADE_RESPONSES,
+    [NOTIFICATION_TYPE.TRADE_DECLINED]: NOTIFICATION_PREFERENCE.TRADE_RESPONSES,
+    [NOTIFICATION_TYPE.NEW_LOCATION_NEARBY]: NOTIFICATION_PREFERENCE.NEARBY_LOCATIONS,
+    [NOTIFICATION_TYPE.COMMENT]: NOTIFICATION_PREFERENCE.COMMENTS
+  }
+};
+
+// Preferences of the logged-in user (null until loaded; everything is on by default)
+let preferencesCache = null;
+
+/**
+ * Get the user's notification preferences
+ * Falls back to the preferences stored on the device when the server can't be reached.
+ * 
+ * @param {Object} [options] - Request options
+ * @param {boolean} [options.refresh=false] - Reload from the server even if loaded
+ * @returns {Promise<Object>} - Preferences { [NOTIFICATION_PREFERENCE]: boolean }
+ */
+async function getNotificationPreferences(options = {}) {
+  if (preferencesCache && !options.refresh) {
+    return preferencesCache;
+  }
+  
+  try {
+    const result = await apiClient.get('/users/me/notification-preferences', {
+      errorMessage: 'Failed to load notification preferences'
+    });
+    
+    preferencesCache = normalizePreferences(result.preferences);
+    await writeStorage(config.PREFERENCES_STORAGE_KEY, preferencesCache);
+  } catch (error) {
+    const stored = await readStorage(config.PREFERENCES_STORAGE_KEY);
+    
+    if (!stored) {
+      throw error;
+    }
+    
+    preferencesCache = normalizePreferences(stored);
+  }
+  
+  return preferencesCache;
+}
+
+/**
+ * Turn notification types on or off
+ * 
+ * @param {Object} changes - Preferences to change { [NOTIFICATION_PREFERENCE]: boolean }
+ * @returns {Promise<Object>} - Updated preferences
+ */
+async function updateNotificationPreferences(changes) {
+  const names = Object.keys(changes || {});
+  
+  if (names.length === 0) {
+    throw new Error('No notification preferences to update.');
+  }
+  
+  names.forEach(name => {
+    if (!Object.values(NOTIFICATION_PREFERENCE).includes(name)) {
+      throw new Error(`Invalid notification preference: ${name}`);
+    }
+    
+    if (typeof changes[name] !== 'boolean') {
+      throw new Error(`Notification preference ${name} must be on or off.`);
+    }
+  });
+  
+  const result = await apiClient.patch('/users/me/notification-preferences', changes, {
+    errorMessage: 'Failed to save notification preferences'
+  });
+  
+  preferencesCache = normalizePreferences(result.preferences || { ...preferencesCache, ...changes });
+  await writeStorage(config.PREFERENCES_STORAGE_KEY, preferencesCache);
+  
+  return preferencesCache;
+}
+
+/**
+ * Whether the user wants notifications of a type
+ * 
+ * @param {string} type - Notification type
+ * @param {Object} [preferences] - Preferences (defaults to the loaded ones)
+ * @returns {boolean}
+ */
+function isNotificationEnabled(type, preferences = preferencesCache) {
+  const preference = config.TYPE_PREFERENCES[type];
+  
+  return !preference || !preferences || preferences[preference] !== false;
+}
+
+/**
+ * Get the notifications stored on the device, for showing the inbox offline
+ * 
+ * @returns {Promise<Array>} - Notifications, newest first
+ */
+async function getStoredInbox() {
+  const stored = await readStorage(config.INBOX_STORAGE_KEY);
+  
+  return (stored || []).map(normalizeNotification);
+}
+
+/**
+ * Get the screen a notification opens
+ * 
+ * @param {Object} notification - Notification { type, data }
+ * @returns {Object|null} - Navigation target { screen, params }, or null
+ */
+function getNotificationTarget(notification) {
+  const data = notification.data || {};
+  
+  switch (notification.type) {
+    case NOTIFICATION_TYPE.TRADE_REQUEST:
+      return { screen: 'TradeTab', params: { screen: 'Trade', params: { initialTab: 'pending' } } };
+    case NOTIFICATION_TYPE.TRADE_ACCEPTED:
+    case NOTIFICATION_TYPE.TRADE_DECLINED:
+      return { screen: 'TradeTab', params: { screen: 'TradeHistory' } };
+    case NOTIFICATION_TYPE.CREDIT_TRADE:
+    case NOTIFICATION_TYPE.NEW_LOCATION_NEARBY:
+    case NOTIFICATION_TYPE.COMMENT:
+      return data.locationId
+        ? { screen: 'LocationDetail', params: { id: data.locationId, name: data.locationName } }
+        : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Create the initial notification state
+ * 
+ * @returns {Object} - State
+ */
+function createInitialState() {
+  return {
+    queue: [],
+    current: null,
+    queued: 0,
+    unreadCount: 0,
+    connectionState: 'offline' // 'offline', 'polling' or 'connected'
+  };
+}
+
+/**
+ * Normalize a notification from the socket or API
+ * 
+ * @param {Object} notification - Notification { id, type, createdAt, read, data }
+ * @returns {Object} - Notification with the data fields TradeNotification renders
+ */
+function normalizeNotification(notification) {
+  const data = notification.data || {};
+  
+  return {
+    id: notification.id,
+    type: notification.type,
+    read: notification.read === true,
+    createdAt: new Date(notification.createdAt || Date.now()),
+    data: {
+      ...data,
+      tradeId: data.tradeId || null,
+      locationId: data.locationId || null,
+      locationName: data.locationName || '',
+      locationImage: data.locationImage || null,
+      username: data.username || (data.user && data.user.username) || '',
+      userAvatar: data.userAvatar || (data.user && data.user.avatarUrl) || null,
+      credits: data.credits || 0,
+      areaName: data.areaName || '',
+      commentText: data.commentText || ''
+    }
+  };
+}
+
+/**
+ * Fill in missing preferences
+ * 
+ * @param {Object} [preferences] - Preferences from the API or storage
+ * @returns {Object} - Every preference, on unless turned off
+ */
+function normalizePreferences(preferences = {}) {
+  return Object.values(NOTIFICATION_PREFERENCE).reduce((result, name) => ({
+    ...result,
+    [name]: preferences[name] !== false
+  }), {});
+}
+
+/**
+ * Apply a change to the stored inbox
+ * 
+ * @param {Function} update - Called with the stored notifications, returns the new list
+ * @returns {Promise<void>}
+ */
+async function updateStoredInbox(update) {
+  const stored = await readStorage(config.INBOX_STORAGE_KEY);
+  
+  if (stored) {
+    await writeStorage(config.INBOX_STORAGE_KEY, update(stored));
+  }
+}
+
+/**
+ * Read a JSON value from device storage
+ * 
+ * @param {string} key - Storage key
+ * @returns {Promise<*>} - Stored value, or null
+ */
+async function readStorage(key) {
+  try {
+    let stored;
+    
+    if (Platform.OS === 'ios' || Platform.OS === 'android') {
+      const AsyncStorage = require('@react-native-async-storage/async-storage');
+      stored = await AsyncStorage.getItem(key);
+    } else {
+      stored = localStorage.getItem(key);
+    }
+    
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error('Failed to read stored notifications:', error);
+    return null;
+  }
+}
+
+/**
+ * Write a JSON value to device storage, or remove it when null
+ * 
+ * @param {string} key - Storage key
+ * @param {*} value - Value to store
+ * @returns {Promise<void>}
+ */
+async function writeStorage(key, value) {
+  try {
+    if (Platform.OS === 'ios' || Platform.OS === 'android') {
+      const AsyncStorage = require('@react-native-async-storage/async-storage');
+      
+      if (value === null) {
+        await AsyncStorage.removeItem(key);
+      } else {
+        await AsyncStorage.setItem(key, JSON.stringify(value));
+      }
+    } else if (value === null) {
+      localStorage.removeItem(key);
+    } else {
+      localStorage.setItem(key, JSON.stringify(value));
+    }
+  } catch (error) {
+    // The server still has everything; only offline viewing is affected
+    console.error('Failed to store notifications:', error);
+  }
+}
+
+// The next user on this device must not see this user's notifications
+onSessionChange(event => {
+  if (event === 'logout' || event === 'expired') {
+    preferencesCache = null;
+    writeStorage(config.INBOX_STORAGE_KEY, null);
+    writeStorage(config.PREFERENCES_STORAGE_KEY, null);
+  }
+});
+
+// Shared client used by the app
+const notificationClient = trailtrades_createNotificationClient();
+
+export {
+  trailtrades_createNotificationClient,
+  NOTIFICATION_TYPE,
+  NOTIFICATION_PREFERENCE,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  isNotificationEnabled,
+  getStoredInbox,
+  getNotificationTarget
+};
+export default notificationClient;
\ No newline at end of file
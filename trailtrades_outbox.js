@@ -0,0 +1,789 @@
+import { getSession, ensureSessionUserId } from './trailtrades_sessionManager';
+
+/**
+ * TrailTrades Outbox Module
+ * 
+ * Persistent queue of changes made without connectivity: locations added, trails saved
+ * and media uploaded offline. The modules making those changes queue them here when the
+ * request fails for lack of network and return the object with a local ID
+ * (local_<uuid>) and pendingSync: true. Queued changes are replayed in the order they
+ * were made once connectivity returns, when the app comes to the foreground, and from a
+ * background fetch task.
+ * 
+ * Changes can refer to objects that were themselves created offline, e.g. a trail
+ * recorded against a location added offline. Once an object syncs, its local ID is
+ * mapped to the server's ID and later changes are sent with the server's ID; a change
+ * waits while anything it refers to hasn't synced.
+ * 
+ * Each change keeps the idempotency key it was first sent with, so replaying a request
+ * whose outcome was unknown doesn't apply it twice. A change the server rejects stays in
+ * the outbox, as a conflict (409) or a failure, until the user resolves it: retry it
+ * (optionally with changes), keep the server's copy, or discard it along with the changes
+ * that depend on it.
+ * 
+ * Changes are replayed through handlers registered by the modules that queue them (see
+ * registerOutboxHandler). Only the changes of the logged-in user are replayed or shown;
+ * a change is only queued once its user is known.
+ */
+
+// Operations that can be queued
+const OUTBOX_OPERATION = {
+  CREATE_LOCATION: 'create_location',
+  CREATE_TRAIL: 'create_trail',
+  UPLOAD_MEDIA: 'upload_media'
+};
+
+// Queued change statuses
+const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  SYNCING: 'syncing',
+  CONFLICT: 'conflict', // the server has a conflicting version
+  FAILED: 'failed' // rejected by the server, or still failing after config.MAX_ATTEMPTS
+};
+
+// Ways to resolve a conflicting or failed change
+const CONFLICT_RESOLUTION = {
+  RETRY: 'retry',
+  USE_SERVER: 'use_server',
+  DISCARD: 'discard'
+};
+
+// Outbox configuration
+const config = {
+  STORAGE_KEY: 'trailtrades_outbox',
+  PAYLOAD_DIRECTORY: 'outbox',
+  LOCAL_ID_PREFIX: 'local_',
+  MAX_ATTEMPTS: 10,
+  SYNC_INTERVAL_MS: 60 * 1000,
+  BACKGROUND_TASK: 'trailtrades-outbox-sync',
+  BACKGROUND_INTERVAL_SECONDS: 15 * 60
+};
+
+// Stored outbox ({ entries, idMap }; null until loaded)
+let outbox = null;
+let loadPromise = null;
+
+// Replay handlers by operation
+const handlers = {};
+
+// Sync state
+let syncPromise = null;
+let lastSyncedAt = null;
+let stopAutomaticSync = null;
+
+const listeners = new Set();
+
+/**
+ * Create a local ID for an object created offline
+ * 
+ * @returns {string} - Local ID
+ */
+function createLocalId() {
+  const { v4: uuidv4 } = require('uuid');
+  return `${config.LOCAL_ID_PREFIX}${uuidv4()}`;
+}
+
+/**
+ * Whether an ID was created offline
+ * 
+ * @param {*} id - ID
+ * @returns {boolean}
+ */
+function isLocalId(id) {
+  return typeof id === 'string' && id.startsWith(config.LOCAL_ID_PREFIX);
+}
+
+/**
+ * Register the function that replays an operation
+ * Handlers receive the queued payload with synced local IDs replaced and must throw API
+ * errors (see trailtrades_apiClient) so the outcome can be classified.
+ * 
+ * @param {string} operation - OUTBOX_OPERATION value
+ * @param {Function} handler - (payload, { idempotencyKey }) => Promise resolving to the created object
+ */
+function registerOutboxHandler(operation, handler) {
+  handlers[operation] = handler;
+}
+
+/**
+ * Queue a change to replay when connectivity returns
+ * 
+ * @param {Object} mutation - Change
+ * @param {string} mutation.operation - OUTBOX_OPERATION value
+ * @param {Object} mutation.payload - JSON-serializable payload passed to the handler
+ * @param {string} [mutation.localId] - Local ID of the object the change creates
+ * @param {string} [mutation.idempotencyKey] - Key the change was first sent with
+ * @param {string} [mutation.label] - Description shown to the user (e.g. the location name)
+ * @returns {Promise<Object>} - Queued entry
+ * @throws {Error} - If the logged-in user can't be identified (a session from an older app
+ *   version whose user hasn't been looked up yet)
+ */
+async function enqueueMutation(mutation) {
+  const { operation, payload, localId = null, idempotencyKey, label = '' } = mutation;
+  
+  if (!Object.values(OUTBOX_OPERATION).includes(operation)) {
+    throw new Error(`Unknown outbox operation: ${operation}`);
+  }
+  
+  await loadOutbox();
+  
+  const { v4: uuidv4 } = require('uuid');
+  const session = await ensureSessionUserId();
+  
+  if (!session || !session.userId) {
+    throw new Error('Changes can\'t be saved offline until your account can be confirmed. Connect to the internet and try again.');
+  }
+  
+  const entry = {
+    id: uuidv4(),
+    operation,
+    localId,
+    label,
+    idempotencyKey: idempotencyKey || uuidv4(),
+    userId: session.userId,
+    status: OUTBOX_STATUS.PENDING,
+    attempts: 0,
+    error: null,
+    conflict: null,
+    createdAt: new Date().toISOString()
+  };
+  
+  await writePayload(entry.id, payload);
+  outbox.entries.push(entry);
+  await saveOutbox();
+  
+  return entry;
+}
+
+/**
+ * Replace local IDs of objects that have synced with the server's IDs
+ * 
+ * @param {*} value - Value (IDs anywhere inside it are replaced)
+ * @returns {Promise<*>} - Value with server IDs
+ */
+async function resolveLocalIds(value) {
+  await loadOutbox();
+  return mapLocalIds(value, outbox.idMap);
+}
+
+/**
+ * Whether a value refers to objects created offline that haven't synced yet
+ * 
+ * @param {*} value - Value
+ * @returns {Promise<boolean>}
+ */
+async function hasUnsyncedLocalIds(value) {
+  await loadOutbox();
+  return findLocalIds(value).some(id => !outbox.idMap[id]);
+}
+
+/**
+ * Replay queued changes in order
+ * Stops at the first change whose outcome is unknown (e.g. still offline); changes the
+ * server rejects are kept for the user to resolve, and changes referring to them wait.
+ * 
+ * @returns {Promise<Object>} - { synced, remaining, needsAttention }
+ */
+function syncOutbox() {
+  if (!syncPromise) {
+    syncPromise = runSync().finally(() => {
+      syncPromise = null;
+      notify();
+    });
+    
+    notify();
+  }
+  
+  return syncPromise;
+}
+
+/**
+ * Start syncing automatically: on reconnect, on returning to the foreground, periodically
+ * and (on device) from background fetch
+ * 
+ * @returns {Function} - Stop
+ */
+function startOutboxSync() {
+  if (stopAutomaticSync) {
+    return stopAutomaticSync;
+  }
+  
+  const sync = () => {
+    syncOutbox().catch(error => {
+      console.error('Outbox sync failed:', error);
+    });
+  };
+  
+  const NetInfo = require('@react-native-community/netinfo');
+  const { AppState } = require('react-native');
+  
+  let wasConnected = true;
+  
+  const unsubscribeNetInfo = NetInfo.addEventListener(state => {
+    const connected = Boolean(state.isConnected) && state.isInternetReachable !== false;
+    
+    if (connected && !wasConnected) {
+      sync();
+    }
+    
+    wasConnected = connected;
+  });
+  
+  const appStateSubscription = AppState.addEventListener('change', appState => {
+    if (appState === 'active') {
+      sync();
+    }
+  });
+  
+  const interval = setInterval(sync, config.SYNC_INTERVAL_MS);
+  
+  if (Platform.OS === 'ios' || Platform.OS === 'android') {
+    registerBackgroundSync().catch(error => {
+      console.warn('Background sync unavailable:', error.message);
+    });
+  }
+  
+  sync();
+  
+  stopAutomaticSync = () => {
+    unsubscribeNetInfo();
+    appStateSubscription.remove();
+    clearInterval(interval);
+    stopAutomaticSync = null;
+  };
+  
+  return stopAutomaticSync;
+}
+
+/**
+ * Get the logged-in user's queued changes
+ * 
+ * @returns {Promise<Object>} - { entries, syncing, lastSyncedAt }
+ */
+async function getOutboxState() {
+  await loadOutbox();
+  
+  const session = await getSession();
+  const userId = session ? session.userId : null;
+  
+  return {
+    entries: outbox.entries.filter(entry => Boolean(userId) && entry.userId === userId),
+    syncing: Boolean(syncPromise),
+    lastSyncedAt
+  };
+}
+
+/**
+ * Subscribe to outbox changes
+ * 
+ * @param {Function} listener - ({ entries, syncing, lastSyncedAt }) => void
+ * @returns {Function} - Unsubscribe
+ */
+function subscribeOutbox(listener) {
+  listeners.add(listener);
+  
+  getOutboxState().then(state => {
+    if (listeners.has(listener)) {
+      listener(state);
+    }
+  }).catch(error => {
+    console.error('Failed to load outbox:', error);
+  });
+  
+  return () => {
+    listeners.delete(listener);
+  };
+}
+
+/**
+ * Resolve a conflicting or failed change
+ * 
+ * @param {string} entryId - Entry ID
+ * @param {string} resolution - CONFLICT_RESOLUTION value
+ * @param {Object} [changes] - For RETRY, fields to change in the payload before sending again
+ * @returns {Promise<void>}
+ */
+async function resolveOutboxEntry(entryId, resolution, changes) {
+  await loadOutbox();
+  
+  const entry = outbox.entries.find(item => item.id === entryId);
+  
+  if (!entry) {
+    throw new Error('This change is no longer waiting to sync.');
+  }
+  
+  if (entry.status === OUTBOX_STATUS.SYNCING) {
+    throw new Error('This change is syncing. Try again in a moment.');
+  }
+  
+  if (resolution === CONFLICT_RESOLUTION.RETRY) {
+    if (changes) {
+      const payload = await readPayload(entry.id);
+      await writePayload(entry.id, { ...payload, ...changes });
+    }
+    
+    const { v4: uuidv4 } = require('uuid');
+    
+    // The server remembers its answer per key, so a retry needs a new one
+    Object.assign(entry, {
+      status: OUTBOX_STATUS.PENDING,
+      idempotencyKey: uuidv4(),
+      attempts: 0,
+      error: null,
+      conflict: null
+    });
+    
+    await saveOutbox();
+    syncOutbox().catch(error => {
+      console.error('Outbox sync failed:', error);
+    });
+  } else if (resolution === CONFLICT_RESOLUTION.USE_SERVER) {
+    const existingId = entry.conflict && entry.conflict.details && entry.conflict.details.existingId;
+    
+    if (!existingId) {
+      throw new Error('There is no server copy to keep for this change.');
+    }
+    
+    // Changes referring to the local object now go to the server's copy
+    if (entry.localId) {
+      outbox.idMap[entry.localId] = existingId;
+    }
+    
+    await removeEntries([entry.id]);
+    syncOutbox().catch(error => {
+      console.error('Outbox sync failed:', error);
+    });
+  } else if (resolution === CONFLICT_RESOLUTION.DISCARD) {
+    await removeEntries(await findDependentEntryIds(entry));
+  } else {
+    throw new Error(`Unknown resolution: ${resolution}`);
+  }
+}
+
+/**
+ * Replay queued changes
+ * 
+ * @returns {Promise<Object>} - { synced, remaining, needsAttention }
+ */
+async function runSync() {
+  await loadOutbox();
+  
+  const session = await getSession();
+  let synced = 0;
+  
+  if (session && session.userId) {
+    for (const entry of [...outbox.entries]) {
+      if (entry.userId !== session.userId) continue;
+      if (entry.status !== OUTBOX_STATUS.PENDING) continue;
+      
+      const handler = handlers[entry.operation];
+      const payload = await readPayload(entry.id);
+      
+      // Waits for the objects it refers to (or for its module to load)
+      if (!handler || findLocalIds(payload).some(id => !outbox.idMap[id])) continue;
+      
+      await updateEntry(entry.id, { status: OUTBOX_STATUS.SYNCING, attempts: entry.attempts + 1 });
+      
+      try {
+        const result = await handler(mapLocalIds(payload, outbox.idMap), { idempotencyKey: entry.idempotencyKey });
+        
+        if (entry.localId && result && result.id) {
+          outbox.idMap[entry.localId] = result.id;
+        }
+        
+        await removeEntries([entry.id]);
+        synced++;
+      } catch (error) {
+        const rejected = typeof error.status === 'number' && error.isDefinitive && error.status !== 401;
+        
+        if (rejected) {
+          await updateEntry(entry.id, {
+            status: error.status === 409 ? OUTBOX_STATUS.CONFLICT : OUTBOX_STATUS.FAILED,
+            error: error.message,
+            conflict: { code: error.code || null, details: error.details || null }
+          });
+          continue;
+        }
+        
+        // Not a request failure (e.g. a bug in the handler): retrying won't help, and
+        // shouldn't hold up the changes after it
+        if (typeof error.status !== 'number' && !error.isNetworkError) {
+          await updateEntry(entry.id, {
+            status: OUTBOX_STATUS.FAILED,
+            error: error.message
+          });
+          continue;
+        }
+        
+        // Outcome unknown: keep the key and try again later
+        const exhausted = entry.attempts + 1 >= config.MAX_ATTEMPTS;
+        
+        await updateEntry(entry.id, {
+          status: exhausted ? OUTBOX_STATUS.FAILED : OUTBOX_STATUS.PENDING,
+          error: error.message
+        });
+        
+        if (!exhausted) break;
+      }
+    }
+  }
+  
+  lastSyncedAt = new Date();
+  
+  const { entries } = await getOutboxState();
+  
+  return {
+    synced,
+    remaining: entries.length,
+    needsAttention: entries.filter(entry =>
+      entry.status === OUTBOX_STATUS.CONFLICT || entry.status === OUTBOX_STATUS.FAILED
+    ).length
+  };
+}
+
+/**
+ * Register the background fetch task that syncs while the app is closed
+ * 
+ * @returns {Promise<void>}
+ */
+async function registerBackgroundSync() {
+  const BackgroundFetch = require('expo-background-fetch');
+  const TaskManager = require('expo-task-manager');
+  
+  if (await TaskManager.isTaskRegisteredAsync(config.BACKGROUND_TASK)) {
+    return;
+  }
+  
+  await BackgroundFetch.registerTaskAsync(config.BACKGROUND_TASK, {
+    minimumInterval: config.BACKGROUND_INTERVAL_SECONDS,
+    stopOnTerminate: false,
+    startOnBoot: true
+  });
+}
+
+/**
+ * Collect an entry and the entries that refer to what it creates, recursively
+ * 
+ * @param {Object} entry - Entry being discarded
+ * @returns {Promise<Array>} - Entry IDs
+ */
+async function findDependentEntryIds(entry) {
+  const ids = [entry.id];
+  const discardedLocalIds = entry.localId ? [entry.localId] : [];
+  
+  for (const other of outbox.entries) {
+    if (other.id === entry.id) continue;
+    
+    const refersTo = findLocalIds(await readPayload(other.id));
+    
+    if (refersTo.some(id => discardedLocalIds.includes(id))) {
+      ids.push(other.id);
+      
+      if (other.localId) {
+        discardedLocalIds.push(other.localId);
+      }
+    }
+  }
+  
+  return ids;
+}
+
+/**
+ * Find local IDs anywhere in a value
+ * 
+ * @param {*} value - Value
+ * @returns {Array<string>} - Local IDs
+ */
+function findLocalIds(value) {
+  if (isLocalId(value)) {
+    return [value];
+  }
+  
+  if (value && typeof value === 'object') {
+    return Object.values(value).reduce((ids, item) => ids.concat(findLocalIds(item)), []);
+  }
+  
+  return [];
+}
+
+/**
+ * Replace mapped local IDs anywhere in a value
+ * 
+ * @param {*} value - Value
+ * @param {Object} idMap - Server IDs by local ID
+ * @returns {*} - Value with server IDs
+ */
+function mapLocalIds(value, idMap) {
+  if (isLocalId(value)) {
+    return idMap[value] || value;
+  }
+  
+  if (Array.isArray(value)) {
+    return value.map(item => mapLocalIds(item, idMap));
+  }
+  
+  if (value && typeof value === 'object') {
+    return Object.keys(value).reduce((result, key) => ({
+      ...result,
+      [key]: mapLocalIds(value[key], idMap)
+    }), {});
+  }
+  
+  return value;
+}
+
+/**
+ * Update an entry and save the outbox
+ * 
+ * @param {string} entryId - Entry ID
+ * @param {Object} changes - Fields to change
+ * @returns {Promise<void>}
+ */
+async function updateEntry(entryId, changes) {
+  const entry = outbox.entries.find(item => item.id === entryId);
+  
+  if (entry) {
+    Object.assign(entry, changes);
+    await saveOutbox();
+  }
+}
+
+/**
+ * Remove entries and their payloads
+ * 
+ * @param {Array<string>} entryIds - Entry IDs
+ * @returns {Promise<void>}
+ */
+async function removeEntries(entryIds) {
+  outbox.entries = outbox.entries.filter(entry => !entryIds.includes(entry.id));
+  await saveOutbox();
+  
+  for (const entryId of entryIds) {
+    await writePayload(entryId, null);
+  }
+}
+
+/**
+ * Load the outbox from device storage
+ * Entries left syncing when the app closed are pending again. Entries queued by older app
+ * versions without a user can't be told apart from another account's, so they're dropped.
+ * 
+ * @returns {Promise<void>}
+ */
+function loadOutbox() {
+  if (!loadPromise) {
+    loadPromise = (async () => {
+      const stored = await readStorage(config.STORAGE_KEY);
+      const entries = (stored && stored.entries) || [];
+      const ownerless = entries.filter(entry => !entry.userId);
+      
+      outbox = {
+        entries: entries.filter(entry => entry.userId),
+        idMap: (stored && stored.idMap) || {}
+      };
+      
+      if (ownerless.length > 0) {
+        try {
+          await writeStorage(config.STORAGE_KEY, outbox);
+          
+          for (const entry of ownerless) {
+            await writePayload(entry.id, null);
+          }
+        } catch (error) {
+          console.error('Failed to drop queued changes without a user:', error);
+        }
+      }
+      
+      outbox.entries.forEach(entry => {
+        if (entry.status === OUTBOX_STATUS.SYNCING) {
+          entry.status = OUTBOX_STATUS.PENDING;
+        }
+      });
+    })();
+  }
+  
+  return loadPromise;
+}
+
+/**
+ * Save the outbox to device storage and notify listeners
+ * 
+ * @returns {Promise<void>}
+ */
+async function saveOutbox() {
+  await writeStorage(config.STORAGE_KEY, outbox);
+  notify();
+}
+
+/**
+ * Notify listeners of the current outbox state
+ */
+function notify() {
+  if (listeners.size === 0) return;
+  
+  getOutboxState().then(state => {
+    listeners.forEach(listener => {
+      try {
+        listener(state);
+      } catch (error) {
+        console.error('Outbox listener error:', error);
+      }
+    });
+  }).catch(error => {
+    console.error('Failed to load outbox:', error);
+  });
+}
+
+/**
+ * Read an entry's payload
+ * On device payloads are files, as media payloads can be too large for AsyncStorage.
+ * 
+ * @param {string} entryId - Entry ID
+ * @returns {Promise<*>} - Payload
+ */
+async function readPayload(entryId) {
+  if (Platform.OS === 'ios' || Platform.OS === 'android') {
+    const FileSystem = require('expo-file-system');
+    
+    try {
+      return JSON.parse(await FileSystem.readAsStringAsync(getPayloadUri(entryId)));
+    } catch (error) {
+      console.error(`Failed to read queued change ${entryId}:`, error);
+      return null;
+    }
+  }
+  
+  return readStorage(`${config.STORAGE_KEY}_${entryId}`);
+}
+
+/**
+ * Write an entry's payload, or remove it when null
+ * 
+ * @param {string} entryId - Entry ID
+ * @param {*} payload - Payload
+ * @returns {Promise<void>}
+ */
+async function writePayload(entryId, payload) {
+  if (Platform.OS === 'ios' || Platform.OS === 'android') {
+    const FileSystem = require('expo-file-system');
+    
+    if (payload === null) {
+      await FileSystem.deleteAsync(getPayloadUri(entryId), { idempotent: true });
+      return;
+    }
+    
+    await FileSystem.makeDirectoryAsync(`${FileSystem.documentDirectory}${config.PAYLOAD_DIRECTORY}`, { intermediates: true });
+    await FileSystem.writeAsStringAsync(getPayloadUri(entryId), JSON.stringify(payload));
+    return;
+  }
+  
+  await writeStorage(`${config.STORAGE_KEY}_${entryId}`, payload);
+}
+
+/**
+ * Get the file URI of an entry's payload
+ * 
+ * @param {string} entryId - Entry ID
+ * @returns {string} - File URI
+ */
+function getPayloadUri(entryId) {
+  const FileSystem = require('expo-file-system');
+  return `${FileSystem.documentDirectory}${config.PAYLOAD_DIRECTORY}/${entryId}.json`;
+}
+
+/**
+ * Read a JSON value from device storage
+ * 
+ * @param {string} key - Storage key
+ * @returns {Promise<*>} - Stored value, or null
+ */
+async function readStorage(key) {
+  try {
+    let stored;
+    
+    if (Platform.OS === 'ios' || Platform.OS === 'android') {
+      const AsyncStorage = require('@react-native-async-storage/async-storage');
+      stored = await AsyncStorage.getItem(key);
+    } else {
+      stored = localStorage.getItem(key);
+    }
+    
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error('Failed to read outbox:', error);
+    return null;
+  }
+}
+
+/**
+ * Write a JSON value to device storage, or remove it when null
+ * Unlike the notification store, failures are thrown: a change that can't be queued
+ * must not be reported as saved.
+ * 
+ * @param {string} key - Storage key
+ * @param {*} value - Value to store
+ * @returns {Promise<void>}
+ */
+async function writeStorage(key, value) {
+  if (Platform.OS === 'ios' || Platform.OS === 'android') {
+    const AsyncStorage = require('@react-native-async-storage/async-storage');
+    
+    if (value === null) {
+      await AsyncStorage.removeItem(key);
+    } else {
+      await AsyncStorage.setItem(key, JSON.stringify(value));
+    }
+  } else if (value === null) {
+    localStorage.removeItem(key);
+  } else {
+    localStorage.setItem(key, JSON.stringify(value));
+  }
+}
+
+// The OS runs this while the app is in the background (defined at startup, as required)
+if (Platform.OS === 'ios' || Platform.OS === 'android') {
+  const TaskManager = require('expo-task-manager');
+  const BackgroundFetch = require('expo-background-fetch');
+  
+  TaskManager.defineTask(config.BACKGROUND_TASK, async () => {
+    try {
+      const { synced } = await syncOutbox();
+      return synced > 0 ? BackgroundFetch.BackgroundFetchResult.NewData : BackgroundFetch.BackgroundFetchResult.NoData;
+    } catch (error) {
+      console.error('Background outbox sync failed:', error);
+      return BackgroundFetch.BackgroundFetchResult.Failed;
+    }
+  });
+}
+
+const trailtrades_outbox = {
+  createLocalId,
+  isLocalId,
+  registerOutboxHandler,
+  enqueueMutation,
+  resolveLocalIds,
+  hasUnsyncedLocalIds,
+  syncOutbox,
+  startOutboxSync,
+  getOutboxState,
+  subscribeOutbox,
+  resolveOutboxEntry
+};
+
+export {
+  OUTBOX_OPERATION,
+  OUTBOX_STATUS,
+  CONFLICT_RESOLUTION,
+  createLocalId,
+  isLocalId,
+  registerOutboxHandler,
+  enqueueMutation,
+  resolveLocalIds,
+  hasUnsyncedLocalIds,
+  syncOutbox,
+  startOutboxSync,
+  getOutboxState,
+  subscribeOutbox,
+  resolveOutboxEntry
+};
+export default trailtrades_outbox;
\ No newline at end of file
@@ -1,29 +1,55 @@
+import apiClient from './trailtrades_apiClient';
+import { getCreditBalance, placeHold, releaseHold, HOLD_STATUS } from './trailtrades_creditHolds';
+import { withIdempotencyKey, hasIdempotencyKey } from './trailtrades_idempotencyKeys';
+import { getBundleQuote } from './trailtrades_manageTrade';
+import { getAccessOptions, normalizeGrant, ACCESS_LEVEL } from './trailtrades_accessGrants';
+import { saveLocation } from './trailtrades_locationVault';
+
 /**
  * TrailTrades Trading Mechanism Module
  * 
  * Handles the trading of location data between users through credit exchanges
  * or direct location trades. Manages trading protocol, credit accounting,
- * and trust metrics.
+ * and trust metrics (computed from trade outcomes, see trailtrades_reputation).
  * 
  * @param {string} tradeType - Type of trade: 'credit', 'direct', or 'purchase'
  * @param {Object} tradeParameters - Trade parameters
  * @param {string} [tradeParameters.locationId] - ID of location to acquire (required for 'credit' and 'purchase')
+ * @param {string[]} [tradeParameters.locationIds] - IDs of locations to acquire as a bundle (instead of locationId for 'credit')
  * @param {string} [tradeParameters.offeredLocationId] - ID of location being offered (required for 'direct')
  * @param {string} [tradeParameters.requestedLocationId] - ID of location being requested (required for 'direct')
+ * @param {string[]} [tradeParameters.offeredLocationIds] - IDs of locations offered as a bundle (instead of offeredLocationId)
+ * @param {string[]} [tradeParameters.requestedLocationIds] - IDs of locations requested as a bundle (instead of requestedLocationId)
  * @param {number} [tradeParameters.creditAmount] - Amount of credits to use (required for 'credit')
+ * @param {string} [tradeParameters.accessOptionId] - Access option to buy (for a single-location 'credit' trade;
+ *   defaults to permanent navigate access at the location's trade price)
  * @param {string} [tradeParameters.recipientUserId] - User ID of trade recipient (required for 'direct')
  * @param {string} [tradeParameters.message] - Optional message to recipient (for 'direct')
+ * @param {number} [tradeParameters.expiresInHours] - How long the offer stays open (for 'direct'; server clamps to its limits)
  * @param {Object} [options] - Additional options
  * @param {boolean} [options.autoDownload=false] - Whether to automatically download location data
+ *   into the offline vault (see trailtrades_locationVault)
  * @param {boolean} [options.notifyRecipient=true] - Whether to notify recipient
- * @returns {Promise<Object>} - Promise resolving to trade result object
+ * @param {string} [options.idempotencyKey] - Key to replay a trade with (defaults to a persisted key per trade)
+ * @returns {Promise<Object>} - Promise resolving to trade result object. Direct trades are only
+ *   proposed here; see trailtrades_manageTrade for accepting, countering and cancelling them.
+ *   Credit trades reserve the credits in escrow (see trailtrades_creditHolds); the result has
+ *   status 'completed' once the hold is committed, or 'pending' while the credits stay reserved.
+ *   Credit and purchase results include ledgerEntryIds, the credit ledger entries the trade
+ *   wrote (see trailtrades_creditLedger). Completed credit trades also report the creator's
+ *   share and the platform fee (see trailtrades_creatorEarnings).
+ *   Bundle trades transfer access to all of their locations or none; a credit bundle is
+ *   charged the server's bundle price (see trailtrades_manageTrade.getBundleQuote).
+ *   Credit and purchase results include accessGrant once access is granted; view-only
+ *   grants are not downloaded for offline use (see trailtrades_accessGrants).
  */
 async function trailtrades_performTrade(tradeType, tradeParameters, options = {}) {
   // Import configuration
   const config = {
-    API_BASE_URL: process.env.TRAILTRADES_API_URL || 'https://api.trailtrades.com',
     MIN_TRADE_CREDITS: 5,
-    DEFAULT_PURCHASE_CREDITS: 10
+    DEFAULT_PURCHASE_CREDITS: 10,
+    DEFAULT_OFFER_EXPIRY_HOURS: 72,
+    MAX_BUNDLE_SIZE: 10
   };
   
   // Default options
@@ -45,33 +71,64 @@ async function trailtrades_performTrade(tradeType, tradeParameters, options = {}
     throw new Error('Trade parameters object is required.');
   }
   
+  // Bundles list their locations in arrays instead of single IDs
+  const isBundle = Array.isArray(tradeParameters.locationIds) ||
+    Array.isArray(tradeParameters.offeredLocationIds) ||
+    Array.isArray(tradeParameters.requestedLocationIds);
+    
   try {
-    // Check authentication (required for all trade operations)
-    const authToken = await getAuthToken();
-    const userInfo = await getUserInfo(authToken);
+    // Load current user (authentication is required for all trade operations)
+    const userInfo = await getUserInfo();
     
     // Validate trade parameters and prepare trade request based on trade type
     let tradeRequest;
     let requiredCredits = 0;
+    let creditHold = null;
     
     switch (tradeType) {
       case 'credit':
         // Validate credit trade parameters
         validateCreditTradeParameters(tradeParameters);
         
-        // Get location information to verify credit cost
-        const locationInfo = await getLocationInfo(tradeParameters.locationId, authToken);
-        requiredCredits = locationInfo.tradeCredits || config.MIN_TRADE_CREDITS;
+        if (isBundle) {
+          // The server prices the bundle as a whole
+          const quote = await getBundleQuote(tradeParameters.locationIds);
+          requiredCredits = quote.creditAmount;
+        } else if (tradeParameters.accessOptionId) {
+          // Time-limited and view-only access are priced per option by the creator
+          const accessOptions = await getAccessOptions(tradeParameters.locationId);
+          const accessOption = accessOptions.find(option => option.id === tradeParameters.accessOptionId);
+          
+          if (!accessOption) {
+            throw new Error('This access option is no longer offered for the location.');
+          }
+          
+          requiredCredits = accessOption.creditAmount;
+        } else {
+          // Get location information to verify credit cost
+          const locationInfo = await getLocationInfo(tradeParameters.locationId);
+          requiredCredits = locationInfo.tradeCredits || config.MIN_TRADE_CREDITS;
+        }
         
-        // Check if user has enough credits
-        if (userInfo.credits < requiredCredits) {
-          throw new Error(`Insufficient credits. You have ${userInfo.credits} credits, but this trade requires ${requiredCredits} credits.`);
+        // Check available credits (credits reserved for other pending trades can't be spent).
+        // A replay of an attempt whose outcome is unknown is skipped: if it went through, the
+        // balance already reflects it, and the server answers the replay from the stored key.
+        const isReplay = Boolean(finalOptions.idempotencyKey) ||
+          await hasIdempotencyKey('trade', { type: tradeType, ...tradeParameters });
+          
+        if (!isReplay) {
+          const creditBalance = await getCreditBalance();
+          
+          if (creditBalance.available < requiredCredits) {
+            throw new Error(`Insufficient credits. You have ${creditBalance.available} credits available, but this trade requires ${requiredCredits} credits.`);
+          }
         }
         
-        // Prepare credit trade request
+        // Prepare credit trade request (holdId is added once credits are reserved)
         tradeRequest = {
           type: 'credit',
-          locationId: tradeParameters.locationId,
+          ...(isBundle ? { locationIds: tradeParameters.locationIds } : { locationId: tradeParameters.locationId }),
+          ...(tradeParameters.accessOptionId ? { accessOptionId: tradeParameters.accessOptionId } : {}),
           creditAmount: requiredCredits
         };
         break;
@@ -80,28 +137,36 @@ async function trailtrades_performTrade(tradeType, tradeParameters, options = {}
         // Validate direct trade parameters
         validateDirectTradeParameters(tradeParameters);
         
-        // Verify that user owns the offered location
-        const offeredLocationInfo = await getLocationInfo(tradeParameters.offeredLocationId, authToken);
+        // Verify that user owns the offered location(s)
+        const offeredLocationIds = tradeParameters.offeredLocationIds || [tradeParameters.offeredLocationId];
+        const requestedLocationIds = tradeParameters.requestedLocationIds || [tradeParameters.requestedLocationId];
+        const offeredLocationInfos = await Promise.all(offeredLocationIds.map(getLocationInfo));
         
-        if (offeredLocationInfo.creator.id !== userInfo.id) {
+        if (offeredLocationInfos.some(offeredLocationInfo => offeredLocationInfo.creator.id !== userInfo.id)) {
           throw new Error('You can only offer locations that you have created.');
         }
         
         // Verify that recipient exists
-        await verifyUserExists(tradeParameters.recipientUserId, authToken);
+        await verifyUserExists(tradeParameters.recipientUserId);
         
         // Prepare direct trade request
         tradeRequest = {
           type: 'direct',
-          offeredLocationId: tradeParameters.offeredLocationId,
-          requestedLocationId: tradeParameters.requestedLocationId,
+          ...(isBundle
+            ? { offeredLocationIds, requestedLocationIds }
+            : { offeredLocationId: offeredLocationIds[0], requestedLocationId: requestedLocationIds[0] }),
           recipientUserId: tradeParameters.recipientUserId,
-          message: tradeParameters.message || ''
+          message: tradeParameters.message || '',
+          expiresInHours: tradeParameters.expiresInHours || config.DEFAULT_OFFER_EXPIRY_HOURS
         };
         break;
         
       case 'purchase':
         // Validate purchase parameters
+        if (isBundle) {
+          throw new Error('Bundles can be traded for credits or locations, not purchased.');
+        }
+        
         validatePurchaseParameters(tradeParameters);
         
         // Get credit bundle information
@@ -115,12 +180,50 @@ async function trailtrades_performTrade(tradeType, tradeParameters, options = {}
         break;
     }
     
-    // Execute trade operation
-    const tradeResult = await executeTrade(tradeRequest, authToken);
+    // Reserve credits and execute trade operation under one idempotency key
+    const sendTrade = async (idempotencyKey) => {
+      if (tradeType === 'credit') {
+        // Reserve credits in escrow; the server re-checks the available balance atomically
+        creditHold = await placeHold(requiredCredits, isBundle
+          ? { locationIds: tradeParameters.locationIds }
+          : { locationId: tradeParameters.locationId }, {
+          idempotencyKey: `${idempotencyKey}:hold`
+        });
+        tradeRequest.holdId = creditHold.id;
+      }
+      
+      try {
+        return await executeTrade(tradeRequest, idempotencyKey);
+      } catch (error) {
+        // Return reserved credits if the server rejected the trade. If the outcome is unknown
+        // the trade may still have gone through, so the hold is left for the retry (same key)
+        // or for the server to expire.
+        if (creditHold && error.isDefinitive) {
+          await releaseHold(creditHold.id).catch(releaseError => {
+            console.warn('Failed to release credit hold:', releaseError.message);
+          });
+        }
+        
+        throw error;
+      }
+    };
+    
+    // The key is persisted until the server answers definitively, so retries and
+    // offline replays of the same trade are applied once
+    const tradeResult = finalOptions.idempotencyKey
+      ? await sendTrade(finalOptions.idempotencyKey)
+      : await withIdempotencyKey('trade', { type: tradeType, ...tradeParameters }, sendTrade);
+    
+    const hold = tradeResult.hold || creditHold;
+    const completed = tradeType !== 'credit' || (hold && hold.status === HOLD_STATUS.COMMITTED);
+    const accessGrant = completed && tradeResult.accessGrant ? normalizeGrant(tradeResult.accessGrant) : null;
+    const canDownload = !accessGrant || accessGrant.level === ACCESS_LEVEL.NAVIGATE;
     
-    // Download location data if requested
-    if (finalOptions.autoDownload && (tradeType === 'credit' || tradeType === 'purchase')) {
-      await downloadLocationData(tradeParameters.locationId, authToken);
+    // Download location data if requested (view-only access can't be taken offline)
+    if (finalOptions.autoDownload && completed && canDownload && (tradeType === 'credit' || tradeType === 'purchase')) {
+      for (const locationId of isBundle ? tradeParameters.locationIds : [tradeParameters.locationId]) {
+        await downloadLocationData(locationId, accessGrant);
+      }
     }
     
     // Return trade result
@@ -132,13 +235,36 @@ async function trailtrades_performTrade(tradeType, tradeParameters, options = {}
       details: tradeResult.details,
       remainingCredits: tradeResult.newCreditBalance,
       ...(tradeType === 'credit' || tradeType === 'purchase' ? 
-          { locationAccess: true, locationId: tradeParameters.locationId } : {}),
+          {
+            locationAccess: completed,
+            accessGrant,
+            ...(isBundle ? { locationIds: tradeParameters.locationIds } : { locationId: tradeParameters.locationId }),
+            ledgerEntryIds: tradeResult.ledgerEntryIds || []
+          } : {}),
+      ...(tradeType === 'credit' ?
+          {
+            status: completed ? 'completed' : 'pending',
+            creditHold: hold,
+            reservedCredits: completed ? 0 : requiredCredits,
+            ...(completed && tradeResult.revenueShare ?
+                {
+                  creatorCredits: tradeResult.revenueShare.creatorCredits,
+                  platformFee: tradeResult.revenueShare.platformFee
+                } : {})
+          } : {}),
       ...(tradeType === 'direct' ? 
-          { status: tradeResult.status, recipientUserId: tradeParameters.recipientUserId } : {})
+          {
+            status: tradeResult.status,
+            version: tradeResult.version,
+            expiresAt: tradeResult.expiresAt,
+            recipientUserId: tradeParameters.recipientUserId
+          } : {}),
+      bundle: isBundle
     };
   } catch (error) {
     console.error('Trade error:', error);
-    throw new Error(`Trade failed: ${error.message}`);
+    error.message = `Trade failed: ${error.message}`;
+    throw error;
   }
   
   /**
@@ -148,6 +274,15 @@ async function trailtrades_performTrade(tradeType, tradeParameters, options = {}
    * @throws {Error} - If parameters are invalid
    */
   function validateCreditTradeParameters(params) {
+    if (isBundle) {
+      if (params.accessOptionId) {
+        throw new Error('Bundles always include permanent access; access options apply to single locations.');
+      }
+      
+      validateBundleLocationIds(params.locationIds, 'locations to acquire');
+      return;
+    }
+    
     if (!params.locationId || typeof params.locationId !== 'string') {
       throw new Error('Location ID is required for credit trade.');
     }
@@ -160,17 +295,53 @@ async function trailtrades_performTrade(tradeType, tradeParameters, options = {}
    * @throws {Error} - If parameters are invalid
    */
   function validateDirectTradeParameters(params) {
-    if (!params.offeredLocationId || typeof params.offeredLocationId !== 'string') {
+    if (Array.isArray(params.offeredLocationIds)) {
+      validateBundleLocationIds(params.offeredLocationIds, 'offered locations');
+    } else if (!params.offeredLocationId || typeof params.offeredLocationId !== 'string') {
       throw new Error('Offered location ID is required for direct trade.');
     }
     
-    if (!params.requestedLocationId || typeof params.requestedLocationId !== 'string') {
+    if (Array.isArray(params.requestedLocationIds)) {
+      validateBundleLocationIds(params.requestedLocationIds, 'requested locations');
+    } else if (!params.requestedLocationId || typeof params.requestedLocationId !== 'string') {
       throw new Error('Requested location ID is required for direct trade.');
     }
     
+    const offeredIds = params.offeredLocationIds || [params.offeredLocationId];
+    const requestedIds = params.requestedLocationIds || [params.requestedLocationId];
+    
+    if (offeredIds.some(id => requestedIds.includes(id))) {
+      throw new Error('A location cannot be both offered and requested.');
+    }
+    
     if (!params.recipientUserId || typeof params.recipientUserId !== 'string') {
       throw new Error('Recipient user ID is required for direct trade.');
     }
+    
+    if (params.expiresInHours !== undefined && (typeof params.expiresInHours !== 'number' || params.expiresInHours <= 0)) {
+      throw new Error('Offer expiry must be a positive number of hours.');
+    }
+  }
+  
+  /**
+   * Validate the location IDs of one side of a bundle
+   * 
+   * @param {Array} locationIds - Location IDs
+   * @param {string} label - Description for error messages
+   * @throws {Error} - If the IDs are invalid
+   */
+  function validateBundleLocationIds(locationIds, label) {
+    if (locationIds.length === 0 || locationIds.some(id => !id || typeof id !== 'string')) {
+      throw new Error(`Bundle ${label} must be a list of location IDs.`);
+    }
+    
+    if (new Set(locationIds).size !== locationIds.length) {
+      throw new Error(`Bundle ${label} contain the same location more than once.`);
+    }
+    
+    if (locationIds.length > config.MAX_BUNDLE_SIZE) {
+      throw new Error(`A bundle can include at most ${config.MAX_BUNDLE_SIZE} ${label}.`);
+    }
   }
   
   /**
@@ -189,102 +360,68 @@ async function trailtrades_performTrade(tradeType, tradeParameters, options = {}
    * Execute trade operation via API
    * 
    * @param {Object} tradeRequest - Prepared trade request
-   * @param {string} authToken - Authentication token
+   * @param {string} idempotencyKey - Idempotency key for this trade
    * @returns {Promise<Object>} - Trade result from API
    */
-  async function executeTrade(tradeRequest, authToken) {
-    const response = await fetch(`${config.API_BASE_URL}/trades`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${authToken}`
-      },
-      body: JSON.stringify(tradeRequest)
+  async function executeTrade(tradeRequest, idempotencyKey) {
+    return await apiClient.post('/trades', tradeRequest, {
+      errorMessage: 'Trade failed with status',
+      idempotencyKey
     });
-    
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.message || `Trade failed with status: ${response.status}`);
-    }
-    
-    return await response.json();
   }
   
   /**
    * Get user information
    * 
-   * @param {string} authToken - Authentication token
    * @returns {Promise<Object>} - User information
    */
-  async function getUserInfo(authToken) {
-    const response = await fetch(`${config.API_BASE_URL}/users/me`, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${authToken}`
-      }
+  async function getUserInfo() {
+    return await apiClient.get('/users/me', {
+      errorMessage: 'Failed to get user info'
     });
-    
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.message || `Failed to get user info: ${response.status}`);
-    }
-    
-    return await response.json();
   }
   
   /**
    * Get location information
    * 
    * @param {string} locationId - Location ID
-   * @param {string} authToken - Authentication token
    * @returns {Promise<Object>} - Location information
    */
-  async function getLocationInfo(locationId, authToken) {
-    const response = await fetch(`${config.API_BASE_URL}/locations/${locationId}`, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${authToken}`
-      }
-    });
-    
-    if (!response.ok) {
-      if (response.status === 404) {
+  async function getLocationInfo(locationId) {
+    try {
+      return await apiClient.get(`/locations/${locationId}`, {
+        errorMessage: 'Failed to get location info'
+      });
+    } catch (error) {
+      if (error.status === 404) {
         throw new Error(`Location not found. The location ID ${locationId} does not exist.`);
       }
       
-      const errorData = await response.json();
-      throw new Error(errorData.message || `Failed to get location info: ${response.status}`);
+      throw error;
     }
-    
-    return await response.json();
   }
   
   /**
    * Verify user exists
    * 
    * @param {string} userId - User ID
-   * @param {string} authToken - Authentication token
    * @returns {Promise<boolean>} - Whether user exists
    */
-  async function verifyUserExists(userId, authToken) {
-    const response = await fetch(`${config.API_BASE_URL}/users/${userId}/exists`, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${authToken}`
-      }
-    });
+  async function verifyUserExists(userId) {
+    let result;
     
-    if (!response.ok) {
-      if (response.status === 404) {
+    try {
+      result = await apiClient.get(`/users/${userId}/exists`, {
+        errorMessage: 'Failed to verify user'
+      });
+    } catch (error) {
+      if (error.status === 404) {
         throw new Error(`User not found. The user ID ${userId} does not exist.`);
       }
       
-      const errorData = await response.json();
-      throw new Error(errorData.message || `Failed to verify user: ${response.status}`);
+      throw error;
     }
     
-    const result = await response.json();
-    
     if (!result.exists) {
       throw new Error(`User not found. The user ID ${userId} does not exist.`);
     }
@@ -296,26 +433,16 @@ async function trailtrades_performTrade(tradeType, tradeParameters, options = {}
    * Download location data
    * 
    * @param {string} locationId - Location ID
-   * @param {string} authToken - Authentication token
+   * @param {Object|null} accessGrant - Grant for the location, if access is time-limited
    * @returns {Promise<Object>} - Downloaded location data
    */
-  async function downloadLocationData(locationId, authToken) {
-    const response = await fetch(`${config.API_BASE_URL}/locations/${locationId}/full`, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${authToken}`
-      }
+  async function downloadLocationData(locationId, accessGrant) {
+    const locationData = await apiClient.get(`/locations/${locationId}/full`, {
+      errorMessage: 'Failed to download location data'
     });
     
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.message || `Failed to download location data: ${response.status}`);
-    }
-    
-    const locationData = await response.json();
-    
-    // Store location data in local storage or database for offline use
-    await storeLocationData(locationData);
+    // Store location data in the offline vault
+    await storeLocationData(locationData, accessGrant);
     
     return locationData;
   }
@@ -324,82 +451,26 @@ async function trailtrades_performTrade(tradeType, tradeParameters, options = {}
    * Store location data for offline use
    * 
    * @param {Object} locationData - Full location data
+   * @param {Object|null} accessGrant - Grant for the location; the data is kept (encrypted) until
+   *   it expires or is revoked
    * @returns {Promise<void>}
    */
-  async function storeLocationData(locationData) {
+  async function storeLocationData(locationData, accessGrant) {
     try {
-      // Determine storage strategy based on platform
-      if (Platform.OS === 'ios' || Platform.OS === 'android') {
-        // For mobile, use AsyncStorage or similar
-        const AsyncStorage = require('@react-native-async-storage/async-storage');
-        await AsyncStorage.setItem(
-          `location_${locationData.id}`,
-          JSON.stringify(locationData)
-        );
-        
-        // Update location index
-        const locationIndex = await AsyncStorage.getItem('location_index');
-        const index = locationIndex ? JSON.parse(locationIndex) : [];
-        
-        if (!index.includes(locationData.id)) {
-          index.push(locationData.id);
-          await AsyncStorage.setItem('location_index', JSON.stringify(index));
-        }
-      } else {
-        // For web, use localStorage
-        localStorage.setItem(
-          `location_${locationData.id}`,
-          JSON.stringify(locationData)
-        );
-        
-        // Update location index
-        const locationIndex = localStorage.getItem('location_index');
-        const index = locationIndex ? JSON.parse(locationIndex) : [];
-        
-        if (!index.includes(locationData.id)) {
-          index.push(locationData.id);
-          localStorage.setItem('location_index', JSON.stringify(index));
-        }
-      }
+      const { failedMedia } = await saveLocation(locationData, {
+        expiresAt: accessGrant ? accessGrant.expiresAt : null,
+        grantId: accessGrant ? accessGrant.id : null
+      });
       
-      console.log(`Location data for ${locationData.id} stored successfully.`);
+      if (failedMedia.length > 0) {
+        console.warn(`${failedMedia.length} media item(s) for ${locationData.id} are only available online.`);
+      }
     } catch (error) {
       console.error('Failed to store location data:', error);
       // Continue without throwing, as this is not critical
     }
   }
-  
-  /**
-   * Helper function to retrieve authentication token
-   * 
-   * @returns {Promise<string>} - Authentication token
-   */
-  async function getAuthToken() {
-    try {
-      let token;
-      
-      if (Platform.OS === 'ios') {
-        // iOS secure storage implementation
-        const credentials = await Keychain.getGenericPassword();
-        token = credentials.password;
-      } else if (Platform.OS === 'android') {
-        // Android secure storage implementation
-        token = await EncryptedStorage.getItem('trailtrades_auth_token');
-      } else {
-        // Web fallback
-        token = localStorage.getItem('trailtrades_auth_token');
-      }
-      
-      if (!token) {
-        throw new Error('Authentication token not found. Please log in.');
-      }
-      
-      return token;
-    } catch (error) {
-      console.error('Failed to retrieve authentication token:', error);
-      throw new Error('Authentication required. Please log in.');
-    }
-  }
 }
 
+export { trailtrades_performTrade };
 export default trailtrades_performTrade;
\ No newline at end of file
@@ -0,0 +1,342 @@
+import apiClient from './trailtrades_apiClient';
+
+/**
+ * TrailTrades Credit Purchase Module
+ * 
+ * Buys credit packages through the App Store / Google Play. Packages (and the store
+ * product each one maps to) come from the server; prices come from the store so they are
+ * shown in the user's currency. A purchase is only credited after the server has
+ * validated the receipt with the store, and the store transaction is only finished
+ * (consumed) after that. If the app is closed in between, the transaction stays
+ * unfinished in the store and restorePendingPurchases sends it again on the next launch;
+ * the transaction ID is the idempotency key, so a receipt is never credited twice.
+ * 
+ * The store is accessed through an adapter ({ init, getProducts, purchase, finish,
+ * getPendingPurchases }). createFakeStore returns a local adapter for development and
+ * testing; it is used when TRAILTRADES_IAP_FAKE_STORE is 'true' or when passed to
+ * setStoreAdapter. The server only accepts fake receipts outside production.
+ */
+
+// Purchase configuration
+const config = {
+  USE_FAKE_STORE: process.env.TRAILTRADES_IAP_FAKE_STORE === 'true'
+};
+
+// Store adapter in use (created on first use)
+let storeAdapter = null;
+
+/**
+ * Purchase a credit package
+ * 
+ * @param {Object|string} creditPackage - Package from getCreditPackages, or its ID
+ * @returns {Promise<Object>} - { status: 'cancelled' } if the user dismissed the store sheet,
+ *   otherwise { status: 'completed', purchaseId, credits, newBalance, ledgerEntryId }
+ * @throws {Error} - With paymentPending set if the store charged the user but the server
+ *   could not be reached; the purchase is completed by restorePendingPurchases
+ */
+async function trailtrades_purchaseCredits(creditPackage) {
+  try {
+    const creditPackages = await getCreditPackages();
+    const packageId = typeof creditPackage === 'string' ? creditPackage : creditPackage && creditPackage.id;
+    const selectedPackage = creditPackages.find(pkg => pkg.id === packageId);
+    
+    if (!selectedPackage) {
+      throw new Error('This credit package is no longer available.');
+    }
+    
+    if (!selectedPackage.available) {
+      throw new Error('This credit package is not available in the store right now.');
+    }
+    
+    const store = await getStore();
+    const purchase = await store.purchase(selectedPackage.productId);
+    
+    if (!purchase) {
+      return { status: 'cancelled' };
+    }
+    
+    return await validateAndFinish(store, purchase);
+  } catch (error) {
+    console.error('Credit purchase error:', error);
+    if (!error.paymentPending) {
+      error.message = `Purchase failed: ${error.message}`;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get purchasable credit packages with store prices
+ * 
+ * @returns {Promise<Array>} - Packages { id, productId, amount, featured, savings, price,
+ *   displayPrice, currency, available }; available is false if the store has no such product
+ */
+async function getCreditPackages() {
+  const result = await apiClient.get('/credits/packages', {
+    auth: 'optional',
+    errorMessage: 'Failed to load credit packages'
+  });
+  
+  const creditPackages = result.packages || [];
+  const store = await getStore();
+  const products = await store.getProducts(creditPackages.map(pkg => pkg.productId));
+  
+  return creditPackages.map(pkg => {
+    const product = products.find(item => item.productId === pkg.productId);
+    
+    return {
+      ...pkg,
+      price: product ? product.price : pkg.price,
+      displayPrice: product ? product.localizedPrice : null,
+      currency: product ? product.currency : null,
+      available: Boolean(product)
+    };
+  });
+}
+
+/**
+ * Validate and finish store transactions left unfinished by an earlier session
+ * Call on launch once the user is signed in.
+ * 
+ * @returns {Promise<Object>} - { restored: Array of completed results, failed: Array of { transactionId, error } }
+ */
+async function restorePendingPurchases() {
+  const store = await getStore();
+  const pendingPurchases = await store.getPendingPurchases();
+  
+  const restored = [];
+  const failed = [];
+  
+  for (const purchase of pendingPurchases) {
+    try {
+      restored.push(await validateAndFinish(store, purchase));
+    } catch (error) {
+      // Left unfinished in the store; retried on the next launch
+      console.warn(`Failed to restore purchase ${purchase.transactionId}:`, error.message);
+      failed.push({ transactionId: purchase.transactionId, error });
+    }
+  }
+  
+  return { restored, failed };
+}
+
+/**
+ * Use a specific store adapter (e.g. createFakeStore() in tests)
+ * 
+ * @param {Object|null} adapter - Store adapter, or null to go back to the default
+ */
+function setStoreAdapter(adapter) {
+  storeAdapter = adapter;
+}
+
+/**
+ * Create a local fake store
+ * 
+ * @param {Object} [fakeOptions] - Fake store options
+ * @param {Array} [fakeOptions.products] - Products { productId, price, currency }
+ *   (every requested product ID is available at $0.99 when omitted)
+ * @param {string} [fakeOptions.outcome='success'] - Result of purchase: 'success', 'cancel' or 'fail'
+ * @param {Array} [fakeOptions.pendingPurchases] - Purchases reported as unfinished on restore
+ * @returns {Object} - Store adapter; finished transaction IDs are listed in finishedTransactions
+ */
+function createFakeStore(fakeOptions = {}) {
+  const {
+    products = null,
+    outcome = 'success',
+    pendingPurchases = []
+  } = fakeOptions;
+  
+  const unfinished = [...pendingPurchases];
+  const finishedTransactions = [];
+  let transactionCount = 0;
+  
+  return {
+    finishedTransactions,
+    
+    async init() {},
+    
+    async getProducts(productIds) {
+      const available = products || productIds.map(productId => ({ productId, price: 0.99, currency: 'USD' }));
+      
+      return available
+        .filter(product => productIds.includes(product.productId))
+        .map(product => ({
+          ...product,
+          localizedPrice: `$${product.price.toFixed(2)}`
+        }));
+    },
+    
+    async purchase(productId) {
+      if (outcome === 'cancel') {
+        return null;
+      }
+      
+      if (outcome === 'fail') {
+        throw new Error('The fake store declined the payment.');
+      }
+      
+      transactionCount += 1;
+      const transactionId = `fake-${Date.now()}-${transactionCount}`;
+      const purchase = {
+        transactionId,
+        productId,
+        platform: 'fake',
+        receipt: `fake-receipt:${productId}:${transactionId}`
+      };
+      
+      unfinished.push(purchase);
+      return purchase;
+    },
+    
+    async finish(purchase) {
+      const index = unfinished.findIndex(item => item.transactionId === purchase.transactionId);
+      
+      if (index !== -1) {
+        unfinished.splice(index, 1);
+      }
+      
+      finishedTransactions.push(purchase.transactionId);
+    },
+    
+    async getPendingPurchases() {
+      return [...unfinished];
+    }
+  };
+}
+
+/**
+ * Send a purchase receipt to the server, then finish the store transaction
+ * 
+ * @param {Object} store - Store adapter
+ * @param {Object} purchase - Purchase { transactionId, productId, platform, receipt, purchaseToken }
+ * @returns {Promise<Object>} - Completed purchase result
+ */
+async function validateAndFinish(store, purchase) {
+  let validation;
+  
+  try {
+    validation = await apiClient.post('/credits/purchases', {
+      productId: purchase.productId,
+      platform: purchase.platform,
+      transactionId: purchase.transactionId,
+      receipt: purchase.receipt,
+      purchaseToken: purchase.purchaseToken
+    }, {
+      errorMessage: 'Failed to verify purchase',
+      // Re-sending the same transaction returns the original result
+      idempotencyKey: `purchase:${purchase.platform}:${purchase.transactionId}`
+    });
+  } catch (error) {
+    if (error.code === 'RECEIPT_INVALID') {
+      error.message = 'The store receipt for this purchase could not be verified.';
+    } else if (!error.isDefinitive) {
+      error.paymentPending = true;
+      error.message = 'Your payment went through but could not be confirmed yet. Your credits will be added automatically the next time you open TrailTrades.';
+    }
+    
+    throw error;
+  }
+  
+  // Credits are in the ledger; only now tell the store the purchase was delivered
+  await store.finish(purchase);
+  
+  return {
+    status: 'completed',
+    purchaseId: validation.purchaseId,
+    credits: validation.credits,
+    newBalance: validation.newBalance,
+    ledgerEntryId: validation.ledgerEntryId
+  };
+}
+
+/**
+ * Get the store adapter, creating and initializing the default one if needed
+ * 
+ * @returns {Promise<Object>} - Store adapter
+ */
+async function getStore() {
+  if (!storeAdapter) {
+    const adapter = config.USE_FAKE_STORE ? createFakeStore() : createNativeStore();
+    
+    // Only keep the adapter once it's connected, so a failed init is retried next time
+    await adapter.init();
+    storeAdapter = adapter;
+  }
+  
+  return storeAdapter;
+}
+
+/**
+ * Create the store adapter backed by react-native-iap
+ * 
+ * @returns {Object} - Store adapter
+ */
+function createNativeStore() {
+  const RNIap = require('react-native-iap');
+  
+  const toPurchase = (storePurchase) => ({
+    transactionId: storePurchase.transactionId,
+    productId: storePurchase.productId,
+    platform: Platform.OS,
+    receipt: storePurchase.transactionReceipt,
+    purchaseToken: storePurchase.purchaseToken,
+    storePurchase
+  });
+  
+  return {
+    async init() {
+      if (Platform.OS !== 'ios' && Platform.OS !== 'android') {
+        throw new Error('Credit purchases are only available in the TrailTrades mobile app.');
+      }
+      
+      await RNIap.initConnection();
+    },
+    
+    async getProducts(productIds) {
+      const products = await RNIap.getProducts({ skus: productIds });
+      
+      return products.map(product => ({
+        productId: product.productId,
+        price: parseFloat(product.price),
+        currency: product.currency,
+        localizedPrice: product.localizedPrice
+      }));
+    },
+    
+    async purchase(productId) {
+      try {
+        const result = await RNIap.requestPurchase(
+          Platform.OS === 'ios' ? { sku: productId } : { skus: [productId] }
+        );
+        const storePurchase = Array.isArray(result) ? result[0] : result;
+        
+        return storePurchase ? toPurchase(storePurchase) : null;
+      } catch (error) {
+        if (error.code === 'E_USER_CANCELLED') {
+          return null;
+        }
+        
+        throw error;
+      }
+    },
+    
+    async finish(purchase) {
+      // Credit packages are consumable so they can be bought again
+      await RNIap.finishTransaction({ purchase: purchase.storePurchase, isConsumable: true });
+    },
+    
+    async getPendingPurchases() {
+      const storePurchases = await RNIap.getAvailablePurchases();
+      return storePurchases.map(toPurchase);
+    }
+  };
+}
+
+export {
+  trailtrades_purchaseCredits,
+  getCreditPackages,
+  restorePendingPurchases,
+  setStoreAdapter,
+  createFakeStore
+};
+export default trailtrades_purchaseCredits;
\ No newline at end of file
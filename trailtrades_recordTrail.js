@@ -1,3 +1,13 @@
+import apiClient from './trailtrades_apiClient';
+import {
+  createLocalId,
+  enqueueMutation,
+  registerOutboxHandler,
+  resolveLocalIds,
+  hasUnsyncedLocalIds,
+  OUTBOX_OPERATION
+} from './trailtrades_outbox';
+
 /**
  * TrailTrades Trail Mapping Module
  * 
@@ -21,7 +31,10 @@
  * @param {string} [options.difficulty] - Trail difficulty ('easy', 'moderate', 'difficult', 'extreme')
  * @param {Object} [options.gpxOptions] - Custom GPX export options
  * @param {boolean} [options.autoSave=true] - Whether to automatically save trail to server
- * @returns {Promise<Object>} - Promise resolving to trail object with metrics and GPX data
+ * @returns {Promise<Object>} - Promise resolving to trail object with metrics and GPX data. Trails
+ *   saved without connectivity, or recorded against a location added offline that hasn't synced,
+ *   are queued in the outbox (see trailtrades_outbox) and returned with a local ID and
+ *   pendingSync: true.
  */
 async function trailtrades_recordTrail(method, trailData, options = {}) {
   // Import necessary GPS and mapping utilities
@@ -808,61 +821,56 @@ async function trailtrades_recordTrail(method, trailData, options = {}) {
    * @returns {Promise<Object>} - Saved trail data
    */
   async function saveTrail(trail) {
+    const { v4: uuidv4 } = require('uuid');
+    const idempotencyKey = uuidv4();
+    
+    // The location doesn't exist on the server yet; the trail follows it
+    if (await hasUnsyncedLocalIds(trail)) {
+      return queueTrail(trail, idempotencyKey);
+    }
+    
     try {
-      const authToken = await getAuthToken();
-      
-      const response = await fetch('https://api.trailtrades.com/trails', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${authToken}`
-        },
-        body: JSON.stringify(trail)
+      return await apiClient.post('/trails', await resolveLocalIds(trail), {
+        errorMessage: 'Failed to save trail',
+        idempotencyKey
       });
-      
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.message || 'Failed to save trail');
+    } catch (error) {
+      if (error.isNetworkError) {
+        return queueTrail(trail, idempotencyKey);
       }
       
-      return await response.json();
-    } catch (error) {
       console.error('Trail save error:', error);
       throw error;
     }
   }
   
   /**
-   * Helper function to retrieve authentication token
+   * Queue a trail to save when connectivity returns
    * 
-   * @returns {Promise<string>} - Authentication token
+   * @param {Object} trail - Trail object
+   * @param {string} idempotencyKey - Key the trail was (or would have been) sent with
+   * @returns {Promise<Object>} - Trail with a local ID
    */
-  async function getAuthToken() {
-    try {
-      let token;
-      
-      if (Platform.OS === 'ios') {
-        // iOS secure storage implementation
-        const credentials = await Keychain.getGenericPassword();
-        token = credentials.password;
-      } else if (Platform.OS === 'android') {
-        // Android secure storage implementation
-        token = await EncryptedStorage.getItem('trailtrades_auth_token');
-      } else {
-        // Web fallback
-        token = localStorage.getItem('trailtrades_auth_token');
-      }
-      
-      if (!token) {
-        throw new Error('Authentication token not found. Please log in.');
-      }
-      
-      return token;
-    } catch (error) {
-      console.error('Failed to retrieve authentication token:', error);
-      throw new Error('Authentication required. Please log in.');
-    }
+  async function queueTrail(trail, idempotencyKey) {
+    const localId = createLocalId();
+    const entry = await enqueueMutation({
+      operation: OUTBOX_OPERATION.CREATE_TRAIL,
+      payload: trail,
+      localId,
+      idempotencyKey,
+      label: trail.name
+    });
+    
+    return { ...trail, id: localId, pendingSync: true, outboxEntryId: entry.id };
   }
 }
 
+// Replays trails saved offline
+registerOutboxHandler(OUTBOX_OPERATION.CREATE_TRAIL, (trail, { idempotencyKey }) =>
+  apiClient.post('/trails', trail, {
+    errorMessage: 'Failed to save trail',
+    idempotencyKey
+  })
+);
+
 export default trailtrades_recordTrail;
\ No newline at end of file
@@ -0,0 +1,187 @@
+import apiClient from './trailtrades_apiClient';
+import { storeSession } from './trailtrades_sessionManager';
+
+/**
+ * Password strength rules shared by the registration form and this module
+ */
+const PASSWORD_RULES = [
+  { id: 'length', label: 'At least 8 characters', regex: /.{8,}/ },
+  { id: 'uppercase', label: 'At least one uppercase letter', regex: /[A-Z]/ },
+  { id: 'lowercase', label: 'At least one lowercase letter', regex: /[a-z]/ },
+  { id: 'number', label: 'At least one number', regex: /[0-9]/ },
+  { id: 'special', label: 'At least one special character', regex: /[!@#$%^&*]/ }
+];
+
+// Username format: letters, numbers and underscores
+const USERNAME_REGEX = /^[a-zA-Z0-9_]{3,30}$/;
+
+// Email format
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * TrailTrades Registration Module
+ * 
+ * Creates a new account via email/password or SSO sign-up (Google/Apple). Validates
+ * the password against the shared strength rules, confirms the username is still
+ * available on the server, stores the resulting session through the session manager
+ * and reports the email verification state of the new account.
+ * 
+ * @param {string} method - Registration method: 'email', 'google', or 'apple'
+ * @param {Object} registrationData - Registration data
+ * @param {string} registrationData.username - Desired username
+ * @param {string} [registrationData.fullName] - User's full name (required for email sign-up)
+ * @param {string} [registrationData.email] - User's email (required for email sign-up)
+ * @param {string} [registrationData.password] - User's password (required for email sign-up)
+ * @param {string} [registrationData.token] - OAuth token (required for SSO sign-up)
+ * @param {boolean} registrationData.acceptedTerms - Whether the user accepted the Terms of Service
+ * @returns {Promise<Object>} - Promise resolving to registered user data with emailVerification state
+ */
+async function trailtrades_registerUser(method, registrationData) {
+  // Validate inputs
+  if (!method || !['email', 'google', 'apple'].includes(method)) {
+    throw new Error('Invalid registration method. Use "email", "google", or "apple".');
+  }
+  
+  if (!registrationData || typeof registrationData !== 'object') {
+    throw new Error('Registration data object is required.');
+  }
+  
+  if (!registrationData.acceptedTerms) {
+    throw new Error('You must accept the Terms of Service');
+  }
+  
+  const username = (registrationData.username || '').trim();
+  
+  if (!USERNAME_REGEX.test(username)) {
+    throw new Error('Username must be 3-30 characters and can only contain letters, numbers, and underscores');
+  }
+  
+  let endpoint;
+  let requestBody;
+  
+  if (method === 'email') {
+    const email = (registrationData.email || '').trim();
+    
+    if (!registrationData.fullName || !registrationData.fullName.trim()) {
+      throw new Error('Full name is required.');
+    }
+    
+    if (!EMAIL_REGEX.test(email)) {
+      throw new Error('Please enter a valid email address');
+    }
+    
+    const passwordCheck = validatePassword(registrationData.password);
+    
+    if (!passwordCheck.valid) {
+      throw new Error(`Password does not meet all requirements: ${passwordCheck.failedRules.map(rule => rule.label.toLowerCase()).join(', ')}`);
+    }
+    
+    endpoint = '/auth/register';
+    requestBody = {
+      fullName: registrationData.fullName.trim(),
+      username,
+      email,
+      password: registrationData.password,
+      acceptedTerms: true
+    };
+  } else {
+    if (!registrationData.token) {
+      throw new Error(`${method.charAt(0).toUpperCase() + method.slice(1)} sign-up requires OAuth token.`);
+    }
+    
+    endpoint = `/auth/register/${method}`;
+    requestBody = {
+      token: registrationData.token,
+      username,
+      ...(registrationData.fullName ? { fullName: registrationData.fullName.trim() } : {}),
+      acceptedTerms: true
+    };
+  }
+  
+  try {
+    // Re-check username availability (it may have been taken since the form checked it)
+    const availability = await checkUsernameAvailability(username);
+    
+    if (!availability.available) {
+      throw new Error(`The username "${username}" is already taken.`);
+    }
+    
+    // Create account
+    const userData = await apiClient.post(endpoint, requestBody, {
+      auth: false,
+      errorMessage: 'Registration failed'
+    });
+    
+    // Store session tokens in secure storage
+    await storeSession(userData);
+    
+    return {
+      ...userData,
+      emailVerification: resolveEmailVerification(userData, method)
+    };
+  } catch (error) {
+    console.error('Registration error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Check password against the shared strength rules
+ * 
+ * @param {string} password - Password to check
+ * @returns {Object} - { valid, failedRules }
+ */
+function validatePassword(password) {
+  const failedRules = PASSWORD_RULES.filter(rule => !rule.regex.test(password || ''));
+  
+  return {
+    valid: failedRules.length === 0,
+    failedRules
+  };
+}
+
+/**
+ * Ask the server whether a username is available
+ * 
+ * @param {string} username - Username to check
+ * @returns {Promise<Object>} - { available, suggestions }
+ */
+async function checkUsernameAvailability(username) {
+  const result = await apiClient.get('/users/username-availability', {
+    query: { username: username.trim() },
+    auth: false,
+    errorMessage: 'Failed to check username availability'
+  });
+  
+  return {
+    available: Boolean(result && result.available),
+    suggestions: (result && result.suggestions) || []
+  };
+}
+
+/**
+ * Resolve email verification state of a newly registered account
+ * 
+ * @param {Object} userData - Registration response
+ * @param {string} method - Registration method
+ * @returns {Object} - { status, email }
+ */
+function resolveEmailVerification(userData, method) {
+  const user = userData.user || userData;
+  
+  // Provider-verified emails (Google/Apple) do not need a confirmation email
+  const verified = Boolean(user.emailVerified) || method !== 'email';
+  
+  return {
+    status: verified ? 'verified' : 'pending',
+    email: user.email || null
+  };
+}
+
+export {
+  trailtrades_registerUser,
+  PASSWORD_RULES,
+  validatePassword,
+  checkUsernameAvailability
+};
+export default trailtrades_registerUser;
\ No newline at end of file
@@ -0,0 +1,324 @@
+import apiClient from './trailtrades_apiClient';
+
+/**
+ * TrailTrades Reputation Module
+ * 
+ * Trust metrics for traders. A user's reputation score (0-100) is a weighted average of
+ * components computed from their trade record and from what other users report:
+ * - experience: completed trades, up to config.EXPERIENCED_TRADE_COUNT
+ * - responsiveness: trade requests answered rather than left to expire
+ * - follow-through: trades the user took part in that completed rather than being withdrawn
+ * - accuracy: accuracy reports from users who traded for the user's locations
+ * - reviews: ratings of the user's locations
+ * Report and review components are smoothed towards a neutral prior, so a handful of
+ * reports can't swing the score. Components without data are left out and the remaining
+ * weights are scaled up. Until a user has config.MIN_TRADES_FOR_SCORE completed trades
+ * their tier is 'new' and they have no score.
+ * 
+ * The server computes the same score for search results (creator.reputation) so lists
+ * don't need a request per user; getUserReputation adds the breakdown for one user.
+ */
+
+// Reputation tiers, highest first
+const REPUTATION_TIER = {
+  TRUSTED: 'trusted',
+  GOOD: 'good',
+  FAIR: 'fair',
+  LOW: 'low',
+  NEW: 'new'
+};
+
+// Reputation configuration
+const config = {
+  MIN_TRADES_FOR_SCORE: 3,
+  EXPERIENCED_TRADE_COUNT: 25,
+  WEIGHTS: {
+    experience: 0.15,
+    responsiveness: 0.2,
+    followThrough: 0.2,
+    accuracy: 0.3,
+    reviews: 0.15
+  },
+  // Prior for smoothed components, as if every user started with these
+  ACCURACY_PRIOR: { accurate: 4, inaccurate: 1 },
+  REVIEW_PRIOR: { count: 3, averageRating: 3.5 },
+  TIER_THRESHOLDS: [
+    { tier: REPUTATION_TIER.TRUSTED, minScore: 85 },
+    { tier: REPUTATION_TIER.GOOD, minScore: 70 },
+    { tier: REPUTATION_TIER.FAIR, minScore: 50 },
+    { tier: REPUTATION_TIER.LOW, minScore: 0 }
+  ],
+  CACHE_MS: 10 * 60 * 1000
+};
+
+// Cached reputations by user ID ({ reputation, fetchedAt })
+const reputationCache = new Map();
+
+/**
+ * Get a user's reputation with the breakdown of its score
+ * 
+ * @param {string} userId - User ID
+ * @param {Object} [options] - Request options
+ * @param {boolean} [options.refresh=false] - Bypass the cache
+ * @returns {Promise<Object>} - Reputation (see calculateReputation) with the user's metrics
+ */
+async function getUserReputation(userId, options = {}) {
+  if (!userId) {
+    throw new Error('User ID is required.');
+  }
+  
+  const cached = reputationCache.get(userId);
+  
+  if (!options.refresh && cached && Date.now() - cached.fetchedAt < config.CACHE_MS) {
+    return cached.reputation;
+  }
+  
+  const metrics = await apiClient.get(`/users/${userId}/reputation`, {
+    auth: 'optional',
+    errorMessage: 'Failed to load reputation'
+  });
+  
+  const reputation = {
+    ...calculateReputation(metrics),
+    metrics: normalizeMetrics(metrics)
+  };
+  
+  reputationCache.set(userId, { reputation, fetchedAt: Date.now() });
+  return reputation;
+}
+
+/**
+ * Report whether a traded location matched its description
+ * Only users with access to the location can report; one report per user and location,
+ * a new report replaces the previous one.
+ * 
+ * @param {string} locationId - Location ID
+ * @param {Object} report - Accuracy report
+ * @param {boolean} report.accurate - Whether the location was as described
+ * @param {string} [report.comment] - What was different
+ * @returns {Promise<Object>} - Saved report
+ */
+async function reportLocationAccuracy(locationId, report) {
+  if (!locationId) {
+    throw new Error('Location ID is required.');
+  }
+  
+  if (!report || typeof report.accurate !== 'boolean') {
+    throw new Error('Accuracy report must say whether the location was accurate.');
+  }
+  
+  const result = await apiClient.post(`/locations/${locationId}/accuracy-reports`, {
+    accurate: report.accurate,
+    comment: report.comment || ''
+  }, {
+    errorMessage: 'Failed to send accuracy report'
+  });
+  
+  // The creator's score changes with the report
+  if (result.creatorId) {
+    reputationCache.delete(result.creatorId);
+  }
+  
+  return result;
+}
+
+/**
+ * Calculate a reputation score from trade and report metrics
+ * 
+ * @param {Object} metrics - Metrics { completedTrades, declinedTrades, expiredTrades,
+ *   cancelledTrades, accuracyReports: { accurate, inaccurate }, reviews: { count, averageRating } }
+ * @returns {Object} - { score (null for new traders), tier, completedTrades,
+ *   components: [{ name, label, value (0-1), weight }] }
+ */
+function calculateReputation(metrics) {
+  const {
+    completedTrades,
+    declinedTrades,
+    expiredTrades,
+    cancelledTrades,
+    accuracyReports,
+    reviews
+  } = normalizeMetrics(metrics);
+  
+  const components = [];
+  
+  components.push({
+    name: 'experience',
+    label: `${completedTrades} completed ${completedTrades === 1 ? 'trade' : 'trades'}`,
+    value: Math.min(completedTrades / config.EXPERIENCED_TRADE_COUNT, 1)
+  });
+  
+  // Declining is an answer; only requests left to expire count against the user
+  const receivedRequests = completedTrades + declinedTrades + expiredTrades;
+  
+  if (receivedRequests > 0) {
+    const value = 1 - expiredTrades / receivedRequests;
+    components.push({
+      name: 'responsiveness',
+      label: `Answers ${Math.round(value * 100)}% of trade requests`,
+      value
+    });
+  }
+  
+  if (completedTrades + cancelledTrades > 0) {
+    const value = completedTrades / (completedTrades + cancelledTrades);
+    components.push({
+      name: 'followThrough',
+      label: `Follows through on ${Math.round(value * 100)}% of trades`,
+      value
+    });
+  }
+  
+  const reportCount = accuracyReports.accurate + accuracyReports.inaccurate;
+  
+  if (reportCount > 0) {
+    const prior = config.ACCURACY_PRIOR;
+    components.push({
+      name: 'accuracy',
+      label: `${Math.round((accuracyReports.accurate / reportCount) * 100)}% of ${reportCount} accuracy reports positive`,
+      value: (accuracyReports.accurate + prior.accurate) / (reportCount + prior.accurate + prior.inaccurate)
+    });
+  }
+  
+  if (reviews.count > 0) {
+    const prior = config.REVIEW_PRIOR;
+    const smoothedRating = (reviews.averageRating * reviews.count + prior.averageRating * prior.count) /
+      (reviews.count + prior.count);
+      
+    components.push({
+      name: 'reviews',
+      label: `${reviews.averageRating.toFixed(1)} average from ${reviews.count} ${reviews.count === 1 ? 'review' : 'reviews'}`,
+      value: smoothedRating / 5
+    });
+  }
+  
+  const weightedComponents = components.map(component => ({
+    ...component,
+    weight: config.WEIGHTS[component.name]
+  }));
+  
+  if (completedTrades < config.MIN_TRADES_FOR_SCORE) {
+    return {
+      score: null,
+      tier: REPUTATION_TIER.NEW,
+      completedTrades,
+      components: weightedComponents
+    };
+  }
+  
+  const totalWeight = weightedComponents.reduce((sum, component) => sum + component.weight, 0);
+  const score = Math.round(
+    (weightedComponents.reduce((sum, component) => sum + component.value * component.weight, 0) / totalWeight) * 100
+  );
+  
+  return {
+    score,
+    tier: getReputationTier(score),
+    completedTrades,
+    components: weightedComponents
+  };
+}
+
+/**
+ * Get the tier for a score
+ * 
+ * @param {number|null} score - Reputation score, or null for new traders
+ * @returns {string} - Tier from REPUTATION_TIER
+ */
+function getReputationTier(score) {
+  if (typeof score !== 'number') {
+    return REPUTATION_TIER.NEW;
+  }
+  
+  return config.TIER_THRESHOLDS.find(threshold => score >= threshold.minScore).tier;
+}
+
+/**
+ * Get display details for a reputation tier
+ * 
+ * @param {string} tier - Tier from REPUTATION_TIER
+ * @returns {Object} - { label, color, icon }
+ */
+function getTierDisplay(tier) {
+  switch (tier) {
+    case REPUTATION_TIER.TRUSTED:
+      return { label: 'Trusted Trader', color: '#27ae60', icon: 'shield-checkmark' };
+    case REPUTATION_TIER.GOOD:
+      return { label: 'Good Standing', color: '#3C6E47', icon: 'shield-half' };
+    case REPUTATION_TIER.FAIR:
+      return { label: 'Fair Standing', color: '#F39C12', icon: 'shield-outline' };
+    case REPUTATION_TIER.LOW:
+      return { label: 'Low Reputation', color: '#e74c3c', icon: 'warning' };
+    default:
+      return { label: 'New Trader', color: '#888', icon: 'person-outline' };
+  }
+}
+
+/**
+ * Normalize a reputation summary from a search result or trade
+ * 
+ * @param {Object} [summary] - Summary { score, completedTrades } from the API
+ * @returns {Object|null} - { score, tier, completedTrades }, or null without a summary
+ */
+function normalizeReputationSummary(summary) {
+  if (!summary) {
+    return null;
+  }
+  
+  const completedTrades = summary.completedTrades || 0;
+  const score = completedTrades >= config.MIN_TRADES_FOR_SCORE && typeof summary.score === 'number'
+    ? summary.score
+    : null;
+    
+  return {
+    score,
+    tier: getReputationTier(score),
+    completedTrades
+  };
+}
+
+/**
+ * Fill in missing reputation metrics
+ * 
+ * @param {Object} metrics - Metrics from the API
+ * @returns {Object} - Metrics with every count present
+ */
+function normalizeMetrics(metrics = {}) {
+  const accuracyReports = metrics.accuracyReports || {};
+  const reviews = metrics.reviews || {};
+  
+  return {
+    completedTrades: metrics.completedTrades || 0,
+    declinedTrades: metrics.declinedTrades || 0,
+    expiredTrades: metrics.expiredTrades || 0,
+    cancelledTrades: metrics.cancelledTrades || 0,
+    accuracyReports: {
+      accurate: accuracyReports.accurate || 0,
+      inaccurate: accuracyReports.inaccurate || 0
+    },
+    reviews: {
+      count: reviews.count || 0,
+      averageRating: reviews.averageRating || 0
+    }
+  };
+}
+
+const trailtrades_reputation = {
+  getUserReputation,
+  reportLocationAccuracy,
+  calculateReputation,
+  getReputationTier,
+  getTierDisplay,
+  normalizeReputationSummary
+};
+
+export {
+  REPUTATION_TIER,
+  getUserReputation,
+  reportLocationAccuracy,
+  calculateReputation,
+  getReputationTier,
+  getTierDisplay,
+  normalizeReputationSummary
+};
+export default trailtrades_reputation;
\ No newline at end of file
@@ -1,10 +1,46 @@
+import apiClient from './trailtrades_apiClient';
+import { getLocationAccess } from './trailtrades_accessGrants';
+import { normalizeReputationSummary } from './trailtrades_reputation';
+
+// Typeahead suggestion types
+const SUGGESTION_TYPE = {
+  LOCATION: 'location',
+  TAG: 'tag',
+  PLACE: 'place'
+};
+
+// Text search configuration
+const textSearchConfig = {
+  FIELDS: ['name', 'description', 'tags'],
+  MAX_QUERY_LENGTH: 200,
+  SNIPPET_LENGTH: 160,
+  SNIPPET_LEAD: 40, // characters shown before the first match
+  SUGGEST_MIN_LENGTH: 2,
+  SUGGEST_LIMIT: 8,
+  // 'slot canyons near Moab' -> text 'slot canyons', place 'Moab'
+  // ('around' is left alone: 'walk around the lake' names no place)
+  PLACE_PATTERN: /^(.*?)\s*\bnear\s+(.+)$/i,
+  CURRENT_LOCATION_WORDS: ['me', 'here']
+};
+
 /**
  * TrailTrades Discovery & Search Module
  * 
  * Provides functionality to search and discover locations based on geographic area,
  * categories, user preferences, and various filters. Supports map view and list view options.
  * 
+ * A text query is matched against name, description and tags (fuzzy by default), and results
+ * are then ordered by relevance unless sortBy says otherwise. A trailing 'near <place>' in the
+ * query is resolved to the search area (see resolvePlace); a place that can't be found, or
+ * whose best match has a different name ('camping near water'), is searched for as text.
+ * With a query but no area, all locations are searched. List results carry highlights built
+ * from the server's match ranges; suggestLocations serves typeahead.
+ * 
  * @param {Object} searchParameters - Search parameters object
+ * @param {string} [searchParameters.query] - Text to search for, optionally ending in 'near <place>'
+ * @param {boolean} [searchParameters.fuzzy=true] - Whether the query also matches misspellings
+ * @param {string} [searchParameters.place] - Place name to search around (takes precedence over location
+ *   and boundingBox)
  * @param {Object} [searchParameters.location] - Location to search from (center point)
  * @param {number} searchParameters.location.latitude - Latitude of center point
  * @param {number} searchParameters.location.longitude - Longitude of center point
@@ -28,7 +64,8 @@
  * @param {string} [searchParameters.difficulty] - Trail difficulty filter ('easy', 'moderate', 'difficult', 'extreme')
  * @param {number} [searchParameters.minTrailLength] - Minimum trail length in miles
  * @param {number} [searchParameters.maxTrailLength] - Maximum trail length in miles
- * @param {string} [searchParameters.sortBy='distance'] - Sort results by ('distance', 'popularity', 'rating', 'newest')
+ * @param {string} [searchParameters.sortBy] - Sort results by ('relevance', 'distance', 'popularity', 'rating',
+ *   'newest'); defaults to 'relevance' with a query and 'distance' otherwise
  * @param {string} [searchParameters.privacyLevel='all'] - Privacy level filter ('public', 'followers', 'trade', 'all')
  * @param {string} [searchParameters.createdBy] - Filter by creator user ID
  * @param {boolean} [searchParameters.favorited] - Filter by user's favorites
@@ -36,7 +73,12 @@
  * @param {number} [searchParameters.limit=20] - Maximum number of results to return
  * @param {number} [searchParameters.offset=0] - Offset for pagination
  * @param {string} [searchParameters.viewType='map'] - View type ('map' or 'list')
- * @returns {Promise<Object>} - Promise resolving to search results object
+ * @returns {Promise<Object>} - Promise resolving to search results object. Each location has
+ *   userHasAccess, true only while the user's access grant is active, and access
+ *   { level, canNavigate, expiresAt } (see trailtrades_accessGrants). creator.reputation is the
+ *   creator's reputation summary (see trailtrades_reputation). List results with text matches have
+ *   highlights { name, snippet, tags }, where name and snippet are segments [{ text, highlighted }].
+ *   query { text, place } reports how the query was read, place being the resolved place or null.
  */
 async function trailtrades_searchLocations(searchParameters = {}) {
   // Import necessary geo utilities
@@ -44,7 +86,6 @@ async function trailtrades_searchLocations(searchParameters = {}) {
   
   // Import configuration
   const config = {
-    API_BASE_URL: process.env.TRAILTRADES_API_URL || 'https://api.trailtrades.com',
     DEFAULT_SEARCH_RADIUS: 50, // miles
     MAX_SEARCH_RADIUS: 500, // miles
     DEFAULT_RESULTS_LIMIT: 20
@@ -55,7 +96,7 @@ async function trailtrades_searchLocations(searchParameters = {}) {
     radius: config.DEFAULT_SEARCH_RADIUS,
     limit: config.DEFAULT_RESULTS_LIMIT,
     offset: 0,
-    sortBy: 'distance',
+    fuzzy: true,
     privacyLevel: 'all',
     viewType: 'map',
     ...searchParameters
@@ -64,11 +105,43 @@ async function trailtrades_searchLocations(searchParameters = {}) {
   // Validate search parameters
   validateSearchParameters(params);
   
-  // Determine search method (location+radius or bounding box)
+  // Split a place off the query and resolve it to an area
+  const parsedQuery = parsePlaceQuery(params.query);
+  const placeName = params.place ? params.place.trim() : parsedQuery.placeName;
+  const foundPlace = placeName ? await resolvePlace(placeName, { near: params.location }) : null;
+  // Only move the search to a place from the query when it's the place that was named
+  const place = foundPlace && (params.place || isConfidentPlaceMatch(placeName, foundPlace))
+    ? foundPlace
+    : null;
+  
+  if (params.place && !place) {
+    const error = new Error(`No place found matching "${placeName}".`);
+    error.code = 'PLACE_NOT_FOUND';
+    throw error;
+  }
+  
+  // A place in the query that can't be found (or isn't the one named) is searched for as text
+  const queryText = placeName && !place && !params.place
+    ? params.query.trim()
+    : parsedQuery.text;
+    
+  params.sortBy = params.sortBy || (queryText ? 'relevance' : 'distance');
+  
+  // Determine search method (place, location+radius, bounding box or anywhere)
   let searchMethod;
   let searchArea;
   
-  if (params.location) {
+  if (place && place.boundingBox) {
+    searchMethod = 'boundingBox';
+    searchArea = { ...place.boundingBox };
+  } else if (place) {
+    searchMethod = 'radius';
+    searchArea = {
+      latitude: place.center.latitude,
+      longitude: place.center.longitude,
+      radius: params.radius
+    };
+  } else if (params.location) {
     searchMethod = 'radius';
     searchArea = {
       latitude: params.location.latitude,
@@ -83,6 +156,10 @@ async function trailtrades_searchLocations(searchParameters = {}) {
       east: params.boundingBox.east,
       west: params.boundingBox.west
     };
+  } else if (queryText) {
+    // Text searches aren't limited to the device's surroundings
+    searchMethod = 'anywhere';
+    searchArea = null;
   } else {
     // Use device location if available
     try {
@@ -102,6 +179,13 @@ async function trailtrades_searchLocations(searchParameters = {}) {
   const requestBody = {
     searchMethod,
     searchArea,
+    ...(queryText ? {
+      query: {
+        text: queryText,
+        fuzzy: params.fuzzy !== false,
+        fields: textSearchConfig.FIELDS
+      }
+    } : {}),
     filters: buildFilters(params),
     sort: {
       by: params.sortBy
@@ -113,38 +197,25 @@ async function trailtrades_searchLocations(searchParameters = {}) {
   };
   
   try {
-    // Get authentication token (allows personalized results)
-    let authToken;
-    try {
-      authToken = await getAuthToken();
-    } catch (authError) {
-      // Continue without auth for public searches
-      console.log('Searching without authentication. Only public locations will be returned.');
-    }
-    
-    // Make API request
-    const response = await fetch(`${config.API_BASE_URL}/search/locations`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        ...(authToken ? { 'Authorization': `Bearer ${authToken}` } : {})
-      },
-      body: JSON.stringify(requestBody)
+    // Authentication is optional (allows personalized results)
+    const searchResults = await apiClient.post('/search/locations', requestBody, {
+      auth: 'optional',
+      errorMessage: 'Search failed with status'
     });
     
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.message || `Search failed with status: ${response.status}`);
-    }
-    
-    const searchResults = await response.json();
-    
     // Process results based on viewType
-    return processSearchResults(searchResults, params.viewType);
+    return {
+      ...processSearchResults(searchResults, params.viewType),
+      query: {
+        text: queryText,
+        place
+      }
+    };
     
   } catch (error) {
     console.error('Location search error:', error);
-    throw new Error(`Failed to search locations: ${error.message}`);
+    error.message = `Failed to search locations: ${error.message}`;
+    throw error;
   }
   
   /**
@@ -154,6 +225,23 @@ async function trailtrades_searchLocations(searchParameters = {}) {
    * @throws {Error} - If parameters are invalid
    */
   function validateSearchParameters(params) {
+    // Validate text query if provided
+    if (params.query !== undefined && params.query !== null) {
+      if (typeof params.query !== 'string') {
+        throw new Error('Search query must be a string.');
+      }
+      
+      if (params.query.length > textSearchConfig.MAX_QUERY_LENGTH) {
+        throw new Error(`Search query cannot exceed ${textSearchConfig.MAX_QUERY_LENGTH} characters.`);
+      }
+    }
+    
+    // Validate place if provided
+    if (params.place !== undefined && params.place !== null &&
+        (typeof params.place !== 'string' || !params.place.trim())) {
+      throw new Error('Place must be a non-empty place name.');
+    }
+    
     // Validate location if provided
     if (params.location) {
       if (typeof params.location.latitude !== 'number' || 
@@ -212,8 +300,8 @@ async function trailtrades_searchLocations(searchParameters = {}) {
     }
     
     // Validate sortBy
-    if (params.sortBy && !['distance', 'popularity', 'rating', 'newest'].includes(params.sortBy)) {
-      throw new Error('Invalid sort option. Use "distance", "popularity", "rating", or "newest".');
+    if (params.sortBy && !['relevance', 'distance', 'popularity', 'rating', 'newest'].includes(params.sortBy)) {
+      throw new Error('Invalid sort option. Use "relevance", "distance", "popularity", "rating", or "newest".');
     }
     
     // Validate privacyLevel
@@ -400,6 +488,12 @@ async function trailtrades_searchLocations(searchParameters = {}) {
       privacyLevel: location.privacyLevel,
       isTradeAvailable: location.privacyLevel === 'trade',
       tradeCredits: location.tradeCredits || 0,
+      ...getAccessFields(location),
+      creator: location.creator ? {
+        id: location.creator.id,
+        username: location.creator.username,
+        reputation: normalizeReputationSummary(location.creator.reputation)
+      } : null,
       rating: location.rating || 0,
       reviewCount: location.reviewCount || 0
     };
@@ -421,6 +515,7 @@ async function trailtrades_searchLocations(searchParameters = {}) {
       categories: location.categories,
       tags: location.tags || [],
       description: truncateText(location.description, 200),
+      highlights: getSearchHighlights(location),
       preview: {
         photoUrl: location.previewPhotoUrl || null,
         photoCount: location.photoCount || 0
@@ -431,10 +526,12 @@ async function trailtrades_searchLocations(searchParameters = {}) {
       privacyLevel: location.privacyLevel,
       isTradeAvailable: location.privacyLevel === 'trade',
       tradeCredits: location.tradeCredits || 0,
+      ...getAccessFields(location),
       creator: {
         id: location.creator.id,
         username: location.creator.username,
-        avatarUrl: location.creator.avatarUrl
+        avatarUrl: location.creator.avatarUrl,
+        reputation: normalizeReputationSummary(location.creator.reputation)
       },
       rating: location.rating || 0,
       reviewCount: location.reviewCount || 0,
@@ -452,15 +549,17 @@ async function trailtrades_searchLocations(searchParameters = {}) {
    * @returns {Object} - Coordinates for display
    */
   function getDisplayCoordinates(location) {
+    const { hasAccess } = getLocationAccess(location);
+    
     // For non-public locations, show approximate coordinates
-    if (location.privacyLevel === 'trade' && !location.userHasAccess) {
+    if (location.privacyLevel === 'trade' && !hasAccess) {
       // For trade locations, show approximate coordinates (within 10-mile radius)
       return getApproximateCoordinates(
         location.coordinates.latitude,
         location.coordinates.longitude,
         10 // miles
       );
-    } else if (location.privacyLevel === 'private' && !location.userHasAccess) {
+    } else if (location.privacyLevel === 'private' && !hasAccess) {
       // For private locations, show very approximate coordinates (within 20-mile radius)
       return getApproximateCoordinates(
         location.coordinates.latitude,
@@ -476,6 +575,26 @@ async function trailtrades_searchLocations(searchParameters = {}) {
     }
   }
   
+  /**
+   * Get the user's access to a location
+   * Expired and revoked grants don't count as access, even if the location is cached.
+   * 
+   * @param {Object} location - Location object
+   * @returns {Object} - { userHasAccess, access }
+   */
+  function getAccessFields(location) {
+    const access = getLocationAccess(location);
+    
+    return {
+      userHasAccess: access.hasAccess,
+      access: {
+        level: access.level,
+        canNavigate: access.canNavigate,
+        expiresAt: access.expiresAt
+      }
+    };
+  }
+  
   /**
    * Get approximate coordinates within a radius
    * 
@@ -553,38 +672,275 @@ async function trailtrades_searchLocations(searchParameters = {}) {
       );
     });
   }
+}
+
+/**
+ * Get typeahead suggestions for a partially typed query
+ * Text shorter than textSearchConfig.SUGGEST_MIN_LENGTH gets no suggestions.
+ * 
+ * @param {string} text - What the user has typed so far
+ * @param {Object} [options] - Suggestion options
+ * @param {Object} [options.near] - { latitude, longitude } to rank nearby locations and places first
+ * @param {number} [options.limit] - Maximum number of suggestions
+ * @returns {Promise<Array>} - Suggestions { type (from SUGGESTION_TYPE), text, segments, locationId, place },
+ *   where segments [{ text, highlighted }] mark the typed text
+ */
+async function suggestLocations(text, options = {}) {
+  const prefix = (text || '').trim().slice(0, textSearchConfig.MAX_QUERY_LENGTH);
   
-  /**
-   * Helper function to retrieve authentication token
-   * 
-   * @returns {Promise<string>} - Authentication token
-   */
-  async function getAuthToken() {
-    try {
-      let token;
+  if (prefix.length < textSearchConfig.SUGGEST_MIN_LENGTH) {
+    return [];
+  }
+  
+  const result = await apiClient.get('/search/suggest', {
+    query: {
+      q: prefix,
+      lat: options.near ? options.near.latitude : undefined,
+      lng: options.near ? options.near.longitude : undefined,
+      limit: options.limit || textSearchConfig.SUGGEST_LIMIT
+    },
+    auth: 'optional',
+    errorMessage: 'Failed to load suggestions'
+  });
+  
+  return (result.suggestions || [])
+    .filter(suggestion => Object.values(SUGGESTION_TYPE).includes(suggestion.type) && suggestion.text)
+    .map(suggestion => ({
+      type: suggestion.type,
+      text: suggestion.text,
+      segments: toHighlightSegments(suggestion.text, suggestion.matches || []),
+      locationId: suggestion.locationId || null,
+      place: suggestion.place ? normalizePlace(suggestion.place) : null
+    }));
+}
+
+/**
+ * Find a named place (town, park, landmark) to search around
+ * 
+ * @param {string} name - Place name, e.g. 'Moab' or 'Moab, UT'
+ * @param {Object} [options] - Lookup options
+ * @param {Object} [options.near] - { latitude, longitude } to prefer places close to
+ * @returns {Promise<Object|null>} - Place { id, name, region, center, boundingBox } or null if none matches
+ */
+async function resolvePlace(name, options = {}) {
+  const placeName = (name || '').trim();
+  
+  if (!placeName) {
+    throw new Error('Place name is required.');
+  }
+  
+  const result = await apiClient.get('/search/places', {
+    query: {
+      q: placeName,
+      lat: options.near ? options.near.latitude : undefined,
+      lng: options.near ? options.near.longitude : undefined,
+      limit: 1
+    },
+    auth: 'optional',
+    errorMessage: 'Failed to find place'
+  });
+  
+  const places = result.places || [];
+  
+  return places.length > 0 ? normalizePlace(places[0]) : null;
+}
+
+/**
+ * Split a trailing place phrase off a text query
+ * 'near me' and 'near here' are dropped, as the search already starts from the device.
+ * 
+ * @param {string} [query] - Text query, e.g. 'slot canyons near Moab'
+ * @returns {Object} - { text, placeName } (placeName is null when the query names no place)
+ */
+function parsePlaceQuery(query) {
+  const trimmed = (query || '').trim();
+  const match = trimmed.match(textSearchConfig.PLACE_PATTERN);
+  
+  if (!match) {
+    return { text: trimmed, placeName: null };
+  }
+  
+  const placeName = match[2].trim();
+  
+  return {
+    text: match[1].trim(),
+    placeName: textSearchConfig.CURRENT_LOCATION_WORDS.includes(placeName.toLowerCase()) ? null : placeName
+  };
+}
+
+/**
+ * Check that a place found for a name is the place that was named
+ * The lookup returns its closest match for anything ('water' may find 'Water Valley'), so
+ * the place's name must be the name given. A region after a comma ('Moab, UT') is ignored.
+ * 
+ * @param {string} name - Place name from the query
+ * @param {Object} place - Place from resolvePlace
+ * @returns {boolean} - Whether the place matches the name
+ */
+function isConfidentPlaceMatch(name, place) {
+  const wanted = name.split(',')[0].trim().toLowerCase();
+  const found = (place.name || '').trim().toLowerCase();
+  
+  return Boolean(wanted) && found === wanted;
+}
+
+/**
+ * Build highlights for a search hit from the server's match ranges
+ * Ranges are [start, end) character offsets into the full name and description.
+ * 
+ * @param {Object} location - Location from the search API
+ * @returns {Object|null} - { name, snippet, tags } (name and snippet are segments or null,
+ *   tags lists the matched tags), or null if the hit has no text matches
+ */
+function getSearchHighlights(location) {
+  const matches = location.matches;
+  
+  if (!matches) {
+    return null;
+  }
+  
+  return {
+    name: matches.name && matches.name.length > 0
+      ? toHighlightSegments(location.name || '', matches.name)
+      : null,
+    snippet: matches.description && matches.description.length > 0
+      ? buildSnippet(location.description || '', matches.description)
+      : null,
+    tags: Array.isArray(matches.tags) ? matches.tags : []
+  };
+}
+
+/**
+ * Cut a snippet of text around its first match
+ * 
+ * @param {string} text - Full text
+ * @param {Array} ranges - Match ranges [[start, end], ...]
+ * @returns {Array|null} - Segments [{ text, highlighted }], or null if no range falls inside the text
+ */
+function buildSnippet(text, ranges) {
+  const merged = mergeRanges(ranges, text.length);
+  
+  if (merged.length === 0) {
+    return null;
+  }
+  
+  // Start a little before the first match, at the start of a word
+  let start = Math.max(0, merged[0][0] - textSearchConfig.SNIPPET_LEAD);
+  
+  if (start > 0) {
+    start = text.lastIndexOf(' ', start) + 1;
+  }
+  
+  // End at a word boundary, but never inside the first match
+  let end = Math.min(text.length, start + textSearchConfig.SNIPPET_LENGTH);
+  
+  if (end < text.length) {
+    const lastSpace = text.lastIndexOf(' ', end);
+    end = lastSpace > merged[0][1] ? lastSpace : Math.max(end, merged[0][1]);
+  }
+  
+  const windowRanges = merged
+    .filter(([rangeStart, rangeEnd]) => rangeEnd > start && rangeStart < end)
+    .map(([rangeStart, rangeEnd]) => [Math.max(rangeStart, start) - start, Math.min(rangeEnd, end) - start]);
+    
+  const segments = toHighlightSegments(text.slice(start, end), windowRanges);
+  
+  if (start > 0) {
+    segments.unshift({ text: '...', highlighted: false });
+  }
+  
+  if (end < text.length) {
+    segments.push({ text: '...', highlighted: false });
+  }
+  
+  return segments;
+}
+
+/**
+ * Split text into highlighted and plain segments
+ * 
+ * @param {string} text - Text
+ * @param {Array} ranges - Match ranges [[start, end], ...]
+ * @returns {Array} - Segments [{ text, highlighted }]
+ */
+function toHighlightSegments(text, ranges) {
+  const segments = [];
+  let position = 0;
+  
+  for (const [start, end] of mergeRanges(ranges, text.length)) {
+    if (start > position) {
+      segments.push({ text: text.slice(position, start), highlighted: false });
+    }
+    
+    segments.push({ text: text.slice(start, end), highlighted: true });
+    position = end;
+  }
+  
+  if (position < text.length) {
+    segments.push({ text: text.slice(position), highlighted: false });
+  }
+  
+  return segments;
+}
+
+/**
+ * Clamp, sort and merge overlapping match ranges
+ * 
+ * @param {Array} ranges - Match ranges [[start, end], ...]
+ * @param {number} length - Length of the text the ranges point into
+ * @returns {Array} - Disjoint ranges in order
+ */
+function mergeRanges(ranges, length) {
+  const merged = [];
+  
+  (ranges || [])
+    .filter(range => Array.isArray(range) && typeof range[0] === 'number' && typeof range[1] === 'number')
+    .map(([start, end]) => [Math.max(0, start), Math.min(length, end)])
+    .filter(([start, end]) => end > start)
+    .sort((a, b) => a[0] - b[0])
+    .forEach(range => {
+      const last = merged[merged.length - 1];
       
-      if (Platform.OS === 'ios') {
-        // iOS secure storage implementation
-        const credentials = await Keychain.getGenericPassword();
-        token = credentials.password;
-      } else if (Platform.OS === 'android') {
-        // Android secure storage implementation
-        token = await EncryptedStorage.getItem('trailtrades_auth_token');
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1]);
       } else {
-        // Web fallback
-        token = localStorage.getItem('trailtrades_auth_token');
+        merged.push(range);
       }
-      
-      if (!token) {
-        throw new Error('Authentication token not found. Please log in.');
-      }
-      
-      return token;
-    } catch (error) {
-      console.error('Failed to retrieve authentication token:', error);
-      throw new Error('Authentication required. Please log in.');
-    }
-  }
+    });
+    
+  return merged;
+}
+
+/**
+ * Normalize a place from the API
+ * 
+ * @param {Object} place - Place from the API
+ * @returns {Object} - Place { id, name, region, center: { latitude, longitude }, boundingBox }
+ */
+function normalizePlace(place) {
+  const box = place.boundingBox;
+  const hasBoundingBox = Boolean(box) &&
+    ['north', 'south', 'east', 'west'].every(edge => typeof box[edge] === 'number');
+    
+  return {
+    id: place.id,
+    name: place.name,
+    region: place.region || null,
+    center: {
+      latitude: place.latitude,
+      longitude: place.longitude
+    },
+    boundingBox: hasBoundingBox
+      ? { north: box.north, south: box.south, east: box.east, west: box.west }
+      : null
+  };
 }
 
+export {
+  trailtrades_searchLocations,
+  suggestLocations,
+  resolvePlace,
+  parsePlaceQuery,
+  SUGGESTION_TYPE
+};
 export default trailtrades_searchLocations;
\ No newline at end of file
@@ -0,0 +1,452 @@
+import apiClient from './trailtrades_apiClient';
+
+/**
+ * TrailTrades Session Manager Module
+ * 
+ * Owns the authenticated session: stores access and refresh tokens in secure storage,
+ * refreshes the access token shortly before it expires, recovers from 401 responses
+ * by refreshing once, and wipes all stored credentials on logout. The shared API
+ * client is configured to take its bearer token from this module.
+ */
+
+// Session configuration
+const config = {
+  STORAGE_KEY: 'trailtrades_session',
+  LEGACY_TOKEN_KEY: 'trailtrades_auth_token',
+  KEYCHAIN_USERNAME: 'trailtrades_user',
+  REFRESH_THRESHOLD_MS: 2 * 60 * 1000, // refresh 2 minutes before expiry
+  DEFAULT_TOKEN_TTL_SECONDS: 60 * 60
+};
+
+// In-memory copy of the stored session
+let currentSession = null;
+
+// Refresh in flight (shared so concurrent requests only refresh once)
+let refreshPromise = null;
+
+// User ID lookup in flight (see ensureSessionUserId)
+let userIdPromise = null;
+
+// Session change listeners
+const sessionListeners = new Set();
+
+/**
+ * Store a new session from an authentication response
+ * 
+ * @param {Object} authData - Authentication response data
+ * @param {string} [authData.accessToken] - Access token
+ * @param {string} [authData.token] - Access token (legacy field name)
+ * @param {string} [authData.refreshToken] - Refresh token
+ * @param {number} [authData.expiresIn] - Access token lifetime in seconds
+ * @param {string|number} [authData.expiresAt] - Access token expiry (ISO date or epoch ms)
+ * @param {Object} [authData.user] - Authenticated user
+ * @returns {Promise<Object>} - Stored session
+ */
+async function storeSession(authData) {
+  const accessToken = authData && (authData.accessToken || authData.token);
+  
+  if (!accessToken) {
+    throw new Error('Authentication response did not include an access token.');
+  }
+  
+  const session = {
+    accessToken,
+    refreshToken: authData.refreshToken || (currentSession && currentSession.refreshToken) || null,
+    expiresAt: resolveExpiry(authData),
+    userId: (authData.user && authData.user.id) || authData.userId || (currentSession && currentSession.userId) || null
+  };
+  
+  await writeSecureSession(session);
+  currentSession = session;
+  
+  notifySessionListeners('login', session);
+  
+  return session;
+}
+
+/**
+ * Get the current session, loading it from secure storage if needed
+ * 
+ * @returns {Promise<Object|null>} - Session or null when logged out
+ */
+async function getSession() {
+  if (!currentSession) {
+    currentSession = await readSecureSession();
+  }
+  
+  return currentSession;
+}
+
+/**
+ * Get the current session with its user ID
+ * Tokens stored by older app versions were migrated without a user ID; it is looked up
+ * from /users/me the first time it's needed and stored with the session.
+ * 
+ * @returns {Promise<Object|null>} - Session (userId stays null if the lookup failed, e.g.
+ *   offline) or null when logged out
+ */
+async function ensureSessionUserId() {
+  const session = await getSession();
+  
+  if (!session || session.userId) {
+    return session;
+  }
+  
+  if (!userIdPromise) {
+    userIdPromise = (async () => {
+      try {
+        const user = await apiClient.get('/users/me', {
+          errorMessage: 'Failed to get user info'
+        });
+        
+        // Logged out (or another account logged in) while looking up
+        if (!user || !user.id || !currentSession || currentSession.userId) {
+          return currentSession;
+        }
+        
+        const updated = { ...currentSession, userId: user.id };
+        
+        await writeSecureSession(updated);
+        currentSession = updated;
+        
+        return updated;
+      } catch (error) {
+        console.warn('Failed to look up the signed-in user:', error.message);
+        return currentSession;
+      }
+    })();
+  }
+  
+  try {
+    return await userIdPromise;
+  } finally {
+    userIdPromise = null;
+  }
+}
+
+/**
+ * Get a valid access token, refreshing it first if it is about to expire
+ * 
+ * @returns {Promise<string>} - Access token
+ * @throws {Error} - If no session exists or the session can no longer be refreshed
+ */
+async function getAccessToken() {
+  const session = await getSession();
+  
+  if (!session || !session.accessToken) {
+    throw new Error('Authentication required. Please log in.');
+  }
+  
+  // Proactively refresh shortly before expiry
+  if (session.refreshToken && session.expiresAt &&
+      session.expiresAt - Date.now() < config.REFRESH_THRESHOLD_MS) {
+    try {
+      const refreshed = await refreshSession();
+      return refreshed.accessToken;
+    } catch (error) {
+      if (error.sessionExpired) {
+        throw error;
+      }
+      
+      // Refresh failed for a transient reason (e.g. no signal); keep using the current
+      // token and let the request itself decide
+      console.warn('Token refresh failed, using current token:', error.message);
+    }
+  }
+  
+  return session.accessToken;
+}
+
+/**
+ * Exchange the refresh token for a new access token
+ * 
+ * @returns {Promise<Object>} - Refreshed session
+ * @throws {Error} - With sessionExpired=true if the server rejected the refresh token
+ */
+async function refreshSession() {
+  if (refreshPromise) {
+    return refreshPromise;
+  }
+  
+  refreshPromise = (async () => {
+    const session = await getSession();
+    
+    if (!session || !session.refreshToken) {
+      throw createExpiredError();
+    }
+    
+    try {
+      const authData = await apiClient.post('/auth/refresh', {
+        refreshToken: session.refreshToken
+      }, {
+        auth: false,
+        errorMessage: 'Failed to refresh session'
+      });
+      
+      const refreshed = {
+        accessToken: authData.accessToken || authData.token,
+        refreshToken: authData.refreshToken || session.refreshToken,
+        expiresAt: resolveExpiry(authData),
+        userId: session.userId
+      };
+      
+      await writeSecureSession(refreshed);
+      currentSession = refreshed;
+      
+      notifySessionListeners('refresh', refreshed);
+      
+      return refreshed;
+    } catch (error) {
+      // Refresh token rejected: the session is over
+      if (error.status === 400 || error.status === 401 || error.status === 403) {
+        await clearSession('expired');
+        throw createExpiredError();
+      }
+      
+      throw error;
+    }
+  })();
+  
+  try {
+    return await refreshPromise;
+  } finally {
+    refreshPromise = null;
+  }
+}
+
+/**
+ * Recover from a 401 response by refreshing the session
+ * 
+ * @param {string} rejectedToken - Access token the server rejected
+ * @returns {Promise<boolean>} - Whether the request should be retried
+ */
+async function handleUnauthorized(rejectedToken) {
+  const session = await getSession();
+  
+  if (!session) {
+    return false;
+  }
+  
+  // Another request already refreshed the token
+  if (session.accessToken !== rejectedToken) {
+    return true;
+  }
+  
+  try {
+    await refreshSession();
+    return true;
+  } catch (error) {
+    console.error('Session recovery failed:', error);
+    return false;
+  }
+}
+
+/**
+ * Log out: revoke the refresh token on the server (best effort) and wipe stored credentials
+ * 
+ * @param {Object} [options] - Logout options
+ * @param {boolean} [options.revoke=true] - Whether to revoke the session on the server
+ * @returns {Promise<void>}
+ */
+async function logout(options = {}) {
+  const { revoke = true } = options;
+  const session = await getSession();
+  
+  if (revoke && session && session.refreshToken) {
+    try {
+      await apiClient.post('/auth/logout', {
+        refreshToken: session.refreshToken
+      }, {
+        auth: false,
+        errorMessage: 'Failed to revoke session'
+      });
+    } catch (error) {
+      // Continue with local logout even if the server is unreachable
+      console.warn('Failed to revoke session on server:', error.message);
+    }
+  }
+  
+  await clearSession('logout');
+}
+
+/**
+ * Subscribe to session changes
+ * 
+ * @param {Function} listener - Called with (event, session); event is 'login', 'refresh', 'logout' or 'expired'
+ * @returns {Function} - Unsubscribe function
+ */
+function onSessionChange(listener) {
+  sessionListeners.add(listener);
+  
+  return () => {
+    sessionListeners.delete(listener);
+  };
+}
+
+/**
+ * Wipe session from memory and secure storage
+ * 
+ * @param {string} reason - 'logout' or 'expired'
+ * @returns {Promise<void>}
+ */
+async function clearSession(reason) {
+  currentSession = null;
+  
+  try {
+    if (Platform.OS === 'ios') {
+      await Keychain.resetGenericPassword();
+    } else if (Platform.OS === 'android') {
+      await EncryptedStorage.removeItem(config.STORAGE_KEY);
+      await EncryptedStorage.removeItem(config.LEGACY_TOKEN_KEY);
+    } else {
+      localStorage.removeItem(config.STORAGE_KEY);
+      localStorage.removeItem(config.LEGACY_TOKEN_KEY);
+    }
+  } catch (error) {
+    console.error('Failed to clear stored session:', error);
+  }
+  
+  notifySessionListeners(reason, null);
+}
+
+/**
+ * Write session to secure storage
+ * Implementation varies based on platform (iOS/Android)
+ * 
+ * @param {Object} session - Session to store
+ * @returns {Promise<void>}
+ */
+async function writeSecureSession(session) {
+  const serialized = JSON.stringify(session);
+  
+  try {
+    if (Platform.OS === 'ios') {
+      // iOS secure storage implementation
+      await Keychain.setGenericPassword(config.KEYCHAIN_USERNAME, serialized);
+    } else if (Platform.OS === 'android') {
+      // Android secure storage implementation
+      await EncryptedStorage.setItem(config.STORAGE_KEY, serialized);
+    } else {
+      // Web fallback
+      localStorage.setItem(config.STORAGE_KEY, serialized);
+    }
+  } catch (error) {
+    console.error('Failed to store session:', error);
+    throw new Error('Failed to securely store authentication data');
+  }
+}
+
+/**
+ * Read session from secure storage, accepting tokens stored by older app versions
+ * 
+ * @returns {Promise<Object|null>} - Stored session or null
+ */
+async function readSecureSession() {
+  try {
+    let stored = null;
+    
+    if (Platform.OS === 'ios') {
+      const credentials = await Keychain.getGenericPassword();
+      stored = credentials ? credentials.password : null;
+    } else if (Platform.OS === 'android') {
+      stored = await EncryptedStorage.getItem(config.STORAGE_KEY) ||
+        await EncryptedStorage.getItem(config.LEGACY_TOKEN_KEY);
+    } else {
+      stored = localStorage.getItem(config.STORAGE_KEY) ||
+        localStorage.getItem(config.LEGACY_TOKEN_KEY);
+    }
+    
+    if (!stored) {
+      return null;
+    }
+    
+    try {
+      return JSON.parse(stored);
+    } catch (parseError) {
+      // Legacy bare bearer token without refresh token or expiry
+      return {
+        accessToken: stored,
+        refreshToken: null,
+        expiresAt: null,
+        userId: null
+      };
+    }
+  } catch (error) {
+    console.error('Failed to read stored session:', error);
+    return null;
+  }
+}
+
+/**
+ * Resolve access token expiry timestamp
+ * 
+ * @param {Object} authData - Authentication response data
+ * @returns {number} - Expiry as epoch milliseconds
+ */
+function resolveExpiry(authData) {
+  if (authData.expiresAt) {
+    return typeof authData.expiresAt === 'number'
+      ? authData.expiresAt
+      : new Date(authData.expiresAt).getTime();
+  }
+  
+  const ttlSeconds = typeof authData.expiresIn === 'number'
+    ? authData.expiresIn
+    : config.DEFAULT_TOKEN_TTL_SECONDS;
+    
+  return Date.now() + ttlSeconds * 1000;
+}
+
+/**
+ * Create the error raised when the session can no longer be refreshed
+ * 
+ * @returns {Error} - Session expired error
+ */
+function createExpiredError() {
+  const error = new Error('Your session has expired. Please log in again.');
+  error.sessionExpired = true;
+  return error;
+}
+
+/**
+ * Notify session listeners
+ * 
+ * @param {string} event - Session event
+ * @param {Object|null} session - Current session
+ */
+function notifySessionListeners(event, session) {
+  sessionListeners.forEach(listener => {
+    try {
+      listener(event, session);
+    } catch (error) {
+      console.error('Session listener error:', error);
+    }
+  });
+}
+
+// Route API client authentication through the session
+apiClient.configure({
+  getAuthToken: getAccessToken,
+  onUnauthorized: handleUnauthorized
+});
+
+const trailtrades_sessionManager = {
+  storeSession,
+  getSession,
+  ensureSessionUserId,
+  getAccessToken,
+  refreshSession,
+  logout,
+  onSessionChange
+};
+
+export {
+  storeSession,
+  getSession,
+  ensureSessionUserId,
+  getAccessToken,
+  refreshSession,
+  logout,
+  onSessionChange
+};
+export default trailtrades_sessionManager;
\ No newline at end of file
@@ -0,0 +1,293 @@
+import {
+  trailtrades_authenticateUser,
+  linkSsoAccount,
+  isAccountLinkRequiredError,
+  isPrivateRelayEmail
+} from './trailtrades_authenticateUser';
+
+/**
+ * TrailTrades Social Sign-In Module
+ * 
+ * Obtains an identity token from Google or Apple with the native SDKs and exchanges it
+ * for a TrailTrades session at /auth/{provider}. When the provider email already belongs
+ * to an email/password account, the sign-in result asks the caller to collect that
+ * account's password and finish with linkAccount. Apple may hand out a "Hide My Email"
+ * relay address instead of the user's real one; it is flagged on the result so the UI
+ * can explain why an existing account was not found.
+ */
+
+// Provider configuration
+const config = {
+  GOOGLE_WEB_CLIENT_ID: process.env.TRAILTRADES_GOOGLE_WEB_CLIENT_ID,
+  GOOGLE_IOS_CLIENT_ID: process.env.TRAILTRADES_GOOGLE_IOS_CLIENT_ID,
+  APPLE_SERVICE_ID: process.env.TRAILTRADES_APPLE_SERVICE_ID || 'com.trailtrades.signin',
+  APPLE_REDIRECT_URI: process.env.TRAILTRADES_APPLE_REDIRECT_URI || 'https://api.trailtrades.com/auth/apple/callback'
+};
+
+// Google SDK is configured once per app launch
+let googleConfigured = false;
+
+/**
+ * Sign in with Google or Apple
+ * 
+ * @param {string} provider - 'google' or 'apple'
+ * @returns {Promise<Object>} - One of:
+ *   { status: 'cancelled' } if the user dismissed the provider sheet,
+ *   { status: 'signed_in', userData, privateRelayEmail } on success,
+ *   { status: 'link_required', provider, email, linkToken, privateRelayEmail } if the
+ *   provider email belongs to an existing email/password account
+ */
+async function signInWithProvider(provider) {
+  if (provider !== 'google' && provider !== 'apple') {
+    throw new Error('Invalid SSO provider. Use "google" or "apple".');
+  }
+  
+  const credentials = provider === 'google'
+    ? await getGoogleCredentials()
+    : await getAppleCredentials();
+    
+  if (!credentials) {
+    return { status: 'cancelled' };
+  }
+  
+  const privateRelayEmail = isPrivateRelayEmail(credentials.email);
+  
+  try {
+    const userData = await trailtrades_authenticateUser(provider, credentials);
+    
+    return {
+      status: 'signed_in',
+      userData,
+      privateRelayEmail
+    };
+  } catch (error) {
+    if (isAccountLinkRequiredError(error)) {
+      return {
+        status: 'link_required',
+        provider,
+        email: error.details.email || credentials.email || null,
+        linkToken: error.details.linkToken,
+        privateRelayEmail
+      };
+    }
+    
+    throw error;
+  }
+}
+
+/**
+ * Finish a 'link_required' sign-in with the existing account's password
+ * 
+ * @param {Object} linkRequest - Result of signInWithProvider with status 'link_required'
+ * @param {string} email - Email of the existing account
+ * @param {string} password - Password of the existing account
+ * @returns {Promise<Object>} - User data of the linked account
+ */
+async function linkAccount(linkRequest, email, password) {
+  if (!linkRequest || linkRequest.status !== 'link_required') {
+    throw new Error('No account link is pending.');
+  }
+  
+  return linkSsoAccount(linkRequest.provider, {
+    linkToken: linkRequest.linkToken,
+    email,
+    password
+  });
+}
+
+/**
+ * Whether Sign in with Apple can be offered on this device
+ * 
+ * @returns {boolean}
+ */
+function isAppleSignInAvailable() {
+  try {
+    if (Platform.OS === 'ios') {
+      const { appleAuth } = require('@invertase/react-native-apple-authentication');
+      return appleAuth.isSupported;
+    }
+    
+    if (Platform.OS === 'android') {
+      const { appleAuthAndroid } = require('@invertase/react-native-apple-authentication');
+      return appleAuthAndroid.isSupported;
+    }
+  } catch (error) {
+    console.warn('Apple authentication SDK unavailable:', error.message);
+  }
+  
+  return false;
+}
+
+/**
+ * Get a Google ID token from the native Google Sign-In SDK
+ * 
+ * @returns {Promise<Object|null>} - { token, email, fullName } or null if cancelled
+ */
+async function getGoogleCredentials() {
+  const { GoogleSignin, statusCodes } = require('@react-native-google-signin/google-signin');
+  
+  if (!googleConfigured) {
+    GoogleSignin.configure({
+      webClientId: config.GOOGLE_WEB_CLIENT_ID,
+      iosClientId: config.GOOGLE_IOS_CLIENT_ID
+    });
+    googleConfigured = true;
+  }
+  
+  try {
+    if (Platform.OS === 'android') {
+      await GoogleSignin.hasPlayServices({ showPlayServicesUpdateDialog: true });
+    }
+    
+    const result = await GoogleSignin.signIn();
+    
+    // Newer SDK versions resolve { type, data } instead of throwing on cancel
+    if (result && result.type === 'cancelled') {
+      return null;
+    }
+    
+    const signInData = result && result.data ? result.data : result;
+    let idToken = signInData && signInData.idToken;
+    
+    if (!idToken) {
+      const tokens = await GoogleSignin.getTokens();
+      idToken = tokens.idToken;
+    }
+    
+    if (!idToken) {
+      throw new Error('Google did not return an ID token.');
+    }
+    
+    const user = (signInData && signInData.user) || {};
+    
+    return {
+      token: idToken,
+      email: user.email || undefined,
+      fullName: user.name || undefined
+    };
+  } catch (error) {
+    if (error.code === statusCodes.SIGN_IN_CANCELLED) {
+      return null;
+    }
+    
+    if (error.code === statusCodes.IN_PROGRESS) {
+      throw new Error('Google sign-in is already in progress.');
+    }
+    
+    if (error.code === statusCodes.PLAY_SERVICES_NOT_AVAILABLE) {
+      throw new Error('Google Play Services is not available on this device.');
+    }
+    
+    throw error;
+  }
+}
+
+/**
+ * Get an Apple identity token from Sign in with Apple
+ * Apple only shares the user's name and email on the first authorization, so both are
+ * forwarded when present.
+ * 
+ * @returns {Promise<Object|null>} - { token, nonce, email, fullName } or null if cancelled
+ */
+async function getAppleCredentials() {
+  const { appleAuth, appleAuthAndroid } = require('@invertase/react-native-apple-authentication');
+  const { v4: uuidv4 } = require('uuid');
+  
+  // The SDK sends the SHA-256 of this nonce to Apple; the server checks the raw value
+  const rawNonce = uuidv4();
+  
+  if (Platform.OS === 'ios') {
+    if (!appleAuth.isSupported) {
+      throw new Error('Sign in with Apple is not available on this device.');
+    }
+    
+    try {
+      const response = await appleAuth.performRequest({
+        requestedOperation: appleAuth.Operation.LOGIN,
+        requestedScopes: [appleAuth.Scope.EMAIL, appleAuth.Scope.FULL_NAME],
+        nonce: rawNonce
+      });
+      
+      if (!response.identityToken) {
+        throw new Error('Apple did not return an identity token.');
+      }
+      
+      return {
+        token: response.identityToken,
+        nonce: response.nonce || rawNonce,
+        email: response.email || undefined,
+        fullName: formatAppleName(response.fullName && response.fullName.givenName, response.fullName && response.fullName.familyName)
+      };
+    } catch (error) {
+      if (error.code === appleAuth.Error.CANCELED) {
+        return null;
+      }
+      
+      throw error;
+    }
+  }
+  
+  if (Platform.OS === 'android') {
+    if (!appleAuthAndroid.isSupported) {
+      throw new Error('Sign in with Apple is not available on this device.');
+    }
+    
+    appleAuthAndroid.configure({
+      clientId: config.APPLE_SERVICE_ID,
+      redirectUri: config.APPLE_REDIRECT_URI,
+      responseType: appleAuthAndroid.ResponseType.ALL,
+      scope: appleAuthAndroid.Scope.ALL,
+      nonce: rawNonce,
+      state: uuidv4()
+    });
+    
+    try {
+      const response = await appleAuthAndroid.signIn();
+      const user = response.user || {};
+      
+      if (!response.id_token) {
+        throw new Error('Apple did not return an identity token.');
+      }
+      
+      return {
+        token: response.id_token,
+        nonce: response.nonce || rawNonce,
+        email: user.email || undefined,
+        fullName: formatAppleName(user.name && user.name.firstName, user.name && user.name.lastName)
+      };
+    } catch (error) {
+      if (error.message === appleAuthAndroid.Error.SIGNIN_CANCELLED) {
+        return null;
+      }
+      
+      throw error;
+    }
+  }
+  
+  throw new Error('Sign in with Apple is not available on this device.');
+}
+
+/**
+ * Join Apple name parts
+ * 
+ * @param {string} [givenName] - Given name
+ * @param {string} [familyName] - Family name
+ * @returns {string|undefined} - Full name, or undefined if Apple did not share it
+ */
+function formatAppleName(givenName, familyName) {
+  const fullName = [givenName, familyName].filter(Boolean).join(' ').trim();
+  return fullName || undefined;
+}
+
+const trailtrades_socialSignIn = {
+  signInWithProvider,
+  linkAccount,
+  isAppleSignInAvailable
+};
+
+export {
+  signInWithProvider,
+  linkAccount,
+  isAppleSignInAvailable
+};
+export default trailtrades_socialSignIn;
\ No newline at end of file
@@ -0,0 +1,173 @@
+import apiClient from './trailtrades_apiClient';
+
+/**
+ * TrailTrades Trade Price Suggestion Module
+ * 
+ * Suggests a tradeCredits value for a 'trade' privacy location. The starting point is
+ * what comparable nearby locations (sharing a category) are traded for, weighted by how
+ * often they were traded recently; without comparables it falls back to a per-category
+ * base price. That price is then adjusted for remoteness, photos and rating, and for
+ * demand in the area. The result is a recommended value with a range around it and the
+ * factors that produced it, so the UI can explain the suggestion.
+ * 
+ * @param {Object} locationInfo - Location being priced
+ * @param {Object} [locationInfo.coordinates] - { latitude, longitude }; comparables need coordinates
+ * @param {string[]} locationInfo.categories - Category IDs
+ * @param {string} [locationInfo.locationId] - Existing location ID (excluded from comparables)
+ * @param {number} [locationInfo.mediaCount] - Photos and videos attached to the location
+ * @param {number} [locationInfo.rating] - Average rating (0-5)
+ * @returns {Promise<Object>} - { recommended, min, max, comparableCount, factors: [{ name, label, multiplier }] }
+ */
+async function trailtrades_suggestTradePrice(locationInfo) {
+  // Import configuration
+  const config = {
+    MIN_TRADE_CREDITS: 5,
+    MAX_TRADE_CREDITS: 500,
+    COMPARABLE_RADIUS_KM: 50,
+    RANGE_SPREAD: 0.2,
+    CATEGORY_BASE_CREDITS: {
+      hiking: 10,
+      camping: 15,
+      mountain_biking: 12,
+      dirt_biking: 12,
+      offroading: 18,
+      rv_safe: 15
+    },
+    DEFAULT_BASE_CREDITS: 10
+  };
+  
+  if (!locationInfo || !Array.isArray(locationInfo.categories) || locationInfo.categories.length === 0) {
+    throw new Error('At least one category is required to suggest a price.');
+  }
+  
+  const { coordinates, categories } = locationInfo;
+  const hasCoordinates = Boolean(coordinates) &&
+    typeof coordinates.latitude === 'number' &&
+    typeof coordinates.longitude === 'number';
+    
+  try {
+    // Comparable locations and remoteness come from the server
+    const market = hasCoordinates
+      ? await apiClient.get('/locations/pricing/comparables', {
+          query: {
+            latitude: coordinates.latitude,
+            longitude: coordinates.longitude,
+            radiusKm: config.COMPARABLE_RADIUS_KM,
+            categories,
+            excludeLocationId: locationInfo.locationId
+          },
+          errorMessage: 'Failed to load comparable locations'
+        })
+      : { comparables: [], remoteness: null };
+      
+    const comparables = market.comparables || [];
+    const factors = [];
+    
+    // Base price: demand-weighted median of comparables, or the category base price
+    let basePrice = getWeightedMedianPrice(comparables);
+    
+    if (basePrice === null) {
+      basePrice = Math.max(...categories.map(category =>
+        config.CATEGORY_BASE_CREDITS[category] || config.DEFAULT_BASE_CREDITS));
+    }
+    
+    // Remote spots take more effort to scout
+    if (typeof market.remoteness === 'number') {
+      const multiplier = 1 + Math.min(Math.max(market.remoteness, 0), 1) * 0.3;
+      factors.push({
+        name: 'remoteness',
+        label: market.remoteness >= 0.5 ? 'Remote location' : 'Easily reached location',
+        multiplier
+      });
+    }
+    
+    // Photos help buyers know what they're getting
+    if (typeof locationInfo.mediaCount === 'number') {
+      const multiplier = locationInfo.mediaCount === 0 ? 0.9 : locationInfo.mediaCount >= 5 ? 1.1 : 1;
+      factors.push({
+        name: 'media',
+        label: locationInfo.mediaCount === 0 ? 'No photos yet' : `${locationInfo.mediaCount} photos`,
+        multiplier
+      });
+    }
+    
+    // Rated locations are priced by how well they're rated
+    if (typeof locationInfo.rating === 'number' && locationInfo.rating > 0) {
+      factors.push({
+        name: 'rating',
+        label: `Rated ${locationInfo.rating.toFixed(1)}`,
+        multiplier: 0.8 + (Math.min(locationInfo.rating, 5) / 5) * 0.4
+      });
+    }
+    
+    // Recent trade volume of comparables shows demand in the area
+    if (comparables.length > 0) {
+      const averageTrades = comparables.reduce((sum, comparable) =>
+        sum + (comparable.recentTradeCount || 0), 0) / comparables.length;
+      const multiplier = averageTrades >= 5 ? 1.15 : averageTrades < 1 ? 0.9 : 1;
+      
+      factors.push({
+        name: 'demand',
+        label: averageTrades >= 5 ? 'High demand nearby' : averageTrades < 1 ? 'Low demand nearby' : 'Steady demand nearby',
+        multiplier
+      });
+    }
+    
+    const price = factors.reduce((total, factor) => total * factor.multiplier, basePrice);
+    const recommended = clampCredits(Math.round(price));
+    
+    return {
+      recommended,
+      min: clampCredits(Math.floor(recommended * (1 - config.RANGE_SPREAD))),
+      max: clampCredits(Math.ceil(recommended * (1 + config.RANGE_SPREAD))),
+      comparableCount: comparables.length,
+      factors
+    };
+  } catch (error) {
+    console.error('Price suggestion error:', error);
+    throw error;
+  }
+  
+  /**
+   * Median price of comparables, weighting each by its recent trades
+   * 
+   * @param {Array} items - Comparables { tradeCredits, recentTradeCount }
+   * @returns {number|null} - Weighted median price, or null without priced comparables
+   */
+  function getWeightedMedianPrice(items) {
+    const priced = items
+      .filter(item => typeof item.tradeCredits === 'number' && item.tradeCredits > 0)
+      .map(item => ({ price: item.tradeCredits, weight: 1 + (item.recentTradeCount || 0) }))
+      .sort((a, b) => a.price - b.price);
+      
+    if (priced.length === 0) {
+      return null;
+    }
+    
+    const totalWeight = priced.reduce((sum, item) => sum + item.weight, 0);
+    let runningWeight = 0;
+    
+    for (const item of priced) {
+      runningWeight += item.weight;
+      
+      if (runningWeight >= totalWeight / 2) {
+        return item.price;
+      }
+    }
+    
+    return priced[priced.length - 1].price;
+  }
+  
+  /**
+   * Keep a credit value within the allowed trade price range
+   * 
+   * @param {number} credits - Credit value
+   * @returns {number} - Clamped credit value
+   */
+  function clampCredits(credits) {
+    return Math.min(Math.max(credits, config.MIN_TRADE_CREDITS), config.MAX_TRADE_CREDITS);
+  }
+}
+
+export { trailtrades_suggestTradePrice };
+export default trailtrades_suggestTradePrice;
\ No newline at end of file
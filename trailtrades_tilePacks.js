@@ -0,0 +1,954 @@
+import { onSessionChange } from './trailtrades_sessionManager';
+
+/**
+ * TrailTrades Tile Packs Module
+ * 
+ * Downloads map tiles for use without signal. A tile pack covers a region (a bounding
+ * box, a radius around a location, or a corridor along a trail) over a zoom range.
+ * Tiles are saved once under the app's document directory in {z}/{x}/{y}.png layout and
+ * shared between overlapping packs; OfflineTileLayer serves them to the map views
+ * through react-native-maps' LocalTile, so no network is needed once a pack is ready.
+ * 
+ * Downloads report progress to subscribers, can be paused, and resume where they
+ * stopped (tiles already on disk are never fetched twice), including after the app
+ * restarts. Packs expire after settings.packTtlDays, or sooner when the access they were
+ * downloaded for ends; expired packs and the tiles only they used are removed, and no
+ * tiles are served until they are. All packs are removed on logout.
+ * 
+ * Pack metadata is kept in plain device storage, so a radius around a location is stored
+ * as a box widened to whole tiles at config.REGION_SNAP_ZOOM, which doesn't give away
+ * the point it was drawn around.
+ * 
+ * Tiles come from a pluggable tile source, like the API client's transport: the default
+ * fetches settings.tileUrlTemplate over HTTP, and createMBTilesTileSource reads an
+ * MBTiles file from disk so packs can be built without a tile server.
+ * 
+ * Offline maps are only available in the mobile app.
+ * 
+ * @param {Object} [managerOptions] - Manager options
+ * @param {string} [managerOptions.tileUrlTemplate] - Tile URL with {z}, {x} and {y} (defaults to TRAILTRADES_TILE_URL)
+ * @param {Object} [managerOptions.tileSource] - { fetchTile(tile, fileUri) } returning the bytes written
+ *   (0 if the source has no such tile); defaults to HTTP from tileUrlTemplate
+ * @param {number} [managerOptions.concurrency] - Tiles fetched at once
+ * @returns {Object} - Tile pack manager with estimateTilePack, createTilePack, downloadTilePack,
+ *   pauseTilePack, deleteTilePack, listTilePacks, findTilePack, clearTilePacks, getTileTemplate,
+ *   subscribe and configure methods
+ */
+function trailtrades_createTilePackManager(managerOptions = {}) {
+  // Current manager settings (mutable through configure)
+  const settings = {
+    tileUrlTemplate: process.env.TRAILTRADES_TILE_URL || 'https://tiles.trailtrades.com/{z}/{x}/{y}.png',
+    tileSource: null,
+    concurrency: 4,
+    averageTileBytes: 20 * 1024, // for size estimates
+    maxTilesPerPack: 20000,
+    packTtlDays: 30,
+    ...managerOptions
+  };
+  
+  // Packs by ID (null until loaded from storage)
+  let packs = null;
+  let loadPromise = null;
+  
+  // Removal of expired packs in flight (no tiles are served meanwhile)
+  let purgePromise = null;
+  
+  // Running downloads by pack ID ({ paused })
+  const activeDownloads = new Map();
+  const createdDirectories = new Set();
+  const listeners = new Set();
+  
+  /**
+   * Estimate the size of a tile pack before downloading it
+   * Tiles are counted from their row and column ranges rather than listed, and counting
+   * stops once the pack is too large, so tileCount is only a lower bound when tooLarge.
+   * 
+   * @param {Object} region - Region ({ bbox }, { center, radiusMeters } or { path, bufferMeters })
+   * @param {number} minZoom - Lowest zoom level
+   * @param {number} maxZoom - Highest zoom level
+   * @returns {Object} - { tileCount, estimatedBytes, tooLarge }
+   */
+  function estimateTilePack(region, minZoom, maxZoom) {
+    validateZoomRange(minZoom, maxZoom);
+    
+    const tileCount = countTiles(getPackRegion(region), minZoom, maxZoom, settings.maxTilesPerPack);
+    
+    return {
+      tileCount,
+      estimatedBytes: tileCount * settings.averageTileBytes,
+      tooLarge: tileCount > settings.maxTilesPerPack
+    };
+  }
+  
+  /**
+   * Create a tile pack and start downloading it
+   * 
+   * @param {Object} packOptions - Pack options
+   * @param {string} packOptions.name - Display name
+   * @param {Object} packOptions.region - Region ({ bbox }, { center, radiusMeters } or { path, bufferMeters })
+   * @param {number} [packOptions.minZoom=config.DEFAULT_MIN_ZOOM] - Lowest zoom level
+   * @param {number} [packOptions.maxZoom=config.DEFAULT_MAX_ZOOM] - Highest zoom level
+   * @param {string} [packOptions.locationId] - Location the pack was downloaded for
+   * @param {string} [packOptions.trailId] - Trail the pack was downloaded for
+   * @param {Date|string} [packOptions.expiresAt] - When access to the location ends; the pack
+   *   expires then if that is sooner than the default lifetime
+   * @returns {Promise<Object>} - Created pack (downloading)
+   */
+  async function createTilePack(packOptions) {
+    const {
+      name,
+      region: requestedRegion,
+      minZoom = config.DEFAULT_MIN_ZOOM,
+      maxZoom = config.DEFAULT_MAX_ZOOM,
+      locationId = null,
+      trailId = null,
+      expiresAt = null
+    } = packOptions;
+    
+    ensureSupported();
+    
+    if (!name || !requestedRegion) {
+      throw new Error('A name and region are required to download a map.');
+    }
+    
+    const region = getPackRegion(requestedRegion);
+    
+    const { tileCount, estimatedBytes, tooLarge } = estimateTilePack(region, minZoom, maxZoom);
+    
+    if (tileCount === 0) {
+      throw new Error('The map region is empty.');
+    }
+    
+    if (tooLarge) {
+      throw new Error('This map area is too large to download. Choose a smaller area or fewer zoom levels.');
+    }
+    
+    await loadPacks();
+    
+    const now = new Date();
+    const defaultExpiry = new Date(now.getTime() + settings.packTtlDays * 24 * 60 * 60 * 1000);
+    const accessExpiry = expiresAt ? new Date(expiresAt) : null;
+    
+    const pack = {
+      id: `pack_${now.getTime()}_${Math.random().toString(36).slice(2, 8)}`,
+      name,
+      region,
+      minZoom,
+      maxZoom,
+      locationId,
+      trailId,
+      status: TILE_PACK_STATUS.PENDING,
+      tileCount,
+      estimatedBytes,
+      completedTiles: 0,
+      sizeBytes: 0,
+      error: null,
+      createdAt: now.toISOString(),
+      completedAt: null,
+      expiresAt: (accessExpiry && accessExpiry < defaultExpiry ? accessExpiry : defaultExpiry).toISOString()
+    };
+    
+    packs[pack.id] = pack;
+    await savePacks();
+    
+    downloadTilePack(pack.id).catch(error => {
+      console.error(`Tile pack ${pack.id} download failed:`, error);
+    });
+    
+    return pack;
+  }
+  
+  /**
+   * Download (or resume downloading) a tile pack
+   * Resolves when the pack is ready, paused or failed; failures are recorded on the pack.
+   * 
+   * @param {string} packId - Pack ID
+   * @returns {Promise<Object>} - Pack
+   */
+  async function downloadTilePack(packId) {
+    ensureSupported();
+    await loadPacks();
+    
+    const pack = packs[packId];
+    
+    if (!pack) {
+      throw new Error('Offline map not found.');
+    }
+    
+    if (pack.status === TILE_PACK_STATUS.READY || activeDownloads.has(packId)) {
+      return pack;
+    }
+    
+    const control = { paused: false };
+    activeDownloads.set(packId, control);
+    
+    const tiles = enumerateTiles(pack.region, pack.minZoom, pack.maxZoom);
+    
+    await updatePack(packId, { status: TILE_PACK_STATUS.DOWNLOADING, error: null });
+    
+    try {
+      // Tiles are enumerated in a fixed order, so completedTiles is where to resume
+      for (let index = packs[packId].completedTiles; index < tiles.length; index += settings.concurrency) {
+        if (control.paused) {
+          return await updatePack(packId, { status: TILE_PACK_STATUS.PAUSED });
+        }
+        
+        const batch = tiles.slice(index, index + settings.concurrency);
+        const sizes = await Promise.all(batch.map(fetchTile));
+        
+        if (!packs[packId]) {
+          // Deleted while downloading
+          return undefined;
+        }
+        
+        await updatePack(packId, {
+          completedTiles: index + batch.length,
+          sizeBytes: packs[packId].sizeBytes + sizes.reduce((sum, size) => sum + size, 0)
+        });
+      }
+      
+      return await updatePack(packId, {
+        status: TILE_PACK_STATUS.READY,
+        completedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error(`Failed to download tiles for ${packId}:`, error);
+      
+      // Resumable from the last completed batch
+      return await updatePack(packId, {
+        status: TILE_PACK_STATUS.FAILED,
+        error: error.message || 'Download failed'
+      });
+    } finally {
+      activeDownloads.delete(packId);
+    }
+  }
+  
+  /**
+   * Pause a running download after the tiles in flight
+   * 
+   * @param {string} packId - Pack ID
+   */
+  function pauseTilePack(packId) {
+    const control = activeDownloads.get(packId);
+    
+    if (control) {
+      control.paused = true;
+    }
+  }
+  
+  /**
+   * Delete a tile pack and the tiles no other pack uses
+   * 
+   * @param {string} packId - Pack ID
+   * @returns {Promise<void>}
+   */
+  async function deleteTilePack(packId) {
+    await loadPacks();
+    
+    const pack = packs[packId];
+    
+    if (!pack) {
+      return;
+    }
+    
+    pauseTilePack(packId);
+    delete packs[packId];
+    await savePacks();
+    
+    const sharedKeys = new Set();
+    
+    Object.values(packs).forEach(other => {
+      enumerateTiles(other.region, other.minZoom, other.maxZoom).forEach(tile => sharedKeys.add(getTileKey(tile)));
+    });
+    
+    const FileSystem = require('expo-file-system');
+    const unusedTiles = enumerateTiles(pack.region, pack.minZoom, pack.maxZoom)
+      .filter(tile => !sharedKeys.has(getTileKey(tile)));
+      
+    for (const tile of unusedTiles) {
+      await FileSystem.deleteAsync(getTileUri(tile), { idempotent: true });
+    }
+  }
+  
+  /**
+   * Delete every tile pack and all downloaded tiles
+   * 
+   * @returns {Promise<void>}
+   */
+  async function clearTilePacks() {
+    if (Platform.OS === 'web') {
+      return;
+    }
+    
+    await loadPacks();
+    
+    Object.keys(packs).forEach(packId => pauseTilePack(packId));
+    packs = {};
+    await savePacks();
+    
+    const FileSystem = require('expo-file-system');
+    await FileSystem.deleteAsync(`${FileSystem.documentDirectory}${config.TILE_DIRECTORY}`, { idempotent: true });
+    createdDirectories.clear();
+  }
+  
+  /**
+   * List tile packs, removing expired ones
+   * 
+   * @returns {Promise<Array>} - Packs, newest first
+   */
+  async function listTilePacks() {
+    await loadPacks();
+    
+    const now = Date.now();
+    const expired = Object.values(packs).filter(pack => new Date(pack.expiresAt).getTime() <= now);
+    
+    for (const pack of expired) {
+      await deleteTilePack(pack.id);
+    }
+    
+    return Object.values(packs).sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+  
+  /**
+   * Get the tile pack downloaded for a location or trail
+   * 
+   * @param {Object} owner - { locationId } or { trailId }
+   * @returns {Promise<Object|null>} - Newest matching pack
+   */
+  async function findTilePack(owner) {
+    const list = await listTilePacks();
+    
+    return list.find(pack =>
+      (owner.locationId && pack.locationId === owner.locationId) ||
+      (owner.trailId && pack.trailId === owner.trailId)
+    ) || null;
+  }
+  
+  /**
+   * Get the path template for LocalTile, once any pack has tiles
+   * 
+   * @returns {string|null} - file:// template with {z}, {x} and {y}
+   */
+  function getTileTemplate() {
+    if (Platform.OS === 'web' || !packs || purgePromise) {
+      return null;
+    }
+    
+    // The template serves every tile on disk, so expired packs' tiles must go first
+    const now = Date.now();
+    
+    if (Object.values(packs).some(pack => new Date(pack.expiresAt).getTime() <= now)) {
+      purgePromise = listTilePacks()
+        .catch(error => {
+          console.error('Failed to remove expired offline maps:', error);
+        })
+        .finally(() => {
+          purgePromise = null;
+          notify();
+        });
+        
+      return null;
+    }
+    
+    if (!Object.values(packs).some(pack => pack.completedTiles > 0)) {
+      return null;
+    }
+    
+    const FileSystem = require('expo-file-system');
+    return `${FileSystem.documentDirectory}${config.TILE_DIRECTORY}/{z}/{x}/{y}.png`;
+  }
+  
+  /**
+   * Subscribe to pack changes (creation, progress, status)
+   * Loads the packs saved on the device on first use.
+   * 
+   * @param {Function} listener - (packs) => void
+   * @returns {Function} - Unsubscribe
+   */
+  function subscribe(listener) {
+    listeners.add(listener);
+    
+    if (packs) {
+      listener(Object.values(packs));
+    } else if (Platform.OS !== 'web') {
+      // Listing also removes packs that expired since the app last ran
+      listTilePacks().catch(error => {
+        console.error('Failed to load offline maps:', error);
+      });
+    }
+    
+    return () => {
+      listeners.delete(listener);
+    };
+  }
+  
+  /**
+   * Fetch one tile unless it is already on disk
+   * 
+   * @param {Object} tile - { z, x, y }
+   * @returns {Promise<number>} - Bytes added
+   */
+  async function fetchTile(tile) {
+    const FileSystem = require('expo-file-system');
+    const fileUri = getTileUri(tile);
+    const info = await FileSystem.getInfoAsync(fileUri);
+    
+    if (info.exists) {
+      // Downloaded by an overlapping pack or before a pause
+      return 0;
+    }
+    
+    const directory = fileUri.slice(0, fileUri.lastIndexOf('/') + 1);
+    
+    if (!createdDirectories.has(directory)) {
+      await FileSystem.makeDirectoryAsync(directory, { intermediates: true });
+      createdDirectories.add(directory);
+    }
+    
+    const tileSource = settings.tileSource || createHttpTileSource(settings.tileUrlTemplate);
+    return tileSource.fetchTile(tile, fileUri);
+  }
+  
+  /**
+   * Load packs saved on the device
+   * Downloads interrupted by the app closing are shown as paused.
+   * 
+   * @returns {Promise<void>}
+   */
+  function loadPacks() {
+    if (!loadPromise) {
+      loadPromise = (async () => {
+        const AsyncStorage = require('@react-native-async-storage/async-storage');
+        const stored = await AsyncStorage.getItem(config.STORAGE_KEY);
+        const storedPacks = stored ? JSON.parse(stored) : {};
+        
+        Object.values(storedPacks).forEach(pack => {
+          if (pack.status === TILE_PACK_STATUS.DOWNLOADING || pack.status === TILE_PACK_STATUS.PENDING) {
+            pack.status = TILE_PACK_STATUS.PAUSED;
+          }
+        });
+        
+        packs = storedPacks;
+        notify();
+      })().catch(error => {
+        loadPromise = null;
+        throw error;
+      });
+    }
+    
+    return loadPromise;
+  }
+  
+  /**
+   * Save packs to the device
+   * 
+   * @returns {Promise<void>}
+   */
+  async function savePacks() {
+    const AsyncStorage = require('@react-native-async-storage/async-storage');
+    await AsyncStorage.setItem(config.STORAGE_KEY, JSON.stringify(packs));
+    notify();
+  }
+  
+  /**
+   * Update a pack and save it
+   * 
+   * @param {string} packId - Pack ID
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object>} - Updated pack (or undefined if it was deleted meanwhile)
+   */
+  async function updatePack(packId, changes) {
+    if (!packs[packId]) {
+      return undefined;
+    }
+    
+    packs[packId] = { ...packs[packId], ...changes };
+    await savePacks();
+    
+    return packs[packId];
+  }
+  
+  /**
+   * Notify listeners of the current packs
+   */
+  function notify() {
+    const list = Object.values(packs || {});
+    
+    listeners.forEach(listener => {
+      try {
+        listener(list);
+      } catch (error) {
+        console.error('Tile pack listener error:', error);
+      }
+    });
+  }
+  
+  return {
+    estimateTilePack,
+    createTilePack,
+    downloadTilePack,
+    pauseTilePack,
+    deleteTilePack,
+    listTilePacks,
+    findTilePack,
+    clearTilePacks,
+    getTileTemplate,
+    subscribe,
+    
+    /**
+     * Update manager settings (tile URL, tile source, concurrency)
+     * Takes effect on the next batch of tiles.
+     * 
+     * @param {Object} overrides - Settings to override
+     */
+    configure: (overrides = {}) => {
+      Object.assign(settings, overrides);
+    }
+  };
+}
+
+// Tile pack statuses
+const TILE_PACK_STATUS = {
+  PENDING: 'pending',
+  DOWNLOADING: 'downloading',
+  PAUSED: 'paused',
+  READY: 'ready',
+  FAILED: 'failed'
+};
+
+// Tile packs configuration
+const config = {
+  STORAGE_KEY: 'trailtrades_tile_packs',
+  TILE_DIRECTORY: 'tiles',
+  DEFAULT_MIN_ZOOM: 10,
+  DEFAULT_MAX_ZOOM: 16,
+  MAX_ZOOM: 18,
+  METERS_PER_DEGREE: 111320,
+  MAX_LATITUDE: 85.0511, // Web Mercator limit
+  REGION_SNAP_ZOOM: 13 // radius regions are stored as whole tiles at this zoom (about 5 km)
+};
+
+/**
+ * Create a tile source fetching tiles over HTTP
+ * 
+ * @param {string} urlTemplate - Tile URL with {z}, {x} and {y}
+ * @returns {Object} - Tile source
+ */
+function createHttpTileSource(urlTemplate) {
+  return {
+    async fetchTile({ z, x, y }, fileUri) {
+      const FileSystem = require('expo-file-system');
+      const url = urlTemplate.replace('{z}', z).replace('{x}', x).replace('{y}', y);
+      const result = await FileSystem.downloadAsync(url, fileUri);
+      
+      if (result.status === 200) {
+        const info = await FileSystem.getInfoAsync(fileUri, { size: true });
+        return info.size || 0;
+      }
+      
+      await FileSystem.deleteAsync(fileUri, { idempotent: true });
+      
+      // No tile there (e.g. open water); the map shows nothing for it
+      if (result.status === 404) {
+        return 0;
+      }
+      
+      throw new Error(`Tile server responded with ${result.status}`);
+    }
+  };
+}
+
+/**
+ * Create a tile source reading an MBTiles file
+ * 
+ * @param {string} databaseName - MBTiles file name
+ * @param {string} [directory] - Directory containing the file (defaults to expo-sqlite's)
+ * @returns {Object} - Tile source
+ */
+function createMBTilesTileSource(databaseName, directory) {
+  let databasePromise = null;
+  
+  return {
+    async fetchTile({ z, x, y }, fileUri) {
+      const SQLite = require('expo-sqlite');
+      const FileSystem = require('expo-file-system');
+      
+      if (!databasePromise) {
+        databasePromise = SQLite.openDatabaseAsync(databaseName, { useNewConnection: true }, directory);
+      }
+      
+      const database = await databasePromise;
+      
+      // MBTiles numbers rows from the south (TMS)
+      const row = await database.getFirstAsync(
+        'SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?',
+        [z, x, (2 ** z) - 1 - y]
+      );
+      
+      if (!row) {
+        return 0;
+      }
+      
+      await FileSystem.writeAsStringAsync(fileUri, encodeBase64(row.tile_data), {
+        encoding: FileSystem.EncodingType.Base64
+      });
+      
+      return row.tile_data.length;
+    }
+  };
+}
+
+/**
+ * List the tiles covering a region over a zoom range
+ * Tiles are ordered by zoom, then column, then row.
+ * 
+ * @param {Object} region - { bbox: { north, south, east, west } }, { center, radiusMeters }
+ *   or { path: [{ latitude, longitude }], bufferMeters }
+ * @param {number} minZoom - Lowest zoom level
+ * @param {number} maxZoom - Highest zoom level
+ * @returns {Array} - Tiles { z, x, y }
+ */
+function enumerateTiles(region, minZoom, maxZoom) {
+  const boxes = getRegionBoxes(region);
+  const tiles = [];
+  
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const keys = new Set();
+    
+    boxes.forEach(box => {
+      const top = latitudeToTileY(box.north, z);
+      const bottom = latitudeToTileY(box.south, z);
+      
+      getColumnRanges(box, z).forEach(([first, last]) => {
+        for (let x = first; x <= last; x++) {
+          for (let y = top; y <= bottom; y++) {
+            keys.add(`${x}/${y}`);
+          }
+        }
+      });
+    });
+    
+    Array.from(keys)
+      .map(key => key.split('/').map(Number))
+      .sort((a, b) => a[0] - b[0] || a[1] - b[1])
+      .forEach(([x, y]) => tiles.push({ z, x, y }));
+  }
+  
+  return tiles;
+}
+
+/**
+ * Count the tiles covering a region over a zoom range without listing them
+ * Overlapping boxes (trail corridors) are merged column by column so shared tiles are
+ * counted once, matching enumerateTiles.
+ * 
+ * @param {Object} region - Region (as for enumerateTiles)
+ * @param {number} minZoom - Lowest zoom level
+ * @param {number} maxZoom - Highest zoom level
+ * @param {number} [limit=Infinity] - Stop counting once the count passes this
+ * @returns {number} - Tile count (a lower bound once it passes limit)
+ */
+function countTiles(region, minZoom, maxZoom, limit = Infinity) {
+  const boxes = getRegionBoxes(region);
+  let count = 0;
+  
+  for (let z = minZoom; z <= maxZoom && count <= limit; z++) {
+    // Row ranges by column
+    const rowsByColumn = new Map();
+    
+    boxes.forEach(box => {
+      const top = latitudeToTileY(box.north, z);
+      const bottom = latitudeToTileY(box.south, z);
+      
+      getColumnRanges(box, z).forEach(([first, last]) => {
+        for (let x = first; x <= last; x++) {
+          if (!rowsByColumn.has(x)) {
+            rowsByColumn.set(x, []);
+          }
+          
+          rowsByColumn.get(x).push([top, bottom]);
+        }
+      });
+    });
+    
+    rowsByColumn.forEach(ranges => {
+      ranges.sort((a, b) => a[0] - b[0]);
+      
+      let [start, end] = ranges[0];
+      
+      ranges.slice(1).forEach(([top, bottom]) => {
+        if (top > end + 1) {
+          count += end - start + 1;
+          start = top;
+        }
+        
+        end = Math.max(end, bottom);
+      });
+      
+      count += end - start + 1;
+    });
+  }
+  
+  return count;
+}
+
+/**
+ * Get the region a pack is stored and downloaded with
+ * A radius region becomes the box around it widened to whole tiles at
+ * config.REGION_SNAP_ZOOM; other regions are kept as given.
+ * 
+ * @param {Object} region - Region
+ * @returns {Object} - Region to store
+ */
+function getPackRegion(region) {
+  if (!region.center) {
+    return region;
+  }
+  
+  const box = getBoxAround(region.center, region.radiusMeters || 5000);
+  const z = config.REGION_SNAP_ZOOM;
+  // Kept just inside the outer tile edges, so the next tile over isn't included
+  const inset = 1e-9;
+  
+  return {
+    bbox: {
+      north: tileYToLatitude(latitudeToTileY(box.north, z), z) - inset,
+      south: tileYToLatitude(latitudeToTileY(box.south, z) + 1, z) + inset,
+      east: tileXToLongitude(longitudeToTileX(box.east, z) + 1, z) - inset,
+      west: tileXToLongitude(longitudeToTileX(box.west, z), z) + inset
+    }
+  };
+}
+
+/**
+ * Split a region into bounding boxes
+ * A trail corridor is a box around each point, with points added along long segments so
+ * the boxes overlap.
+ * 
+ * @param {Object} region - Region
+ * @returns {Array} - Bounding boxes
+ */
+function getRegionBoxes(region) {
+  if (region.bbox) {
+    return [region.bbox];
+  }
+  
+  if (region.center) {
+    return [getBoxAround(region.center, region.radiusMeters || 5000)];
+  }
+  
+  if (region.path && region.path.length > 0) {
+    const bufferMeters = region.bufferMeters || 500;
+    const points = [region.path[0]];
+    
+    for (let i = 1; i < region.path.length; i++) {
+      const from = region.path[i - 1];
+      const to = region.path[i];
+      const steps = Math.ceil(getDistanceMeters(from, to) / bufferMeters);
+      
+      for (let step = 1; step <= steps; step++) {
+        points.push({
+          latitude: from.latitude + (to.latitude - from.latitude) * step / steps,
+          longitude: from.longitude + (to.longitude - from.longitude) * step / steps
+        });
+      }
+    }
+    
+    return points.map(point => getBoxAround(point, bufferMeters));
+  }
+  
+  throw new Error('Map region must have a bbox, a center or a path.');
+}
+
+/**
+ * Get the bounding box around a point
+ * 
+ * @param {Object} point - { latitude, longitude }
+ * @param {number} radiusMeters - Distance to each edge
+ * @returns {Object} - { north, south, east, west }
+ */
+function getBoxAround(point, radiusMeters) {
+  const latitudeDelta = radiusMeters / config.METERS_PER_DEGREE;
+  const longitudeDelta = radiusMeters / (config.METERS_PER_DEGREE * Math.max(Math.cos(point.latitude * Math.PI / 180), 0.01));
+  
+  return {
+    north: Math.min(point.latitude + latitudeDelta, config.MAX_LATITUDE),
+    south: Math.max(point.latitude - latitudeDelta, -config.MAX_LATITUDE),
+    east: wrapLongitude(point.longitude + longitudeDelta),
+    west: wrapLongitude(point.longitude - longitudeDelta)
+  };
+}
+
+/**
+ * Get the tile column ranges of a box (two when it crosses the antimeridian)
+ * 
+ * @param {Object} box - { east, west }
+ * @param {number} z - Zoom level
+ * @returns {Array} - [first, last] column ranges
+ */
+function getColumnRanges(box, z) {
+  const west = longitudeToTileX(box.west, z);
+  const east = longitudeToTileX(box.east, z);
+  
+  return box.west <= box.east ? [[west, east]] : [[west, (2 ** z) - 1], [0, east]];
+}
+
+/**
+ * Convert a longitude to a tile column
+ * 
+ * @param {number} longitude - Longitude
+ * @param {number} z - Zoom level
+ * @returns {number} - Column
+ */
+function longitudeToTileX(longitude, z) {
+  const count = 2 ** z;
+  return Math.min(Math.floor((longitude + 180) / 360 * count), count - 1);
+}
+
+/**
+ * Convert a tile column to the longitude of its west edge
+ * 
+ * @param {number} x - Column
+ * @param {number} z - Zoom level
+ * @returns {number} - Longitude
+ */
+function tileXToLongitude(x, z) {
+  return x / (2 ** z) * 360 - 180;
+}
+
+/**
+ * Convert a tile row to the latitude of its north edge
+ * 
+ * @param {number} y - Row
+ * @param {number} z - Zoom level
+ * @returns {number} - Latitude
+ */
+function tileYToLatitude(y, z) {
+  const latitude = Math.atan(Math.sinh(Math.PI * (1 - 2 * y / (2 ** z)))) * 180 / Math.PI;
+  return Math.max(Math.min(latitude, config.MAX_LATITUDE), -config.MAX_LATITUDE);
+}
+
+/**
+ * Convert a latitude to a tile row (Web Mercator, rows counted from the north)
+ * 
+ * @param {number} latitude - Latitude
+ * @param {number} z - Zoom level
+ * @returns {number} - Row
+ */
+function latitudeToTileY(latitude, z) {
+  const count = 2 ** z;
+  const radians = Math.max(Math.min(latitude, config.MAX_LATITUDE), -config.MAX_LATITUDE) * Math.PI / 180;
+  const y = Math.floor((1 - Math.log(Math.tan(radians) + 1 / Math.cos(radians)) / Math.PI) / 2 * count);
+  
+  return Math.max(0, Math.min(y, count - 1));
+}
+
+/**
+ * Wrap a longitude into -180..180
+ * 
+ * @param {number} longitude - Longitude
+ * @returns {number} - Wrapped longitude
+ */
+function wrapLongitude(longitude) {
+  return ((longitude + 540) % 360) - 180;
+}
+
+/**
+ * Approximate distance between two points
+ * 
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ * @returns {number} - Meters
+ */
+function getDistanceMeters(from, to) {
+  const latitudeMeters = (to.latitude - from.latitude) * config.METERS_PER_DEGREE;
+  const longitudeMeters = (to.longitude - from.longitude) * config.METERS_PER_DEGREE *
+    Math.cos((from.latitude + to.latitude) / 2 * Math.PI / 180);
+    
+  return Math.sqrt(latitudeMeters ** 2 + longitudeMeters ** 2);
+}
+
+/**
+ * Check a zoom range
+ * 
+ * @param {number} minZoom - Lowest zoom level
+ * @param {number} maxZoom - Highest zoom level
+ */
+function validateZoomRange(minZoom, maxZoom) {
+  if (!Number.isInteger(minZoom) || !Number.isInteger(maxZoom) || minZoom < 0 || maxZoom > config.MAX_ZOOM || minZoom > maxZoom) {
+    throw new Error(`Zoom levels must be whole numbers from 0 to ${config.MAX_ZOOM}.`);
+  }
+}
+
+/**
+ * Throw on platforms without offline maps
+ */
+function ensureSupported() {
+  if (Platform.OS === 'web') {
+    throw new Error('Offline maps are only available in the mobile app.');
+  }
+}
+
+/**
+ * Get the file URI of a tile
+ * 
+ * @param {Object} tile - { z, x, y }
+ * @returns {string} - File URI
+ */
+function getTileUri(tile) {
+  const FileSystem = require('expo-file-system');
+  return `${FileSystem.documentDirectory}${config.TILE_DIRECTORY}/${getTileKey(tile)}.png`;
+}
+
+/**
+ * Get a tile's key
+ * 
+ * @param {Object} tile - { z, x, y }
+ * @returns {string} - 'z/x/y'
+ */
+function getTileKey({ z, x, y }) {
+  return `${z}/${x}/${y}`;
+}
+
+/**
+ * Encode bytes as base64
+ * 
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} - Base64
+ */
+function encodeBase64(bytes) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+  let output = '';
+  
+  for (let i = 0; i < bytes.length; i += 3) {
+    const chunk = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+    
+    output += alphabet[(chunk >> 18) & 63] + alphabet[(chunk >> 12) & 63];
+    output += i + 1 < bytes.length ? alphabet[(chunk >> 6) & 63] : '=';
+    output += i + 2 < bytes.length ? alphabet[chunk & 63] : '=';
+  }
+  
+  return output;
+}
+
+// Shared manager used by the app
+const tilePackManager = trailtrades_createTilePackManager();
+
+// Downloaded maps show where the user has been: remove them when the session ends
+onSessionChange(event => {
+  if ((event === 'logout' || event === 'expired') && Platform.OS !== 'web') {
+    tilePackManager.clearTilePacks().catch(error => {
+      console.error('Failed to remove offline maps:', error);
+    });
+  }
+});
+
+export {
+  trailtrades_createTilePackManager,
+  createHttpTileSource,
+  createMBTilesTileSource,
+  enumerateTiles,
+  TILE_PACK_STATUS
+};
+export default tilePackManager;
\ No newline at end of file
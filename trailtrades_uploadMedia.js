@@ -1,3 +1,13 @@
+import apiClient from './trailtrades_apiClient';
+import {
+  createLocalId,
+  enqueueMutation,
+  registerOutboxHandler,
+  resolveLocalIds,
+  hasUnsyncedLocalIds,
+  OUTBOX_OPERATION
+} from './trailtrades_outbox';
+
 /**
  * TrailTrades Media Management Module
  * 
@@ -10,7 +20,9 @@
  * @param {string} mediaData.title - Media title
  * @param {string} [mediaData.description] - Media description
  * @param {Object} association - Association object
- * @param {string} association.type - Association type: 'location', 'trail', or 'waypoint'
+ * @param {string} association.type - Association type: 'location', 'trail', 'waypoint', or 'dispute'
+ *   (dispute evidence is only visible to the parties and reviewers; upload it as 'private'
+ *   without stripping EXIF location, which shows where the photo was taken)
  * @param {string} association.id - ID of associated entity
  * @param {Object} [association.coordinates] - Optional specific coordinates
  * @param {number} association.coordinates.latitude - Latitude
@@ -25,7 +37,12 @@
  * @param {number} [options.photoQuality=0.8] - Photo compression quality (0-1)
  * @param {string[]} [options.tags] - Array of custom tags
  * @param {boolean} [options.watermark=false] - Whether to add watermark (for trade photos)
- * @returns {Promise<Object>} - Promise resolving to uploaded media object
+ * @param {boolean} [options.queueOffline=true] - Whether to queue the upload in the outbox (see
+ *   trailtrades_outbox) when there is no connectivity, or when the associated location or trail
+ *   was created offline and hasn't synced
+ * @param {string} [options.idempotencyKey] - Key to replay an upload with
+ * @returns {Promise<Object>} - Promise resolving to uploaded media object, or the queued media
+ *   object with a local ID and pendingSync: true
  */
 async function trailtrades_uploadMedia(mediaData, association, options = {}) {
   // Import necessary libraries
@@ -34,7 +51,6 @@ async function trailtrades_uploadMedia(mediaData, association, options = {}) {
   
   // Import configuration
   const config = {
-    API_BASE_URL: process.env.TRAILTRADES_API_URL || 'https://api.trailtrades.com',
     CLOUD_STORAGE_BUCKET: process.env.CLOUD_STORAGE_BUCKET || 'trailtrades-media',
     MAX_CONCURRENT_UPLOADS: 3
   };
@@ -49,7 +65,9 @@ async function trailtrades_uploadMedia(mediaData, association, options = {}) {
     maxVideoSizeMB: 50,
     photoQuality: 0.8,
     tags: [],
-    watermark: false
+    watermark: false,
+    queueOffline: true,
+    idempotencyKey: null
   };
   
   // Merge default options with provided options
@@ -76,8 +94,8 @@ async function trailtrades_uploadMedia(mediaData, association, options = {}) {
     throw new Error('Association object is required.');
   }
   
-  if (!association.type || !['location', 'trail', 'waypoint'].includes(association.type)) {
-    throw new Error('Invalid association type. Use "location", "trail", or "waypoint".');
+  if (!association.type || !['location', 'trail', 'waypoint', 'dispute'].includes(association.type)) {
+    throw new Error('Invalid association type. Use "location", "trail", "waypoint", or "dispute".');
   }
   
   if (!association.id || typeof association.id !== 'string') {
@@ -88,6 +106,22 @@ async function trailtrades_uploadMedia(mediaData, association, options = {}) {
     throw new Error('Invalid privacy level. Use "public", "followers", "private", or "trade".');
   }
   
+  // Sent with the first attempt too, so a replay doesn't upload the media twice
+  if (!finalOptions.idempotencyKey) {
+    const { v4: uuidv4 } = require('uuid');
+    finalOptions.idempotencyKey = uuidv4();
+  }
+  
+  // Kept as given, for queueing
+  const originalFile = mediaData.file;
+  
+  // The location or trail doesn't exist on the server yet; the media follows it
+  if (finalOptions.queueOffline && await hasUnsyncedLocalIds(association)) {
+    return queueUpload();
+  }
+  
+  association = await resolveLocalIds(association);
+  
   // Initialize media object
   let mediaObject = {
     title: mediaData.title,
@@ -165,8 +199,62 @@ async function trailtrades_uploadMedia(mediaData, association, options = {}) {
     // Return uploaded media object
     return uploadResult;
   } catch (error) {
+    if (error.isNetworkError && finalOptions.queueOffline) {
+      return queueUpload();
+    }
+    
     console.error('Media upload error:', error);
-    throw new Error(`Failed to upload media: ${error.message}`);
+    error.message = `Failed to upload media: ${error.message}`;
+    throw error;
+  }
+  
+  /**
+   * Queue the upload to run when connectivity returns
+   * 
+   * @returns {Promise<Object>} - Media object with a local ID
+   */
+  async function queueUpload() {
+    const { queueOffline, idempotencyKey, ...uploadOptions } = finalOptions;
+    const file = typeof originalFile === 'string' ? originalFile : await blobToDataUrl(originalFile);
+    const localId = createLocalId();
+    
+    const entry = await enqueueMutation({
+      operation: OUTBOX_OPERATION.UPLOAD_MEDIA,
+      payload: {
+        mediaData: { ...mediaData, file },
+        association,
+        options: uploadOptions
+      },
+      localId,
+      idempotencyKey,
+      label: mediaData.title
+    });
+    
+    return {
+      title: mediaData.title,
+      description: mediaData.description || '',
+      type: mediaData.type,
+      association,
+      privacyLevel: finalOptions.privacyLevel,
+      id: localId,
+      pendingSync: true,
+      outboxEntryId: entry.id
+    };
+  }
+  
+  /**
+   * Convert a Blob to a base64 data URL (the outbox stores JSON)
+   * 
+   * @param {Blob} blob - Blob object
+   * @returns {Promise<string>} - Base64 data URL
+   */
+  async function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(new Error('Failed to read media file.'));
+      reader.readAsDataURL(blob);
+    });
   }
   
   /**
@@ -546,102 +634,50 @@ async function trailtrades_uploadMedia(mediaData, association, options = {}) {
    */
   async function uploadMedia(file, mediaObject, options) {
     try {
-      // Get authentication token
-      const authToken = await getAuthToken();
-      
       // Step 1: Request signed upload URL
-      const uploadUrlResponse = await fetch(`${config.API_BASE_URL}/media/upload-url`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${authToken}`
-        },
-        body: JSON.stringify({
-          fileName: file.name || `${mediaObject.type}-${Date.now()}`,
-          contentType: file.type,
-          mediaType: mediaObject.type,
-          associationType: mediaObject.association.type,
-          privacyLevel: mediaObject.privacyLevel
-        })
+      const { uploadUrl, mediaId } = await apiClient.post('/media/upload-url', {
+        fileName: file.name || `${mediaObject.type}-${Date.now()}`,
+        contentType: file.type,
+        mediaType: mediaObject.type,
+        associationType: mediaObject.association.type,
+        privacyLevel: mediaObject.privacyLevel
+      }, {
+        errorMessage: 'Failed to get upload URL',
+        idempotencyKey: `${options.idempotencyKey}:url`
       });
       
-      if (!uploadUrlResponse.ok) {
-        const uploadUrlError = await uploadUrlResponse.json();
-        throw new Error(uploadUrlError.message || 'Failed to get upload URL');
-      }
-      
-      const { uploadUrl, mediaId } = await uploadUrlResponse.json();
-      
-      // Step 2: Upload file to storage
-      const uploadResponse = await fetch(uploadUrl, {
-        method: 'PUT',
+      // Step 2: Upload file to storage (a signed URL on another host, so none of the API's
+      // headers); lost connectivity here is a network error like any API failure, so the
+      // upload can still be queued
+      await apiClient.request('PUT', uploadUrl, {
+        rawBody: file,
         headers: {
           'Content-Type': file.type
         },
-        body: file
+        auth: false,
+        defaultHeaders: false,
+        errorMessage: 'Storage upload failed'
       });
       
-      if (!uploadResponse.ok) {
-        throw new Error(`Storage upload failed: ${uploadResponse.status}`);
-      }
-      
       // Step 3: Confirm upload and save metadata
-      const confirmResponse = await fetch(`${config.API_BASE_URL}/media/${mediaId}/confirm`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${authToken}`
-        },
-        body: JSON.stringify({
-          ...mediaObject,
-          id: mediaId
-        })
+      // Returns complete media object with server-side additions
+      return await apiClient.post(`/media/${mediaId}/confirm`, {
+        ...mediaObject,
+        id: mediaId
+      }, {
+        errorMessage: 'Failed to confirm upload',
+        idempotencyKey: `${options.idempotencyKey}:confirm`
       });
-      
-      if (!confirmResponse.ok) {
-        const confirmError = await confirmResponse.json();
-        throw new Error(confirmError.message || 'Failed to confirm upload');
-      }
-      
-      // Return complete media object with server-side additions
-      return await confirmResponse.json();
     } catch (error) {
       console.error('Media upload error:', error);
       throw error;
     }
   }
-  
-  /**
-   * Helper function to retrieve authentication token
-   * 
-   * @returns {Promise<string>} - Authentication token
-   */
-  async function getAuthToken() {
-    try {
-      let token;
-      
-      if (Platform.OS === 'ios') {
-        // iOS secure storage implementation
-        const credentials = await Keychain.getGenericPassword();
-        token = credentials.password;
-      } else if (Platform.OS === 'android') {
-        // Android secure storage implementation
-        token = await EncryptedStorage.getItem('trailtrades_auth_token');
-      } else {
-        // Web fallback
-        token = localStorage.getItem('trailtrades_auth_token');
-      }
-      
-      if (!token) {
-        throw new Error('Authentication token not found. Please log in.');
-      }
-      
-      return token;
-    } catch (error) {
-      console.error('Failed to retrieve authentication token:', error);
-      throw new Error('Authentication required. Please log in.');
-    }
-  }
 }
 
+// Replays uploads queued offline
+registerOutboxHandler(OUTBOX_OPERATION.UPLOAD_MEDIA, ({ mediaData, association, options }, { idempotencyKey }) =>
+  trailtrades_uploadMedia(mediaData, association, { ...options, idempotencyKey, queueOffline: false })
+);
+
 export default trailtrades_uploadMedia;
\ No newline at end of file